@@ -0,0 +1,117 @@
+import express from 'express';
+import cors from 'cors';
+import authRoutes from './routes/auth.js';
+import chatRoutes from './routes/chat.js';
+import adminRoutes from './routes/admin.js';
+import contactRoutes from './routes/contact.js';
+import sharedRoutes from './routes/shared.js';
+import folderRoutes from './routes/folders.js';
+import quizRoutes from './routes/quiz.js';
+import runRoutes from './routes/run.js';
+import collectionRoutes from './routes/collections.js';
+import profileRoutes from './routes/profiles.js';
+
+// Express application without a listener, so it can be used by server.js and by tests
+const app = express();
+
+// Behind a reverse proxy, trust it so req.ip (used for rate limits) is the client IP
+// (TRUST_PROXY=true, a hop count such as 1, or a list of proxy addresses)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    if (trustProxy === 'true') app.set('trust proxy', true);
+    else if (/^\d+$/.test(trustProxy)) app.set('trust proxy', Number(trustProxy));
+    else app.set('trust proxy', trustProxy);
+}
+
+// Middleware
+// Configure CORS - Allow all origins for flexibility
+const corsOptions = {
+    origin: true, // Allow all origins
+    methods: 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS',
+    credentials: true,
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-password'],
+    exposedHeaders: [
+        'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+        'X-Total-Count', 'X-Page', 'X-Limit', 'X-Total-Pages', 'Content-Disposition'
+    ],
+};
+
+app.use(cors(corsOptions));
+// Enable pre-flight across the board
+app.options('*', cors(corsOptions));
+// Chat imports carry whole conversation archives, so they get a larger body limit
+app.use('/chat/import', express.json({ limit: process.env.IMPORT_MAX_SIZE || '10mb' }));
+app.use(express.json());
+
+// Routes
+app.use('/auth', authRoutes);
+app.use('/chat', chatRoutes);
+app.use('/folders', folderRoutes);
+app.use('/quiz', quizRoutes);
+app.use('/run', runRoutes);
+app.use('/collections', collectionRoutes);
+app.use('/admin/profiles', profileRoutes);
+app.use('/admin', adminRoutes);
+app.use('/contact', contactRoutes);
+app.use('/shared', sharedRoutes);
+
+// Health check route
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', message: 'Bit Brainic API is running!' });
+});
+
+// --- Error Handling Middleware ---
+// 404 Not Found Handler
+app.use((req, res, next) => {
+    res.status(404).json({ message: `Not Found - ${req.originalUrl}` });
+});
+
+// General Error Handler
+app.use((err, req, res, next) => {
+    // Default to 500 server error
+    let statusCode = err.statusCode || 500;
+    let message = err.message || 'Something went wrong!';
+
+    // Body larger than the express.json limit
+    if (err.type === 'entity.too.large') {
+        statusCode = 413;
+        message = 'Request body is too large';
+    }
+
+    // Mongoose Bad ObjectId
+    if (err.name === 'CastError' && err.kind === 'ObjectId') {
+        statusCode = 404;
+        message = 'Resource not found';
+    }
+
+    // Mongoose Validation Error
+    if (err.name === 'ValidationError') {
+        statusCode = 400;
+        const messages = Object.values(err.errors).map(val => val.message);
+        message = `Invalid input data: ${messages.join('. ')}`;
+    }
+
+    // Mongoose Duplicate Key Error
+    if (err.code === 11000) {
+        statusCode = 400;
+        const field = Object.keys(err.keyValue)[0];
+        message = `Duplicate field value entered: '${field}' already exists.`;
+    }
+
+    // Log the error in development for debugging
+    if (process.env.NODE_ENV !== 'production') {
+        console.error('--- ERROR ---');
+        console.error(`Status: ${statusCode}`);
+        console.error(`Message: ${message}`);
+        console.error('Stack:', err.stack);
+        console.error('--- END ERROR ---');
+    }
+
+    res.status(statusCode).json({
+        message,
+        // Optionally include stack trace in development
+        stack: process.env.NODE_ENV === 'production' ? undefined : err.stack,
+    });
+});
+
+export default app;
@@ -0,0 +1,18 @@
+// Fixed vocabularies shared by models, services and routes
+
+// The subjects the tutor covers: topics are grouped by them (services/topics.js) and
+// tutor profiles can be restricted to some of them (models/TutorProfile.js)
+export const DOMAINS = {
+    programming: 'Programming',
+    dsa: 'Data Structures & Algorithms',
+    databases: 'Databases',
+    systems: 'Operating Systems & Networking',
+    ai: 'AI & Machine Learning',
+    engineering: 'Software Engineering'
+};
+
+// Answer levels a chat can ask for; null lets the tutor adapt (see services/tutoring.js)
+export const LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Tutoring modes of a chat; explain is the tutor's normal behaviour
+export const MODES = ['explain', 'hint', 'code-review', 'interview'];
@@ -1,30 +1,38 @@
-const adminAuth = (req, res, next) => {
-    const { password } = req.body;
+import protect, { requireRole } from './auth.js';
 
-    if (!password) {
-        return res.status(401).json({ message: 'Admin password required' });
-    }
+// The shared ADMIN_PASSWORD is deprecated. It is only honoured while
+// ALLOW_LEGACY_ADMIN_PASSWORD=true, to give admins time to move to accounts.
+// Only the x-admin-password header counts: request bodies may carry a user's password.
+const legacyPasswordEnabled = () => process.env.ALLOW_LEGACY_ADMIN_PASSWORD === 'true';
+
+const checkLegacyPassword = (req, res, next) => {
+    const password = req.headers['x-admin-password'];
 
-    if (password !== process.env.ADMIN_PASSWORD) {
+    if (!process.env.ADMIN_PASSWORD || password !== process.env.ADMIN_PASSWORD) {
         return res.status(401).json({ message: 'Invalid admin password' });
     }
 
+    console.warn(`Deprecated x-admin-password used for ${req.method} ${req.originalUrl}`);
+    res.set('Deprecation', 'true');
+    res.set('Warning', '299 - "Shared admin password is deprecated, sign in with an admin account"');
+    req.legacyAdmin = true;
     next();
 };
 
-// Middleware for protected admin routes (uses header)
-const adminProtect = (req, res, next) => {
-    const adminPassword = req.headers['x-admin-password'];
+// Middleware for admin routes: JWT user with one of the given roles,
+// or the legacy shared password while the transition flag is on
+const adminProtect = (...roles) => {
+    const checkRole = requireRole(...roles);
 
-    if (!adminPassword) {
-        return res.status(401).json({ message: 'Admin password required in header' });
-    }
+    return (req, res, next) => {
+        const hasLegacyPassword = Boolean(req.headers['x-admin-password']);
 
-    if (adminPassword !== process.env.ADMIN_PASSWORD) {
-        return res.status(401).json({ message: 'Invalid admin password' });
-    }
+        if (legacyPasswordEnabled() && hasLegacyPassword) {
+            return checkLegacyPassword(req, res, next);
+        }
 
-    next();
+        protect(req, res, () => checkRole(req, res, next));
+    };
 };
 
-export { adminAuth, adminProtect };
+export { adminProtect };
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 
 const protect = async (req, res, next) => {
     let token;
@@ -19,6 +20,18 @@ const protect = async (req, res, next) => {
                 return res.status(401).json({ message: 'Not authorized, user not found' });
             }
 
+            // Tokens from before sessions existed cannot be revoked, so they are refused
+            if (!decoded.sid) {
+                return res.status(401).json({ message: 'Not authorized, token expired' });
+            }
+
+            // Access tokens die with their session (logout, revocation, password change)
+            const session = await Session.findById(decoded.sid);
+            if (!session || !session.isActive() || !session.userId.equals(req.user._id)) {
+                return res.status(401).json({ message: 'Not authorized, session revoked' });
+            }
+            req.sessionId = session._id;
+
             next();
         } catch (error) {
             console.error(error);
@@ -31,4 +44,30 @@ const protect = async (req, res, next) => {
     }
 };
 
+// Restrict a route to users with one of the given roles (use after protect)
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authorized, no token' });
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ message: 'Forbidden, insufficient role' });
+    }
+
+    next();
+};
+
+// Block unverified users when REQUIRE_EMAIL_VERIFICATION=true (use after protect)
+const requireVerifiedEmail = (req, res, next) => {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.emailVerified) {
+        return res.status(403).json({
+            message: 'Please verify your email address to continue.',
+            code: 'EMAIL_NOT_VERIFIED'
+        });
+    }
+
+    next();
+};
+
+export { requireRole, requireVerifiedEmail };
 export default protect;
@@ -0,0 +1,33 @@
+import { checkQuota } from '../services/usage.js';
+
+// 429 response for a quota from checkQuota that is used up
+const rejectOverQuota = (res, quota) => {
+    const retryAfter = Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        message: `${quota.reason} Your quota resets at ${quota.resetAt.toISOString()}.`,
+        code: 'QUOTA_EXCEEDED',
+        usage: quota.usage,
+        limits: quota.limits,
+        resetAt: quota.resetAt
+    });
+};
+
+// Block AI calls once the user's daily message or token quota is used up (use after protect)
+const enforceQuota = async (req, res, next) => {
+    try {
+        const quota = await checkQuota(req.user);
+
+        if (!quota.allowed) {
+            return rejectOverQuota(res, quota);
+        }
+
+        next();
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+export { rejectOverQuota };
+export default enforceQuota;
@@ -0,0 +1,122 @@
+import { getRateLimitStore } from '../services/rateLimitStore.js';
+
+/**
+ * Read a "max/windowSeconds" override such as RATE_LIMIT_LOGIN=10/900
+ * @param {string} name - Limiter name
+ * @returns {{ max: number, windowMs: number }|null}
+ */
+const readOverride = (name) => {
+    const value = process.env[`RATE_LIMIT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+    if (!value) return null;
+
+    const [max, windowSeconds] = value.split('/').map(Number);
+    if (!max || !windowSeconds) return null;
+
+    return { max, windowMs: windowSeconds * 1000 };
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Limiter name (also used for env overrides)
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {string} options.keyBy - 'ip' or 'user' (user requires protect first)
+ * @param {string} options.message - Message sent with the 429 response
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = ({ name, max, windowMs, keyBy = 'ip', message = 'Too many requests, please try again later.' }) => {
+    return async (req, res, next) => {
+        if (process.env.RATE_LIMIT_ENABLED === 'false') {
+            return next();
+        }
+
+        const limits = readOverride(name) || { max, windowMs };
+        const subject = keyBy === 'user' && req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+
+        try {
+            const { count, resetAt } = await getRateLimitStore().increment(`${name}:${subject}`, limits.windowMs);
+            const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+            res.set({
+                'RateLimit-Limit': String(limits.max),
+                'RateLimit-Remaining': String(Math.max(0, limits.max - count)),
+                'RateLimit-Reset': String(retryAfter)
+            });
+
+            if (count > limits.max) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ message, retryAfter });
+            }
+        } catch (error) {
+            // Never lock everyone out because the store is unavailable
+            console.error('Rate limit store error:', error);
+        }
+
+        next();
+    };
+};
+
+// Route limiters, each overridable with RATE_LIMIT_<NAME>=max/windowSeconds
+const loginLimiter = rateLimit({
+    name: 'login',
+    max: 10,
+    windowMs: 15 * 60 * 1000,
+    message: 'Too many login attempts, please try again later.'
+});
+
+const forgotPasswordLimiter = rateLimit({
+    name: 'forgot_password',
+    max: 5,
+    windowMs: 60 * 60 * 1000,
+    message: 'Too many password reset requests, please try again later.'
+});
+
+const verificationEmailLimiter = rateLimit({
+    name: 'verification_email',
+    max: 3,
+    windowMs: 60 * 60 * 1000,
+    keyBy: 'user',
+    message: 'Too many verification emails requested, please try again later.'
+});
+
+const contactLimiter = rateLimit({
+    name: 'contact',
+    max: 5,
+    windowMs: 60 * 60 * 1000,
+    message: 'Too many messages sent, please try again later.'
+});
+
+const chatMessageLimiter = rateLimit({
+    name: 'chat_message',
+    max: 20,
+    windowMs: 60 * 1000,
+    keyBy: 'user',
+    message: 'You are sending messages too quickly, please slow down.'
+});
+
+const codeRunLimiter = rateLimit({
+    name: 'code_run',
+    max: 10,
+    windowMs: 60 * 1000,
+    keyBy: 'user',
+    message: 'You are running code too quickly, please slow down.'
+});
+
+const sharedChatLimiter = rateLimit({
+    name: 'shared_chat',
+    max: 60,
+    windowMs: 60 * 1000,
+    message: 'Too many requests, please try again later.'
+});
+
+export {
+    rateLimit,
+    loginLimiter,
+    forgotPasswordLimiter,
+    verificationEmailLimiter,
+    contactLimiter,
+    chatMessageLimiter,
+    codeRunLimiter,
+    sharedChatLimiter
+};
@@ -0,0 +1,53 @@
+import multer from 'multer';
+import { getAttachmentLimits } from '../services/attachments.js';
+import { getDocumentLimits } from '../services/collections.js';
+
+// Parse multipart bodies, keeping files in memory until they are validated and stored.
+// Limit errors become 400/413 responses; JSON requests pass straight through.
+const createUpload = ({ field, label, getLimits }) => (req, res, next) => {
+    const { maxFileSize, maxFiles } = getLimits();
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxFileSize, files: maxFiles, fields: 10 }
+    }).array(field, maxFiles);
+
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({
+                    message: `${label} can be at most ${Math.round(maxFileSize / 1024 / 1024)} MB each`
+                });
+            }
+            if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+                return res.status(400).json({
+                    message: maxFiles === 1
+                        ? `Upload one file using the "${field}" field`
+                        : `Attach at most ${maxFiles} files using the "${field}" field`
+                });
+            }
+            return res.status(400).json({ message: error.message });
+        }
+
+        console.error(error);
+        res.status(400).json({ message: 'Invalid upload' });
+    });
+};
+
+// Files attached to a chat message ("attachments")
+const uploadAttachments = createUpload({
+    field: 'attachments',
+    label: 'Attachments',
+    getLimits: getAttachmentLimits
+});
+
+// A single document added to a collection ("file")
+const uploadDocument = createUpload({
+    field: 'file',
+    label: 'Documents',
+    getLimits: () => ({ ...getDocumentLimits(), maxFiles: 1 })
+});
+
+export { uploadDocument };
+export default uploadAttachments;
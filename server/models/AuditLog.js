@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+    // User who performed the action (empty for the legacy shared admin password)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    actorEmail: {
+        type: String,
+        default: ''
+    },
+    action: {
+        type: String,
+        enum: [
+            'admin.user.update',
+            'admin.user.delete',
+            'admin.chat.collections',
+            'admin.profile.create',
+            'admin.profile.update',
+            'admin.profile.rollback',
+            'admin.profile.delete',
+            'user.password.change',
+            'user.password.reset',
+            'user.email.change',
+            'user.account.delete',
+            'user.account.export'
+        ],
+        required: true
+    },
+    // Affected user or tutor profile, if any
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'targetModel'
+    },
+    targetModel: {
+        type: String,
+        enum: ['User', 'TutorProfile'],
+        default: 'User'
+    },
+    targetEmail: {
+        type: String,
+        default: ''
+    },
+    // Changed fields as { field: { from, to } }
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    ip: String,
+    userAgent: String,
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes for the admin audit filters
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ target: 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -1,4 +1,22 @@
 import mongoose from 'mongoose';
+import { LEVELS, MODES } from '../config/constants.js';
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Most collections of course material attached to one chat
+const MAX_COLLECTIONS = 5;
+
+/**
+ * Clean up user-supplied tags: trimmed, lowercase, no duplicates or empty tags
+ * @param {Array<string>} tags - Raw tags
+ * @returns {Array<string>}
+ */
+const normalizeTags = (tags) => [...new Set(
+    tags
+        .map(tag => String(tag).trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean)
+)];
 
 const chatSchema = new mongoose.Schema({
     userId: {
@@ -11,6 +29,90 @@ const chatSchema = new mongoose.Schema({
         default: 'New Chat',
         maxlength: [100, 'Title cannot be more than 100 characters']
     },
+    // Where the title came from; AI titles never replace one the user chose
+    titleSource: {
+        type: String,
+        enum: ['default', 'auto', 'ai', 'user'],
+        default: 'default'
+    },
+    folderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder',
+        default: null
+    },
+    // Free-form labels, stored lowercase (see normalizeTags)
+    tags: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: function (v) {
+                return v.length <= MAX_TAGS;
+            },
+            message: `Cannot have more than ${MAX_TAGS} tags`
+        }
+    },
+    pinned: {
+        type: Boolean,
+        default: false
+    },
+    // Archived chats are hidden from the default chat list
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    // Course material the tutor answers from (see services/retrieval.js)
+    collectionIds: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Collection' }],
+        default: [],
+        validate: {
+            validator: function (v) {
+                return v.length <= MAX_COLLECTIONS;
+            },
+            message: `Cannot attach more than ${MAX_COLLECTIONS} collections`
+        }
+    },
+    // Tutor profile answering in this chat; null uses the default profile (see services/profiles.js)
+    profileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TutorProfile',
+        default: null
+    },
+    // Answer difficulty; null lets the tutor adapt to the student (see services/tutoring.js)
+    level: {
+        type: String,
+        enum: [...LEVELS, null],
+        default: null
+    },
+    // explain, hint (Socratic, no full solutions), code-review or interview
+    mode: {
+        type: String,
+        enum: MODES,
+        default: 'explain'
+    },
+    // Last message of the branch currently shown (see services/conversation.js)
+    activeLeafId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    // Rolling summary of turns too old to send with each request (see services/summary.js)
+    summary: {
+        content: {
+            type: String,
+            default: ''
+        },
+        // Last message folded into the summary
+        coveredUntil: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+            default: null
+        },
+        messageCount: {
+            type: Number,
+            default: 0
+        },
+        updatedAt: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -21,6 +123,14 @@ const chatSchema = new mongoose.Schema({
     }
 });
 
+// Chat list filters (see GET /chat)
+chatSchema.index({ userId: 1, archived: 1, pinned: -1, updatedAt: -1 });
+chatSchema.index({ userId: 1, tags: 1 });
+chatSchema.index({ folderId: 1 });
+
+// Full-text search on titles (see services/search.js)
+chatSchema.index({ title: 'text' });
+
 // Update the updatedAt timestamp before saving
 chatSchema.pre('save', function (next) {
     this.updatedAt = Date.now();
@@ -29,4 +139,5 @@ chatSchema.pre('save', function (next) {
 
 const Chat = mongoose.model('Chat', chatSchema);
 
+export { normalizeTags, MAX_TAGS, MAX_COLLECTIONS };
 export default Chat;
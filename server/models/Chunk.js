@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// A passage of a collection document with its embedding (see services/retrieval.js)
+const chunkSchema = new mongoose.Schema({
+    collectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection',
+        required: true
+    },
+    documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CollectionDocument',
+        required: true
+    },
+    // Position in the document
+    index: {
+        type: Number,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    // PDF page the passage is on
+    page: Number,
+    // Nearest Markdown heading above the passage
+    heading: String,
+    embedding: {
+        type: [Number],
+        required: true
+    },
+    embeddingModel: {
+        type: String,
+        required: true
+    }
+});
+
+chunkSchema.index({ collectionId: 1, embeddingModel: 1 });
+chunkSchema.index({ documentId: 1, index: 1 });
+
+const Chunk = mongoose.model('Chunk', chunkSchema);
+
+export default Chunk;
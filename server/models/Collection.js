@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// A set of course material (lecture notes, syllabus, ...) the tutor can answer from.
+// Users keep private collections; admins publish shared ones anyone can attach to a chat.
+const collectionSchema = new mongoose.Schema({
+    // Owner of a private collection, or the admin who created a shared one
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Please add a collection name'],
+        trim: true,
+        maxlength: [100, 'Collection name cannot be more than 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    shared: {
+        type: Boolean,
+        default: false
+    },
+    // Embedding model of every chunk in the collection (see services/embeddings)
+    embeddingModel: {
+        type: String,
+        default: null
+    },
+    documentCount: {
+        type: Number,
+        default: 0
+    },
+    chunkCount: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+collectionSchema.index({ userId: 1 });
+collectionSchema.index({ shared: 1 });
+
+// Update the updatedAt timestamp before saving
+collectionSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Query for the collections a user may read and attach: their own and the shared ones
+collectionSchema.statics.visibleTo = function (userId) {
+    return { $or: [{ userId, shared: false }, { shared: true }] };
+};
+
+// Shared collections are managed by admins, private ones by their owner
+collectionSchema.methods.canEdit = function (user) {
+    return this.shared ? user.role === 'admin' : this.userId.equals(user._id);
+};
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+export default Collection;
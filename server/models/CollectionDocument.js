@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// A file added to a collection. Only its extracted text is kept, split into chunks.
+const collectionDocumentSchema = new mongoose.Schema({
+    collectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection',
+        required: true
+    },
+    // Who uploaded it
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['text', 'markdown', 'pdf'],
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // PDFs only
+    pageCount: Number,
+    characters: {
+        type: Number,
+        default: 0
+    },
+    chunkCount: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+collectionDocumentSchema.index({ collectionId: 1, createdAt: -1 });
+
+const CollectionDocument = mongoose.model('CollectionDocument', collectionDocumentSchema);
+
+export default CollectionDocument;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A user-defined group of chats. Deleting a folder keeps its chats.
+const folderSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Please add a folder name'],
+        trim: true,
+        maxlength: [50, 'Folder name cannot be more than 50 characters']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Folder names are unique per user
+folderSchema.index({ userId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Update the updatedAt timestamp before saving
+folderSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+const Folder = mongoose.model('Folder', folderSchema);
+
+export default Folder;
@@ -1,19 +1,146 @@
 import mongoose from 'mongoose';
 
+// Most alternate replies kept for a single bot turn
+const MAX_VARIANTS = 10;
+
+// Token counts for bot messages (estimated when the provider reports none)
+const usageDefinition = {
+    promptTokens: Number,
+    completionTokens: Number,
+    totalTokens: Number,
+    estimated: Boolean
+};
+
+// A passage of course material a bot reply was based on (see services/retrieval.js).
+// index is the number the reply cites it by, e.g. [1].
+const citationDefinition = [{
+    _id: false,
+    index: Number,
+    collectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Collection' },
+    collectionName: String,
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'CollectionDocument' },
+    documentName: String,
+    chunkId: { type: mongoose.Schema.Types.ObjectId, ref: 'Chunk' },
+    page: Number,
+    heading: String,
+    excerpt: String,
+    score: Number
+}];
+
+// A file uploaded with a user message (see services/attachments.js)
+const attachmentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['image', 'pdf', 'text'],
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // Where the file lives in the configured storage; never sent to clients
+    storageKey: {
+        type: String,
+        required: true
+    }
+});
+
+// An alternate bot reply for the same user turn
+const variantSchema = new mongoose.Schema({
+    content: {
+        type: String,
+        required: true
+    },
+    partial: {
+        type: Boolean,
+        default: false
+    },
+    usage: usageDefinition,
+    citations: {
+        type: citationDefinition,
+        default: undefined
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 const messageSchema = new mongoose.Schema({
     chatId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Chat',
         required: true
     },
+    // Previous message in the conversation (null for the first one).
+    // Sibling messages with the same parent are alternate branches.
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
     role: {
         type: String,
         enum: ['user', 'bot'],
         required: true
     },
+    // A user message may be only attachments
     content: {
         type: String,
-        required: true
+        required: function () {
+            return !this.attachments?.length;
+        }
+    },
+    // True when generation stopped early (e.g. the client disconnected mid-stream)
+    partial: {
+        type: Boolean,
+        default: false
+    },
+    usage: usageDefinition,
+    // Sources of a bot reply from the chat's collections
+    citations: {
+        type: citationDefinition,
+        default: undefined
+    },
+    // Taxonomy topics of a user message (see services/topics.js)
+    topics: {
+        type: [String],
+        default: undefined
+    },
+    attachments: {
+        type: [attachmentSchema],
+        default: undefined
+    },
+    // Sandbox result for a user message whose code was run before answering (see services/sandbox.js)
+    codeRun: {
+        type: {
+            language: String,
+            stdout: String,
+            stderr: String,
+            exitCode: Number,
+            signal: String,
+            timedOut: Boolean,
+            truncated: Boolean,
+            durationMs: Number
+        },
+        default: undefined
+    },
+    // Regenerated replies. content, partial, usage and citations always mirror the active
+    // variant, so history and search only ever see the active one.
+    variants: {
+        type: [variantSchema],
+        default: undefined
+    },
+    activeVariant: {
+        type: Number,
+        default: 0
     },
     timestamp: {
         type: Date,
@@ -23,7 +150,59 @@ const messageSchema = new mongoose.Schema({
 
 // Index for faster queries
 messageSchema.index({ chatId: 1, timestamp: 1 });
+messageSchema.index({ parentId: 1 });
+// Full-text search (see services/search.js)
+messageSchema.index({ content: 'text' });
+
+// Number of reply variants (a message that was never regenerated has one)
+messageSchema.virtual('variantCount').get(function () {
+    return this.variants?.length || 1;
+});
+
+// Clients get the active variant plus the count, not every variant
+messageSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.variants;
+        delete ret.id;
+        ret.attachments?.forEach(attachment => delete attachment.storageKey);
+        return ret;
+    }
+});
+
+// Make one of the variants the active reply
+messageSchema.methods.setActiveVariant = function (index) {
+    const variant = this.variants[index];
+    this.activeVariant = index;
+    this.content = variant.content;
+    this.partial = variant.partial;
+    this.usage = variant.usage;
+    this.citations = variant.citations;
+};
+
+// Add a new reply variant and make it the active one
+messageSchema.methods.addVariant = function ({ content, usage, citations, partial = false }) {
+    if (!this.variants?.length) {
+        // Keep the original reply as the first variant
+        const original = this.toObject();
+        this.variants = [{
+            content: this.content,
+            partial: this.partial,
+            usage: original.usage,
+            citations: original.citations,
+            createdAt: this.timestamp
+        }];
+    }
+
+    if (this.variants.length >= MAX_VARIANTS) {
+        throw new Error(`Cannot keep more than ${MAX_VARIANTS} variants of a reply`);
+    }
+
+    this.variants.push({ content, partial, usage, citations: citations?.length ? citations : undefined });
+    this.setActiveVariant(this.variants.length - 1);
+};
 
 const Message = mongoose.model('Message', messageSchema);
 
+export { MAX_VARIANTS };
 export default Message;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const QUESTION_TYPES = ['multiple_choice', 'short_answer'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const questionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: QUESTION_TYPES,
+        required: true
+    },
+    // Sub-topic the question tests, used for per-topic scores
+    topic: {
+        type: String,
+        required: true
+    },
+    prompt: {
+        type: String,
+        required: true
+    },
+    // Multiple choice only
+    options: {
+        type: [String],
+        default: undefined
+    },
+    correctOption: Number,
+    // Model answer (the correct option's text for multiple choice)
+    answer: {
+        type: String,
+        required: true
+    },
+    explanation: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+// A generated set of questions. Answers stay server-side until an attempt is submitted.
+const quizSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Chat the quiz was generated from, if any
+    chatId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        default: null
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    topic: {
+        type: String,
+        required: true
+    },
+    difficulty: {
+        type: String,
+        enum: DIFFICULTIES,
+        default: 'medium'
+    },
+    questions: {
+        type: [questionSchema],
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+quizSchema.index({ userId: 1, createdAt: -1 });
+
+// Questions as shown before answering: no answers or explanations
+quizSchema.methods.toPublicJSON = function () {
+    const quiz = this.toObject();
+    return {
+        ...quiz,
+        questions: quiz.questions.map(({ type, topic, prompt, options }) => ({ type, topic, prompt, options }))
+    };
+};
+
+const Quiz = mongoose.model('Quiz', quizSchema);
+
+export { QUESTION_TYPES, DIFFICULTIES };
+export default Quiz;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const resultSchema = new mongoose.Schema({
+    // The student's answer: option index for multiple choice, text for short answer
+    answer: mongoose.Schema.Types.Mixed,
+    correct: {
+        type: Boolean,
+        required: true
+    },
+    // Why the answer is right or wrong
+    feedback: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+const topicScoreSchema = new mongoose.Schema({
+    topic: {
+        type: String,
+        required: true
+    },
+    correct: {
+        type: Number,
+        required: true
+    },
+    total: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+// One graded submission of a quiz
+const quizAttemptSchema = new mongoose.Schema({
+    quizId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // One result per question, in question order
+    results: [resultSchema],
+    score: {
+        type: Number,
+        required: true
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    topicScores: [topicScoreSchema],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+quizAttemptSchema.index({ quizId: 1, createdAt: -1 });
+quizAttemptSchema.index({ userId: 1, createdAt: -1 });
+
+// Score as a percentage (0-100)
+quizAttemptSchema.virtual('percentage').get(function () {
+    return this.total > 0 ? Math.round((this.score / this.total) * 100) : 0;
+});
+
+quizAttemptSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+    }
+});
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+
+export default QuizAttempt;
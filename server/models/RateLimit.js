@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Fixed-window counter shared by every API instance (RATE_LIMIT_STORE=mongo)
+const rateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Let MongoDB clean up finished windows
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 60 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Holds the hash of its current refresh token.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Hash of the token that was rotated out, used to detect refresh token reuse
+    previousTokenHash: {
+        type: String,
+        select: false
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// A public, read-only link to a snapshot of a chat's active branch.
+// Later messages in the chat are not part of the share.
+const shareSchema = new mongoose.Schema({
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    chatId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    // Owner's name as shown to viewers; null when redacted
+    ownerName: {
+        type: String,
+        default: null
+    },
+    messages: [{
+        _id: false,
+        role: {
+            type: String,
+            enum: ['user', 'bot'],
+            required: true
+        },
+        // A user message may be only attachments
+        content: {
+            type: String,
+            required: function () {
+                return !this.attachments?.length;
+            }
+        },
+        // Names and types only; the files themselves stay private
+        attachments: {
+            type: [{
+                _id: false,
+                name: String,
+                kind: String,
+                mimeType: String,
+                size: Number
+            }],
+            default: undefined
+        },
+        timestamp: Date
+    }],
+    viewCount: {
+        type: Number,
+        default: 0
+    },
+    lastViewedAt: Date,
+    // null means the link never expires
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+shareSchema.index({ chatId: 1 });
+shareSchema.index({ userId: 1 });
+// Let MongoDB remove shares once they expire
+shareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the link can still be opened
+shareSchema.virtual('active').get(function () {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+// Owners get metadata without the snapshot itself
+shareSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+    }
+});
+
+// Random, URL-safe and unguessable
+shareSchema.statics.generateSlug = function () {
+    return crypto.randomBytes(12).toString('base64url');
+};
+
+const Share = mongoose.model('Share', shareSchema);
+
+export default Share;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// Messages on a topic that count as full exposure for mastery
+const EXPOSURE_MESSAGES = 20;
+
+// What a user has studied on one taxonomy topic (see services/topics.js)
+const topicProgressSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    topic: {
+        type: String,
+        required: true
+    },
+    domain: {
+        type: String,
+        required: true
+    },
+    // User messages classified into this topic
+    messageCount: {
+        type: Number,
+        default: 0
+    },
+    // Quiz questions on this topic, across all attempts
+    quizCorrect: {
+        type: Number,
+        default: 0
+    },
+    quizTotal: {
+        type: Number,
+        default: 0
+    },
+    // Consecutive days (UTC) studied, ending on the day of lastStudiedAt
+    streak: {
+        type: Number,
+        default: 0
+    },
+    longestStreak: {
+        type: Number,
+        default: 0
+    },
+    firstStudiedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastStudiedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+topicProgressSchema.index({ userId: 1, topic: 1 }, { unique: true });
+topicProgressSchema.index({ userId: 1, lastStudiedAt: -1 });
+
+// 0-100: chat activity counts for up to 30 points, quiz accuracy for the rest.
+// Without quiz results mastery stays at 30 or below.
+topicProgressSchema.virtual('mastery').get(function () {
+    const exposure = Math.min(this.messageCount / EXPOSURE_MESSAGES, 1);
+    const accuracy = this.quizTotal > 0 ? this.quizCorrect / this.quizTotal : 0;
+    return Math.round(exposure * 30 + accuracy * 70);
+});
+
+topicProgressSchema.virtual('level').get(function () {
+    if (this.mastery >= 80) return 'mastered';
+    if (this.mastery >= 50) return 'practicing';
+    return 'learning';
+});
+
+const TopicProgress = mongoose.model('TopicProgress', topicProgressSchema);
+
+export default TopicProgress;
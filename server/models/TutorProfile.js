@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { DOMAINS } from '../config/constants.js';
+
+// Settings copied into every version snapshot (see TutorProfileVersion)
+const VERSIONED_FIELDS = ['name', 'description', 'systemPrompt', 'temperature', 'maxOutputTokens', 'model', 'domainRestrictions'];
+
+// Which subjects the tutor answers; everything else gets the redirect message
+const domainRestrictionsDefinition = {
+    // DOMAINS keys from config/constants.js; empty means no restriction
+    domains: {
+        type: [String],
+        default: () => Object.keys(DOMAINS),
+        validate: {
+            validator: function (v) {
+                return v.every(domain => Object.hasOwn(DOMAINS, domain));
+            },
+            message: `Domains must be among: ${Object.keys(DOMAINS).join(', ')}`
+        }
+    },
+    redirectMessage: {
+        type: String,
+        trim: true,
+        default: 'I\'m all about Computer Science! Want to learn about algorithms instead?',
+        maxlength: [300, 'Redirect message cannot be more than 300 characters']
+    }
+};
+
+// A tutor personality: the system prompt and generation settings used for the chats that select it.
+// The profile marked isDefault is used for chats without one (see services/profiles.js).
+const tutorProfileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a profile name'],
+        trim: true,
+        maxlength: [50, 'Profile name cannot be more than 50 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: [300, 'Description cannot be more than 300 characters']
+    },
+    systemPrompt: {
+        type: String,
+        required: [true, 'Please add a system prompt'],
+        maxlength: [20000, 'System prompt cannot be more than 20000 characters']
+    },
+    temperature: {
+        type: Number,
+        default: 0.8,
+        min: [0, 'Temperature must be between 0 and 2'],
+        max: [2, 'Temperature must be between 0 and 2']
+    },
+    maxOutputTokens: {
+        type: Number,
+        default: 8192,
+        min: [256, 'Max output tokens must be between 256 and 65536'],
+        max: [65536, 'Max output tokens must be between 256 and 65536']
+    },
+    // Preferred model of the configured provider; '' uses the provider's own list
+    model: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: [100, 'Model name cannot be more than 100 characters']
+    },
+    domainRestrictions: domainRestrictionsDefinition,
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    // Number of the latest TutorProfileVersion
+    version: {
+        type: Number,
+        default: 1
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Profile names are unique
+tutorProfileSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+tutorProfileSchema.index({ isDefault: 1 });
+
+// Update the updatedAt timestamp before saving
+tutorProfileSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// The versioned settings as a plain object
+tutorProfileSchema.methods.toSnapshot = function () {
+    const profile = this.toObject();
+    return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, profile[field]]));
+};
+
+const TutorProfile = mongoose.model('TutorProfile', tutorProfileSchema);
+
+export { VERSIONED_FIELDS };
+export default TutorProfile;
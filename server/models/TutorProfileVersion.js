@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Snapshot of a tutor profile's settings after each change, so a bad prompt edit can be rolled back
+const tutorProfileVersionSchema = new mongoose.Schema({
+    profileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TutorProfile',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    // The profile's VERSIONED_FIELDS at this version
+    settings: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Admin who made the change (empty for the legacy shared admin password)
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // e.g. "Rolled back to version 3"
+    note: {
+        type: String,
+        default: '',
+        maxlength: [200, 'Note cannot be more than 200 characters']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+tutorProfileVersionSchema.index({ profileId: 1, version: -1 }, { unique: true });
+
+const TutorProfileVersion = mongoose.model('TutorProfileVersion', tutorProfileVersionSchema);
+
+export default TutorProfileVersion;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// AI usage per user per day (UTC)
+const usageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Day in YYYY-MM-DD format (UTC)
+    date: {
+        type: String,
+        required: true
+    },
+    messages: {
+        type: Number,
+        default: 0
+    },
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+    completionTokens: {
+        type: Number,
+        default: 0
+    },
+    totalTokens: {
+        type: Number,
+        default: 0
+    }
+});
+
+usageSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+const Usage = mongoose.model('Usage', usageSchema);
+
+export default Usage;
@@ -2,6 +2,12 @@ import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 
+// Progressive lockout: after MAX_LOGIN_ATTEMPTS failures the account is locked,
+// starting at LOCK_BASE_MS and doubling with every further failure
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_BASE_MS = 60 * 1000;
+const LOCK_MAX_MS = 60 * 60 * 1000;
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -40,10 +46,44 @@ const userSchema = new mongoose.Schema({
         default: '',
         maxlength: [500, 'Persona prompt cannot be more than 500 characters']
     },
+    // Per-user daily AI limits; null falls back to DAILY_*_LIMIT, 0 means unlimited
+    quota: {
+        dailyMessages: {
+            type: Number,
+            default: null,
+            min: 0
+        },
+        dailyTokens: {
+            type: Number,
+            default: null,
+            min: 0
+        }
+    },
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user'
+    },
     createdAt: {
         type: Date,
         default: Date.now
     },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerificationToken: String,
+    emailVerificationExpire: Date,
+    passwordChangedAt: Date,
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    lockUntil: {
+        type: Date,
+        select: false
+    },
     resetPasswordToken: String,
     resetPasswordExpire: Date
 });
@@ -65,13 +105,67 @@ userSchema.methods.getResetPasswordToken = function () {
     return resetToken;
 };
 
+// Generate email verification token
+userSchema.methods.getEmailVerificationToken = function () {
+    // Generate token using crypto
+    const verificationToken = crypto.randomBytes(20).toString('hex');
+
+    // Hash token and set to emailVerificationToken field
+    this.emailVerificationToken = crypto
+        .createHash('sha256')
+        .update(verificationToken)
+        .digest('hex');
+
+    // Set expire time (24 hours)
+    this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+    return verificationToken;
+};
+
+// Check whether the account is locked after too many failed logins
+userSchema.methods.isLocked = function () {
+    return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Count a failed login and lock the account once the limit is reached
+userSchema.methods.registerFailedLogin = async function () {
+    const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(
+        this._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true, projection: { failedLoginAttempts: 1 } }
+    );
+
+    this.failedLoginAttempts = failedLoginAttempts;
+
+    if (failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+        const lockMs = Math.min(LOCK_BASE_MS * 2 ** (failedLoginAttempts - MAX_LOGIN_ATTEMPTS), LOCK_MAX_MS);
+        this.lockUntil = new Date(Date.now() + lockMs);
+        await this.constructor.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+    }
+};
+
+// Clear failed login tracking after a successful sign-in or password reset
+userSchema.methods.resetLoginAttempts = async function () {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+};
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
-        next();
+        return next();
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Backdate by a second so tokens issued right after the change stay valid
+    if (!this.isNew) {
+        this.passwordChangedAt = Date.now() - 1000;
+    }
 });
 
 // Match password
@@ -2,10 +2,18 @@ import express from 'express';
 import User from '../models/User.js';
 import Chat from '../models/Chat.js';
 import Message from '../models/Message.js';
-import { adminAuth, adminProtect } from '../middleware/admin.js';
+import AuditLog from '../models/AuditLog.js';
+import { adminProtect } from '../middleware/admin.js';
+import { recordAudit, diffFields } from '../services/audit.js';
+import { deleteUserData } from '../services/cleanup.js';
+import { findAttachableCollections } from '../services/collections.js';
 
 const router = express.Router();
 
+// Moderators can view, only admins can change or delete
+const staffOnly = adminProtect('moderator', 'admin');
+const adminOnly = adminProtect('admin');
+
 // Helper function to fill missing days in activity data
 const fillMissingDays = (data, days = 7) => {
     const result = [];
@@ -28,10 +36,14 @@ const fillMissingDays = (data, days = 7) => {
 };
 
 // @route   POST /api/admin/verify
-// @desc    Verify admin password
-// @access  Public (but requires password)
-router.post('/verify', adminAuth, (req, res) => {
-    res.json({ success: true, message: 'Admin verified' });
+// @desc    Verify admin access for the signed-in user
+// @access  Moderator, Admin
+router.post('/verify', staffOnly, (req, res) => {
+    res.json({
+        success: true,
+        message: 'Admin verified',
+        role: req.legacyAdmin ? 'admin' : req.user.role
+    });
 });
 
 // @route   GET /api/admin/public-stats
@@ -59,8 +71,8 @@ router.get('/public-stats', async (req, res) => {
 
 // @route   GET /api/admin/stats
 // @desc    Get admin statistics
-// @access  Admin
-router.get('/stats', adminProtect, async (req, res) => {
+// @access  Moderator, Admin
+router.get('/stats', staffOnly, async (req, res) => {
     try {
         // Total users
         const totalUsers = await User.countDocuments();
@@ -173,8 +185,8 @@ router.get('/stats', adminProtect, async (req, res) => {
 
 // @route   GET /api/admin/users
 // @desc    Get all users with pagination
-// @access  Admin
-router.get('/users', adminProtect, async (req, res) => {
+// @access  Moderator, Admin
+router.get('/users', staffOnly, async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
@@ -231,8 +243,8 @@ router.get('/users', adminProtect, async (req, res) => {
 
 // @route   GET /api/admin/users/:id
 // @desc    Get single user details
-// @access  Admin
-router.get('/users/:id', adminProtect, async (req, res) => {
+// @access  Moderator, Admin
+router.get('/users/:id', staffOnly, async (req, res) => {
     try {
         const user = await User.findById(req.params.id).select('-password');
 
@@ -260,9 +272,9 @@ router.get('/users/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/users/:id
 // @desc    Update user
 // @access  Admin
-router.put('/users/:id', adminProtect, async (req, res) => {
+router.put('/users/:id', adminOnly, async (req, res) => {
     try {
-        const { name, email, interests, persona } = req.body;
+        const { name, email, interests, persona, role, quota, emailVerified } = req.body;
 
         const user = await User.findById(req.params.id);
 
@@ -270,6 +282,18 @@ router.put('/users/:id', adminProtect, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        const before = user.toObject();
+
+        const roles = User.schema.path('role').enumValues;
+        if (role !== undefined && !roles.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of ${roles.join(', ')}` });
+        }
+
+        // Admins cannot lock themselves out by changing their own role
+        if (role !== undefined && req.user?._id.equals(user._id) && role !== user.role) {
+            return res.status(400).json({ message: 'You cannot change your own role' });
+        }
+
         // Check if email is being changed and if it's already taken
         if (email && email !== user.email) {
             const emailExists = await User.findOne({ email });
@@ -282,15 +306,28 @@ router.put('/users/:id', adminProtect, async (req, res) => {
         if (name !== undefined) user.name = name;
         if (interests !== undefined) user.interests = interests;
         if (persona !== undefined) user.persona = persona;
+        if (role !== undefined) user.role = role;
+        if (emailVerified !== undefined) user.emailVerified = Boolean(emailVerified);
+        if (quota?.dailyMessages !== undefined) user.quota.dailyMessages = quota.dailyMessages;
+        if (quota?.dailyTokens !== undefined) user.quota.dailyTokens = quota.dailyTokens;
 
         await user.save();
 
+        await recordAudit(req, {
+            action: 'admin.user.update',
+            target: user,
+            changes: diffFields(before, user.toObject(), ['name', 'email', 'emailVerified', 'interests', 'persona', 'role', 'quota'])
+        });
+
         res.json({
             _id: user._id,
             name: user.name,
             email: user.email,
+            emailVerified: user.emailVerified,
             interests: user.interests,
             persona: user.persona,
+            role: user.role,
+            quota: user.quota,
             createdAt: user.createdAt
         });
     } catch (error) {
@@ -302,7 +339,7 @@ router.put('/users/:id', adminProtect, async (req, res) => {
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete user and all their data
 // @access  Admin
-router.delete('/users/:id', adminProtect, async (req, res) => {
+router.delete('/users/:id', adminOnly, async (req, res) => {
     try {
         const user = await User.findById(req.params.id);
 
@@ -310,19 +347,23 @@ router.delete('/users/:id', adminProtect, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
-        // Get all user's chats
-        const chats = await Chat.find({ userId: user._id });
-        const chatIds = chats.map(chat => chat._id);
-
-        // Delete all messages in user's chats
-        await Message.deleteMany({ chatId: { $in: chatIds } });
-
-        // Delete all user's chats
-        await Chat.deleteMany({ userId: user._id });
+        // Delete chats, messages, share links, sessions and usage records
+        const { chats } = await deleteUserData(user._id);
 
         // Delete the user
         await User.findByIdAndDelete(req.params.id);
 
+        await recordAudit(req, {
+            action: 'admin.user.delete',
+            target: user,
+            changes: {
+                name: { from: user.name, to: null },
+                email: { from: user.email, to: null },
+                role: { from: user.role, to: null },
+                chats: { from: chats, to: 0 }
+            }
+        });
+
         res.json({ message: 'User deleted successfully' });
     } catch (error) {
         console.error(error);
@@ -330,4 +371,91 @@ router.delete('/users/:id', adminProtect, async (req, res) => {
     }
 });
 
+// @route   PUT /api/admin/chats/:id/collections
+// @desc    Set the collections a user's chat answers from ({ collectionIds })
+// @access  Admin
+router.put('/chats/:id/collections', adminOnly, async (req, res) => {
+    try {
+        const chat = await Chat.findById(req.params.id);
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        // Admins may only attach what the chat's owner could attach themselves
+        const { collectionIds, error } = await findAttachableCollections(req.body.collectionIds, chat.userId);
+
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const before = chat.collectionIds.map(String);
+        chat.collectionIds = collectionIds;
+        await chat.save();
+
+        const owner = await User.findById(chat.userId).select('email');
+        await recordAudit(req, {
+            action: 'admin.chat.collections',
+            target: owner || { _id: chat.userId },
+            changes: diffFields({ collectionIds: before }, { collectionIds }, ['collectionIds'])
+        });
+
+        res.json(chat);
+    } catch (error) {
+        console.error(error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/audit
+// @desc    Get audit log entries with filters and pagination
+// @access  Admin
+router.get('/audit', adminOnly, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = (page - 1) * limit;
+        const { actor, target, action, from, to } = req.query;
+
+        // Build filter query
+        const query = {};
+        if (actor) query.actor = actor;
+        if (target) query.target = target;
+        if (action) query.action = action;
+        if (from || to) {
+            query.timestamp = {};
+            if (from) query.timestamp.$gte = new Date(from);
+            if (to) query.timestamp.$lte = new Date(to);
+        }
+
+        const entries = await AuditLog.find(query)
+            .populate('actor', 'name email')
+            .populate('target', 'name email')
+            .sort({ timestamp: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await AuditLog.countDocuments(query);
+
+        res.json({
+            entries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: `Invalid ${error.path} filter` });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 export default router;
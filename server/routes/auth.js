@@ -3,19 +3,44 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import User from '../models/User.js';
 import Chat from '../models/Chat.js';
-import Message from '../models/Message.js';
+import Folder from '../models/Folder.js';
+import Session from '../models/Session.js';
 import protect from '../middleware/auth.js';
-import { sendPasswordResetEmail } from '../services/email.js';
+import { loginLimiter, forgotPasswordLimiter, verificationEmailLimiter } from '../middleware/rateLimit.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../services/email.js';
+import { recordAudit } from '../services/audit.js';
+import { checkQuota, getUsageHistory } from '../services/usage.js';
+import { exportAccount } from '../services/export.js';
+import { getProgress } from '../services/progress.js';
+import { deleteUserData } from '../services/cleanup.js';
+import {
+    createSession,
+    rotateSession,
+    findSessionByRefreshToken,
+    revokeUserSessions
+} from '../services/tokens.js';
 
 const router = express.Router();
 
-// Generate JWT
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d'
-    });
+// Create a verification token and email the link. Failures are logged, not
+// thrown, so a mail outage never blocks registration or profile updates.
+const sendVerification = async (user) => {
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    const verifyUrl = `${clientUrl}/verify-email/${verificationToken}`;
+
+    try {
+        await sendVerificationEmail(user.email, verifyUrl, user.name);
+        return true;
+    } catch (emailError) {
+        console.error('Email error:', emailError);
+        return false;
+    }
 };
 
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -38,13 +63,20 @@ router.post('/register', async (req, res) => {
         });
 
         if (user) {
+            await sendVerification(user);
+
+            const { token, refreshToken } = await createSession(user, req);
+
             res.status(201).json({
                 _id: user._id,
                 name: user.name,
                 email: user.email,
+                emailVerified: user.emailVerified,
                 interests: user.interests,
                 persona: user.persona,
-                token: generateToken(user._id)
+                role: user.role,
+                token,
+                refreshToken
             });
         } else {
             res.status(400).json({ message: 'Invalid user data' });
@@ -58,23 +90,52 @@ router.post('/register', async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
     try {
         const { email, password } = req.body;
 
         // Check for user email
-        const user = await User.findOne({ email }).select('+password');
+        const user = await User.findOne({ email }).select('+password +failedLoginAttempts +lockUntil');
+
+        const passwordMatches = Boolean(user) && await user.matchPassword(password);
+
+        // Only reveal a lock to someone who knows the password; a wrong password gets the
+        // same response as an unknown email, so the lock cannot be used to find accounts
+        if (user?.isLocked()) {
+            if (!passwordMatches) {
+                return res.status(401).json({ message: 'Invalid email or password' });
+            }
+
+            const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                message: 'Account temporarily locked due to too many failed login attempts. Please try again later.',
+                retryAfter
+            });
+        }
+
+        if (passwordMatches) {
+            if (user.failedLoginAttempts > 0) {
+                await user.resetLoginAttempts();
+            }
+
+            const { token, refreshToken } = await createSession(user, req);
 
-        if (user && (await user.matchPassword(password))) {
             res.json({
                 _id: user._id,
                 name: user.name,
                 email: user.email,
+                emailVerified: user.emailVerified,
                 interests: user.interests,
                 persona: user.persona,
-                token: generateToken(user._id)
+                role: user.role,
+                token,
+                refreshToken
             });
         } else {
+            if (user) {
+                await user.registerFailedLogin();
+            }
             res.status(401).json({ message: 'Invalid email or password' });
         }
     } catch (error) {
@@ -83,6 +144,110 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public (requires refresh token)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ message: 'Refresh token is required' });
+        }
+
+        const tokens = await rotateSession(refreshToken, req);
+
+        if (!tokens) {
+            return res.status(401).json({ message: 'Invalid or expired refresh token' });
+        }
+
+        res.json(tokens);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session (by refresh token or access token)
+// @access  Public
+router.post('/logout', async (req, res) => {
+    try {
+        let session = null;
+
+        if (req.body.refreshToken) {
+            session = await findSessionByRefreshToken(req.body.refreshToken);
+        } else if (req.headers.authorization?.startsWith('Bearer')) {
+            // Allow logging out with an expired access token
+            const decoded = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET, {
+                ignoreExpiration: true
+            });
+            if (decoded.sid) session = await Session.findById(decoded.sid);
+        }
+
+        if (session && !session.revokedAt) {
+            session.revokedAt = Date.now();
+            await session.save();
+        }
+
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({ message: 'Not authorized, token failed' });
+        }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (signed-in devices)
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: Date.now() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.json(sessions.map(session => ({
+            _id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: Boolean(req.sessionId?.equals(session._id))
+        })));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the user's sessions
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+    try {
+        const session = await Session.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id, revokedAt: null },
+            { revokedAt: Date.now() },
+            { new: true }
+        );
+
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -93,8 +258,10 @@ router.get('/me', protect, async (req, res) => {
             _id: user._id,
             name: user.name,
             email: user.email,
+            emailVerified: user.emailVerified,
             interests: user.interests,
             persona: user.persona,
+            role: user.role,
             createdAt: user.createdAt
         });
     } catch (error) {
@@ -103,10 +270,108 @@ router.get('/me', protect, async (req, res) => {
     }
 });
 
+// Verify an email address from the emailed token
+const verifyEmail = async (req, res) => {
+    try {
+        // Get hashed token
+        const emailVerificationToken = crypto
+            .createHash('sha256')
+            .update(req.params.token)
+            .digest('hex');
+
+        // Find user with valid token
+        const user = await User.findOne({
+            emailVerificationToken,
+            emailVerificationExpire: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired verification token' });
+        }
+
+        user.emailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        res.json({ message: 'Email verified successfully.', email: user.email });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// @route   GET /api/auth/verify-email/:token
+// @route   POST /api/auth/verify-email/:token
+// @desc    Verify email address using token
+// @access  Public
+router.get('/verify-email/:token', verifyEmail);
+router.post('/verify-email/:token', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', protect, verificationEmailLimiter, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.emailVerified) {
+            return res.status(400).json({ message: 'Email is already verified' });
+        }
+
+        const sent = await sendVerification(user);
+
+        if (!sent) {
+            return res.status(500).json({ message: 'Email could not be sent. Please try again later.' });
+        }
+
+        res.json({ message: 'Verification email sent.' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/usage
+// @desc    Get today's AI usage, daily limits and the last 7 days
+// @access  Private
+router.get('/usage', protect, async (req, res) => {
+    try {
+        const { usage, limits, resetAt } = await checkQuota(req.user);
+        const history = await getUsageHistory(req.user._id);
+
+        res.json({
+            today: usage,
+            limits,
+            remaining: {
+                messages: limits.messages > 0 ? Math.max(0, limits.messages - usage.messages) : null,
+                tokens: limits.tokens > 0 ? Math.max(0, limits.tokens - usage.totalTokens) : null
+            },
+            resetAt,
+            history
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/progress
+// @desc    Get learning progress per topic (from chats and quizzes) and the study streak
+// @access  Private
+router.get('/progress', protect, async (req, res) => {
+    try {
+        res.json(await getProgress(req.user._id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
     try {
         const { email } = req.body;
 
@@ -182,6 +447,12 @@ router.post('/reset-password/:token', async (req, res) => {
         user.resetPasswordExpire = undefined;
         await user.save();
 
+        // A reset means the old password may be compromised - sign out everywhere
+        await revokeUserSessions(user._id);
+        await user.resetLoginAttempts();
+
+        await recordAudit(req, { action: 'user.password.reset', actor: user, target: user });
+
         res.json({ message: 'Password reset successful. You can now sign in with your new password.' });
     } catch (error) {
         console.error(error);
@@ -201,6 +472,8 @@ router.put('/profile', protect, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        const previousEmail = user.email;
+
         // Check if email is being changed and if it's already taken
         if (email && email !== user.email) {
             const emailExists = await User.findOne({ email });
@@ -208,6 +481,8 @@ router.put('/profile', protect, async (req, res) => {
                 return res.status(400).json({ message: 'Email already in use' });
             }
             user.email = email;
+            // The new address has to be verified again
+            user.emailVerified = false;
         }
 
         if (name) {
@@ -216,10 +491,20 @@ router.put('/profile', protect, async (req, res) => {
 
         await user.save();
 
+        if (user.email !== previousEmail) {
+            await sendVerification(user);
+            await recordAudit(req, {
+                action: 'user.email.change',
+                target: user,
+                changes: { email: { from: previousEmail, to: user.email } }
+            });
+        }
+
         res.json({
             _id: user._id,
             name: user.name,
             email: user.email,
+            emailVerified: user.emailVerified,
             interests: user.interests,
             persona: user.persona
         });
@@ -259,7 +544,12 @@ router.put('/password', protect, async (req, res) => {
         user.password = newPassword;
         await user.save();
 
-        res.json({ message: 'Password updated successfully' });
+        // Keep this device signed in, sign out every other one
+        const revokedSessions = await revokeUserSessions(user._id, { except: req.sessionId });
+
+        await recordAudit(req, { action: 'user.password.change', target: user });
+
+        res.json({ message: 'Password updated successfully', revokedSessions });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error' });
@@ -334,6 +624,32 @@ router.put('/persona', protect, async (req, res) => {
     }
 });
 
+// @route   GET /api/auth/export
+// @desc    Download all of the user's data (profile and chats) as JSON
+// @access  Private
+router.get('/export', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        const chats = await Chat.find({ userId: user._id }).sort({ createdAt: 1 });
+        const folders = await Folder.find({ userId: user._id }).sort({ name: 1 });
+
+        const archive = await exportAccount(user, chats, folders);
+
+        await recordAudit(req, {
+            action: 'user.account.export',
+            target: user,
+            changes: { chats: { from: null, to: chats.length } }
+        });
+
+        const date = new Date().toISOString().split('T')[0];
+        res.attachment(`bit-brainic-export-${date}.json`);
+        res.send(JSON.stringify(archive, null, 2));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   DELETE /api/auth/account
 // @desc    Delete user account and all associated data
 // @access  Private
@@ -341,19 +657,21 @@ router.delete('/account', protect, async (req, res) => {
     try {
         const userId = req.user._id;
 
-        // Get all user's chats
-        const chats = await Chat.find({ userId });
-        const chatIds = chats.map(chat => chat._id);
-
-        // Delete all messages in user's chats
-        await Message.deleteMany({ chatId: { $in: chatIds } });
-
-        // Delete all user's chats
-        await Chat.deleteMany({ userId });
+        // Delete chats, messages, share links, sessions and usage records
+        const { chats } = await deleteUserData(userId);
 
         // Delete the user
         await User.findByIdAndDelete(userId);
 
+        await recordAudit(req, {
+            action: 'user.account.delete',
+            target: req.user,
+            changes: {
+                email: { from: req.user.email, to: null },
+                chats: { from: chats, to: 0 }
+            }
+        });
+
         res.json({ message: 'Account deleted successfully' });
     } catch (error) {
         console.error(error);
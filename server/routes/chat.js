@@ -1,24 +1,325 @@
 import express from 'express';
-import Chat from '../models/Chat.js';
-import Message from '../models/Message.js';
-import protect from '../middleware/auth.js';
-import { generateResponse } from '../services/gemini.js';
+import mongoose from 'mongoose';
+import Chat, { normalizeTags, MAX_TAGS } from '../models/Chat.js';
+import Folder from '../models/Folder.js';
+import { findAttachableCollections } from '../services/collections.js';
+import { findSelectableProfile } from '../services/profiles.js';
+import { LEVELS, MODES } from '../config/constants.js';
+import Message, { MAX_VARIANTS } from '../models/Message.js';
+import Share from '../models/Share.js';
+import TutorProfile from '../models/TutorProfile.js';
+import protect, { requireVerifiedEmail } from '../middleware/auth.js';
+import { chatMessageLimiter } from '../middleware/rateLimit.js';
+import enforceQuota from '../middleware/quota.js';
+import uploadAttachments from '../middleware/upload.js';
+import { recordUsage } from '../services/usage.js';
+import { generateResponse, generateResponseStream } from '../services/gemini.js';
+import { getConversation, pathTo, findLatestLeaf, withBranchInfo } from '../services/conversation.js';
+import { prepareContext } from '../services/summary.js';
+import { searchChats } from '../services/search.js';
+import { exportChat, toFileName } from '../services/export.js';
+import { importChats } from '../services/import.js';
+import { deleteChats } from '../services/cleanup.js';
+import { truncateTitle, scheduleTitleGeneration } from '../services/titles.js';
+import { classifyTurn, recordChatActivity, getProgressForPrompt } from '../services/progress.js';
+import { runCode, extractSnippet, isSandboxEnabled, MAX_CODE_LENGTH } from '../services/sandbox.js';
+import { saveAttachments, removeAttachmentFiles } from '../services/attachments.js';
+import { getStorage } from '../services/storage/index.js';
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
+// Save the chat (bumping its timestamp) and title it after the first exchange
+const touchChat = async (chat, content, isFirstMessage) => {
+    await chat.save();
+    if (!isFirstMessage) return;
+
+    // Truncated first message for now; an AI title replaces it in the background.
+    // The user may have renamed the chat while the reply was generated.
+    const title = truncateTitle(content);
+    const { modifiedCount } = await Chat.updateOne(
+        { _id: chat._id, titleSource: { $ne: 'user' } },
+        { title, titleSource: 'auto' }
+    );
+    chat.title = modifiedCount > 0 ? title : (await Chat.findById(chat._id).select('title')).title;
+};
+
+// Text used for the chat title: the message, or the names of its files if it has none
+const titleText = (message) => message.content || message.attachments.map(attachment => attachment.name).join(', ');
+
+// With { runCode: true }, the first Python or JavaScript block in the message is run
+// before answering. Returns the snippet to run, or an error message for a 400.
+const getSnippetToRun = (body) => {
+    // Multipart forms send every field as a string
+    if (body.runCode !== true && body.runCode !== 'true') return { snippet: null };
+    if (!isSandboxEnabled()) return { error: 'Code execution is disabled' };
+
+    const snippet = extractSnippet(body.content);
+    if (!snippet) return { error: 'No Python or JavaScript code block found to run' };
+    if (snippet.code.length > MAX_CODE_LENGTH) return { error: `Code cannot be more than ${MAX_CODE_LENGTH} characters` };
+
+    return { snippet };
+};
+
+// Run a student's snippet; if the sandbox fails the tutor simply answers without the output
+const runSnippet = async (snippet) => {
+    try {
+        return await runCode(snippet);
+    } catch (error) {
+        console.error('Failed to run code:', error.message);
+        return undefined;
+    }
+};
+
+// Validate the content of a new message and store its uploaded files. Returns
+// { content, snippet, attachments }, or an error message for a 400.
+const prepareTurn = async (req, chat) => {
+    const content = req.body.content || '';
+    const files = req.files || [];
+
+    if (!content && files.length === 0) return { error: 'Message content is required' };
+
+    const { snippet, error: snippetError } = getSnippetToRun(req.body);
+    if (snippetError) return { error: snippetError };
+
+    const { attachments, error } = await saveAttachments(files, { userId: req.user._id, chatId: chat._id });
+    if (error) return { error };
+
+    return { content, snippet, attachments };
+};
+
+// Save a user message at the end of the active branch (with its attachments and the
+// output of its code, if asked to run it), count it towards the user's learning
+// progress and build the model context (recent messages plus the rolling summary of
+// older ones, and the topics the user has studied)
+const startTurn = async (chat, { content, snippet = null, attachments = [] }) => {
+    let path;
+    let userMessage;
+    try {
+        ({ path } = await getConversation(chat));
+
+        userMessage = await Message.create({
+            chatId: chat._id,
+            parentId: path.length > 0 ? path[path.length - 1]._id : null,
+            role: 'user',
+            content,
+            attachments: attachments.length > 0 ? attachments : undefined,
+            topics: classifyTurn(content, path),
+            codeRun: snippet ? await runSnippet(snippet) : undefined
+        });
+    } catch (error) {
+        // The stored files would belong to no message
+        await removeAttachmentFiles(attachments.map(attachment => attachment.storageKey));
+        throw error;
+    }
+    await recordChatActivity(chat.userId, userMessage.topics);
+
+    const { messages, summary } = await prepareContext(chat, [...path, userMessage]);
+    const progress = await getProgressForPrompt(chat.userId);
+
+    return { userMessage, context: messages, summary, progress, isFirstMessage: path.length === 0 };
+};
+
+// Validate the organization and tutoring fields of a chat (title, folder, tags, collections, profile,
+// level, mode, pinned, archived).
+// Only fields present in the body are returned.
+const parseChatFields = async (body, userId) => {
+    const fields = {};
+
+    if (body.title !== undefined) {
+        fields.title = body.title;
+        fields.titleSource = 'user';
+    }
+
+    if (body.folderId !== undefined) {
+        if (body.folderId !== null) {
+            const folder = mongoose.isValidObjectId(body.folderId) &&
+                await Folder.findOne({ _id: body.folderId, userId });
+            if (!folder) return { error: 'Folder not found' };
+        }
+        fields.folderId = body.folderId;
+    }
+
+    if (body.tags !== undefined) {
+        if (!Array.isArray(body.tags)) return { error: 'Tags must be an array' };
+        fields.tags = normalizeTags(body.tags);
+        if (fields.tags.length > MAX_TAGS) return { error: `Cannot have more than ${MAX_TAGS} tags` };
+    }
+
+    if (body.collectionIds !== undefined) {
+        const { collectionIds, error } = await findAttachableCollections(body.collectionIds, userId);
+        if (error) return { error };
+        fields.collectionIds = collectionIds;
+    }
+
+    if (body.profileId !== undefined) {
+        const { profileId, error } = await findSelectableProfile(body.profileId);
+        if (error) return { error };
+        fields.profileId = profileId;
+    }
+
+    if (body.level !== undefined) {
+        if (body.level !== null && !LEVELS.includes(body.level)) {
+            return { error: `Level must be one of ${LEVELS.join(', ')}` };
+        }
+        fields.level = body.level;
+    }
+
+    if (body.mode !== undefined) {
+        if (!MODES.includes(body.mode)) return { error: `Mode must be one of ${MODES.join(', ')}` };
+        fields.mode = body.mode;
+    }
+
+    if (body.pinned !== undefined) fields.pinned = Boolean(body.pinned);
+    if (body.archived !== undefined) fields.archived = Boolean(body.archived);
+
+    return { fields };
+};
+
+// Write a single Server-Sent Event
+const sendEvent = (res, event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream an AI response over Server-Sent Events.
+// Events: userMessage -> delta* -> done (or error) -> title (after the first exchange)
+const streamMessage = async (req, res) => {
+    const chat = await Chat.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+    });
+
+    if (!chat) {
+        return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    const { error, ...turn } = await prepareTurn(req, chat);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Abort generation when the client disconnects before we finish
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    // Save user message and get the active branch for context
+    const { userMessage, context, summary, progress, isFirstMessage } = await startTurn(chat, turn);
+    const content = titleText(userMessage);
+    sendEvent(res, 'userMessage', userMessage);
+
+    let text = '';
+    let usage = null;
+    let citations = [];
+    let partial = false;
+    let streamError = null;
+
+    try {
+        const result = await generateResponseStream(context, req.user, {
+            summary,
+            progress,
+            collectionIds: chat.collectionIds,
+            profileId: chat.profileId,
+            settings: { level: chat.level, mode: chat.mode },
+            signal: controller.signal,
+            onChunk: (delta) => sendEvent(res, 'delta', { text: delta })
+        });
+        text = result.text;
+        usage = result.usage;
+        citations = result.citations;
+        partial = result.aborted;
+    } catch (error) {
+        console.error(error);
+        streamError = error;
+        text = error.partialText || '';
+        usage = error.usage;
+        citations = error.citations;
+        partial = true;
+    }
+
+    // Persist whatever was generated, even if the client is gone
+    let botMessage = null;
+    if (text) {
+        botMessage = await Message.create({
+            chatId: chat._id,
+            parentId: userMessage._id,
+            role: 'bot',
+            content: text,
+            partial,
+            usage,
+            citations: citations?.length ? citations : undefined
+        });
+        await recordUsage(req.user._id, usage);
+    }
+
+    chat.activeLeafId = botMessage ? botMessage._id : userMessage._id;
+    await touchChat(chat, content, isFirstMessage);
+
+    const pendingTitle = isFirstMessage && !partial ? scheduleTitleGeneration(chat, content, text) : null;
+
+    if (streamError) {
+        sendEvent(res, 'error', { message: streamError.message || 'Server error', botMessage });
+    } else {
+        sendEvent(res, 'done', { botMessage, chatTitle: chat.title });
+    }
+
+    // Keep the stream open for the AI title so clients need not poll for it
+    const title = pendingTitle && await pendingTitle;
+    if (title) sendEvent(res, 'title', { chatTitle: title });
+    res.end();
+};
+
 // @route   GET /api/chat
-// @desc    Get all chats for user
+// @desc    Get the user's chats, pinned first (?folder=&tag=&pinned=&archived=&page=&limit=)
 // @access  Private
 router.get('/', async (req, res) => {
     try {
-        const chats = await Chat.find({ userId: req.user._id })
-            .sort({ updatedAt: -1 });
-        res.json(chats);
+        const { folder, tag, pinned, archived } = req.query;
+        const query = { userId: req.user._id };
+
+        if (folder === 'none') query.folderId = null;
+        else if (folder) query.folderId = folder;
+        if (tag) query.tags = tag.trim().toLowerCase();
+        if (pinned !== undefined) query.pinned = pinned === 'true' ? true : { $ne: true };
+        // Archived chats are hidden unless asked for (archived=true, or archived=all for everything)
+        if (archived !== 'all') query.archived = archived === 'true' ? true : { $ne: true };
+
+        let chatQuery = Chat.find(query).sort({ pinned: -1, updatedAt: -1 });
+
+        // The body stays a plain array; pagination details go in headers
+        const total = await Chat.countDocuments(query);
+        res.set('X-Total-Count', String(total));
+
+        if (req.query.page || req.query.limit) {
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            chatQuery = chatQuery.skip((page - 1) * limit).limit(limit);
+            res.set({
+                'X-Page': String(page),
+                'X-Limit': String(limit),
+                'X-Total-Pages': String(Math.ceil(total / limit))
+            });
+        }
+
+        res.json(await chatQuery);
     } catch (error) {
         console.error(error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: `Invalid ${error.path} filter` });
+        }
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -28,9 +329,17 @@ router.get('/', async (req, res) => {
 // @access  Private
 router.post('/', async (req, res) => {
     try {
+        const { fields, error } = await parseChatFields(req.body, req.user._id);
+
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
         const chat = await Chat.create({
+            ...fields,
             userId: req.user._id,
-            title: req.body.title || 'New Chat'
+            title: req.body.title || 'New Chat',
+            titleSource: req.body.title ? 'user' : 'default'
         });
         res.status(201).json(chat);
     } catch (error) {
@@ -39,6 +348,91 @@ router.post('/', async (req, res) => {
     }
 });
 
+// @route   POST /api/chat/import
+// @desc    Import chats from a Bit Brainic export or another assistant's JSON export
+// @access  Private
+router.post('/import', async (req, res) => {
+    try {
+        const report = await importChats(req.user._id, req.body);
+
+        if (!report) {
+            return res.status(400).json({
+                message: 'Unrecognized import format. Upload a Bit Brainic, ChatGPT or Claude JSON export.'
+            });
+        }
+
+        if (report.imported.length === 0) {
+            return res.status(400).json({ message: 'Nothing could be imported', report });
+        }
+
+        res.status(201).json({ message: `Imported ${report.totals.chats} chat(s)`, report });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/chat/search
+// @desc    Search the user's chat titles and messages (?q=&role=&from=&to=&page=&limit=)
+// @access  Private
+router.get('/search', async (req, res) => {
+    try {
+        const q = (req.query.q || '').trim();
+        const { role } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+
+        if (!q) {
+            return res.status(400).json({ message: 'Search query is required' });
+        }
+
+        if (q.length > 200) {
+            return res.status(400).json({ message: 'Search query cannot be more than 200 characters' });
+        }
+
+        if (role && !['user', 'bot'].includes(role)) {
+            return res.status(400).json({ message: 'Role must be user or bot' });
+        }
+
+        if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+            return res.status(400).json({ message: 'Invalid date filter' });
+        }
+
+        const { results, total } = await searchChats(req.user._id, { q, role, from, to, page, limit });
+
+        res.json({
+            results,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/chat/profiles
+// @desc    Get the tutor profiles a chat can use (profileId null uses the default)
+// @access  Private
+router.get('/profiles', async (req, res) => {
+    try {
+        const profiles = await TutorProfile.find()
+            .select('name description isDefault')
+            .sort({ isDefault: -1, name: 1 });
+
+        res.json(profiles);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   GET /api/chat/:id
 // @desc    Get a chat with its messages
 // @access  Private
@@ -53,12 +447,12 @@ router.get('/:id', async (req, res) => {
             return res.status(404).json({ message: 'Chat not found' });
         }
 
-        const messages = await Message.find({ chatId: chat._id })
-            .sort({ timestamp: 1 });
+        // Only the active branch is returned
+        const { tree, path } = await getConversation(chat);
 
         res.json({
             ...chat.toObject(),
-            messages
+            messages: withBranchInfo(tree, path)
         });
     } catch (error) {
         console.error(error);
@@ -66,10 +460,188 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// @route   GET /api/chat/:id/export
+// @desc    Download a chat as Markdown, JSON or printable HTML (?format=md|json|html)
+// @access  Private
+router.get('/:id/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'md';
+
+        if (!['md', 'json', 'html'].includes(format)) {
+            return res.status(400).json({ message: 'Format must be md, json or html' });
+        }
+
+        const chat = await Chat.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const { body, contentType, extension } = await exportChat(chat, format);
+
+        res.attachment(`${toFileName(chat.title)}.${extension}`);
+        res.type(contentType);
+        res.send(body);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/chat/:id/message
-// @desc    Send a message and get AI response
+// @desc    Send a message and get AI response ({ runCode: true } runs its code block first).
+//          Send multipart/form-data with "attachments" files to attach images, PDFs or text files.
 // @access  Private
-router.post('/:id/message', async (req, res) => {
+router.post('/:id/message', requireVerifiedEmail, chatMessageLimiter, enforceQuota, uploadAttachments, async (req, res) => {
+    try {
+        // Clients that ask for an event stream get the streaming variant
+        if (req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+            return await streamMessage(req, res);
+        }
+
+        const chat = await Chat.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const { error, ...turn } = await prepareTurn(req, chat);
+
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        // Save user message (running its code if asked) and get the active branch for context
+        const { userMessage, context, summary, progress, isFirstMessage } = await startTurn(chat, turn);
+        const content = titleText(userMessage);
+
+        // Generate AI response with user's persona, interests and progress
+        const { text: aiResponse, usage, citations } = await generateResponse(context, req.user, {
+            summary,
+            progress,
+            collectionIds: chat.collectionIds,
+            profileId: chat.profileId,
+            settings: { level: chat.level, mode: chat.mode }
+        });
+
+        // Save bot message with the course material it cites
+        const botMessage = await Message.create({
+            chatId: chat._id,
+            parentId: userMessage._id,
+            role: 'bot',
+            content: aiResponse,
+            usage,
+            citations: citations.length > 0 ? citations : undefined
+        });
+
+        await recordUsage(req.user._id, usage);
+
+        // Update chat title if it's the first message
+        chat.activeLeafId = botMessage._id;
+        await touchChat(chat, content, isFirstMessage);
+
+        // AI title in the background; clients pick it up from the chat list
+        if (isFirstMessage) scheduleTitleGeneration(chat, content, aiResponse);
+
+        res.json({
+            userMessage,
+            botMessage,
+            chatTitle: chat.title
+        });
+    } catch (error) {
+        console.error(error);
+        if (res.headersSent) {
+            sendEvent(res, 'error', { message: error.message || 'Server error' });
+            return res.end();
+        }
+        res.status(500).json({ message: error.message || 'Server error' });
+    }
+});
+
+// @route   POST /api/chat/:id/message/stream
+// @desc    Send a message and stream the AI response (Server-Sent Events)
+// @access  Private
+router.post('/:id/message/stream', requireVerifiedEmail, chatMessageLimiter, enforceQuota, uploadAttachments, async (req, res) => {
+    try {
+        await streamMessage(req, res);
+    } catch (error) {
+        console.error(error);
+        if (res.headersSent) {
+            sendEvent(res, 'error', { message: error.message || 'Server error' });
+            return res.end();
+        }
+        res.status(500).json({ message: error.message || 'Server error' });
+    }
+});
+
+// @route   POST /api/chat/:id/messages/:messageId/regenerate
+// @desc    Generate an alternate reply for a bot turn and make it active
+// @access  Private
+router.post('/:id/messages/:messageId/regenerate', requireVerifiedEmail, chatMessageLimiter, enforceQuota, async (req, res) => {
+    try {
+        const chat = await Chat.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const { tree } = await getConversation(chat);
+        const botMessage = tree.byId.get(req.params.messageId);
+
+        if (!botMessage) {
+            return res.status(404).json({ message: 'Message not found' });
+        }
+
+        if (botMessage.role !== 'bot') {
+            return res.status(400).json({ message: 'Only bot replies can be regenerated' });
+        }
+
+        if (botMessage.variantCount >= MAX_VARIANTS) {
+            return res.status(400).json({ message: `Cannot keep more than ${MAX_VARIANTS} variants of a reply` });
+        }
+
+        // Everything up to (and including) the user turn this reply answers
+        const context = pathTo(tree, tree.byId.get(botMessage.parentId?.toString()));
+        const { messages, summary } = await prepareContext(chat, context);
+        const progress = await getProgressForPrompt(req.user._id);
+        const { text, usage, citations } = await generateResponse(messages, req.user, {
+            summary,
+            progress,
+            collectionIds: chat.collectionIds,
+            profileId: chat.profileId,
+            settings: { level: chat.level, mode: chat.mode }
+        });
+
+        botMessage.addVariant({ content: text, usage, citations });
+        await botMessage.save();
+
+        await recordUsage(req.user._id, usage);
+
+        // Show the branch containing the regenerated reply
+        chat.activeLeafId = findLatestLeaf(tree, botMessage)._id;
+        chat.updatedAt = Date.now();
+        await chat.save();
+
+        res.json({ botMessage });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: error.message || 'Server error' });
+    }
+});
+
+// @route   PUT /api/chat/:id/messages/:messageId
+// @desc    Edit a user message: branch the conversation and regenerate from there
+// @access  Private
+router.put('/:id/messages/:messageId', requireVerifiedEmail, chatMessageLimiter, enforceQuota, async (req, res) => {
     try {
         const chat = await Chat.findOne({
             _id: req.params.id,
@@ -81,43 +653,58 @@ router.post('/:id/message', async (req, res) => {
         }
 
         const { content } = req.body;
+        const { tree } = await getConversation(chat);
+        const original = tree.byId.get(req.params.messageId);
+
+        if (!original) {
+            return res.status(404).json({ message: 'Message not found' });
+        }
+
+        if (original.role !== 'user') {
+            return res.status(400).json({ message: 'Only user messages can be edited' });
+        }
 
-        if (!content) {
+        // The edit keeps the original's files, so only a message with files may lose its text
+        if (!content && !original.attachments?.length) {
             return res.status(400).json({ message: 'Message content is required' });
         }
 
-        // Save user message
+        // The edited message becomes a sibling; the old continuation stays as its own branch
+        const parent = original.parentId ? tree.byId.get(original.parentId.toString()) : null;
+        const parentPath = pathTo(tree, parent);
+        // The original turn was already counted towards progress, so the edit is not
         const userMessage = await Message.create({
             chatId: chat._id,
+            parentId: original.parentId,
             role: 'user',
-            content
+            content,
+            attachments: original.toObject().attachments,
+            topics: classifyTurn(content || '', parentPath)
         });
 
-        // Get existing messages for context
-        const existingMessages = await Message.find({ chatId: chat._id })
-            .sort({ timestamp: 1 });
-
-        // Generate AI response with user's persona and interests
-        const aiResponse = await generateResponse(existingMessages, req.user);
+        const { messages, summary } = await prepareContext(chat, [...parentPath, userMessage]);
+        const progress = await getProgressForPrompt(req.user._id);
+        const { text, usage, citations } = await generateResponse(messages, req.user, {
+            summary,
+            progress,
+            collectionIds: chat.collectionIds,
+            profileId: chat.profileId,
+            settings: { level: chat.level, mode: chat.mode }
+        });
 
-        // Save bot message
         const botMessage = await Message.create({
             chatId: chat._id,
+            parentId: userMessage._id,
             role: 'bot',
-            content: aiResponse
+            content: text,
+            usage,
+            citations: citations.length > 0 ? citations : undefined
         });
 
-        // Update chat title if it's the first message
-        if (existingMessages.length <= 1) {
-            // Generate a title from the first message (truncated)
-            const title = content.slice(0, 50) + (content.length > 50 ? '...' : '');
-            chat.title = title;
-            await chat.save();
-        } else {
-            // Just update the timestamp
-            chat.updatedAt = Date.now();
-            await chat.save();
-        }
+        await recordUsage(req.user._id, usage);
+
+        chat.activeLeafId = botMessage._id;
+        await touchChat(chat, content, false);
 
         res.json({
             userMessage,
@@ -130,15 +717,276 @@ router.post('/:id/message', async (req, res) => {
     }
 });
 
+// @route   POST /api/chat/:id/messages/:messageId/activate
+// @desc    Switch to the branch containing a message
+// @access  Private
+router.post('/:id/messages/:messageId/activate', async (req, res) => {
+    try {
+        const chat = await Chat.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const { tree } = await getConversation(chat);
+        const message = tree.byId.get(req.params.messageId);
+
+        if (!message) {
+            return res.status(404).json({ message: 'Message not found' });
+        }
+
+        // Show the most recent continuation below the chosen message
+        const leaf = findLatestLeaf(tree, message);
+        await Chat.updateOne({ _id: chat._id }, { activeLeafId: leaf._id });
+
+        res.json({
+            ...chat.toObject(),
+            activeLeafId: leaf._id,
+            messages: withBranchInfo(tree, pathTo(tree, leaf))
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/chat/:id/messages/:messageId/variants
+// @desc    Get every variant of a bot reply
+// @access  Private
+router.get('/:id/messages/:messageId/variants', async (req, res) => {
+    try {
+        const chat = await Chat.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const message = await Message.findOne({ _id: req.params.messageId, chatId: chat._id });
+
+        if (!message) {
+            return res.status(404).json({ message: 'Message not found' });
+        }
+
+        const variants = message.variants?.length
+            ? message.variants
+            : [{ content: message.content, partial: message.partial, usage: message.usage, citations: message.citations, createdAt: message.timestamp }];
+
+        res.json({ activeVariant: message.activeVariant, variants });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/chat/:id/messages/:messageId/variants/:index
+// @desc    Make another variant the active reply
+// @access  Private
+router.put('/:id/messages/:messageId/variants/:index', async (req, res) => {
+    try {
+        const chat = await Chat.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const message = await Message.findOne({ _id: req.params.messageId, chatId: chat._id });
+
+        if (!message) {
+            return res.status(404).json({ message: 'Message not found' });
+        }
+
+        const index = parseInt(req.params.index);
+
+        if (Number.isNaN(index) || index < 0 || index >= message.variantCount) {
+            return res.status(400).json({ message: 'Invalid variant index' });
+        }
+
+        if (message.variants?.length) {
+            message.setActiveVariant(index);
+            await message.save();
+        }
+
+        res.json(message);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/chat/:id/attachments/:attachmentId
+// @desc    Download a file attached to one of the chat's messages
+// @access  Private
+router.get('/:id/attachments/:attachmentId', async (req, res) => {
+    try {
+        const chat = await Chat.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const message = mongoose.isValidObjectId(req.params.attachmentId) &&
+            await Message.findOne({ chatId: chat._id, 'attachments._id': req.params.attachmentId });
+        const attachment = message && message.attachments.id(req.params.attachmentId);
+
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+
+        const buffer = await getStorage().read(attachment.storageKey);
+
+        // res.attachment() sets the filename (and a type from its extension, replaced below).
+        // Images and PDFs open in the browser; text files are always downloaded.
+        res.attachment(attachment.name);
+        if (attachment.kind !== 'text') {
+            res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+        }
+        res.type(attachment.kind === 'text' ? 'text/plain; charset=utf-8' : attachment.mimeType);
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.send(buffer);
+    } catch (error) {
+        console.error(error);
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/chat/:id/share
+// @desc    Create a public read-only link to a snapshot of the chat
+// @access  Private
+router.post('/:id/share', async (req, res) => {
+    try {
+        const chat = await Chat.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const { expiresInDays, redactName } = req.body;
+        let expiresAt = null;
+
+        if (expiresInDays !== undefined && expiresInDays !== null) {
+            const days = Number(expiresInDays);
+            if (!Number.isFinite(days) || days <= 0 || days > 365) {
+                return res.status(400).json({ message: 'expiresInDays must be between 1 and 365' });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+
+        // Snapshot the branch being viewed; later messages are not shared
+        const { path } = await getConversation(chat);
+
+        if (path.length === 0) {
+            return res.status(400).json({ message: 'Cannot share an empty chat' });
+        }
+
+        const share = await Share.create({
+            slug: Share.generateSlug(),
+            chatId: chat._id,
+            userId: req.user._id,
+            title: chat.title,
+            ownerName: redactName ? null : req.user.name,
+            messages: path.map(({ role, content, attachments, timestamp }) => ({
+                role,
+                content,
+                attachments: attachments?.map(({ name, kind, mimeType, size }) => ({ name, kind, mimeType, size })),
+                timestamp
+            })),
+            expiresAt
+        });
+
+        const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+
+        res.status(201).json({
+            ...share.toJSON(),
+            messages: undefined,
+            messageCount: share.messages.length,
+            url: `${clientUrl}/shared/${share.slug}`
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/chat/:id/shares
+// @desc    List the share links of a chat
+// @access  Private
+router.get('/:id/shares', async (req, res) => {
+    try {
+        const chat = await Chat.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const shares = await Share.find({ chatId: chat._id })
+            .select('-messages')
+            .sort({ createdAt: -1 });
+
+        res.json(shares);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/chat/:id/shares/:shareId
+// @desc    Revoke a share link
+// @access  Private
+router.delete('/:id/shares/:shareId', async (req, res) => {
+    try {
+        const share = await Share.findOneAndUpdate(
+            { _id: req.params.shareId, chatId: req.params.id, userId: req.user._id },
+            { revokedAt: Date.now() },
+            { new: true }
+        ).select('-messages');
+
+        if (!share) {
+            return res.status(404).json({ message: 'Share not found' });
+        }
+
+        res.json({ message: 'Share revoked', share });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   PUT /api/chat/:id
-// @desc    Update chat title
+// @desc    Update chat title, folder, tags, collections, tutor profile, level, mode, pinned or archived
 // @access  Private
 router.put('/:id', async (req, res) => {
     try {
+        const { fields, error } = await parseChatFields(req.body, req.user._id);
+
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
         const chat = await Chat.findOneAndUpdate(
             { _id: req.params.id, userId: req.user._id },
-            { title: req.body.title },
-            { new: true }
+            fields,
+            { new: true, runValidators: true }
         );
 
         if (!chat) {
@@ -148,6 +996,9 @@ router.put('/:id', async (req, res) => {
         res.json(chat);
     } catch (error) {
         console.error(error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('. ') });
+        }
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -166,11 +1017,8 @@ router.delete('/:id', async (req, res) => {
             return res.status(404).json({ message: 'Chat not found' });
         }
 
-        // Delete all messages in the chat
-        await Message.deleteMany({ chatId: chat._id });
-
-        // Delete the chat
-        await chat.deleteOne();
+        // Delete the chat with its messages and share links
+        await deleteChats([chat._id]);
 
         res.json({ message: 'Chat deleted' });
     } catch (error) {
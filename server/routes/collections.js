@@ -0,0 +1,243 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Collection from '../models/Collection.js';
+import CollectionDocument from '../models/CollectionDocument.js';
+import protect from '../middleware/auth.js';
+import { uploadDocument } from '../middleware/upload.js';
+import { addDocument, removeDocument, reindexCollection } from '../services/collections.js';
+import { searchCollections } from '../services/retrieval.js';
+import { deleteCollections } from '../services/cleanup.js';
+
+const router = express.Router();
+
+// Most private collections a single user can create
+const MAX_COLLECTIONS_PER_USER = 20;
+
+// Most passages returned by a test search
+const MAX_SEARCH_RESULTS = 20;
+
+// All routes are protected
+router.use(protect);
+
+// Turn validation errors into a 400 response
+const handleCollectionError = (error, res) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('. ') });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+};
+
+// Find a collection the user can see. With { edit: true }, answers 403 unless they may change it.
+// Sends the error response and returns null when the collection cannot be used.
+const findCollection = async (req, res, { edit = false } = {}) => {
+    const collection = mongoose.isValidObjectId(req.params.id) &&
+        await Collection.findOne({ _id: req.params.id, ...Collection.visibleTo(req.user._id) });
+
+    if (!collection) {
+        res.status(404).json({ message: 'Collection not found' });
+        return null;
+    }
+
+    if (edit && !collection.canEdit(req.user)) {
+        res.status(403).json({ message: 'Only admins can change shared collections' });
+        return null;
+    }
+
+    return collection;
+};
+
+// Response shape: the collection plus whether the user may change it
+const toResponse = (collection, user) => ({
+    ...collection.toObject(),
+    editable: collection.canEdit(user)
+});
+
+// @route   GET /api/collections
+// @desc    Get the user's collections and the shared course collections
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const collections = await Collection.find(Collection.visibleTo(req.user._id))
+            .sort({ shared: -1, name: 1 });
+
+        res.json(collections.map(collection => toResponse(collection, req.user)));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/collections
+// @desc    Create a collection ({ shared: true } creates a course collection for everyone; admins only)
+// @access  Private
+router.post('/', async (req, res) => {
+    try {
+        const shared = req.body.shared === true;
+
+        if (shared && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Only admins can create shared collections' });
+        }
+
+        if (!shared && await Collection.countDocuments({ userId: req.user._id, shared: false }) >= MAX_COLLECTIONS_PER_USER) {
+            return res.status(400).json({ message: `Cannot have more than ${MAX_COLLECTIONS_PER_USER} collections` });
+        }
+
+        const collection = await Collection.create({
+            userId: req.user._id,
+            name: req.body.name,
+            description: req.body.description,
+            shared
+        });
+
+        res.status(201).json(toResponse(collection, req.user));
+    } catch (error) {
+        handleCollectionError(error, res);
+    }
+});
+
+// @route   GET /api/collections/:id
+// @desc    Get a collection with its documents
+// @access  Private
+router.get('/:id', async (req, res) => {
+    try {
+        const collection = await findCollection(req, res);
+        if (!collection) return;
+
+        const documents = await CollectionDocument.find({ collectionId: collection._id }).sort({ createdAt: -1 });
+
+        res.json({ ...toResponse(collection, req.user), documents });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/collections/:id
+// @desc    Rename a collection or change its description
+// @access  Private (admins for shared collections)
+router.put('/:id', async (req, res) => {
+    try {
+        const collection = await findCollection(req, res, { edit: true });
+        if (!collection) return;
+
+        if (req.body.name !== undefined) collection.name = req.body.name;
+        if (req.body.description !== undefined) collection.description = req.body.description;
+        await collection.save();
+
+        res.json(toResponse(collection, req.user));
+    } catch (error) {
+        handleCollectionError(error, res);
+    }
+});
+
+// @route   DELETE /api/collections/:id
+// @desc    Delete a collection and its documents; chats using it keep their messages
+// @access  Private (admins for shared collections)
+router.delete('/:id', async (req, res) => {
+    try {
+        const collection = await findCollection(req, res, { edit: true });
+        if (!collection) return;
+
+        await deleteCollections([collection._id]);
+
+        res.json({ message: 'Collection deleted' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/collections/:id/documents
+// @desc    Add a text, Markdown or PDF file (multipart "file") to a collection
+// @access  Private (admins for shared collections)
+router.post('/:id/documents', uploadDocument, async (req, res) => {
+    try {
+        const collection = await findCollection(req, res, { edit: true });
+        if (!collection) return;
+
+        const [file] = req.files || [];
+
+        if (!file) {
+            return res.status(400).json({ message: 'Upload a file using the "file" field' });
+        }
+
+        const { document, error, status } = await addDocument(collection, file, req.user);
+
+        if (error) {
+            return res.status(status).json({ message: error });
+        }
+
+        res.status(201).json(document);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: error.message || 'Server error' });
+    }
+});
+
+// @route   DELETE /api/collections/:id/documents/:documentId
+// @desc    Remove a document from a collection
+// @access  Private (admins for shared collections)
+router.delete('/:id/documents/:documentId', async (req, res) => {
+    try {
+        const collection = await findCollection(req, res, { edit: true });
+        if (!collection) return;
+
+        const document = mongoose.isValidObjectId(req.params.documentId) &&
+            await CollectionDocument.findOne({ _id: req.params.documentId, collectionId: collection._id });
+
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+
+        await removeDocument(document);
+
+        res.json({ message: 'Document deleted' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/collections/:id/reindex
+// @desc    Embed a collection again after changing the embedding provider
+// @access  Private (admins for shared collections)
+router.post('/:id/reindex', async (req, res) => {
+    try {
+        const collection = await findCollection(req, res, { edit: true });
+        if (!collection) return;
+
+        const { model, chunks } = await reindexCollection(collection);
+
+        res.json({ message: `Reindexed ${chunks} passage(s) with ${model}`, collection: toResponse(collection, req.user) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: error.message || 'Server error' });
+    }
+});
+
+// @route   GET /api/collections/:id/search
+// @desc    Preview which passages the tutor would use for a question (?q=&k=)
+// @access  Private
+router.get('/:id/search', async (req, res) => {
+    try {
+        const q = (req.query.q || '').trim();
+
+        if (!q) {
+            return res.status(400).json({ message: 'Search query is required' });
+        }
+
+        const collection = await findCollection(req, res);
+        if (!collection) return;
+
+        const k = req.query.k ? Math.min(Math.max(parseInt(req.query.k) || 1, 1), MAX_SEARCH_RESULTS) : undefined;
+        const results = await searchCollections([collection._id], q.slice(0, 2000), { k });
+
+        res.json({ results });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: error.message || 'Server error' });
+    }
+});
+
+export default router;
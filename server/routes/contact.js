@@ -1,5 +1,6 @@
 import express from 'express';
 import nodemailer from 'nodemailer';
+import { contactLimiter } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
@@ -17,7 +18,7 @@ const createTransporter = () => {
 // @route   POST /api/contact
 // @desc    Send contact form email
 // @access  Public
-router.post('/', async (req, res) => {
+router.post('/', contactLimiter, async (req, res) => {
     try {
         const { name, email, subject, message } = req.body;
 
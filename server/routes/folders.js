@@ -0,0 +1,116 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Folder from '../models/Folder.js';
+import Chat from '../models/Chat.js';
+import protect from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Most folders a single user can create
+const MAX_FOLDERS = 100;
+
+// All routes are protected
+router.use(protect);
+
+// Turn validation and duplicate-name errors into a 400 response
+const handleFolderError = (error, res) => {
+    if (error.code === 11000) {
+        return res.status(400).json({ message: 'A folder with that name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('. ') });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+};
+
+// @route   GET /api/folders
+// @desc    Get the user's folders with the number of chats in each
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const folders = await Folder.find({ userId: req.user._id })
+            .collation({ locale: 'en', strength: 2 })
+            .sort({ name: 1 });
+
+        const counts = await Chat.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(req.user._id), folderId: { $ne: null } } },
+            { $group: { _id: '$folderId', count: { $sum: 1 } } }
+        ]);
+
+        res.json(folders.map(folder => ({
+            ...folder.toObject(),
+            chatCount: counts.find(c => c._id.equals(folder._id))?.count || 0
+        })));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/folders
+// @desc    Create a folder
+// @access  Private
+router.post('/', async (req, res) => {
+    try {
+        if (await Folder.countDocuments({ userId: req.user._id }) >= MAX_FOLDERS) {
+            return res.status(400).json({ message: `Cannot have more than ${MAX_FOLDERS} folders` });
+        }
+
+        const folder = await Folder.create({
+            userId: req.user._id,
+            name: req.body.name
+        });
+
+        res.status(201).json(folder);
+    } catch (error) {
+        handleFolderError(error, res);
+    }
+});
+
+// @route   PUT /api/folders/:id
+// @desc    Rename a folder
+// @access  Private
+router.put('/:id', async (req, res) => {
+    try {
+        const folder = await Folder.findOne({ _id: req.params.id, userId: req.user._id });
+
+        if (!folder) {
+            return res.status(404).json({ message: 'Folder not found' });
+        }
+
+        if (req.body.name !== undefined) folder.name = req.body.name;
+        await folder.save();
+
+        res.json(folder);
+    } catch (error) {
+        handleFolderError(error, res);
+    }
+});
+
+// @route   DELETE /api/folders/:id
+// @desc    Delete a folder; its chats are kept and moved out of it
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const folder = await Folder.findOne({ _id: req.params.id, userId: req.user._id });
+
+        if (!folder) {
+            return res.status(404).json({ message: 'Folder not found' });
+        }
+
+        const { modifiedCount } = await Chat.updateMany(
+            { userId: req.user._id, folderId: folder._id },
+            { folderId: null }
+        );
+
+        await folder.deleteOne();
+
+        res.json({ message: 'Folder deleted', chatsMoved: modifiedCount });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,236 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import TutorProfile, { VERSIONED_FIELDS } from '../models/TutorProfile.js';
+import TutorProfileVersion from '../models/TutorProfileVersion.js';
+import { adminProtect } from '../middleware/admin.js';
+import { recordAudit, diffFields } from '../services/audit.js';
+import { recordVersion, makeDefault, DEFAULT_PROFILE } from '../services/profiles.js';
+
+const router = express.Router();
+
+// Moderators can view, only admins can change or delete
+const staffOnly = adminProtect('moderator', 'admin');
+const adminOnly = adminProtect('admin');
+
+// Turn validation and duplicate-name errors into a 400 response
+const handleProfileError = (error, res) => {
+    if (error.code === 11000) {
+        return res.status(400).json({ message: 'A profile with that name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('. ') });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+};
+
+// Copy the settings present in the body onto a profile
+const applySettings = (profile, body) => {
+    for (const field of VERSIONED_FIELDS) {
+        if (field === 'domainRestrictions' || body[field] === undefined) continue;
+        profile[field] = body[field];
+    }
+    if (body.domainRestrictions?.domains !== undefined) profile.domainRestrictions.domains = body.domainRestrictions.domains;
+    if (body.domainRestrictions?.redirectMessage !== undefined) profile.domainRestrictions.redirectMessage = body.domainRestrictions.redirectMessage;
+};
+
+const findProfile = async (req, res) => {
+    const profile = mongoose.isValidObjectId(req.params.id) && await TutorProfile.findById(req.params.id);
+
+    if (!profile) {
+        res.status(404).json({ message: 'Profile not found' });
+        return null;
+    }
+
+    return profile;
+};
+
+// @route   GET /api/admin/profiles
+// @desc    Get the tutor profiles, and the built-in profile used when none is the default
+// @access  Moderator, Admin
+router.get('/', staffOnly, async (req, res) => {
+    try {
+        const profiles = await TutorProfile.find().sort({ isDefault: -1, name: 1 });
+
+        const chatCounts = await Chat.aggregate([
+            { $match: { profileId: { $in: profiles.map(p => p._id) } } },
+            { $group: { _id: '$profileId', count: { $sum: 1 } } }
+        ]);
+
+        res.json({
+            profiles: profiles.map(profile => ({
+                ...profile.toObject(),
+                chatCount: chatCounts.find(c => c._id.equals(profile._id))?.count || 0
+            })),
+            builtIn: { ...DEFAULT_PROFILE, isDefault: !profiles.some(profile => profile.isDefault) }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/profiles
+// @desc    Create a tutor profile ({ isDefault: true } also makes it the default)
+// @access  Admin
+router.post('/', adminOnly, async (req, res) => {
+    try {
+        const profile = new TutorProfile();
+        applySettings(profile, req.body);
+        profile.isDefault = req.body.isDefault === true;
+
+        await profile.save();
+        // Only after saving, so a failed create keeps the current default
+        if (profile.isDefault) await makeDefault(profile);
+        await recordVersion(profile, { user: req.user, note: 'Created' });
+
+        await recordAudit(req, {
+            action: 'admin.profile.create',
+            target: profile,
+            targetModel: 'TutorProfile',
+            changes: diffFields({}, profile.toObject(), ['name', 'isDefault'])
+        });
+
+        res.status(201).json(profile);
+    } catch (error) {
+        handleProfileError(error, res);
+    }
+});
+
+// @route   GET /api/admin/profiles/:id
+// @desc    Get a tutor profile
+// @access  Moderator, Admin
+router.get('/:id', staffOnly, async (req, res) => {
+    try {
+        const profile = await findProfile(req, res);
+        if (!profile) return;
+
+        res.json(profile);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/profiles/:id
+// @desc    Update a tutor profile; changed settings are saved as a new version
+// @access  Admin
+router.put('/:id', adminOnly, async (req, res) => {
+    try {
+        const profile = await findProfile(req, res);
+        if (!profile) return;
+
+        const before = profile.toObject();
+        applySettings(profile, req.body);
+
+        const changed = Object.keys(diffFields(before, profile.toObject(), VERSIONED_FIELDS)).length > 0;
+        if (changed) profile.version += 1;
+        if (typeof req.body.isDefault === 'boolean') profile.isDefault = req.body.isDefault;
+
+        await profile.save();
+        // Only after saving, so a failed update keeps the current default
+        if (req.body.isDefault === true) await makeDefault(profile);
+        if (changed) await recordVersion(profile, { user: req.user, note: req.body.note });
+
+        await recordAudit(req, {
+            action: 'admin.profile.update',
+            target: profile,
+            targetModel: 'TutorProfile',
+            changes: {
+                name: { from: before.name, to: profile.name },
+                ...diffFields(before, profile.toObject(), [...VERSIONED_FIELDS, 'isDefault', 'version'])
+            }
+        });
+
+        res.json(profile);
+    } catch (error) {
+        handleProfileError(error, res);
+    }
+});
+
+// @route   GET /api/admin/profiles/:id/versions
+// @desc    Get every saved version of a tutor profile, newest first
+// @access  Moderator, Admin
+router.get('/:id/versions', staffOnly, async (req, res) => {
+    try {
+        const profile = await findProfile(req, res);
+        if (!profile) return;
+
+        const versions = await TutorProfileVersion.find({ profileId: profile._id })
+            .populate('editedBy', 'name email')
+            .sort({ version: -1 });
+
+        res.json(versions);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/profiles/:id/rollback
+// @desc    Restore the settings of an earlier version ({ version }) as a new version
+// @access  Admin
+router.post('/:id/rollback', adminOnly, async (req, res) => {
+    try {
+        const profile = await findProfile(req, res);
+        if (!profile) return;
+
+        const target = await TutorProfileVersion.findOne({ profileId: profile._id, version: Number(req.body.version) });
+
+        if (!target) {
+            return res.status(404).json({ message: 'Version not found' });
+        }
+
+        const before = profile.toObject();
+        applySettings(profile, target.settings);
+        profile.version += 1;
+        await profile.save();
+        await recordVersion(profile, { user: req.user, note: `Rolled back to version ${target.version}` });
+
+        await recordAudit(req, {
+            action: 'admin.profile.rollback',
+            target: profile,
+            targetModel: 'TutorProfile',
+            changes: {
+                name: { from: before.name, to: profile.name },
+                ...diffFields(before, profile.toObject(), [...VERSIONED_FIELDS, 'version'])
+            }
+        });
+
+        res.json(profile);
+    } catch (error) {
+        handleProfileError(error, res);
+    }
+});
+
+// @route   DELETE /api/admin/profiles/:id
+// @desc    Delete a tutor profile and its versions; its chats switch to the default profile
+// @access  Admin
+router.delete('/:id', adminOnly, async (req, res) => {
+    try {
+        const profile = await findProfile(req, res);
+        if (!profile) return;
+
+        const { modifiedCount } = await Chat.updateMany({ profileId: profile._id }, { profileId: null });
+        await TutorProfileVersion.deleteMany({ profileId: profile._id });
+        await profile.deleteOne();
+
+        await recordAudit(req, {
+            action: 'admin.profile.delete',
+            target: profile,
+            targetModel: 'TutorProfile',
+            changes: {
+                name: { from: profile.name, to: null },
+                chats: { from: modifiedCount, to: 0 }
+            }
+        });
+
+        res.json({ message: 'Profile deleted' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,274 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Quiz, { DIFFICULTIES } from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Chat from '../models/Chat.js';
+import protect, { requireVerifiedEmail } from '../middleware/auth.js';
+import { chatMessageLimiter } from '../middleware/rateLimit.js';
+import enforceQuota, { rejectOverQuota } from '../middleware/quota.js';
+import { recordUsage, checkQuota } from '../services/usage.js';
+import { generateQuiz, gradeQuiz, MAX_QUESTIONS } from '../services/quiz.js';
+import { recordQuizResults } from '../services/progress.js';
+
+const router = express.Router();
+
+const QUIZ_TYPES = ['multiple_choice', 'short_answer', 'mixed'];
+const TOPIC_MAX_LENGTH = 200;
+
+// All routes are protected
+router.use(protect);
+
+// @route   POST /api/quiz
+// @desc    Generate a quiz about a topic or one of the user's chats
+// @access  Private
+router.post('/', requireVerifiedEmail, chatMessageLimiter, enforceQuota, async (req, res) => {
+    try {
+        const { chatId, type = 'mixed', difficulty = 'medium' } = req.body;
+        const topic = typeof req.body.topic === 'string' ? req.body.topic.trim() : '';
+        const count = req.body.count === undefined ? 5 : Number(req.body.count);
+
+        if (!topic && !chatId) {
+            return res.status(400).json({ message: 'A topic or chat is required' });
+        }
+        if (topic.length > TOPIC_MAX_LENGTH) {
+            return res.status(400).json({ message: `Topic cannot be more than ${TOPIC_MAX_LENGTH} characters` });
+        }
+        if (!Number.isInteger(count) || count < 1 || count > MAX_QUESTIONS) {
+            return res.status(400).json({ message: `Count must be between 1 and ${MAX_QUESTIONS}` });
+        }
+        if (!QUIZ_TYPES.includes(type)) {
+            return res.status(400).json({ message: `Type must be one of: ${QUIZ_TYPES.join(', ')}` });
+        }
+        if (!DIFFICULTIES.includes(difficulty)) {
+            return res.status(400).json({ message: `Difficulty must be one of: ${DIFFICULTIES.join(', ')}` });
+        }
+
+        let chat = null;
+        if (chatId) {
+            chat = mongoose.isValidObjectId(chatId)
+                ? await Chat.findOne({ _id: chatId, userId: req.user._id })
+                : null;
+            if (!chat) {
+                return res.status(404).json({ message: 'Chat not found' });
+            }
+        }
+
+        let generated;
+        try {
+            generated = await generateQuiz({ topic, chat, count, type, difficulty });
+        } catch (error) {
+            if (error.usage) await recordUsage(req.user._id, error.usage);
+            throw error;
+        }
+
+        await recordUsage(req.user._id, generated.usage);
+
+        const quiz = await Quiz.create({
+            userId: req.user._id,
+            chatId: chat?._id ?? null,
+            title: generated.title,
+            topic: generated.topic,
+            difficulty,
+            questions: generated.questions
+        });
+
+        res.status(201).json(quiz.toPublicJSON());
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: error.message || 'Server error' });
+    }
+});
+
+// @route   GET /api/quiz
+// @desc    Get the user's quizzes with their best score
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const [quizzes, total] = await Promise.all([
+            Quiz.aggregate([
+                { $match: { userId: new mongoose.Types.ObjectId(req.user._id) } },
+                { $sort: { createdAt: -1 } },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                { $addFields: { questionCount: { $size: '$questions' } } },
+                { $project: { questions: 0 } }
+            ]),
+            Quiz.countDocuments({ userId: req.user._id })
+        ]);
+
+        const attempts = await QuizAttempt.aggregate([
+            { $match: { quizId: { $in: quizzes.map(quiz => quiz._id) } } },
+            { $group: { _id: '$quizId', attempts: { $sum: 1 }, bestScore: { $max: '$score' } } }
+        ]);
+
+        res.json({
+            quizzes: quizzes.map(quiz => {
+                const stats = attempts.find(a => a._id.equals(quiz._id));
+                return {
+                    ...quiz,
+                    attempts: stats?.attempts || 0,
+                    bestScore: stats ? stats.bestScore : null
+                };
+            }),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/quiz/stats
+// @desc    Get the user's scores per topic. Like learning progress, only the first attempt
+//          at each quiz counts, since retakes have seen the answers.
+// @access  Private
+router.get('/stats', async (req, res) => {
+    try {
+        const topics = await QuizAttempt.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(req.user._id) } },
+            { $sort: { createdAt: 1, _id: 1 } },
+            {
+                $group: {
+                    _id: '$quizId',
+                    topicScores: { $first: '$topicScores' },
+                    createdAt: { $first: '$createdAt' }
+                }
+            },
+            { $unwind: '$topicScores' },
+            {
+                $group: {
+                    _id: '$topicScores.topic',
+                    correct: { $sum: '$topicScores.correct' },
+                    total: { $sum: '$topicScores.total' },
+                    attempts: { $sum: 1 },
+                    lastAttemptAt: { $max: '$createdAt' }
+                }
+            },
+            { $sort: { lastAttemptAt: -1 } }
+        ]);
+
+        res.json(topics.map(({ _id, correct, total, attempts, lastAttemptAt }) => ({
+            topic: _id,
+            correct,
+            total,
+            percentage: total > 0 ? Math.round((correct / total) * 100) : 0,
+            attempts,
+            lastAttemptAt
+        })));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/quiz/:id
+// @desc    Get a quiz (without answers) and the user's past attempts
+// @access  Private
+router.get('/:id', async (req, res) => {
+    try {
+        const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user._id });
+
+        if (!quiz) {
+            return res.status(404).json({ message: 'Quiz not found' });
+        }
+
+        const attempts = await QuizAttempt.find({ quizId: quiz._id })
+            .select('score total createdAt')
+            .sort({ createdAt: -1 });
+
+        res.json({ ...quiz.toPublicJSON(), attempts });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/quiz/:id/submit
+// @desc    Submit answers; returns the score, correct answers and explanations.
+//          Only the first attempt counts towards learning progress, since later ones have seen the answers.
+// @access  Private
+router.post('/:id/submit', requireVerifiedEmail, chatMessageLimiter, async (req, res) => {
+    try {
+        const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user._id });
+
+        if (!quiz) {
+            return res.status(404).json({ message: 'Quiz not found' });
+        }
+
+        const { answers } = req.body;
+
+        if (!Array.isArray(answers) || answers.length !== quiz.questions.length) {
+            return res.status(400).json({ message: `Answers must be an array with one entry per question (${quiz.questions.length})` });
+        }
+
+        const invalid = answers.findIndex((answer, index) => answer !== null && (
+            quiz.questions[index].type === 'multiple_choice'
+                ? !Number.isInteger(answer) || answer < 0 || answer >= quiz.questions[index].options.length
+                : typeof answer !== 'string' || answer.length > 2000
+        ));
+        if (invalid !== -1) {
+            return res.status(400).json({ message: `Invalid answer for question ${invalid + 1}` });
+        }
+
+        // Multiple choice is graded locally; only written answers need the AI and its quota
+        const needsGrading = answers.some((answer, index) =>
+            quiz.questions[index].type !== 'multiple_choice' && typeof answer === 'string' && answer.trim());
+        if (needsGrading) {
+            const quota = await checkQuota(req.user);
+            if (!quota.allowed) return rejectOverQuota(res, quota);
+        }
+
+        const firstAttempt = !(await QuizAttempt.exists({ quizId: quiz._id }));
+
+        // Short-answer grading usage is recorded by gradeQuiz
+        const graded = await gradeQuiz(quiz, answers, req.user._id);
+
+        const attempt = await QuizAttempt.create({
+            quizId: quiz._id,
+            userId: req.user._id,
+            ...graded
+        });
+        if (firstAttempt) {
+            await recordQuizResults(req.user._id, quiz, graded.results);
+        }
+
+        res.status(201).json({
+            ...attempt.toJSON(),
+            questions: quiz.questions
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/quiz/:id
+// @desc    Delete a quiz and its attempts
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user._id });
+
+        if (!quiz) {
+            return res.status(404).json({ message: 'Quiz not found' });
+        }
+
+        await QuizAttempt.deleteMany({ quizId: quiz._id });
+        await quiz.deleteOne();
+
+        res.json({ message: 'Quiz deleted' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
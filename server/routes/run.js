@@ -0,0 +1,49 @@
+import express from 'express';
+import protect, { requireVerifiedEmail } from '../middleware/auth.js';
+import { codeRunLimiter } from '../middleware/rateLimit.js';
+import { runCode, resolveLanguage, isSandboxEnabled, LANGUAGES, MAX_CODE_LENGTH } from '../services/sandbox.js';
+
+const router = express.Router();
+
+// Most characters of input passed to a program
+const MAX_STDIN_LENGTH = 10000;
+
+// All routes are protected
+router.use(protect);
+
+// @route   POST /api/run
+// @desc    Run a Python or JavaScript snippet in the sandbox
+// @access  Private
+router.post('/', requireVerifiedEmail, codeRunLimiter, async (req, res) => {
+    try {
+        if (!isSandboxEnabled()) {
+            return res.status(503).json({ message: 'Code execution is disabled' });
+        }
+
+        const { code, stdin = '' } = req.body;
+        const language = resolveLanguage(req.body.language);
+
+        if (!language) {
+            return res.status(400).json({ message: `Language must be one of: ${Object.keys(LANGUAGES).join(', ')}` });
+        }
+        if (typeof code !== 'string' || !code.trim()) {
+            return res.status(400).json({ message: 'Code is required' });
+        }
+        if (code.length > MAX_CODE_LENGTH) {
+            return res.status(400).json({ message: `Code cannot be more than ${MAX_CODE_LENGTH} characters` });
+        }
+        if (typeof stdin !== 'string' || stdin.length > MAX_STDIN_LENGTH) {
+            return res.status(400).json({ message: `Input must be text of at most ${MAX_STDIN_LENGTH} characters` });
+        }
+
+        res.json(await runCode({ language, code, stdin }));
+    } catch (error) {
+        if (error.status === 503) {
+            return res.status(503).json({ message: error.message });
+        }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
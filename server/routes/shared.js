@@ -0,0 +1,37 @@
+import express from 'express';
+import Share from '../models/Share.js';
+import { sharedChatLimiter } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// @route   GET /api/shared/:slug
+// @desc    View a shared chat snapshot
+// @access  Public
+router.get('/:slug', sharedChatLimiter, async (req, res) => {
+    try {
+        const share = await Share.findOne({ slug: req.params.slug });
+
+        // Revoked, expired and unknown links look the same
+        if (!share || !share.active) {
+            return res.status(404).json({ message: 'Shared chat not found' });
+        }
+
+        await Share.updateOne(
+            { _id: share._id },
+            { $inc: { viewCount: 1 }, lastViewedAt: Date.now() }
+        );
+
+        res.json({
+            title: share.title,
+            ownerName: share.ownerName,
+            sharedAt: share.createdAt,
+            expiresAt: share.expiresAt,
+            messages: share.messages
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,67 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseArgs } from 'util';
+import User from '../models/User.js';
+
+// Bootstrap an admin (or moderator) account.
+// Usage: npm run admin:create -- --email admin@example.com [--name "Admin"] [--password secret] [--role admin]
+// An existing user is promoted; a new user needs --name and --password.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const { values } = parseArgs({
+    options: {
+        email: { type: 'string' },
+        name: { type: 'string' },
+        password: { type: 'string' },
+        role: { type: 'string', default: 'admin' }
+    }
+});
+
+const run = async () => {
+    if (!values.email) {
+        throw new Error('--email is required');
+    }
+
+    if (!['moderator', 'admin'].includes(values.role)) {
+        throw new Error('--role must be moderator or admin');
+    }
+
+    if (!process.env.MONGODB_URI) {
+        throw new Error('MONGODB_URI is not set in .env file');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let user = await User.findOne({ email: values.email.toLowerCase() });
+
+    if (user) {
+        user.role = values.role;
+        await user.save({ validateBeforeSave: false });
+        console.log(`Promoted ${user.email} to ${values.role}`);
+    } else {
+        if (!values.name || !values.password) {
+            throw new Error('--name and --password are required to create a new user');
+        }
+
+        user = await User.create({
+            name: values.name,
+            email: values.email,
+            password: values.password,
+            role: values.role
+        });
+        console.log(`Created ${values.role} ${user.email}`);
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
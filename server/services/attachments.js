@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import path from 'path';
+import { getStorage } from './storage/index.js';
+
+// Images Gemini accepts as inline data
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Source code and plain text; stored and sent to the model as text/plain
+const TEXT_EXTENSIONS = [
+    '.txt', '.md', '.csv', '.json', '.xml', '.yaml', '.yml', '.log', '.sql', '.html', '.css',
+    '.py', '.js', '.mjs', '.ts', '.jsx', '.tsx', '.java', '.c', '.h', '.cpp', '.hpp', '.cs',
+    '.go', '.rs', '.rb', '.php', '.kt', '.swift', '.sh', '.r', '.m', '.scala', '.hs'
+];
+
+// File signatures, so a renamed file cannot pass as an image or PDF
+const SIGNATURES = {
+    'image/png': (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/jpeg': (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+    'image/webp': (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP',
+    'application/pdf': (buffer) => buffer.toString('latin1', 0, 5) === '%PDF-'
+};
+
+const parseLimit = (value, fallback) => parseInt(value) || fallback;
+
+/**
+ * Upload limits, overridable from the environment
+ * @returns {{ maxFileSize: number, maxFiles: number, contextBytes: number }}
+ */
+const getAttachmentLimits = () => ({
+    // Largest single file, in bytes
+    maxFileSize: parseLimit(process.env.ATTACHMENT_MAX_SIZE_MB, 10) * 1024 * 1024,
+    // Most files on one message
+    maxFiles: parseLimit(process.env.ATTACHMENT_MAX_FILES, 4),
+    // Most attachment bytes sent to the model with one request; older files are left out first
+    contextBytes: parseLimit(process.env.ATTACHMENT_CONTEXT_MB, 15) * 1024 * 1024
+});
+
+const isUtf8Text = (buffer) => {
+    if (buffer.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Work out what kind of file an upload is from its declared type, extension and contents
+ * @param {Object} file - Multer file ({ originalname, mimetype, buffer })
+ * @returns {{ kind: string, mimeType: string }|{ error: string }}
+ */
+const classifyUpload = (file) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (IMAGE_TYPES.includes(file.mimetype) || file.mimetype === 'application/pdf') {
+        if (!SIGNATURES[file.mimetype](file.buffer)) {
+            return { error: `${file.originalname} is not a valid ${file.mimetype === 'application/pdf' ? 'PDF' : 'image'}` };
+        }
+        return { kind: file.mimetype === 'application/pdf' ? 'pdf' : 'image', mimeType: file.mimetype };
+    }
+
+    if (TEXT_EXTENSIONS.includes(extension) || file.mimetype.startsWith('text/')) {
+        if (!isUtf8Text(file.buffer)) {
+            return { error: `${file.originalname} is not a UTF-8 text file` };
+        }
+        return { kind: 'text', mimeType: 'text/plain' };
+    }
+
+    return { error: `${file.originalname}: unsupported file type. Upload PNG, JPEG or WebP images, PDFs, or text and code files` };
+};
+
+/**
+ * Validate uploaded files and store them
+ * @param {Array} files - Multer files
+ * @param {Object} owner - { userId, chatId } used to group stored files
+ * @returns {Promise<{ attachments: Array }|{ error: string }>} - Message attachment entries, or an error for a 400
+ */
+const saveAttachments = async (files = [], { userId, chatId }) => {
+    const classified = files.map(file => ({ file, ...classifyUpload(file) }));
+    const invalid = classified.find(entry => entry.error);
+    if (invalid) return { error: invalid.error };
+
+    const storage = getStorage();
+    const attachments = [];
+    try {
+        for (const { file, kind, mimeType } of classified) {
+            const extension = path.extname(file.originalname).toLowerCase().replace(/[^.\w]/g, '');
+            const storageKey = `${userId}/${chatId}/${crypto.randomUUID()}${extension}`;
+            await storage.save(storageKey, file.buffer);
+            attachments.push({
+                name: path.basename(file.originalname).slice(0, 255),
+                kind,
+                mimeType,
+                size: file.size,
+                storageKey
+            });
+        }
+    } catch (error) {
+        // Do not leave half of a message's files behind
+        await removeAttachmentFiles(attachments.map(attachment => attachment.storageKey));
+        throw error;
+    }
+
+    return { attachments };
+};
+
+/**
+ * Load attachment contents for a model request, newest messages first, until the
+ * context budget is used up. Files that do not fit (or cannot be read) are
+ * returned as { name, omitted: true } so the model knows they existed.
+ * @param {Array} messages - Messages with optional attachments, oldest first
+ * @returns {Promise<Array<Array>>} - One list per message: { name, kind, mimeType, data } or { name, omitted }
+ */
+const loadAttachmentParts = async (messages) => {
+    const storage = getStorage();
+    let budget = getAttachmentLimits().contextBytes;
+    const parts = messages.map(() => []);
+
+    for (let index = messages.length - 1; index >= 0; index--) {
+        for (const attachment of messages[index].attachments || []) {
+            const { name, kind, mimeType, size, storageKey } = attachment;
+            if (size > budget) {
+                parts[index].push({ name, omitted: true });
+                continue;
+            }
+
+            try {
+                const buffer = await storage.read(storageKey);
+                budget -= buffer.length;
+                parts[index].push({ name, kind, mimeType, data: buffer.toString('base64') });
+            } catch (error) {
+                console.error(`Failed to read attachment ${storageKey}:`, error.message);
+                parts[index].push({ name, omitted: true });
+            }
+        }
+    }
+
+    return parts;
+};
+
+/**
+ * Delete stored files. Missing files are ignored; other failures are logged
+ * so that deleting chats never stops halfway.
+ * @param {Array<string>} keys - Storage keys
+ */
+const removeAttachmentFiles = async (keys) => {
+    const storage = getStorage();
+    for (const key of new Set(keys)) {
+        try {
+            await storage.remove(key);
+        } catch (error) {
+            console.error(`Failed to delete attachment ${key}:`, error.message);
+        }
+    }
+};
+
+export { saveAttachments, loadAttachmentParts, removeAttachmentFiles, classifyUpload, getAttachmentLimits, isUtf8Text };
@@ -0,0 +1,53 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Values that must never be written to the audit log
+const REDACTED_FIELDS = ['password'];
+
+const toComparable = (value) => JSON.stringify(value ?? null);
+
+/**
+ * Build a { field: { from, to } } diff of the given fields
+ * @param {Object} before - Plain object with the old values
+ * @param {Object} after - Plain object with the new values
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object} - Only the fields that changed
+ */
+const diffFields = (before, after, fields) => {
+    const changes = {};
+
+    for (const field of fields) {
+        if (toComparable(before?.[field]) === toComparable(after?.[field])) continue;
+
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { from: '[redacted]', to: '[redacted]' }
+            : { from: before?.[field] ?? null, to: after?.[field] ?? null };
+    }
+
+    return changes;
+};
+
+/**
+ * Record an audit log entry. Failures are logged, never thrown,
+ * so auditing cannot break the action being audited.
+ * @param {Object} req - Express request (actor, IP and user agent)
+ * @param {Object} entry - { action, target, targetModel, changes, actor }; targetModel is 'User' unless given
+ */
+const recordAudit = async (req, { action, target, targetModel = 'User', changes = {}, actor = req.user }) => {
+    try {
+        await AuditLog.create({
+            actor: actor?._id || null,
+            actorEmail: actor?.email || (req.legacyAdmin ? 'legacy-admin-password' : ''),
+            action,
+            target: target?._id,
+            targetModel,
+            targetEmail: target?.email || '',
+            changes,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+export { recordAudit, diffFields };
@@ -0,0 +1,67 @@
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import Session from '../models/Session.js';
+import Usage from '../models/Usage.js';
+import Share from '../models/Share.js';
+import Folder from '../models/Folder.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import TopicProgress from '../models/TopicProgress.js';
+import Collection from '../models/Collection.js';
+import CollectionDocument from '../models/CollectionDocument.js';
+import Chunk from '../models/Chunk.js';
+import { removeAttachmentFiles } from './attachments.js';
+
+/**
+ * Delete chats and everything that belongs to them (messages, attached files, share links)
+ * @param {Array} chatIds - IDs of the chats to delete
+ */
+const deleteChats = async (chatIds) => {
+    const withFiles = await Message.find({ chatId: { $in: chatIds }, 'attachments.0': { $exists: true } })
+        .select('attachments.storageKey');
+    await removeAttachmentFiles(withFiles.flatMap(message => message.attachments.map(attachment => attachment.storageKey)));
+
+    await Message.deleteMany({ chatId: { $in: chatIds } });
+    await Share.deleteMany({ chatId: { $in: chatIds } });
+    await Chat.deleteMany({ _id: { $in: chatIds } });
+};
+
+/**
+ * Delete collections with their documents and chunks, and detach them from chats
+ * @param {Array} collectionIds - IDs of the collections to delete
+ */
+const deleteCollections = async (collectionIds) => {
+    await Chunk.deleteMany({ collectionId: { $in: collectionIds } });
+    await CollectionDocument.deleteMany({ collectionId: { $in: collectionIds } });
+    await Chat.updateMany(
+        { collectionIds: { $in: collectionIds } },
+        { $pull: { collectionIds: { $in: collectionIds } } }
+    );
+    await Collection.deleteMany({ _id: { $in: collectionIds } });
+};
+
+/**
+ * Delete all data owned by a user, except the user document itself
+ * @param {string} userId - User ID
+ * @returns {Promise<{ chats: number }>} - Number of chats deleted
+ */
+const deleteUserData = async (userId) => {
+    const chats = await Chat.find({ userId }).select('_id');
+    await deleteChats(chats.map(chat => chat._id));
+
+    // Shared collections belong to the course, not to the admin who created them
+    const collections = await Collection.find({ userId, shared: false }).select('_id');
+    await deleteCollections(collections.map(collection => collection._id));
+
+    await Share.deleteMany({ userId });
+    await Folder.deleteMany({ userId });
+    await QuizAttempt.deleteMany({ userId });
+    await Quiz.deleteMany({ userId });
+    await TopicProgress.deleteMany({ userId });
+    await Session.deleteMany({ userId });
+    await Usage.deleteMany({ userId });
+
+    return { chats: chats.length };
+};
+
+export { deleteChats, deleteCollections, deleteUserData };
@@ -0,0 +1,310 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import { extractText, getDocumentProxy } from 'unpdf';
+import { MAX_COLLECTIONS } from '../models/Chat.js';
+import Collection from '../models/Collection.js';
+import CollectionDocument from '../models/CollectionDocument.js';
+import Chunk from '../models/Chunk.js';
+import { isUtf8Text } from './attachments.js';
+import { embedTexts, getEmbedder } from './embeddings/index.js';
+
+// Target chunk length in characters, and how much of the previous chunk each one repeats
+// so a passage cut in two can still be found from either side
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+
+// Longest document accepted, in chunks (roughly 300 pages of notes)
+const MAX_CHUNKS_PER_DOCUMENT = 1000;
+
+const DOCUMENT_KINDS = {
+    '.txt': 'text',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.pdf': 'pdf'
+};
+
+const parseLimit = (value, fallback) => parseInt(value) || fallback;
+
+/**
+ * Document upload limits, overridable from the environment
+ * @returns {{ maxFileSize: number }}
+ */
+const getDocumentLimits = () => ({
+    maxFileSize: parseLimit(process.env.DOCUMENT_MAX_SIZE_MB, 20) * 1024 * 1024
+});
+
+// Unix line endings, no trailing spaces and at most one blank line in a row
+const normalizeText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Extract the text of an uploaded document
+ * @param {Object} file - Multer file ({ originalname, mimetype, buffer })
+ * @returns {Promise<{ kind: string, sections: Array, pageCount?: number }|{ error: string }>} -
+ *   sections are { text, page } (one per PDF page, a single one otherwise)
+ */
+const extractDocument = async (file) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const kind = file.mimetype === 'application/pdf' ? 'pdf' : DOCUMENT_KINDS[extension];
+
+    if (!kind) {
+        return { error: `${file.originalname}: unsupported file type. Upload text, Markdown or PDF files` };
+    }
+
+    if (kind !== 'pdf') {
+        if (!isUtf8Text(file.buffer)) {
+            return { error: `${file.originalname} is not a UTF-8 text file` };
+        }
+        return { kind, sections: [{ text: normalizeText(file.buffer.toString('utf8')), page: null }] };
+    }
+
+    if (file.buffer.toString('latin1', 0, 5) !== '%PDF-') {
+        return { error: `${file.originalname} is not a valid PDF` };
+    }
+
+    try {
+        const pdf = await getDocumentProxy(new Uint8Array(file.buffer));
+        const { totalPages, text } = await extractText(pdf, { mergePages: false });
+        return {
+            kind,
+            pageCount: totalPages,
+            sections: text.map((pageText, index) => ({ text: normalizeText(pageText), page: index + 1 }))
+        };
+    } catch (error) {
+        console.error(`Failed to read PDF ${file.originalname}:`, error.message);
+        return { error: `${file.originalname} could not be read` };
+    }
+};
+
+// Cut a block that is too long for one chunk at sentence ends, or at spaces
+// when a single sentence is too long
+const splitBlock = (block) => {
+    if (block.length <= CHUNK_SIZE) return [block];
+
+    const pieces = [];
+    let current = '';
+    for (const sentence of block.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [block]) {
+        for (let start = 0; start < sentence.length; start += CHUNK_SIZE) {
+            const part = sentence.slice(start, start + CHUNK_SIZE);
+            if (current && current.length + part.length > CHUNK_SIZE) {
+                pieces.push(current.trim());
+                current = '';
+            }
+            current += part;
+        }
+    }
+    if (current.trim()) pieces.push(current.trim());
+    return pieces;
+};
+
+// End of a chunk, starting at a word, to repeat at the start of the next one.
+// Short chunks are not repeated, or the next chunk would mostly be a copy.
+const overlapOf = (text) => {
+    if (text.length < CHUNK_OVERLAP * 2) return '';
+    const tail = text.slice(-CHUNK_OVERLAP);
+    const space = tail.indexOf(' ');
+    return space === -1 ? tail : tail.slice(space + 1);
+};
+
+/**
+ * Split document text into overlapping chunks of about CHUNK_SIZE characters.
+ * Chunks follow paragraph boundaries, never span two PDF pages and start afresh
+ * at each Markdown heading, which they remember for citations.
+ * @param {Array} sections - { text, page } as returned by extractDocument
+ * @returns {Array} - { index, text, page, heading }
+ */
+const chunkDocument = (sections) => {
+    const chunks = [];
+    let heading = null;
+
+    for (const { text, page } of sections) {
+        let current = '';
+        let currentHeading = heading;
+
+        const flush = () => {
+            if (current.trim()) chunks.push({ index: chunks.length, text: current.trim(), page, heading: currentHeading });
+        };
+
+        for (const block of text.split(/\n\s*\n/).map(b => b.trim()).filter(Boolean)) {
+            const headingMatch = block.match(/^#{1,6}\s+(.+)/);
+            if (headingMatch) {
+                flush();
+                current = '';
+                heading = headingMatch[1].replace(/#+\s*$/, '').trim();
+                currentHeading = heading;
+            }
+
+            for (const piece of splitBlock(block)) {
+                if (current && current.length + piece.length + 2 > CHUNK_SIZE) {
+                    flush();
+                    current = overlapOf(current);
+                    currentHeading = heading;
+                }
+                current = current ? `${current}\n\n${piece}` : piece;
+            }
+        }
+
+        flush();
+    }
+
+    return chunks;
+};
+
+// The text that is embedded: the passage with the document name and heading, which
+// often carry the topic the passage itself never names
+const embeddingInput = (documentName, chunk) => [
+    chunk.heading ? `${documentName} - ${chunk.heading}` : documentName,
+    chunk.text
+].join('\n');
+
+/**
+ * Extract, chunk and embed an uploaded file and add it to a collection
+ * @param {Object} collection - Collection document
+ * @param {Object} file - Multer file
+ * @param {Object} user - Uploader
+ * @returns {Promise<{ document: Object }|{ error: string, status: number }>}
+ */
+const addDocument = async (collection, file, user) => {
+    const embedder = getEmbedder();
+    if (collection.embeddingModel && collection.embeddingModel !== embedder.model) {
+        return {
+            status: 409,
+            error: `This collection was indexed with ${collection.embeddingModel}. Reindex it with ${embedder.model} before adding documents.`
+        };
+    }
+
+    const extracted = await extractDocument(file);
+    if (extracted.error) return { status: 400, error: extracted.error };
+
+    const chunks = chunkDocument(extracted.sections);
+    if (chunks.length === 0) {
+        return { status: 400, error: `${file.originalname} contains no text${extracted.kind === 'pdf' ? ' (scanned PDFs are not supported)' : ''}` };
+    }
+    if (chunks.length > MAX_CHUNKS_PER_DOCUMENT) {
+        return { status: 400, error: `${file.originalname} is too long. Split it into smaller documents.` };
+    }
+
+    const name = path.basename(file.originalname).slice(0, 255);
+    const { model, vectors } = await embedTexts(chunks.map(chunk => embeddingInput(name, chunk)), 'document');
+
+    const document = await CollectionDocument.create({
+        collectionId: collection._id,
+        userId: user._id,
+        name,
+        kind: extracted.kind,
+        size: file.size,
+        pageCount: extracted.pageCount,
+        characters: extracted.sections.reduce((sum, section) => sum + section.text.length, 0),
+        chunkCount: chunks.length
+    });
+
+    try {
+        await Chunk.insertMany(chunks.map((chunk, index) => ({
+            ...chunk,
+            page: chunk.page ?? undefined,
+            heading: chunk.heading ?? undefined,
+            collectionId: collection._id,
+            documentId: document._id,
+            embedding: vectors[index],
+            embeddingModel: model
+        })));
+    } catch (error) {
+        await Chunk.deleteMany({ documentId: document._id });
+        await document.deleteOne();
+        throw error;
+    }
+
+    await Collection.updateOne(
+        { _id: collection._id },
+        { $inc: { documentCount: 1, chunkCount: chunks.length }, $set: { embeddingModel: model, updatedAt: Date.now() } }
+    );
+
+    return { document };
+};
+
+/**
+ * Validate collections to attach to a chat: the owner's own or shared ones
+ * @param {Array} ids - Collection IDs from the request
+ * @param {string} userId - Owner of the chat
+ * @returns {Promise<{ collectionIds: Array }|{ error: string }>}
+ */
+const findAttachableCollections = async (ids, userId) => {
+    if (!Array.isArray(ids)) return { error: 'collectionIds must be an array' };
+
+    const unique = [...new Set(ids.map(String))];
+    if (unique.length > MAX_COLLECTIONS) return { error: `Cannot attach more than ${MAX_COLLECTIONS} collections` };
+    if (!unique.every(id => mongoose.isValidObjectId(id))) return { error: 'Collection not found' };
+
+    const found = await Collection.countDocuments({ _id: { $in: unique }, ...Collection.visibleTo(userId) });
+    if (found !== unique.length) return { error: 'Collection not found' };
+
+    return { collectionIds: unique };
+};
+
+/**
+ * Remove a document and its chunks from its collection
+ * @param {Object} document - CollectionDocument
+ */
+const removeDocument = async (document) => {
+    await Chunk.deleteMany({ documentId: document._id });
+    await document.deleteOne();
+
+    const remaining = await CollectionDocument.countDocuments({ collectionId: document.collectionId });
+    await Collection.updateOne(
+        { _id: document.collectionId },
+        {
+            $inc: { documentCount: -1, chunkCount: -document.chunkCount },
+            // An empty collection can take documents from any embedding model
+            $set: { updatedAt: Date.now(), ...(remaining === 0 && { embeddingModel: null }) }
+        }
+    );
+};
+
+/**
+ * Embed every chunk of a collection again with the configured embedding provider,
+ * after switching providers or models
+ * @param {Object} collection - Collection document
+ * @returns {Promise<{ model: string, chunks: number }>}
+ */
+const reindexCollection = async (collection) => {
+    const documents = await CollectionDocument.find({ collectionId: collection._id }).select('name');
+    const names = new Map(documents.map(document => [document._id.toString(), document.name]));
+
+    let model = getEmbedder().model;
+    let count = 0;
+    for (const document of documents) {
+        const chunks = await Chunk.find({ documentId: document._id }).select('text heading').sort({ index: 1 });
+        if (chunks.length === 0) continue;
+
+        const embedded = await embedTexts(chunks.map(chunk => embeddingInput(names.get(document._id.toString()), chunk)), 'document');
+        model = embedded.model;
+
+        await Chunk.bulkWrite(chunks.map((chunk, index) => ({
+            updateOne: {
+                filter: { _id: chunk._id },
+                update: { $set: { embedding: embedded.vectors[index], embeddingModel: model } }
+            }
+        })));
+        count += chunks.length;
+    }
+
+    collection.embeddingModel = documents.length > 0 ? model : null;
+    await collection.save();
+
+    return { model, chunks: count };
+};
+
+export {
+    extractDocument,
+    chunkDocument,
+    addDocument,
+    removeDocument,
+    reindexCollection,
+    findAttachableCollections,
+    getDocumentLimits,
+    CHUNK_SIZE,
+    MAX_CHUNKS_PER_DOCUMENT
+};
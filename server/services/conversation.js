@@ -0,0 +1,118 @@
+import Message from '../models/Message.js';
+
+// Messages form a tree through parentId. Editing a user message adds a sibling
+// instead of overwriting it, and Chat.activeLeafId marks the branch being viewed.
+
+const parentKey = (message) => (message.parentId ? message.parentId.toString() : 'root');
+
+/**
+ * Load every message of a chat. Messages from before branching existed have no
+ * parentId; they are linked into one chain in timestamp order on first load.
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Array>} - Message documents, oldest first
+ */
+const loadChatMessages = async (chatId) => {
+    const messages = await Message.find({ chatId }).sort({ timestamp: 1, _id: 1 });
+
+    const updates = [];
+    let previous = null;
+    for (const message of messages) {
+        if (message.parentId === undefined) {
+            message.parentId = previous ? previous._id : null;
+            updates.push({
+                updateOne: { filter: { _id: message._id }, update: { parentId: message.parentId } }
+            });
+        }
+        previous = message;
+    }
+
+    if (updates.length > 0) {
+        await Message.bulkWrite(updates);
+    }
+
+    return messages;
+};
+
+/**
+ * Index messages by ID and by parent
+ * @param {Array} messages - Message documents, oldest first
+ * @returns {{ byId: Map, children: Map }}
+ */
+const buildTree = (messages) => {
+    const byId = new Map();
+    const children = new Map();
+
+    for (const message of messages) {
+        byId.set(message._id.toString(), message);
+        const key = parentKey(message);
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(message);
+    }
+
+    return { byId, children };
+};
+
+/**
+ * Get the messages from the root down to (and including) the given message
+ * @param {Object} tree - Result of buildTree
+ * @param {Object} message - Message document (or null for an empty path)
+ * @returns {Array}
+ */
+const pathTo = (tree, message) => {
+    const path = [];
+    let current = message;
+    while (current) {
+        path.unshift(current);
+        current = current.parentId ? tree.byId.get(current.parentId.toString()) : null;
+    }
+    return path;
+};
+
+/**
+ * Follow the most recent child until reaching a leaf
+ * @param {Object} tree - Result of buildTree
+ * @param {Object} message - Starting message
+ * @returns {Object} - Leaf message
+ */
+const findLatestLeaf = (tree, message) => {
+    let current = message;
+    for (;;) {
+        const next = tree.children.get(current._id.toString());
+        if (!next?.length) return current;
+        current = next[next.length - 1];
+    }
+};
+
+/**
+ * Load a chat's message tree and its active branch
+ * @param {Object} chat - Chat document
+ * @returns {Promise<{ messages: Array, tree: Object, path: Array }>}
+ */
+const getConversation = async (chat) => {
+    const messages = await loadChatMessages(chat._id);
+    const tree = buildTree(messages);
+
+    // Fall back to the newest message when no (valid) leaf is stored
+    const leaf = (chat.activeLeafId && tree.byId.get(chat.activeLeafId.toString())) ||
+        messages[messages.length - 1];
+
+    return { messages, tree, path: leaf ? pathTo(tree, leaf) : [] };
+};
+
+/**
+ * Serialize a branch for clients, with the position of each message among its siblings
+ * @param {Object} tree - Result of buildTree
+ * @param {Array} path - Active branch
+ * @returns {Array}
+ */
+const withBranchInfo = (tree, path) => path.map(message => {
+    const siblings = tree.children.get(parentKey(message));
+    return {
+        ...message.toJSON(),
+        branchIndex: siblings.findIndex(s => s._id.equals(message._id)),
+        branchCount: siblings.length,
+        siblingIds: siblings.map(s => s._id)
+    };
+});
+
+export { getConversation, pathTo, findLatestLeaf, withBranchInfo };
@@ -26,15 +26,14 @@ const sendEmail = async (options) => {
     return info;
 };
 
-// Password reset email template
-export const sendPasswordResetEmail = async (email, resetUrl, userName) => {
-    const html = `
+// Branded email layout shared by all account emails
+const renderBrandedEmail = ({ title, heading, userName, intro, buttonText, url, expiryNote, footerNote }) => `
     <!DOCTYPE html>
     <html>
     <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Reset Your Password</title>
+        <title>${title}</title>
     </head>
     <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f4;">
         <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
@@ -45,29 +44,29 @@ export const sendPasswordResetEmail = async (email, resetUrl, userName) => {
             </tr>
             <tr>
                 <td style="padding: 40px 30px;">
-                    <h2 style="color: #333333; margin: 0 0 20px;">Password Reset Request</h2>
+                    <h2 style="color: #333333; margin: 0 0 20px;">${heading}</h2>
                     <p style="color: #666666; font-size: 16px; line-height: 1.6; margin: 0 0 20px;">
                         Hi ${userName || 'there'},
                     </p>
                     <p style="color: #666666; font-size: 16px; line-height: 1.6; margin: 0 0 20px;">
-                        We received a request to reset your password. Click the button below to create a new password:
+                        ${intro}
                     </p>
                     <div style="text-align: center; margin: 30px 0;">
-                        <a href="${resetUrl}" style="display: inline-block; padding: 14px 32px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">
-                            Reset Password
+                        <a href="${url}" style="display: inline-block; padding: 14px 32px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">
+                            ${buttonText}
                         </a>
                     </div>
                     <p style="color: #666666; font-size: 14px; line-height: 1.6; margin: 0 0 10px;">
                         Or copy and paste this link into your browser:
                     </p>
                     <p style="color: #667eea; font-size: 14px; word-break: break-all; margin: 0 0 20px;">
-                        ${resetUrl}
+                        ${url}
                     </p>
                     <p style="color: #999999; font-size: 14px; line-height: 1.6; margin: 0 0 10px;">
-                        <strong>This link will expire in 10 minutes.</strong>
+                        <strong>${expiryNote}</strong>
                     </p>
                     <p style="color: #999999; font-size: 14px; line-height: 1.6; margin: 0;">
-                        If you didn't request a password reset, please ignore this email or contact support if you have concerns.
+                        ${footerNote}
                     </p>
                 </td>
             </tr>
@@ -83,6 +82,19 @@ export const sendPasswordResetEmail = async (email, resetUrl, userName) => {
     </html>
     `;
 
+// Password reset email template
+export const sendPasswordResetEmail = async (email, resetUrl, userName) => {
+    const html = renderBrandedEmail({
+        title: 'Reset Your Password',
+        heading: 'Password Reset Request',
+        userName,
+        intro: 'We received a request to reset your password. Click the button below to create a new password:',
+        buttonText: 'Reset Password',
+        url: resetUrl,
+        expiryNote: 'This link will expire in 10 minutes.',
+        footerNote: "If you didn't request a password reset, please ignore this email or contact support if you have concerns."
+    });
+
     await sendEmail({
         email,
         subject: 'Password Reset Request - Bit Brainic',
@@ -90,4 +102,24 @@ export const sendPasswordResetEmail = async (email, resetUrl, userName) => {
     });
 };
 
+// Email verification template
+export const sendVerificationEmail = async (email, verifyUrl, userName) => {
+    const html = renderBrandedEmail({
+        title: 'Verify Your Email',
+        heading: 'Welcome to Bit Brainic! 🧠',
+        userName,
+        intro: 'Please confirm that this is your email address so we know we can reach you. Click the button below to verify it:',
+        buttonText: 'Verify Email',
+        url: verifyUrl,
+        expiryNote: 'This link will expire in 24 hours.',
+        footerNote: "If you didn't create a Bit Brainic account, you can safely ignore this email."
+    });
+
+    await sendEmail({
+        email,
+        subject: 'Verify your email - Bit Brainic',
+        html
+    });
+};
+
 export default sendEmail;
@@ -0,0 +1,50 @@
+import { GoogleGenAI } from '@google/genai';
+
+// Gemini embeddings adapter for the embedding provider interface
+
+// Gemini tunes embeddings differently for stored documents and search queries
+const TASK_TYPES = {
+    document: 'RETRIEVAL_DOCUMENT',
+    query: 'RETRIEVAL_QUERY'
+};
+
+const createGeminiEmbedder = () => {
+    // Lazy initialization of the AI client
+    let ai = null;
+
+    const getAI = () => {
+        if (!ai) {
+            if (!process.env.GEMINI_API_KEY) {
+                throw new Error('GEMINI_API_KEY environment variable is not set');
+            }
+            ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+        }
+        return ai;
+    };
+
+    const model = process.env.GEMINI_EMBEDDING_MODEL || 'gemini-embedding-001';
+    const dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || 768;
+
+    return {
+        name: 'gemini',
+        label: 'Gemini',
+        // The dimension count is part of the model name: vectors of different sizes cannot be compared
+        model: `${model}:${dimensions}`,
+        batchSize: 100,
+        minScore: 0.5,
+
+        async embed(texts, { taskType = 'document' } = {}) {
+            const response = await getAI().models.embedContent({
+                model,
+                contents: texts,
+                config: {
+                    taskType: TASK_TYPES[taskType],
+                    outputDimensionality: dimensions,
+                },
+            });
+            return response.embeddings.map(embedding => embedding.values);
+        },
+    };
+};
+
+export default createGeminiEmbedder;
@@ -0,0 +1,64 @@
+import createGeminiEmbedder from './gemini.js';
+import createOpenAIEmbedder from './openai.js';
+import createLocalEmbedder from './local.js';
+import { withRetry } from '../providers/index.js';
+
+// Available embedding providers, selected through EMBEDDING_PROVIDER.
+// An embedder has a model name (stored with every vector), a default similarity cutoff
+// for relevant passages (minScore) and embed(texts, { taskType }).
+const EMBEDDERS = {
+    gemini: createGeminiEmbedder,
+    openai: createOpenAIEmbedder,
+    local: createLocalEmbedder,
+};
+
+let _embedder = null;
+
+/**
+ * Get the configured embedding provider (lazily created and cached). Without
+ * EMBEDDING_PROVIDER, Gemini is used when GEMINI_API_KEY is set and the local
+ * embedder otherwise.
+ * @returns {Object} - Embedder with name, label, model, batchSize, minScore and embed()
+ */
+const getEmbedder = () => {
+    if (!_embedder) {
+        const fallback = process.env.GEMINI_API_KEY ? 'gemini' : 'local';
+        const name = (process.env.EMBEDDING_PROVIDER || fallback).toLowerCase();
+        const factory = EMBEDDERS[name];
+
+        if (!factory) {
+            throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Expected one of: ${Object.keys(EMBEDDERS).join(', ')}`);
+        }
+
+        _embedder = factory();
+    }
+    return _embedder;
+};
+
+// Drop the cached embedder so the next call re-reads the environment
+const resetEmbedder = () => {
+    _embedder = null;
+};
+
+/**
+ * Embed texts in batches with the configured provider, retrying when it is busy
+ * @param {Array<string>} texts - Texts to embed
+ * @param {string} taskType - 'document' for stored chunks, 'query' for searches
+ * @returns {Promise<{ model: string, vectors: Array<Array<number>> }>}
+ */
+const embedTexts = async (texts, taskType = 'document') => {
+    const embedder = getEmbedder();
+    const vectors = [];
+
+    for (let start = 0; start < texts.length; start += embedder.batchSize) {
+        const batch = texts.slice(start, start + embedder.batchSize);
+        vectors.push(...await withRetry(
+            () => embedder.embed(batch, { taskType }),
+            { label: `${embedder.label} embeddings` }
+        ));
+    }
+
+    return { model: embedder.model, vectors };
+};
+
+export { getEmbedder, resetEmbedder, embedTexts, EMBEDDERS };
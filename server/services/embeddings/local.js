@@ -0,0 +1,67 @@
+// Local embeddings: hashed bag of words and word pairs. No API key or network needed,
+// so it is the fallback when no embedding provider is configured. It matches shared
+// vocabulary rather than meaning, which works well enough for course notes.
+
+const DIMENSIONS = 512;
+
+// Common English words that say nothing about the topic
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that',
+    'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'what', 'when', 'which',
+    'why', 'will', 'with', 'you', 'your'
+]);
+
+// FNV-1a, 32-bit
+const hash = (text) => {
+    let value = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        value ^= text.charCodeAt(i);
+        value = Math.imul(value, 0x01000193);
+    }
+    return value >>> 0;
+};
+
+// Lowercase words without stop words, with a plural "s" removed ("graphs" -> "graph")
+const tokenize = (text) => String(text)
+    .toLowerCase()
+    .match(/[a-z0-9]+(?:[+#]+)?/g)
+    ?.filter(word => !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)) || [];
+
+/**
+ * Embed a single text as a unit-length vector
+ * @param {string} text - Text to embed
+ * @returns {Array<number>}
+ */
+const embedText = (text) => {
+    const vector = new Array(DIMENSIONS).fill(0);
+    const words = tokenize(text);
+    const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+    const counts = new Map();
+    for (const feature of features) counts.set(feature, (counts.get(feature) || 0) + 1);
+
+    for (const [feature, count] of counts) {
+        const value = hash(feature);
+        // The top bit picks the sign so unrelated features tend to cancel out
+        vector[value % DIMENSIONS] += (value & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+    }
+
+    const norm = Math.hypot(...vector);
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+const createLocalEmbedder = () => ({
+    name: 'local',
+    label: 'Local',
+    model: `local-hash-${DIMENSIONS}`,
+    batchSize: 256,
+    minScore: 0.15,
+
+    async embed(texts) {
+        return texts.map(embedText);
+    },
+});
+
+export default createLocalEmbedder;
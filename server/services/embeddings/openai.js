@@ -0,0 +1,40 @@
+// OpenAI-compatible embeddings adapter (OpenAI, Ollama, llama.cpp server, LM Studio, ...)
+
+const createOpenAIEmbedder = () => {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    const model = process.env.OPENAI_EMBEDDING_MODEL || 'nomic-embed-text';
+
+    return {
+        name: 'openai',
+        label: 'OpenAI-compatible',
+        model,
+        batchSize: 64,
+        minScore: 0.3,
+
+        async embed(texts) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (process.env.OPENAI_API_KEY) {
+                headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+            }
+
+            const response = await fetch(`${baseUrl}/embeddings`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ model, input: texts })
+            });
+
+            if (!response.ok) {
+                const body = await response.text();
+                const error = new Error(`${response.status} ${body || response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const data = await response.json();
+            // Results carry their input index and are not guaranteed to be in order
+            return [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+        },
+    };
+};
+
+export default createOpenAIEmbedder;
@@ -0,0 +1,212 @@
+import { Marked } from 'marked';
+import { getConversation } from './conversation.js';
+
+// Identifies exported files so they can be imported again
+const EXPORT_FORMAT = 'bit-brainic';
+const EXPORT_VERSION = 1;
+
+const ROLE_LABELS = { user: 'You', bot: 'BitBraniac' };
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Links and images may only point at web pages and email addresses (no javascript: or data: URLs)
+const isSafeUrl = (href) => /^(https?:|mailto:)/i.test(href || '');
+
+// Raw HTML inside messages is shown as text, never rendered. Unsafe links keep their text,
+// unsafe images their alt text; returning false uses the default renderer.
+const markdown = new Marked({
+    gfm: true,
+    renderer: {
+        html: ({ text }) => escapeHtml(text),
+        link(token) {
+            return isSafeUrl(token.href) ? false : this.parser.parseInline(token.tokens);
+        },
+        image({ href, text }) {
+            return isSafeUrl(href) ? false : escapeHtml(text);
+        }
+    }
+});
+
+const formatDate = (date) => new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+
+// Attached files are not exported, only listed by name
+const attachmentNames = (message) => (message.attachments || []).map(attachment => attachment.name);
+
+/**
+ * Serialize a chat with every message (all branches), as used by the JSON export
+ * @param {Object} chat - Chat document
+ * @param {Array} messages - Message documents, oldest first
+ * @returns {Object}
+ */
+const serializeChat = (chat, messages) => ({
+    title: chat.title,
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt,
+    activeLeafId: chat.activeLeafId,
+    folderId: chat.folderId ?? null,
+    tags: chat.tags || [],
+    pinned: Boolean(chat.pinned),
+    archived: Boolean(chat.archived),
+    summary: chat.summary?.content || '',
+    messages: messages.map(message => ({
+        id: message._id,
+        parentId: message.parentId ?? null,
+        role: message.role,
+        content: message.content,
+        attachments: message.attachments?.length
+            ? message.attachments.map(({ name, kind, mimeType, size }) => ({ name, kind, mimeType, size }))
+            : undefined,
+        timestamp: message.timestamp,
+        partial: message.partial || undefined,
+        variants: message.variants?.length
+            ? message.variants.map(({ content, createdAt }) => ({ content, createdAt }))
+            : undefined,
+        activeVariant: message.variants?.length ? message.activeVariant : undefined
+    }))
+});
+
+/**
+ * Render the active branch of a chat as Markdown. Message content is already
+ * Markdown, so code blocks are kept exactly as written.
+ * @param {Object} chat - Chat document
+ * @param {Array} path - Messages of the active branch
+ * @returns {string}
+ */
+const renderMarkdown = (chat, path) => {
+    const lines = [
+        `# ${chat.title}`,
+        '',
+        `_Created ${formatDate(chat.createdAt)} · Last updated ${formatDate(chat.updatedAt)}_`,
+        ''
+    ];
+
+    for (const message of path) {
+        lines.push('---', '', `### ${ROLE_LABELS[message.role]} · ${formatDate(message.timestamp)}`, '');
+        if (message.content) lines.push(message.content, '');
+        if (attachmentNames(message).length > 0) lines.push(`_Attachments: ${attachmentNames(message).join(', ')}_`, '');
+    }
+
+    return lines.join('\n');
+};
+
+const renderAttachments = (message) => attachmentNames(message).length > 0
+    ? `<p class="attachments">Attachments: ${attachmentNames(message).map(escapeHtml).join(', ')}</p>`
+    : '';
+
+/**
+ * Render the active branch of a chat as a standalone HTML page that prints cleanly to PDF
+ * @param {Object} chat - Chat document
+ * @param {Array} path - Messages of the active branch
+ * @returns {string}
+ */
+const renderHtml = (chat, path) => {
+    const messages = path.map(message => `
+    <section class="message ${message.role}">
+        <header><strong>${ROLE_LABELS[message.role]}</strong> <time datetime="${new Date(message.timestamp).toISOString()}">${formatDate(message.timestamp)}</time></header>
+        ${markdown.parse(message.content || '')}${renderAttachments(message)}
+    </section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(chat.title)}</title>
+    <style>
+        body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.6; }
+        h1 { margin-bottom: 0.25rem; }
+        .meta { color: #6b7280; font-size: 0.9rem; }
+        .message { border-top: 1px solid #e5e7eb; padding: 1rem 0; page-break-inside: avoid; }
+        .message header { color: #6b7280; font-size: 0.85rem; margin-bottom: 0.5rem; }
+        .message.user header strong { color: #2563eb; }
+        .message.bot header strong { color: #7c3aed; }
+        .attachments { color: #6b7280; font-size: 0.9rem; font-style: italic; }
+        pre { background: #f3f4f6; padding: 0.75rem; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; word-wrap: break-word; }
+        code { font-family: "Fira Code", Consolas, monospace; font-size: 0.9em; }
+        @media print { body { margin: 0; max-width: none; } pre { page-break-inside: avoid; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(chat.title)}</h1>
+    <p class="meta">Created ${formatDate(chat.createdAt)} · Last updated ${formatDate(chat.updatedAt)} · Exported from Bit Brainic</p>
+${messages}
+</body>
+</html>
+`;
+};
+
+/**
+ * Export a single chat
+ * @param {Object} chat - Chat document
+ * @param {string} format - 'md', 'json' or 'html'
+ * @returns {Promise<{ body: string, contentType: string, extension: string }>}
+ */
+const exportChat = async (chat, format) => {
+    const { messages, path } = await getConversation(chat);
+
+    if (format === 'md') {
+        return { body: renderMarkdown(chat, path), contentType: 'text/markdown; charset=utf-8', extension: 'md' };
+    }
+
+    if (format === 'html') {
+        return { body: renderHtml(chat, path), contentType: 'text/html; charset=utf-8', extension: 'html' };
+    }
+
+    const body = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date(),
+        chat: serializeChat(chat, messages)
+    };
+    return { body: JSON.stringify(body, null, 2), contentType: 'application/json; charset=utf-8', extension: 'json' };
+};
+
+/**
+ * Build a user's full data archive: profile, folders and every chat
+ * @param {Object} user - User document
+ * @param {Array} chats - The user's chat documents
+ * @param {Array} folders - The user's folder documents
+ * @returns {Promise<Object>}
+ */
+const exportAccount = async (user, chats, folders = []) => {
+    const exportedChats = [];
+    for (const chat of chats) {
+        const { messages } = await getConversation(chat);
+        exportedChats.push(serializeChat(chat, messages));
+    }
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date(),
+        profile: {
+            name: user.name,
+            email: user.email,
+            emailVerified: user.emailVerified,
+            role: user.role,
+            interests: user.interests,
+            persona: user.persona,
+            createdAt: user.createdAt
+        },
+        folders: folders.map(folder => ({ id: folder._id, name: folder.name, createdAt: folder.createdAt })),
+        chats: exportedChats
+    };
+};
+
+/**
+ * Make a string safe to use as a download file name
+ * @param {string} name - Name to clean up
+ * @returns {string}
+ */
+const toFileName = (name) => name
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 60)
+    .toLowerCase() || 'chat';
+
+export { exportChat, exportAccount, toFileName, EXPORT_FORMAT, EXPORT_VERSION };
@@ -1,75 +1,39 @@
-import { GoogleGenAI } from '@google/genai';
-
-// BitBraniac System Prompt
-const SYSTEM_PROMPT = `
-You are "BitBraniac" 🧠, an expert AI tutor designed to help users learn **Computer Science** in an interactive and engaging way.
-Your goal is to provide **clear explanations, real-world examples, and helpful coding snippets** to teach CS concepts effectively.
-
-# PERSONALITY TRAITS:
-- Friendly, slightly nerdy 🤓, and highly knowledgeable
-- Uses simple explanations first, then deeper insights if requested
-- Occasionally throws in **light humor or geeky references** (but stays professional)
-- Includes relevant emojis in responses to keep conversations fun 🎯
-- Encourages users to **ask follow-up questions** and explore topics further
-
-# RESPONSE FORMAT:
-- Match the user's preferred language (English only for now)
-- Use **Markdown formatting** for readability:
-  - Use **bold** for emphasis
-  - Use _italics_ for subtle emphasis
-  - Use bullet points for listing concepts
-  - Use numbered lists for step-by-step explanations
-- Include **code snippets** in a well-formatted manner when needed
-- Keep responses interactive and engaging
-
-# CONVERSATION APPROACH:
-- Greet users with a **fun, CS-related opening line** (e.g., "Hello, World! Ready to code?")
-- Ask follow-up questions to **assess their level of understanding**
-- Offer **real-world analogies** for complex topics
-- Suggest coding exercises or quizzes when appropriate
-- Keep conversations **engaging and informative**
-
-# DOMAIN RESTRICTIONS:
-- ONLY answer **Computer Science-related** topics, including:
-  ✅ Programming (Java, Python, C++, etc.)
-  ✅ Data Structures & Algorithms
-  ✅ Databases (SQL, NoSQL)
-  ✅ Operating Systems & Networking
-  ✅ Artificial Intelligence & Machine Learning Basics
-  ✅ Software Engineering & Best Practices
-- If asked about **non-CS topics** (politics, sports, general knowledge, etc.), politely redirect:
-  _"I'm all about Computer Science! Want to learn about algorithms instead?"_
-- If the question is **too broad or unclear**, ask for clarification before answering.
-
-# TEACHING STYLE:
-- Uses **step-by-step explanations** 🏗️
-- Encourages hands-on practice 💻
-- Explains with **real-world examples** 🌍
-- Uses humor and references when appropriate (e.g., _"Think of recursion like a mirror reflecting itself endlessly!"_)
-
-# EXTRA FEATURES:
-- Can **generate simple coding problems** 💡
-- Provides **debugging guidance** when users share code
-- Suggests **career advice for different CS fields**
-- Stays **patient and adaptive** to different learning speeds
-
-Never forget that your name is **BitBraniac** 🧠, and you must maintain this identity throughout the conversation.
-Always keep your responses **educational, engaging, and fun** while staying strictly within the **Computer Science domain**.
-`;
+import { getProvider, withRetry, selectModel } from './providers/index.js';
+import { loadAttachmentParts } from './attachments.js';
+import { retrieveSources, toCitations } from './retrieval.js';
+import { resolveProfile, buildDomainSection, DEFAULT_PROFILE } from './profiles.js';
+import { buildSettingsSection, containsFullSolution, withholdSolutions } from './tutoring.js';
+
+// One line per studied topic, e.g. "- Recursion: practicing (12 messages, quiz 7/10 correct, last studied 2026-10-18)"
+const formatProgress = (topic) => {
+    const details = [`${topic.messageCount} message${topic.messageCount === 1 ? '' : 's'}`];
+    if (topic.quizTotal > 0) details.push(`quiz ${topic.quizCorrect}/${topic.quizTotal} correct`);
+    details.push(`last studied ${new Date(topic.lastStudiedAt).toISOString().split('T')[0]}`);
+    return `- ${topic.label}: ${topic.level} (${details.join(', ')})`;
+};
 
 /**
- * Build personalized system prompt with user's persona and interests
+ * Build personalized system prompt from a tutor profile with the chat's level and mode and the user's
+ * persona, interests and learning progress
  * @param {Object} user - User object with persona and interests
+ * @param {Object} options - { profile: tutor profile (see services/profiles.js), settings: chat { level, mode }
+ *   (see services/tutoring.js), progress: topics the user has studied, most recent first }
  * @returns {string} - Personalized system prompt
  */
-const buildPersonalizedPrompt = (user) => {
-    let prompt = SYSTEM_PROMPT;
+const buildPersonalizedPrompt = (user, { profile = DEFAULT_PROFILE, settings, progress = [] } = {}) => {
+    let prompt = profile.systemPrompt + buildDomainSection(profile.domainRestrictions) + buildSettingsSection(settings);
 
     if (user?.interests?.length > 0) {
         prompt += `\n\n# USER'S INTERESTS:\nThis user is particularly interested in: ${user.interests.join(', ')}. ` +
             `When relevant, prioritize examples and explanations related to these topics.`;
     }
 
+    if (progress.length > 0) {
+        prompt += `\n\n# USER'S PROGRESS:\nTopics this user has already studied with you, most recent first:\n` +
+            progress.map(formatProgress).join('\n') +
+            `\nBuild on what they have covered instead of starting from scratch, and revisit topics with low quiz scores when relevant.`;
+    }
+
     if (user?.persona?.trim()) {
         prompt += `\n\n# USER'S CUSTOM INSTRUCTIONS:\n${user.persona}`;
     }
@@ -77,140 +41,369 @@ const buildPersonalizedPrompt = (user) => {
     return prompt;
 };
 
-// Maximum messages to keep in history (30 messages = 15 exchanges)
-const MAX_HISTORY_MESSAGES = 30;
-
-// Lazy initialization of the AI client
-let _ai = null;
+// One numbered passage from the chat's course material, e.g. "[1] Lecture 3.pdf, page 4 (Heaps)"
+const formatSource = (source) => {
+    const location = [source.documentName, source.page && `page ${source.page}`].filter(Boolean).join(', ');
+    return `[${source.index}] ${location}${source.heading ? ` (${source.heading})` : ''}\n${source.text}`;
+};
 
-const getAI = () => {
-    if (!_ai) {
-        if (!process.env.GEMINI_API_KEY) {
-            throw new Error('GEMINI_API_KEY environment variable is not set');
-        }
-        _ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-    }
-    return _ai;
+/**
+ * System prompt section with passages retrieved from the chat's course material
+ * @param {Array} sources - Sources from services/retrieval.js
+ * @returns {string} - Prompt section, '' when there are none
+ */
+const buildSourcesSection = (sources = []) => {
+    if (sources.length === 0) return '';
+    return `\n\n# COURSE MATERIAL:\nExcerpts from the student's course material that may be relevant to their question:\n\n` +
+        sources.map(formatSource).join('\n\n') +
+        `\n\nWhen these excerpts answer the question, base your answer on them, follow their terminology and notation, ` +
+        `and cite them by number, like [1] or [2]. If they do not cover the question, say so briefly and answer from general knowledge.`;
 };
 
+const SUMMARY_PROMPT = `
+You maintain a running summary of a tutoring conversation between a student and "BitBraniac", an AI Computer Science tutor.
+Update the summary with the new messages you are given. Keep:
+- What the student is learning, their goals and their current level
+- Facts the student shared about themselves (background, projects, preferences)
+- Concepts already explained, examples used and exercises given, with how the student did
+- Open questions or anything the tutor promised to come back to
+Write concise bullet points in the third person. Drop small talk. Stay under 300 words.
+Reply with the updated summary only.
+`;
+
+const TITLE_PROMPT = `
+Write a title for a tutoring chat that starts with the exchange below.
+Use 3 to 6 words that name the Computer Science topic, not the student's wording.
+Reply with the title only: no quotes, no emojis, no punctuation at the end.
+`;
+
 /**
- * Trim chat history to keep only the last N messages
+ * Estimate tokens for text when the provider does not report usage (~4 chars per token)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+/**
+ * Token budget for the conversation history sent with each request
+ * @returns {number}
+ */
+const getHistoryTokenBudget = () => parseInt(process.env.HISTORY_TOKEN_BUDGET) || 8000;
+
+/**
+ * Trim chat history to the most recent messages that fit in a token budget.
+ * The last message is always kept.
  * @param {Array} messages - Array of message objects
+ * @param {number} maxTokens - Token budget (defaults to HISTORY_TOKEN_BUDGET)
  * @returns {Array} - Trimmed array of messages
  */
-const trimChatHistory = (messages) => {
-    if (messages.length <= MAX_HISTORY_MESSAGES) {
-        return messages;
+const trimChatHistory = (messages, maxTokens = getHistoryTokenBudget()) => {
+    let tokens = 0;
+    let start = messages.length;
+
+    while (start > 0) {
+        tokens += estimateTokens(messages[start - 1].content);
+        if (tokens > maxTokens && start < messages.length) break;
+        start--;
     }
-    // Keep the most recent messages
-    return messages.slice(-MAX_HISTORY_MESSAGES);
+
+    return messages.slice(start);
 };
 
-/**
- * Convert database messages to Gemini chat format
- * @param {Array} messages - Array of messages from database
- * @returns {Array} - Array of Gemini message objects
- */
-const convertToGeminiHistory = (messages) => {
-    return messages.map(msg => ({
-        role: msg.role === 'user' ? 'user' : 'model',
-        parts: [{ text: msg.content }]
-    }));
+// Characters of each output stream shown to the model
+const CODE_OUTPUT_LIMIT = 4000;
+
+// Message content plus the real output of its code, for messages that were run in the sandbox
+const withCodeRun = (message) => {
+    const run = message.codeRun;
+    if (!run) return message.content;
+
+    const status = run.timedOut ? 'stopped after the time limit' : run.signal ? `killed (${run.signal})` : `exit code ${run.exitCode}`;
+    const lines = [message.content, '', '---', `The ${run.language} code above was run (${status}, ${run.durationMs} ms). Use this real output in your answer.`];
+    // Errors come last, so the end of stderr is kept
+    if (run.stdout) lines.push('stdout:', '```', run.stdout.slice(0, CODE_OUTPUT_LIMIT), '```');
+    if (run.stderr) lines.push('stderr:', '```', run.stderr.slice(-CODE_OUTPUT_LIMIT), '```');
+    if (!run.stdout && !run.stderr) lines.push('(no output)');
+    if (run.truncated) lines.push('(output was cut off at the size limit)');
+
+    return lines.join('\n');
+};
+
+// Message text as sent to the model, noting attached files that had to be left out
+const messageText = (message, files) => {
+    const text = withCodeRun(message);
+    const omitted = files.filter(file => file.omitted).map(file => file.name);
+    if (omitted.length === 0) return text;
+    return `${text}\n\n(Attached files not included in this request: ${omitted.join(', ')})`;
 };
 
 /**
- * Generate AI response using Google Generative AI (new SDK)
+ * Build a provider-neutral request from database messages. Attached files are
+ * loaded from storage and sent as { name, kind, mimeType, data } entries in the
+ * `attachments` of the request and of each history item.
  * @param {Array} messages - Array of message objects with role and content
  * @param {Object} user - User object with persona and interests (optional)
- * @param {number} retryCount - Current retry attempt
- * @returns {Promise<string>} - AI generated response
+ * @param {Object} options - { profile, settings, summary, progress, sources } (all optional)
+ * @returns {Promise<Object>} - { systemInstruction, history, message, attachments, maxOutputTokens, temperature }
  */
-const generateResponse = async (messages, user = null, retryCount = 0) => {
-    const MAX_RETRIES = 3;
-    const MODELS = ['gemini-2.5-flash', 'gemini-2.0-flash']; // Fallback models
+const buildRequest = async (messages, user, { profile = DEFAULT_PROFILE, settings, summary, progress, sources } = {}) => {
+    // Hard cap in case the history still does not fit (e.g. summarizing failed)
+    const trimmedMessages = trimChatHistory(messages);
 
-    try {
-        const ai = getAI();
+    if (trimmedMessages.length === 0) {
+        throw new Error('No messages to process');
+    }
 
-        // Trim history to last 30 messages
-        const trimmedMessages = trimChatHistory(messages);
+    // Get the last user message
+    const lastMessage = trimmedMessages[trimmedMessages.length - 1];
 
-        if (trimmedMessages.length === 0) {
-            throw new Error('No messages to process');
-        }
+    if (lastMessage.role !== 'user') {
+        throw new Error('Last message must be from user');
+    }
 
-        // Get the last user message
-        const lastMessage = trimmedMessages[trimmedMessages.length - 1];
+    let systemInstruction = buildPersonalizedPrompt(user, { profile, settings, progress });
+    if (summary) {
+        systemInstruction += `\n\n# CONVERSATION SO FAR:\nSummary of earlier messages in this chat:\n${summary}`;
+    }
+    systemInstruction += buildSourcesSection(sources);
+
+    const files = await loadAttachmentParts(trimmedMessages);
+    const included = (index) => files[index].filter(file => !file.omitted);
+
+    return {
+        systemInstruction,
+        // All messages except the last one become history
+        history: trimmedMessages.slice(0, -1).map((msg, index) => ({
+            role: msg.role,
+            content: messageText(msg, files[index]),
+            attachments: included(index)
+        })),
+        message: messageText(lastMessage, files[files.length - 1]),
+        attachments: included(files.length - 1),
+        maxOutputTokens: profile.maxOutputTokens,
+        temperature: profile.temperature,
+    };
+};
 
-        if (lastMessage.role !== 'user') {
-            throw new Error('Last message must be from user');
-        }
+// Provider models to try, starting with the one the profile prefers
+const modelsFor = (provider, profile) => profile.model
+    ? [profile.model, ...provider.models.filter(model => model !== profile.model)]
+    : provider.models;
+
+// Fallback usage for responses without provider token counts (e.g. aborted streams)
+const estimateUsage = (request, text) => {
+    const promptTokens = estimateTokens(request.systemInstruction) +
+        request.history.reduce((sum, msg) => sum + estimateTokens(msg.content), 0) +
+        estimateTokens(request.message);
+    const completionTokens = estimateTokens(text);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+};
+
+// Combined token usage of two requests
+const addUsage = (a, b) => ({
+    promptTokens: a.promptTokens + b.promptTokens,
+    completionTokens: a.completionTokens + b.completionTokens,
+    totalTokens: a.totalTokens + b.totalTokens,
+    ...(a.estimated || b.estimated ? { estimated: true } : {})
+});
+
+const HINT_REMINDER = `\n\n# HINT MODE CHECK:\nYour previous reply to this message was rejected because it gave away a full solution. ` +
+    `Reply again with hints and guiding questions only, and keep any code to a few lines that do not solve the problem.`;
 
-        // Convert all messages to Gemini history format, excluding the last one
-        const history = convertToGeminiHistory(trimmedMessages.slice(0, -1));
+// Hint mode post-check: a reply with a full solution is rejected and asked for again with a
+// reminder. If the new reply still has one, its solution code is withheld.
+const enforceHintMode = async (generate, request, reply) => {
+    if (!containsFullSolution(reply.text)) return reply;
 
-        // Select model based on retry count
-        const modelIndex = Math.min(Math.floor(retryCount / 2), MODELS.length - 1);
-        const selectedModel = MODELS[modelIndex];
+    console.warn('Hint mode reply contained a full solution, asking again');
+    const retry = await generate({ ...request, systemInstruction: request.systemInstruction + HINT_REMINDER });
+    const usage = addUsage(reply.usage, retry.usage);
 
-        console.log(`Sending message to Gemini (${selectedModel}) with`, history.length, 'messages in history');
+    if (!containsFullSolution(retry.text)) return { text: retry.text, usage };
+
+    console.warn('Hint mode reply still contained a full solution, withholding it');
+    return { text: withholdSolutions(retry.text), usage };
+};
 
-        // Build personalized system prompt
-        const personalizedPrompt = buildPersonalizedPrompt(user);
+/**
+ * Generate AI response using the configured provider and the chat's tutor profile. With collectionIds,
+ * the most relevant passages of those collections are added to the prompt and returned as citations.
+ * In hint mode, replies that give away a full solution are rejected (see enforceHintMode).
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} user - User object with persona and interests (optional)
+ * @param {Object} options - { summary, progress, collectionIds, profileId, settings: chat { level, mode } }
+ * @returns {Promise<{ text: string, usage: Object, citations: Array }>} - AI generated response, token usage and sources used
+ */
+const generateResponse = async (messages, user = null, { summary, progress, collectionIds, profileId, settings } = {}) => {
+    const provider = getProvider();
+    const profile = await resolveProfile(profileId);
+    const sources = await retrieveSources(messages, collectionIds);
+    const request = await buildRequest(messages, user, { profile, settings, summary, progress, sources });
+    const models = modelsFor(provider, profile);
+
+    const generate = async (providerRequest) => {
+        const result = await withRetry(async (attempt) => {
+            const model = selectModel(models, attempt);
+            console.log(`Sending message to ${provider.label} (${model}) with`, providerRequest.history.length, 'messages in history');
+            return provider.generate({ ...providerRequest, model });
+        }, { label: provider.label });
+
+        return { text: result.text, usage: result.usage || estimateUsage(providerRequest, result.text) };
+    };
+
+    let reply = await generate(request);
+    if (settings?.mode === 'hint') reply = await enforceHintMode(generate, request, reply);
+
+    return { ...reply, citations: toCitations(reply.text, sources) };
+};
 
-        // Create a chat session with history using new SDK
-        const chat = ai.chats.create({
-            model: selectedModel,
-            history: history,
-            config: {
-                systemInstruction: personalizedPrompt,
-                maxOutputTokens: 8192,
-                temperature: 0.8,
-            },
-        });
+/**
+ * Generate AI response as a stream of text chunks.
+ * Retries only happen before the first chunk has been delivered.
+ * Hint-mode replies must pass the solution check before anything is sent, so they arrive as one chunk.
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} user - User object with persona and interests (optional)
+ * @param {Object} options - { onChunk(text), signal, summary, progress, collectionIds, profileId, settings }
+ * @returns {Promise<{ text: string, aborted: boolean, usage: Object, citations: Array }>} - Full text received so far
+ */
+const generateResponseStream = async (messages, user = null, { onChunk, signal, summary, progress, collectionIds, profileId, settings } = {}) => {
+    if (settings?.mode === 'hint') {
+        const result = await generateResponse(messages, user, { summary, progress, collectionIds, profileId, settings });
+        onChunk?.(result.text);
+        return { ...result, aborted: false };
+    }
 
-        // Send the last user message
-        const response = await chat.sendMessage({
-            message: lastMessage.content
-        });
+    const provider = getProvider();
+    const profile = await resolveProfile(profileId);
+    const sources = await retrieveSources(messages, collectionIds);
+    const request = await buildRequest(messages, user, { profile, settings, summary, progress, sources });
+    const models = modelsFor(provider, profile);
+    let text = '';
+    let usage = null;
 
-        return response.text;
+    try {
+        await withRetry(async (attempt) => {
+            const model = selectModel(models, attempt);
+            console.log(`Streaming message from ${provider.label} (${model}) with`, request.history.length, 'messages in history');
+
+            for await (const chunk of provider.stream({ ...request, model, signal })) {
+                if (signal?.aborted) break;
+                if (chunk.usage) usage = chunk.usage;
+                if (!chunk.text) continue;
+                text += chunk.text;
+                onChunk?.(chunk.text);
+            }
+        }, { label: provider.label, signal, shouldRetry: () => !text });
+
+        return {
+            text,
+            aborted: Boolean(signal?.aborted),
+            usage: usage || estimateUsage(request, text),
+            citations: toCitations(text, sources)
+        };
     } catch (error) {
-        console.error('Gemini API Error:', error.message);
-
-        // Check for retryable errors (503, 429, overloaded)
-        const errorStatus = error.status || error.statusCode;
-        const errorMessage = typeof error.message === 'string' ? error.message : JSON.stringify(error.message);
-
-        const isRetryable = errorStatus === 503 || errorStatus === 429 ||
-            errorMessage?.includes('503') ||
-            errorMessage?.includes('429') ||
-            errorMessage?.includes('overloaded') ||
-            errorMessage?.includes('UNAVAILABLE') ||
-            errorMessage?.includes('rate limit');
-
-        if (isRetryable && retryCount < MAX_RETRIES) {
-            const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff: 1s, 2s, 4s
-            console.log(`Model overloaded, retrying in ${delay}ms... (attempt ${retryCount + 1}/${MAX_RETRIES})`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return generateResponse(messages, user, retryCount + 1);
+        // Client went away - keep whatever we already have
+        if (signal?.aborted) {
+            return { text, aborted: true, usage: estimateUsage(request, text), citations: toCitations(text, sources) };
         }
 
-        // Provide more specific error messages
-        if (error.message?.includes('API key') || error.message?.includes('API_KEY')) {
-            throw new Error('Invalid or missing Gemini API key. Please check your configuration.');
-        } else if (error.message?.includes('quota')) {
-            throw new Error('API quota exceeded. Please try again later.');
-        } else if (error.message?.includes('safety') || error.message?.includes('SAFETY')) {
-            throw new Error('Response blocked due to safety settings. Please rephrase your question.');
-        } else if (error.message?.includes('not found') || error.message?.includes('404')) {
-            throw new Error('Model not found. Please check the model name configuration.');
-        } else if (error.status === 503 || error.message?.includes('overloaded')) {
-            throw new Error('AI service is currently busy. Please try again in a moment.');
-        }
+        error.partialText = text;
+        error.usage = text ? estimateUsage(request, text) : null;
+        error.citations = text ? toCitations(text, sources) : [];
+        throw error;
+    }
+};
+
+/**
+ * Run a one-off request for a background task (summaries, titles)
+ * @param {Object} request - Provider-neutral request
+ * @param {string} task - Description for the log
+ * @returns {Promise<{ text: string, usage: Object }>}
+ */
+const runTask = async (request, task) => {
+    const provider = getProvider();
+
+    const result = await withRetry(async (attempt) => {
+        const model = selectModel(provider.models, attempt);
+        console.log(`${task} with ${provider.label} (${model})`);
+        return provider.generate({ ...request, model });
+    }, { label: provider.label });
+
+    return {
+        text: result.text.trim(),
+        usage: result.usage || estimateUsage(request, result.text)
+    };
+};
+
+/**
+ * Fold older messages into the running summary of a conversation
+ * @param {string} previousSummary - Current summary ('' if none)
+ * @param {Array} messages - Messages not covered by the summary yet, oldest first
+ * @returns {Promise<{ text: string, usage: Object }>} - Updated summary and token usage
+ */
+const generateSummary = async (previousSummary, messages) => {
+    const transcript = messages
+        .map(msg => `${msg.role === 'user' ? 'Student' : 'Tutor'}: ${msg.content}`)
+        .join('\n\n');
+
+    return runTask({
+        systemInstruction: SUMMARY_PROMPT,
+        history: [],
+        message: `Current summary:\n${previousSummary || '(none yet)'}\n\nNew messages:\n${transcript}`,
+        maxOutputTokens: 1024,
+        temperature: 0.2,
+    }, `Summarizing ${messages.length} messages`);
+};
 
-        throw new Error(`Failed to generate response: ${error.message}`);
+/**
+ * Suggest a short topic title for a chat from its first exchange
+ * @param {string} question - First user message
+ * @param {string} answer - First bot reply
+ * @returns {Promise<{ text: string, usage: Object }>} - Raw title text and token usage
+ */
+const generateTitle = async (question, answer) => runTask({
+    systemInstruction: TITLE_PROMPT,
+    history: [],
+    // The start of each message is enough to tell the topic
+    message: `Student: ${question.slice(0, 2000)}\n\nTutor: ${answer.slice(0, 2000)}`,
+    maxOutputTokens: 32,
+    temperature: 0.3,
+}, 'Generating chat title');
+
+/**
+ * Ask for a JSON reply matching a schema (structured output) and parse it
+ * @param {Object} options - { systemInstruction, message, schema, maxOutputTokens, temperature }
+ * @param {string} task - Description for the log
+ * @returns {Promise<{ data: Object, usage: Object }>}
+ */
+const generateStructured = async ({ systemInstruction, message, schema, maxOutputTokens = 4096, temperature = 0.4 }, task) => {
+    const { text, usage } = await runTask({
+        systemInstruction,
+        history: [],
+        message,
+        responseSchema: schema,
+        maxOutputTokens,
+        temperature,
+    }, task);
+
+    try {
+        // Some models still wrap JSON in a Markdown code fence
+        return { data: JSON.parse(text.replace(/^```(?:json)?\s*|\s*```$/g, '')), usage };
+    } catch {
+        const error = new Error('The AI returned an invalid response. Please try again.');
+        error.usage = usage;
+        throw error;
     }
 };
 
-export { generateResponse, trimChatHistory, MAX_HISTORY_MESSAGES };
+export {
+    generateResponse,
+    generateResponseStream,
+    generateSummary,
+    generateTitle,
+    generateStructured,
+    buildPersonalizedPrompt,
+    trimChatHistory,
+    estimateTokens,
+    getHistoryTokenBudget
+};
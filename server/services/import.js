@@ -0,0 +1,339 @@
+import mongoose from 'mongoose';
+import Chat, { normalizeTags, MAX_TAGS } from '../models/Chat.js';
+import Message from '../models/Message.js';
+import { EXPORT_FORMAT } from './export.js';
+
+// Role names used by other assistants, mapped onto Message.role
+const ROLE_ALIASES = {
+    user: 'user',
+    human: 'user',
+    bot: 'bot',
+    assistant: 'bot',
+    model: 'bot',
+    ai: 'bot'
+};
+
+const MESSAGE_ROLES = Message.schema.path('role').enumValues;
+const TITLE_MAX_LENGTH = Chat.schema.path('title').options.maxlength[0];
+
+/**
+ * Most chats a user may own; imports stop once it is reached
+ * @returns {number}
+ */
+const getMaxChatsPerUser = () => parseInt(process.env.MAX_CHATS_PER_USER) || 500;
+
+// Most messages imported from a single conversation
+const MAX_MESSAGES_PER_CHAT = 2000;
+
+// Accept Date, ISO strings, and Unix timestamps in seconds or milliseconds
+const parseDate = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = typeof value === 'number'
+        ? new Date(value < 1e12 ? value * 1000 : value)
+        : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const textOf = (content) => {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .map(part => (typeof part === 'string' ? part : part?.text || ''))
+            .filter(Boolean)
+            .join('\n\n');
+    }
+    return '';
+};
+
+// Each parser turns one conversation into
+// { title, createdAt, updatedAt, activeKey, messages: [{ key, parentKey, role, content, timestamp }] }.
+// parentKey undefined means "the previous message".
+
+const parseOwnChat = (chat) => ({
+    title: chat.title,
+    tags: chat.tags,
+    pinned: chat.pinned,
+    archived: chat.archived,
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt,
+    activeKey: chat.activeLeafId ? String(chat.activeLeafId) : null,
+    // Hand-edited files may leave out ids; fall back to the position like parseGenericConversation
+    messages: (chat.messages || []).map((message, index) => ({
+        key: message.id ? String(message.id) : `#${index}`,
+        parentKey: message.parentId === undefined ? undefined : message.parentId && String(message.parentId),
+        role: message.role,
+        content: message.content,
+        timestamp: message.timestamp,
+        partial: message.partial,
+        variants: message.variants,
+        activeVariant: message.activeVariant
+    }))
+});
+
+// Walk a ChatGPT mapping from its roots so parents always come before their children
+const orderNodes = (mapping) => {
+    const ordered = [];
+    const seen = new Set();
+    const stack = Object.values(mapping)
+        .filter(node => !node.parent || !mapping[node.parent])
+        .reverse();
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (!node || seen.has(node.id)) continue;
+        seen.add(node.id);
+        ordered.push(node);
+        stack.push(...(node.children || []).map(id => mapping[id]).reverse());
+    }
+
+    return ordered;
+};
+
+// ChatGPT conversations.json: a tree of nodes in `mapping`, current_node is the shown branch
+const parseChatGPTConversation = (conversation) => ({
+    title: conversation.title,
+    createdAt: conversation.create_time,
+    updatedAt: conversation.update_time,
+    activeKey: conversation.current_node || null,
+    messages: orderNodes(conversation.mapping)
+        .map(node => ({
+            key: node.id,
+            parentKey: node.parent || null,
+            role: node.message?.author?.role,
+            content: textOf(node.message?.content?.parts),
+            timestamp: node.message?.create_time,
+            // Empty root/system nodes are dropped silently, not reported
+            hidden: !node.message || node.message.author?.role === 'system' || node.message.metadata?.is_visually_hidden_from_conversation
+        }))
+});
+
+// Claude conversations.json: a flat list of chat_messages
+const parseClaudeConversation = (conversation) => ({
+    title: conversation.name,
+    createdAt: conversation.created_at,
+    updatedAt: conversation.updated_at,
+    activeKey: null,
+    messages: conversation.chat_messages.map(message => ({
+        key: message.uuid,
+        role: message.sender,
+        content: message.text || textOf(message.content),
+        timestamp: message.created_at
+    }))
+});
+
+// Anything shaped like { title, messages: [{ role, content, timestamp }] }
+const parseGenericConversation = (conversation) => ({
+    title: conversation.title || conversation.name,
+    createdAt: conversation.createdAt || conversation.created_at,
+    updatedAt: conversation.updatedAt || conversation.updated_at,
+    activeKey: null,
+    messages: conversation.messages.map((message, index) => ({
+        key: String(index),
+        role: message.role || message.sender || message.author,
+        content: textOf(message.content ?? message.text),
+        timestamp: message.timestamp || message.createdAt || message.created_at
+    }))
+});
+
+/**
+ * Split an uploaded file into conversations and pick a parser for each
+ * @param {*} data - Parsed JSON body
+ * @returns {{ source: string, conversations: Array }|null} - null if the format is unknown
+ */
+const detectFormat = (data) => {
+    if (data?.format === EXPORT_FORMAT) {
+        const chats = data.chat ? [data.chat] : data.chats;
+        if (!Array.isArray(chats)) return null;
+        return { source: EXPORT_FORMAT, conversations: chats.map(chat => ({ raw: chat, parse: parseOwnChat })) };
+    }
+
+    const items = Array.isArray(data) ? data : Array.isArray(data?.conversations) ? data.conversations : [data];
+
+    const conversations = items.map(item => {
+        if (item?.mapping && typeof item.mapping === 'object') return { raw: item, parse: parseChatGPTConversation, source: 'chatgpt' };
+        if (Array.isArray(item?.chat_messages)) return { raw: item, parse: parseClaudeConversation, source: 'claude' };
+        if (Array.isArray(item?.messages)) return { raw: item, parse: parseGenericConversation, source: 'generic' };
+        return { raw: item, parse: null };
+    });
+
+    if (!conversations.some(conversation => conversation.parse)) return null;
+
+    const sources = [...new Set(conversations.filter(c => c.parse).map(c => c.source))];
+    return { source: sources.join(', '), conversations };
+};
+
+/**
+ * Validate a parsed conversation and build the documents to insert.
+ * Timestamps are kept; missing ones fall back to the previous message.
+ * @param {Object} parsed - Result of one of the parsers
+ * @param {string} userId - Owner of the new chat
+ * @returns {{ chat: Object, messages: Array, skipped: Array }}
+ */
+const buildDocuments = (parsed, userId) => {
+    const chatId = new mongoose.Types.ObjectId();
+    const createdAt = parseDate(parsed.createdAt) || parseDate(parsed.messages[0]?.timestamp) || new Date();
+
+    const idsByKey = new Map();
+    const skippedKeys = new Map();
+    const skipped = [];
+    const messages = [];
+    let previous = null;
+    let lastTimestamp = createdAt;
+
+    // Skipped messages are bridged over: children attach to the nearest kept ancestor
+    const resolve = (key) => {
+        const seen = new Set();
+        while (key && skippedKeys.has(key) && !seen.has(key)) {
+            seen.add(key);
+            key = skippedKeys.get(key);
+        }
+        return key ? idsByKey.get(key) ?? null : null;
+    };
+
+    for (const [index, message] of parsed.messages.entries()) {
+        const parentKey = message.parentKey === undefined ? previous?.key : message.parentKey;
+
+        const role = ROLE_ALIASES[String(message.role).toLowerCase()];
+        const content = typeof message.content === 'string' ? message.content.trim() : '';
+
+        let reason = null;
+        if (message.hidden) reason = 'hidden';
+        else if (!MESSAGE_ROLES.includes(role)) reason = `Unsupported role "${message.role}"`;
+        else if (!content) reason = 'Empty message';
+        else if (messages.length >= MAX_MESSAGES_PER_CHAT) reason = `More than ${MAX_MESSAGES_PER_CHAT} messages`;
+
+        if (reason) {
+            skippedKeys.set(message.key, parentKey);
+            if (reason !== 'hidden') skipped.push({ index, reason });
+            continue;
+        }
+
+        const timestamp = parseDate(message.timestamp) || lastTimestamp;
+        lastTimestamp = timestamp;
+
+        const doc = {
+            _id: new mongoose.Types.ObjectId(),
+            chatId,
+            parentId: resolve(parentKey),
+            role,
+            content,
+            partial: Boolean(message.partial),
+            timestamp
+        };
+
+        // Variants only exist in our own export and only on bot replies
+        if (role === 'bot' && Array.isArray(message.variants) && message.variants.length > 1) {
+            const variants = message.variants
+                .filter(variant => typeof variant?.content === 'string' && variant.content.trim())
+                .map(variant => ({ content: variant.content, createdAt: parseDate(variant.createdAt) || timestamp }));
+
+            // Fewer than two usable variants: keep a plain reply
+            if (variants.length > 1) {
+                doc.variants = variants;
+                doc.activeVariant = Math.min(Math.max(parseInt(message.activeVariant) || 0, 0), variants.length - 1);
+                doc.content = variants[doc.activeVariant].content;
+            }
+        }
+
+        idsByKey.set(message.key, doc._id);
+        messages.push(doc);
+        previous = message;
+    }
+
+    const activeLeafId = parsed.activeKey ? resolve(parsed.activeKey) : null;
+
+    const title = (typeof parsed.title === 'string' && parsed.title.trim()) || 'Imported Chat';
+
+    return {
+        chat: {
+            _id: chatId,
+            userId,
+            title: title.slice(0, TITLE_MAX_LENGTH),
+            tags: Array.isArray(parsed.tags) ? normalizeTags(parsed.tags).slice(0, MAX_TAGS) : [],
+            pinned: parsed.pinned === true,
+            archived: parsed.archived === true,
+            activeLeafId: activeLeafId || messages[messages.length - 1]?._id || null,
+            createdAt,
+            updatedAt: parseDate(parsed.updatedAt) || lastTimestamp
+        },
+        messages,
+        skipped
+    };
+};
+
+/**
+ * Import conversations for a user from our own export or another assistant's
+ * @param {string} userId - Owner of the imported chats
+ * @param {*} data - Parsed JSON body
+ * @returns {Promise<Object|null>} - Import report, or null if the format is unknown
+ */
+const importChats = async (userId, data) => {
+    const detected = detectFormat(data);
+    if (!detected) return null;
+
+    const maxChats = getMaxChatsPerUser();
+    let available = maxChats - await Chat.countDocuments({ userId });
+
+    const report = { source: detected.source, imported: [], skipped: [] };
+
+    for (const [index, conversation] of detected.conversations.entries()) {
+        const title = conversation.raw?.title || conversation.raw?.name || null;
+
+        if (!conversation.parse) {
+            report.skipped.push({ index, title, reason: 'Unrecognized conversation format' });
+            continue;
+        }
+
+        if (available <= 0) {
+            report.skipped.push({ index, title, reason: `Chat limit of ${maxChats} reached` });
+            continue;
+        }
+
+        let documents;
+        try {
+            documents = buildDocuments(conversation.parse(conversation.raw), userId);
+        } catch {
+            report.skipped.push({ index, title, reason: 'Invalid conversation data' });
+            continue;
+        }
+        const { chat, messages, skipped } = documents;
+
+        if (messages.length === 0) {
+            report.skipped.push({ index, title, reason: 'No importable messages' });
+            continue;
+        }
+
+        // insertMany skips the save hook, which would overwrite updatedAt
+        await Chat.insertMany([chat]);
+        try {
+            await Message.insertMany(messages);
+        } catch (error) {
+            // Do not leave an empty chat behind
+            console.error(`Failed to import conversation ${index}:`, error.message);
+            await Message.deleteMany({ chatId: chat._id });
+            await Chat.deleteOne({ _id: chat._id });
+            report.skipped.push({ index, title, reason: 'Messages could not be saved' });
+            continue;
+        }
+        available--;
+
+        report.imported.push({
+            index,
+            chatId: chat._id,
+            title: chat.title,
+            messages: messages.length,
+            skippedMessages: skipped
+        });
+    }
+
+    report.totals = {
+        chats: report.imported.length,
+        messages: report.imported.reduce((sum, chat) => sum + chat.messages, 0),
+        skippedChats: report.skipped.length,
+        skippedMessages: report.imported.reduce((sum, chat) => sum + chat.skippedMessages.length, 0)
+    };
+
+    return report;
+};
+
+export { importChats, getMaxChatsPerUser };
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import TutorProfile from '../models/TutorProfile.js';
+import TutorProfileVersion from '../models/TutorProfileVersion.js';
+import { DOMAINS } from '../config/constants.js';
+
+// How each domain is described to the model
+const DOMAIN_DESCRIPTIONS = {
+    programming: 'Programming (Java, Python, C++, etc.)',
+    dsa: 'Data Structures & Algorithms',
+    databases: 'Databases (SQL, NoSQL)',
+    systems: 'Operating Systems & Networking',
+    ai: 'Artificial Intelligence & Machine Learning Basics',
+    engineering: 'Software Engineering & Best Practices'
+};
+
+// BitBraniac, used until an admin marks one of the stored profiles as the default
+const DEFAULT_PROFILE = {
+    _id: null,
+    name: 'BitBraniac',
+    description: 'Friendly, slightly nerdy Computer Science tutor',
+    systemPrompt: `
+You are "BitBraniac" 🧠, an expert AI tutor designed to help users learn **Computer Science** in an interactive and engaging way.
+Your goal is to provide **clear explanations, real-world examples, and helpful coding snippets** to teach CS concepts effectively.
+
+# PERSONALITY TRAITS:
+- Friendly, slightly nerdy 🤓, and highly knowledgeable
+- Uses simple explanations first, then deeper insights if requested
+- Occasionally throws in **light humor or geeky references** (but stays professional)
+- Includes relevant emojis in responses to keep conversations fun 🎯
+- Encourages users to **ask follow-up questions** and explore topics further
+
+# RESPONSE FORMAT:
+- Match the user's preferred language (English only for now)
+- Use **Markdown formatting** for readability:
+  - Use **bold** for emphasis
+  - Use _italics_ for subtle emphasis
+  - Use bullet points for listing concepts
+  - Use numbered lists for step-by-step explanations
+- Include **code snippets** in a well-formatted manner when needed
+- Keep responses interactive and engaging
+
+# CONVERSATION APPROACH:
+- Greet users with a **fun, CS-related opening line** (e.g., "Hello, World! Ready to code?")
+- Ask follow-up questions to **assess their level of understanding**
+- Offer **real-world analogies** for complex topics
+- Suggest coding exercises or quizzes when appropriate
+- Keep conversations **engaging and informative**
+
+# TEACHING STYLE:
+- Uses **step-by-step explanations** 🏗️
+- Encourages hands-on practice 💻
+- Explains with **real-world examples** 🌍
+- Uses humor and references when appropriate (e.g., _"Think of recursion like a mirror reflecting itself endlessly!"_)
+
+# EXTRA FEATURES:
+- Can **generate simple coding problems** 💡
+- Provides **debugging guidance** when users share code
+- Suggests **career advice for different CS fields**
+- Stays **patient and adaptive** to different learning speeds
+
+Never forget that your name is **BitBraniac** 🧠, and you must maintain this identity throughout the conversation.
+Always keep your responses **educational, engaging, and fun** while staying strictly within the **Computer Science domain**.
+`.trim(),
+    temperature: 0.8,
+    maxOutputTokens: 8192,
+    model: '',
+    domainRestrictions: {
+        domains: Object.keys(DOMAINS),
+        redirectMessage: 'I\'m all about Computer Science! Want to learn about algorithms instead?'
+    },
+    isDefault: true,
+    builtIn: true
+};
+
+/**
+ * System prompt section limiting the tutor to the profile's domains
+ * @param {Object} restrictions - { domains, redirectMessage }
+ * @returns {string} - Prompt section, '' when the profile has no restrictions
+ */
+const buildDomainSection = (restrictions) => {
+    if (!restrictions?.domains?.length) return '';
+    return `\n\n# DOMAIN RESTRICTIONS:\n- ONLY answer questions about these topics:\n` +
+        restrictions.domains.map(domain => `  ✅ ${DOMAIN_DESCRIPTIONS[domain] || DOMAINS[domain]}`).join('\n') +
+        `\n- If asked about **anything else** (politics, sports, general knowledge, etc.), politely redirect:\n` +
+        `  _"${restrictions.redirectMessage || DEFAULT_PROFILE.domainRestrictions.redirectMessage}"_\n` +
+        `- If the question is **too broad or unclear**, ask for clarification before answering.`;
+};
+
+/**
+ * Find the profile a chat uses: its own, else the default profile, else the built-in BitBraniac.
+ * A profile that was deleted falls back the same way.
+ * @param {string} profileId - Chat's profileId (optional)
+ * @returns {Promise<Object>} - Plain profile object
+ */
+const resolveProfile = async (profileId) => {
+    const profile = (profileId && await TutorProfile.findById(profileId).lean()) ||
+        await TutorProfile.findOne({ isDefault: true }).lean();
+    return profile || DEFAULT_PROFILE;
+};
+
+/**
+ * Check that a profile can be selected for a chat
+ * @param {string|null} profileId - Requested profile (null for the default)
+ * @returns {Promise<{ profileId: string|null }|{ error: string }>}
+ */
+const findSelectableProfile = async (profileId) => {
+    if (profileId === null) return { profileId: null };
+
+    const profile = mongoose.isValidObjectId(profileId) && await TutorProfile.exists({ _id: profileId });
+    if (!profile) return { error: 'Tutor profile not found' };
+
+    return { profileId: profile._id };
+};
+
+/**
+ * Store the profile's current settings as its latest version
+ * @param {Object} profile - Saved TutorProfile document
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} - The TutorProfileVersion
+ */
+const recordVersion = (profile, { user, note = '' } = {}) => TutorProfileVersion.create({
+    profileId: profile._id,
+    version: profile.version,
+    settings: profile.toSnapshot(),
+    editedBy: user?._id || null,
+    note
+});
+
+/**
+ * Make a profile the default for chats without one by clearing the previous default.
+ * Call it once the profile is saved with isDefault set, so a failed save changes nothing.
+ * @param {Object} profile - TutorProfile document
+ */
+const makeDefault = async (profile) => {
+    await TutorProfile.updateMany({ _id: { $ne: profile._id }, isDefault: true }, { isDefault: false });
+};
+
+export { resolveProfile, findSelectableProfile, recordVersion, makeDefault, buildDomainSection, DEFAULT_PROFILE };
@@ -0,0 +1,211 @@
+import TopicProgress from '../models/TopicProgress.js';
+import Usage from '../models/Usage.js';
+import { classifyTopics, getTopic, TOPICS } from './topics.js';
+import { DOMAINS } from '../config/constants.js';
+import { todayKey } from './usage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Topics included in the tutor's system prompt
+const PROMPT_TOPIC_LIMIT = 10;
+
+// Days of activity looked at when computing the overall streak
+const STREAK_HISTORY_DAYS = 1000;
+
+// Whole days between two YYYY-MM-DD keys
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// A streak only counts as current if the last study day was today or yesterday
+const activeStreak = (streak, lastDay, today = todayKey()) => (daysBetween(lastDay, today) <= 1 ? streak : 0);
+
+/**
+ * Topics of a user turn. Follow-ups that name no topic ("can you show an
+ * example?") inherit the topics of the previous user message.
+ * @param {string} content - Message content
+ * @param {Array} path - Earlier messages of the branch, oldest first
+ * @returns {Array<string>} - Topic keys
+ */
+const classifyTurn = (content, path = []) => {
+    const topics = classifyTopics(content);
+    if (topics.length > 0) return topics;
+    return path.findLast(message => message.role === 'user')?.topics || [];
+};
+
+/**
+ * Add study activity to a user's topic records, updating streaks
+ * @param {string} userId - User ID
+ * @param {Map<string, Object>} activity - Topic key => { messages, correct, total }
+ * @param {Date} date - When the studying happened
+ */
+const recordActivity = async (userId, activity, date = new Date()) => {
+    const today = todayKey(date);
+
+    for (const [key, { messages = 0, correct = 0, total = 0 }] of activity) {
+        const topic = getTopic(key);
+        if (!topic) continue;
+
+        const existing = await TopicProgress.findOne({ userId, topic: key }).select('streak lastStudiedAt');
+        let streak = 1;
+        if (existing) {
+            const gap = daysBetween(todayKey(existing.lastStudiedAt), today);
+            if (gap === 0) streak = existing.streak;
+            else if (gap === 1) streak = existing.streak + 1;
+        }
+
+        await TopicProgress.updateOne(
+            { userId, topic: key },
+            {
+                $inc: { messageCount: messages, quizCorrect: correct, quizTotal: total },
+                $set: { domain: topic.domain, streak, lastStudiedAt: date },
+                $max: { longestStreak: streak },
+                $setOnInsert: { firstStudiedAt: date }
+            },
+            { upsert: true }
+        );
+    }
+};
+
+/**
+ * Count a user message towards its topics. Never throws.
+ * @param {string} userId - User ID
+ * @param {Array<string>} topics - Topic keys of the message (see classifyTurn)
+ */
+const recordChatActivity = async (userId, topics = []) => {
+    try {
+        await recordActivity(userId, new Map(topics.map(topic => [topic, { messages: 1 }])));
+    } catch (error) {
+        console.error('Failed to update learning progress:', error.message);
+    }
+};
+
+/**
+ * Add graded quiz answers to the user's topic records. Each question counts
+ * towards the taxonomy topic that best matches it. Never throws.
+ * @param {string} userId - User ID
+ * @param {Object} quiz - Quiz document
+ * @param {Array} results - Graded results, one per question ({ correct })
+ */
+const recordQuizResults = async (userId, quiz, results) => {
+    try {
+        const fallback = classifyTopics(quiz.topic)[0];
+        const activity = new Map();
+
+        for (const [index, question] of quiz.questions.entries()) {
+            const key = classifyTopics(`${question.topic}\n${question.prompt}`)[0] || fallback;
+            if (!key) continue;
+
+            const entry = activity.get(key) || { correct: 0, total: 0 };
+            entry.total++;
+            if (results[index]?.correct) entry.correct++;
+            activity.set(key, entry);
+        }
+
+        await recordActivity(userId, activity);
+    } catch (error) {
+        console.error('Failed to update learning progress:', error.message);
+    }
+};
+
+/**
+ * Current and longest run of consecutive days with tutoring activity
+ * (chat messages or quizzes), from the daily usage records
+ * @param {string} userId - User ID
+ * @returns {Promise<{ current: number, longest: number, lastStudiedOn: string|null }>}
+ */
+const getStudyStreak = async (userId) => {
+    const records = await Usage.find({ userId, messages: { $gt: 0 } })
+        .select('date')
+        .sort({ date: -1 })
+        .limit(STREAK_HISTORY_DAYS);
+    const days = records.map(record => record.date);
+
+    // Days are newest first, so a run continues while each day is the one before the previous
+    const continuesRun = (index) => index > 0 && index < days.length && daysBetween(days[index], days[index - 1]) === 1;
+
+    let current = days.length > 0 ? 1 : 0;
+    while (continuesRun(current)) current++;
+
+    let longest = 0;
+    let run = 0;
+    for (const index of days.keys()) {
+        run = continuesRun(index) ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    return {
+        current: days.length > 0 ? activeStreak(current, days[0]) : 0,
+        longest,
+        lastStudiedOn: days[0] || null
+    };
+};
+
+/**
+ * Full learning progress report: overall streak, per-domain totals and per-topic records
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>}
+ */
+const getProgress = async (userId) => {
+    const records = await TopicProgress.find({ userId }).sort({ lastStudiedAt: -1 });
+    const today = todayKey();
+
+    const topics = records.map(record => ({
+        topic: record.topic,
+        label: getTopic(record.topic)?.label || record.topic,
+        domain: record.domain,
+        messageCount: record.messageCount,
+        quizCorrect: record.quizCorrect,
+        quizTotal: record.quizTotal,
+        mastery: record.mastery,
+        level: record.level,
+        streak: activeStreak(record.streak, todayKey(record.lastStudiedAt), today),
+        longestStreak: record.longestStreak,
+        firstStudiedAt: record.firstStudiedAt,
+        lastStudiedAt: record.lastStudiedAt
+    }));
+
+    const domains = Object.entries(DOMAINS).map(([domain, label]) => {
+        const studied = topics.filter(topic => topic.domain === domain);
+        return {
+            domain,
+            label,
+            topicsStudied: studied.length,
+            topicsTotal: TOPICS.filter(topic => topic.domain === domain).length,
+            messageCount: studied.reduce((sum, topic) => sum + topic.messageCount, 0),
+            lastStudiedAt: studied[0]?.lastStudiedAt || null
+        };
+    });
+
+    return {
+        streak: await getStudyStreak(userId),
+        domains,
+        topics
+    };
+};
+
+/**
+ * Most recently studied topics, for the tutor's system prompt. Returns [] on failure
+ * so a progress problem never blocks a reply.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - { label, level, messageCount, quizCorrect, quizTotal, lastStudiedAt }
+ */
+const getProgressForPrompt = async (userId) => {
+    try {
+        const records = await TopicProgress.find({ userId })
+            .sort({ lastStudiedAt: -1 })
+            .limit(PROMPT_TOPIC_LIMIT);
+
+        return records.map(record => ({
+            label: getTopic(record.topic)?.label || record.topic,
+            level: record.level,
+            messageCount: record.messageCount,
+            quizCorrect: record.quizCorrect,
+            quizTotal: record.quizTotal,
+            lastStudiedAt: record.lastStudiedAt
+        }));
+    } catch (error) {
+        console.error('Failed to load learning progress:', error.message);
+        return [];
+    }
+};
+
+export { classifyTurn, recordChatActivity, recordQuizResults, getProgress, getProgressForPrompt };
@@ -0,0 +1,113 @@
+import { GoogleGenAI } from '@google/genai';
+
+// Gemini adapter for the provider interface
+
+/**
+ * Convert message text and attached files to Gemini parts. Files are sent as
+ * inline data, each preceded by its name so the model can refer to it.
+ * @param {string} text - Message text
+ * @param {Array} attachments - Array of { name, mimeType, data (base64) }
+ * @returns {Array} - Array of Gemini parts
+ */
+const toParts = (text, attachments = []) => [
+    ...(text ? [{ text }] : []),
+    ...attachments.flatMap(file => [
+        { text: `Attached file: ${file.name}` },
+        { inlineData: { mimeType: file.mimeType, data: file.data } }
+    ])
+];
+
+/**
+ * Convert provider-neutral history to Gemini chat format
+ * @param {Array} history - Array of { role, content, attachments }
+ * @returns {Array} - Array of Gemini message objects
+ */
+const convertToGeminiHistory = (history) => {
+    return history.map(msg => ({
+        role: msg.role === 'user' ? 'user' : 'model',
+        parts: toParts(msg.content, msg.attachments)
+    }));
+};
+
+// The message to send: plain text, or parts when files are attached
+const toMessage = (request) => (request.attachments?.length ? toParts(request.message, request.attachments) : request.message);
+
+/**
+ * Convert Gemini usage metadata to provider-neutral token counts
+ * @param {Object} usageMetadata - usageMetadata from a Gemini response
+ * @returns {Object|null} - { promptTokens, completionTokens, totalTokens }
+ */
+const toUsage = (usageMetadata) => {
+    if (!usageMetadata) return null;
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const completionTokens = usageMetadata.candidatesTokenCount || 0;
+    return {
+        promptTokens,
+        completionTokens,
+        totalTokens: usageMetadata.totalTokenCount || promptTokens + completionTokens
+    };
+};
+
+const createGeminiProvider = () => {
+    // Lazy initialization of the AI client
+    let ai = null;
+
+    const getAI = () => {
+        if (!ai) {
+            if (!process.env.GEMINI_API_KEY) {
+                throw new Error('GEMINI_API_KEY environment variable is not set');
+            }
+            ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+        }
+        return ai;
+    };
+
+    const createChat = (request) => {
+        return getAI().chats.create({
+            model: request.model,
+            history: convertToGeminiHistory(request.history),
+            config: {
+                systemInstruction: request.systemInstruction,
+                maxOutputTokens: request.maxOutputTokens,
+                temperature: request.temperature,
+                abortSignal: request.signal,
+                // Structured output: reply with JSON matching the schema
+                ...(request.responseSchema && {
+                    responseMimeType: 'application/json',
+                    responseJsonSchema: request.responseSchema,
+                }),
+            },
+        });
+    };
+
+    return {
+        name: 'gemini',
+        label: 'Gemini',
+        models: (process.env.GEMINI_MODELS || 'gemini-2.5-flash,gemini-2.0-flash')
+            .split(',')
+            .map(m => m.trim())
+            .filter(Boolean),
+
+        async generate(request) {
+            const response = await createChat(request).sendMessage({
+                message: toMessage(request)
+            });
+            return { text: response.text, usage: toUsage(response.usageMetadata) };
+        },
+
+        async *stream(request) {
+            const stream = await createChat(request).sendMessageStream({
+                message: toMessage(request)
+            });
+            let usage = null;
+            for await (const chunk of stream) {
+                if (chunk.text) yield { text: chunk.text };
+                // Every chunk carries the running totals, the last one wins
+                usage = toUsage(chunk.usageMetadata) || usage;
+            }
+            if (usage) yield { usage };
+        },
+    };
+};
+
+export default createGeminiProvider;
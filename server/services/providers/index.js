@@ -0,0 +1,38 @@
+import createGeminiProvider from './gemini.js';
+import createOpenAIProvider from './openai.js';
+import createMockProvider from './mock.js';
+
+// Available AI providers, selected through AI_PROVIDER
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider,
+};
+
+let _provider = null;
+
+/**
+ * Get the configured AI provider (lazily created and cached)
+ * @returns {Object} - Provider with name, label, models, generate() and stream()
+ */
+const getProvider = () => {
+    if (!_provider) {
+        const name = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+        const factory = PROVIDERS[name];
+
+        if (!factory) {
+            throw new Error(`Unknown AI_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+
+        _provider = factory();
+    }
+    return _provider;
+};
+
+// Drop the cached provider so the next call re-reads the environment
+const resetProvider = () => {
+    _provider = null;
+};
+
+export { getProvider, resetProvider, PROVIDERS };
+export { withRetry, isRetryableError, toFriendlyError, selectModel } from './retry.js';
@@ -0,0 +1,107 @@
+// Deterministic offline provider for tests, CI and local development.
+// Echoes the last user message unless replies have been scripted, either
+// through MOCK_AI_REPLIES (JSON array) or provider.script([...]).
+// A scripted reply may be a string or { error, status } to simulate failures.
+// Requests with a responseSchema get a placeholder JSON document instead of an echo.
+
+const parseEnvReplies = () => {
+    if (!process.env.MOCK_AI_REPLIES) return [];
+    try {
+        const replies = JSON.parse(process.env.MOCK_AI_REPLIES);
+        return Array.isArray(replies) ? replies : [replies];
+    } catch {
+        return [process.env.MOCK_AI_REPLIES];
+    }
+};
+
+// Rough token estimate (~4 characters per token) so usage accounting can be tested
+const estimateUsage = (request, text) => {
+    const promptChars = (request.systemInstruction || '').length +
+        request.history.reduce((sum, msg) => sum + msg.content.length, 0) +
+        request.message.length;
+    const promptTokens = Math.ceil(promptChars / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+};
+
+// Smallest JSON value matching a JSON schema (one item per array)
+const sampleFromSchema = (schema = {}) => {
+    if (schema.enum) return schema.enum[0];
+    switch (schema.type) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .map(([key, value]) => [key, sampleFromSchema(value)]));
+        case 'array':
+            return [sampleFromSchema(schema.items)];
+        case 'integer':
+        case 'number':
+            return 0;
+        case 'boolean':
+            return false;
+        default:
+            return 'mock';
+    }
+};
+
+const createMockProvider = () => {
+    let queue = parseEnvReplies();
+    const calls = [];
+
+    const nextReply = (request) => {
+        calls.push(request);
+
+        const fallback = request.responseSchema
+            ? JSON.stringify(sampleFromSchema(request.responseSchema))
+            : `Echo: ${request.message}`;
+        const reply = queue.length > 0 ? queue.shift() : fallback;
+
+        if (reply && typeof reply === 'object' && reply.error) {
+            const error = new Error(reply.error);
+            error.status = reply.status;
+            throw error;
+        }
+
+        return String(reply);
+    };
+
+    return {
+        name: 'mock',
+        label: 'Mock',
+        models: ['mock'],
+
+        async generate(request) {
+            const text = nextReply(request);
+            return { text, usage: estimateUsage(request, text) };
+        },
+
+        async *stream(request) {
+            const text = nextReply(request);
+            // Emit word by word so clients see several deltas
+            for (const piece of text.match(/\S+\s*/g) || [text]) {
+                if (request.signal?.aborted) return;
+                yield { text: piece };
+            }
+            yield { usage: estimateUsage(request, text) };
+        },
+
+        /**
+         * Queue replies to return, in order, before falling back to echo
+         * @param {Array} replies - Strings or { error, status }
+         */
+        script(replies) {
+            queue.push(...replies);
+        },
+
+        // Requests received so far (most recent last)
+        get calls() {
+            return calls;
+        },
+
+        reset() {
+            queue = parseEnvReplies();
+            calls.length = 0;
+        },
+    };
+};
+
+export default createMockProvider;
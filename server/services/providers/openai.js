@@ -0,0 +1,149 @@
+// OpenAI-compatible adapter (OpenAI, Ollama, llama.cpp server, LM Studio, ...)
+
+/**
+ * Convert message text and attached files to OpenAI content. Images are sent as
+ * data URLs and text files inline; PDFs cannot be sent to chat completions, so
+ * the model is only told they exist.
+ * @param {string} text - Message text
+ * @param {Array} attachments - Array of { name, kind, mimeType, data (base64) }
+ * @returns {string|Array} - Plain text, or content parts when files are attached
+ */
+const toContent = (text, attachments = []) => {
+    if (attachments.length === 0) return text;
+
+    const parts = text ? [{ type: 'text', text }] : [];
+    for (const file of attachments) {
+        if (file.kind === 'image') {
+            parts.push({ type: 'image_url', image_url: { url: `data:${file.mimeType};base64,${file.data}` } });
+        } else if (file.kind === 'text') {
+            const contents = Buffer.from(file.data, 'base64').toString('utf8');
+            parts.push({ type: 'text', text: `Attached file ${file.name}:\n\`\`\`\n${contents}\n\`\`\`` });
+        } else {
+            parts.push({ type: 'text', text: `(Attached file ${file.name} could not be read by this model)` });
+        }
+    }
+    return parts;
+};
+
+/**
+ * Convert provider-neutral request to OpenAI chat messages
+ * @param {Object} request - Provider request
+ * @returns {Array} - Array of { role, content }
+ */
+const toOpenAIMessages = (request) => {
+    const messages = [];
+
+    if (request.systemInstruction) {
+        messages.push({ role: 'system', content: request.systemInstruction });
+    }
+
+    for (const msg of request.history) {
+        messages.push({
+            role: msg.role === 'user' ? 'user' : 'assistant',
+            content: toContent(msg.content, msg.attachments)
+        });
+    }
+
+    messages.push({ role: 'user', content: toContent(request.message, request.attachments) });
+
+    return messages;
+};
+
+/**
+ * Convert OpenAI usage to provider-neutral token counts
+ * @param {Object} usage - usage from an OpenAI response
+ * @returns {Object|null} - { promptTokens, completionTokens, totalTokens }
+ */
+const toUsage = (usage) => {
+    if (!usage) return null;
+    return {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    };
+};
+
+const createOpenAIProvider = () => {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+
+    const post = async (request, stream) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.OPENAI_API_KEY) {
+            headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+        }
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            signal: request.signal,
+            body: JSON.stringify({
+                model: request.model,
+                messages: toOpenAIMessages(request),
+                max_tokens: request.maxOutputTokens,
+                temperature: request.temperature,
+                stream,
+                // Structured output: reply with JSON matching the schema
+                ...(request.responseSchema && {
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { name: 'response', schema: request.responseSchema }
+                    }
+                }),
+                // Ask for token counts in the final stream chunk
+                ...(stream && { stream_options: { include_usage: true } })
+            })
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            const error = new Error(`${response.status} ${body || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response;
+    };
+
+    return {
+        name: 'openai',
+        label: 'OpenAI-compatible',
+        models: (process.env.OPENAI_MODEL || 'llama3.1')
+            .split(',')
+            .map(m => m.trim())
+            .filter(Boolean),
+
+        async generate(request) {
+            const response = await post(request, false);
+            const data = await response.json();
+            return { text: data.choices?.[0]?.message?.content || '', usage: toUsage(data.usage) };
+        },
+
+        async *stream(request) {
+            const response = await post(request, true);
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            // Parse the server-sent "data: {...}" lines
+            for await (const bytes of response.body) {
+                buffer += decoder.decode(bytes, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const trimmed = line.trim();
+                    if (!trimmed.startsWith('data:')) continue;
+
+                    const payload = trimmed.slice(5).trim();
+                    if (payload === '[DONE]') return;
+
+                    const data = JSON.parse(payload);
+                    const delta = data.choices?.[0]?.delta?.content;
+                    if (delta) yield { text: delta };
+                    if (data.usage) yield { usage: toUsage(data.usage) };
+                }
+            }
+        },
+    };
+};
+
+export default createOpenAIProvider;
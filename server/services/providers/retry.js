@@ -0,0 +1,85 @@
+// Shared retry and error mapping used by every AI provider adapter
+
+const MAX_RETRIES = 3;
+
+/**
+ * Check whether a provider error is worth retrying (503, 429, overloaded)
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean}
+ */
+const isRetryableError = (error) => {
+    const errorStatus = error.status || error.statusCode;
+    const errorMessage = typeof error.message === 'string' ? error.message : JSON.stringify(error.message);
+
+    return errorStatus === 503 || errorStatus === 429 ||
+        errorMessage?.includes('503') ||
+        errorMessage?.includes('429') ||
+        errorMessage?.includes('overloaded') ||
+        errorMessage?.includes('UNAVAILABLE') ||
+        errorMessage?.includes('rate limit');
+};
+
+/**
+ * Map a provider error to a user-friendly error
+ * @param {Error} error - Error thrown by the provider
+ * @param {string} label - Provider display name used in messages
+ * @returns {Error}
+ */
+const toFriendlyError = (error, label = 'AI') => {
+    if (error.message?.includes('API key') || error.message?.includes('API_KEY')) {
+        return new Error(`Invalid or missing ${label} API key. Please check your configuration.`);
+    } else if (error.message?.includes('quota')) {
+        return new Error('API quota exceeded. Please try again later.');
+    } else if (error.message?.includes('safety') || error.message?.includes('SAFETY')) {
+        return new Error('Response blocked due to safety settings. Please rephrase your question.');
+    } else if (error.message?.includes('not found') || error.message?.includes('404')) {
+        return new Error('Model not found. Please check the model name configuration.');
+    } else if (error.status === 503 || error.message?.includes('overloaded')) {
+        return new Error('AI service is currently busy. Please try again in a moment.');
+    }
+
+    return new Error(`Failed to generate response: ${error.message}`);
+};
+
+/**
+ * Pick the model for an attempt, falling back every two retries
+ * @param {Array<string>} models - Preferred model first
+ * @param {number} attempt - Current retry attempt
+ * @returns {string}
+ */
+const selectModel = (models, attempt) => {
+    const modelIndex = Math.min(Math.floor(attempt / 2), models.length - 1);
+    return models[modelIndex];
+};
+
+/**
+ * Run a provider call with exponential backoff on retryable errors
+ * @param {Function} operation - Receives the attempt number, returns a promise
+ * @param {Object} options - { label, shouldRetry(error), signal }
+ * @returns {Promise<*>} - Result of the operation
+ */
+const withRetry = async (operation, { label = 'AI', shouldRetry = () => true, signal } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            // Cancelled by the caller - nothing to map or retry
+            if (signal?.aborted) throw error;
+
+            console.error(`${label} API Error:`, error.message);
+
+            if (isRetryableError(error) && shouldRetry(error) && attempt < MAX_RETRIES) {
+                const delay = Math.pow(2, attempt) * 1000; // Exponential backoff: 1s, 2s, 4s
+                console.log(`Model overloaded, retrying in ${delay}ms... (attempt ${attempt + 1}/${MAX_RETRIES})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+
+            const friendlyError = toFriendlyError(error, label);
+            friendlyError.cause = error;
+            throw friendlyError;
+        }
+    }
+};
+
+export { withRetry, isRetryableError, toFriendlyError, selectModel, MAX_RETRIES };
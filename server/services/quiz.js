@@ -0,0 +1,276 @@
+import { generateStructured } from './gemini.js';
+import { getConversation } from './conversation.js';
+import { recordUsage } from './usage.js';
+
+// Most questions in a single quiz
+const MAX_QUESTIONS = 20;
+
+// Characters of chat transcript sent when generating a quiz from a chat
+const MAX_SOURCE_LENGTH = 12000;
+
+const QUIZ_PROMPT = `You write practice quizzes for students.
+
+# RULES
+- Write exactly the requested number of questions, of the requested type and difficulty.
+- Each question tests one idea. Set "topic" to that idea in 1-4 words (e.g. "Recursion", "Big-O notation"), reusing the same wording for related questions.
+- Multiple choice: 4 options, exactly one correct. "correctOption" is its zero-based index and "answer" is its text. Avoid "all of the above".
+- Short answer: the answer fits in one sentence or expression. Put it in "answer" and set "options" to [] and "correctOption" to -1.
+- "explanation" says in 1-3 sentences why the answer is correct.
+- Use Markdown for code and math. Never reveal answers in the question text.`;
+
+const GRADING_PROMPT = `You grade a student's short answers against the expected answers.
+
+# RULES
+- Mark an answer correct if it means the same as the expected answer, even if worded differently or with minor typos.
+- Mark blank, vague or partly wrong answers incorrect.
+- "feedback" speaks to the student in 1-2 sentences: for wrong answers, say what is wrong or missing.
+- Return one result per answer, with the same "index" as the input.`;
+
+const QUIZ_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string' },
+        questions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: ['multiple_choice', 'short_answer'] },
+                    topic: { type: 'string' },
+                    prompt: { type: 'string' },
+                    options: { type: 'array', items: { type: 'string' } },
+                    correctOption: { type: 'integer' },
+                    answer: { type: 'string' },
+                    explanation: { type: 'string' }
+                },
+                required: ['type', 'topic', 'prompt', 'options', 'correctOption', 'answer', 'explanation']
+            }
+        }
+    },
+    required: ['title', 'questions']
+};
+
+const GRADING_SCHEMA = {
+    type: 'object',
+    properties: {
+        results: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    index: { type: 'integer' },
+                    correct: { type: 'boolean' },
+                    feedback: { type: 'string' }
+                },
+                required: ['index', 'correct', 'feedback']
+            }
+        }
+    },
+    required: ['results']
+};
+
+const TYPE_INSTRUCTIONS = {
+    multiple_choice: 'all multiple choice',
+    short_answer: 'all short answer',
+    mixed: 'a mix of multiple choice and short answer'
+};
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Lowercase, no punctuation or extra spaces, for comparing short answers
+const normalizeAnswer = (value) => String(value ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s.-]/gu, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\.$/, '')
+    .trim();
+
+/**
+ * Check and tidy up questions returned by the model. Multiple choice questions
+ * without enough options become short answer; unusable questions are dropped.
+ * @param {Array} questions - Raw questions from the model
+ * @param {string} fallbackTopic - Topic for questions that have none
+ * @returns {Array}
+ */
+const normalizeQuestions = (questions, fallbackTopic) => {
+    if (!Array.isArray(questions)) return [];
+
+    return questions.flatMap(question => {
+        const prompt = cleanText(question?.prompt);
+        let answer = cleanText(question?.answer);
+        const options = Array.isArray(question?.options)
+            ? question.options.map(cleanText).filter(Boolean)
+            : [];
+        if (!prompt) return [];
+
+        const normalized = {
+            topic: cleanText(question.topic) || fallbackTopic,
+            prompt,
+            explanation: cleanText(question.explanation)
+        };
+
+        if (question.type === 'multiple_choice' && options.length >= 2) {
+            let correctOption = Number.isInteger(question.correctOption) ? question.correctOption : -1;
+            // Trust the answer text over the index when they disagree
+            const byAnswer = options.findIndex(option => normalizeAnswer(option) === normalizeAnswer(answer));
+            if (byAnswer !== -1) correctOption = byAnswer;
+            if (correctOption < 0 || correctOption >= options.length) return [];
+
+            return [{ ...normalized, type: 'multiple_choice', options, correctOption, answer: options[correctOption] }];
+        }
+
+        if (!answer && Number.isInteger(question.correctOption)) answer = options[question.correctOption] || '';
+        if (!answer) return [];
+
+        return [{ ...normalized, type: 'short_answer', answer }];
+    });
+};
+
+// Transcript of a chat's active branch, most recent part if it is too long
+const buildChatSource = async (chat) => {
+    const { path } = await getConversation(chat);
+    const transcript = path
+        .map(message => `${message.role === 'user' ? 'Student' : 'Tutor'}: ${message.content}`)
+        .join('\n\n');
+    return transcript.slice(-MAX_SOURCE_LENGTH);
+};
+
+/**
+ * Generate quiz questions about a topic or the contents of a chat
+ * @param {Object} options - { topic, chat, count, type, difficulty }
+ * @returns {Promise<{ title: string, topic: string, questions: Array, usage: Object }>}
+ */
+const generateQuiz = async ({ topic, chat, count, type, difficulty }) => {
+    const lines = [
+        `Write ${count} ${difficulty} questions, ${TYPE_INSTRUCTIONS[type]}.`
+    ];
+    if (topic) lines.push(`Topic: ${topic}`);
+    if (chat) {
+        lines.push('', 'Base the questions on what was covered in this tutoring conversation:', '', await buildChatSource(chat));
+    }
+
+    const { data, usage } = await generateStructured({
+        systemInstruction: QUIZ_PROMPT,
+        message: lines.join('\n'),
+        schema: QUIZ_SCHEMA,
+        maxOutputTokens: 1024 + count * 400,
+        temperature: 0.7
+    }, 'Generating quiz');
+
+    const fallbackTopic = topic || chat?.title || 'General';
+    const questions = normalizeQuestions(data?.questions, fallbackTopic)
+        .filter(question => type === 'mixed' || question.type === type)
+        .slice(0, count);
+
+    if (questions.length === 0) {
+        const error = new Error('The AI returned an invalid response. Please try again.');
+        error.usage = usage;
+        throw error;
+    }
+
+    return {
+        title: cleanText(data.title) || `Quiz: ${fallbackTopic}`,
+        topic: fallbackTopic,
+        questions,
+        usage
+    };
+};
+
+/**
+ * Grade short answers that do not match the expected answer exactly.
+ * On failure the answers are left ungraded (null).
+ * @param {Array} items - { index, question, answer }
+ * @param {string} userId - Usage is recorded for this user
+ * @returns {Promise<Map<number, { correct: boolean, feedback: string }>>}
+ */
+const gradeShortAnswers = async (items, userId) => {
+    const graded = new Map();
+    if (items.length === 0) return graded;
+
+    const message = items.map(({ index, question, answer }) => [
+        `## Answer ${index}`,
+        `Question: ${question.prompt}`,
+        `Expected answer: ${question.answer}`,
+        `Student answer: ${answer}`
+    ].join('\n')).join('\n\n');
+
+    try {
+        const { data, usage } = await generateStructured({
+            systemInstruction: GRADING_PROMPT,
+            message,
+            schema: GRADING_SCHEMA,
+            maxOutputTokens: 256 + items.length * 150,
+            temperature: 0
+        }, 'Grading quiz answers');
+        await recordUsage(userId, usage, { countMessage: false });
+
+        for (const result of Array.isArray(data?.results) ? data.results : []) {
+            if (items.some(item => item.index === result?.index) && typeof result.correct === 'boolean') {
+                graded.set(result.index, { correct: result.correct, feedback: cleanText(result.feedback) });
+            }
+        }
+    } catch (error) {
+        if (error.usage) await recordUsage(userId, error.usage, { countMessage: false });
+        console.error('Failed to grade quiz answers:', error.message);
+    }
+
+    return graded;
+};
+
+/**
+ * Grade a submission. Multiple choice is checked by option index; short answers
+ * by exact match first, then by the model. Wrong answers get the explanation.
+ * @param {Object} quiz - Quiz document
+ * @param {Array} answers - One answer per question (option index or text), null if skipped
+ * @param {string} userId - Usage is recorded for this user
+ * @returns {Promise<{ results: Array, score: number, total: number, topicScores: Array }>}
+ */
+const gradeQuiz = async (quiz, answers, userId) => {
+    const results = quiz.questions.map((question, index) => {
+        const answer = answers[index] ?? null;
+
+        if (question.type === 'multiple_choice') {
+            const choice = Number.isInteger(answer) ? answer : null;
+            return { answer: choice, correct: choice === question.correctOption };
+        }
+
+        const text = typeof answer === 'string' ? answer.trim() : '';
+        if (!text) return { answer: null, correct: false };
+        return { answer: text, correct: normalizeAnswer(text) === normalizeAnswer(question.answer) ? true : null };
+    });
+
+    const pending = results
+        .map((result, index) => ({ index, question: quiz.questions[index], answer: result.answer }))
+        .filter(({ index }) => results[index].correct === null);
+    const graded = await gradeShortAnswers(pending, userId);
+
+    for (const [index, result] of results.entries()) {
+        const question = quiz.questions[index];
+        const aiResult = graded.get(index);
+        if (result.correct === null) result.correct = aiResult?.correct ?? false;
+
+        if (result.correct) {
+            result.feedback = aiResult?.feedback || '';
+        } else {
+            const correctAnswer = `The correct answer is: ${question.answer}.`;
+            result.feedback = [aiResult?.feedback, correctAnswer, question.explanation].filter(Boolean).join(' ');
+        }
+    }
+
+    const topics = new Map();
+    for (const [index, question] of quiz.questions.entries()) {
+        const entry = topics.get(question.topic) || { topic: question.topic, correct: 0, total: 0 };
+        entry.total++;
+        if (results[index].correct) entry.correct++;
+        topics.set(question.topic, entry);
+    }
+
+    return {
+        results,
+        score: results.filter(result => result.correct).length,
+        total: results.length,
+        topicScores: [...topics.values()]
+    };
+};
+
+export { generateQuiz, gradeQuiz, normalizeQuestions, normalizeAnswer, MAX_QUESTIONS };
@@ -0,0 +1,88 @@
+import RateLimit from '../models/RateLimit.js';
+
+// Stores count hits per key in fixed windows.
+// increment(key, windowMs) resolves to { count, resetAt }.
+
+const createMemoryStore = () => {
+    const buckets = new Map();
+
+    // Drop finished windows so the map does not grow forever
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (bucket.resetAt <= now) buckets.delete(key);
+        }
+    }, 60 * 1000);
+    sweep.unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let bucket = buckets.get(key);
+
+            if (!bucket || bucket.resetAt <= now) {
+                bucket = { count: 0, resetAt: now + windowMs };
+                buckets.set(key, bucket);
+            }
+
+            bucket.count += 1;
+            return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+        },
+
+        async reset(key) {
+            if (key) buckets.delete(key);
+            else buckets.clear();
+        },
+    };
+};
+
+const createMongoStore = () => ({
+    name: 'mongo',
+
+    async increment(key, windowMs) {
+        const now = new Date();
+
+        // Start a new window if the old one is over, otherwise count the hit (atomic)
+        const bucket = await RateLimit.findOneAndUpdate(
+            { key },
+            [{
+                $set: {
+                    count: {
+                        $cond: [{ $gt: [{ $ifNull: ['$resetAt', now] }, now] }, { $add: ['$count', 1] }, 1]
+                    },
+                    resetAt: {
+                        $cond: [
+                            { $gt: [{ $ifNull: ['$resetAt', now] }, now] },
+                            '$resetAt',
+                            new Date(now.getTime() + windowMs)
+                        ]
+                    }
+                }
+            }],
+            { upsert: true, new: true }
+        );
+
+        return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+
+    async reset(key) {
+        await RateLimit.deleteMany(key ? { key } : {});
+    },
+});
+
+let _store = null;
+
+/**
+ * Get the configured rate limit store (RATE_LIMIT_STORE=memory|mongo)
+ * @returns {Object} - Store with increment() and reset()
+ */
+const getRateLimitStore = () => {
+    if (!_store) {
+        _store = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+    }
+    return _store;
+};
+
+export { getRateLimitStore, createMemoryStore, createMongoStore };
@@ -0,0 +1,144 @@
+import Chunk from '../models/Chunk.js';
+import Collection from '../models/Collection.js';
+import CollectionDocument from '../models/CollectionDocument.js';
+import { embedTexts, getEmbedder } from './embeddings/index.js';
+
+// Most chunks compared per search. Vectors are scored in memory, which is
+// plenty for course material; beyond this, use a vector index instead.
+const MAX_SEARCH_CHUNKS = 20000;
+
+// Characters of a passage kept in a citation
+const EXCERPT_LENGTH = 300;
+
+// User messages shorter than this many words are searched together with the previous one,
+// so "can you explain that again?" still finds the right notes
+const FOLLOW_UP_WORDS = 6;
+
+/**
+ * Retrieval settings, overridable from the environment
+ * @returns {{ topK: number, minScore: number }}
+ */
+const getRetrievalSettings = () => {
+    const minScore = parseFloat(process.env.RAG_MIN_SCORE);
+    return {
+        // Passages added to each answer
+        topK: parseInt(process.env.RAG_TOP_K) || 4,
+        // Lowest cosine similarity for a passage to count as relevant. Scores are not
+        // comparable between models, so each embedder has its own default.
+        minScore: Number.isNaN(minScore) ? getEmbedder().minScore : minScore
+    };
+};
+
+const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Find the passages of the given collections that best match a query
+ * @param {Array} collectionIds - Collections to search
+ * @param {string} query - Search text
+ * @param {Object} options - { k, minScore } (default from getRetrievalSettings)
+ * @returns {Promise<Array>} - Sources numbered from 1: { index, chunkId, collectionId, collectionName,
+ *   documentId, documentName, page, heading, text, score }
+ */
+const searchCollections = async (collectionIds, query, options = {}) => {
+    const { topK, minScore } = { ...getRetrievalSettings(), ...options };
+    if (!collectionIds?.length || !query?.trim()) return [];
+
+    const { model, vectors: [queryVector] } = await embedTexts([query], 'query');
+
+    // Chunks embedded with another model cannot be compared; those collections need reindexing
+    const candidates = await Chunk.find({ collectionId: { $in: collectionIds }, embeddingModel: model })
+        .select('embedding')
+        .limit(MAX_SEARCH_CHUNKS)
+        .lean();
+
+    const best = candidates
+        .map(candidate => ({ _id: candidate._id, score: cosineSimilarity(queryVector, candidate.embedding) }))
+        .filter(candidate => candidate.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, options.k || topK);
+
+    if (best.length === 0) return [];
+
+    const chunks = await Chunk.find({ _id: { $in: best.map(b => b._id) } }).select('-embedding').lean();
+    const documents = await CollectionDocument.find({ _id: { $in: chunks.map(c => c.documentId) } }).select('name').lean();
+    const collections = await Collection.find({ _id: { $in: chunks.map(c => c.collectionId) } }).select('name').lean();
+    const nameOf = (list, id) => list.find(item => item._id.equals(id))?.name || '';
+
+    return best.map(({ _id, score }, position) => {
+        const chunk = chunks.find(c => c._id.equals(_id));
+        return {
+            index: position + 1,
+            chunkId: chunk._id,
+            collectionId: chunk.collectionId,
+            collectionName: nameOf(collections, chunk.collectionId),
+            documentId: chunk.documentId,
+            documentName: nameOf(documents, chunk.documentId),
+            page: chunk.page ?? null,
+            heading: chunk.heading ?? null,
+            text: chunk.text,
+            score: Math.round(score * 1000) / 1000
+        };
+    });
+};
+
+// Search text for a turn: the last user message, plus the one before it for short follow-ups
+const buildQuery = (messages) => {
+    const userMessages = messages.filter(message => message.role === 'user' && message.content);
+    const last = userMessages[userMessages.length - 1]?.content || '';
+    const previous = userMessages[userMessages.length - 2]?.content;
+
+    const isFollowUp = last.split(/\s+/).filter(Boolean).length < FOLLOW_UP_WORDS;
+    return (isFollowUp && previous ? `${previous}\n${last}` : last).slice(0, 2000);
+};
+
+/**
+ * Passages from a chat's collections that are relevant to the latest user message.
+ * Returns [] on failure so retrieval problems never block a reply.
+ * @param {Array} messages - Conversation, oldest first, ending with the user turn
+ * @param {Array} collectionIds - Collections attached to the chat
+ * @returns {Promise<Array>} - Sources (see searchCollections)
+ */
+const retrieveSources = async (messages, collectionIds = []) => {
+    if (collectionIds.length === 0) return [];
+    try {
+        return await searchCollections(collectionIds, buildQuery(messages));
+    } catch (error) {
+        console.error('Failed to search course material:', error.message);
+        return [];
+    }
+};
+
+/**
+ * Citations for a reply: the sources it refers to as [1], [2], ... If the model
+ * cited nothing, every source it was given is returned, since all of them were
+ * in front of it.
+ * @param {string} text - Reply text
+ * @param {Array} sources - Sources given to the model
+ * @returns {Array} - { index, collectionId, collectionName, documentId, documentName, chunkId, page, heading, excerpt, score }
+ */
+const toCitations = (text, sources = []) => {
+    if (sources.length === 0) return [];
+
+    const cited = new Set();
+    for (const [, numbers] of String(text).matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+        numbers.split(',').forEach(number => cited.add(Number(number)));
+    }
+
+    const referenced = sources.filter(source => cited.has(source.index));
+    return (referenced.length > 0 ? referenced : sources).map(({ text: passage, ...source }) => ({
+        ...source,
+        excerpt: passage.length > EXCERPT_LENGTH ? `${passage.slice(0, EXCERPT_LENGTH)}...` : passage
+    }));
+};
+
+export { searchCollections, retrieveSources, toCitations, getRetrievalSettings };
@@ -0,0 +1,353 @@
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Runs student code in a child process with CPU, memory, time, output and file
+// size limits, inside a temporary working directory that is deleted afterwards.
+// Every run gets its own user, mount, PID and network namespaces (unshare from
+// util-linux, no root needed): the snippet sees a read-only root holding only the
+// system directories and its language runtime, a private /tmp and its working
+// directory. It cannot see or signal other processes, has no capabilities and no
+// network. Hosts that cannot create these namespaces refuse to run code rather
+// than run it unisolated. Code execution is off unless SANDBOX_ENABLED=true.
+
+// Most bytes kept of stdout and stderr each
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+// Most characters of code accepted in a single run
+const MAX_CODE_LENGTH = 20000;
+
+// Host directories mounted read-only into every sandbox
+const SYSTEM_DIRS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64'];
+
+// Builds the sandbox inside the new namespaces, then runs the program in it. Arguments:
+// root mount point, working directory, /tmp size (KB), ulimit commands, number of extra
+// read-only directories, those directories, then the program and its arguments.
+const SANDBOX_SETUP = `
+set -e
+root=$1 dir=$2 tmp_kb=$3 limits=$4 count=$5
+shift 5
+mount -t tmpfs -o size=64k,mode=755 sandbox-root "$root"
+mount_ro() {
+    mkdir -p "$root$1"
+    mount --rbind "$1" "$root$1"
+    mount -o remount,bind,ro "$root$1"
+}
+for system in ${SYSTEM_DIRS.join(' ')}; do
+    if [ -L "$system" ]; then ln -s "$(readlink "$system")" "$root$system"
+    elif [ -d "$system" ]; then mount_ro "$system"; fi
+done
+while [ "$count" -gt 0 ]; do
+    mount_ro "$1"
+    count=$((count - 1))
+    shift
+done
+mkdir -p "$root/dev" "$root/proc" "$root/tmp"
+for device in null zero random urandom; do
+    touch "$root/dev/$device"
+    mount --bind "/dev/$device" "$root/dev/$device"
+done
+mount -t proc proc "$root/proc"
+mount -t tmpfs -o size="$tmp_kb"k,mode=1777 sandbox-tmp "$root/tmp"
+mkdir -p "$root$dir"
+mount --bind "$dir" "$root$dir"
+mount -o remount,ro "$root"
+cd "$root"
+pivot_root . .
+umount -l .
+cd "$dir"
+exec setpriv --no-new-privs --bounding-set=-all --inh-caps=-all sh -c "$limits; exec \\"\\$@\\"" sandbox "$@"
+`;
+
+const LANGUAGES = {
+    python: {
+        file: 'main.py',
+        // The real interpreter and its install prefix; a pyenv or venv shim would not run in the sandbox
+        resolve: () => {
+            const probe = spawnSync(process.env.SANDBOX_PYTHON || 'python3', ['-c', 'import sys; print(sys.executable); print(sys.base_prefix)'], {
+                encoding: 'utf8',
+                timeout: 5000
+            });
+            const [executable, prefix] = (probe.stdout || '').trim().split('\n');
+            if (probe.status !== 0 || !executable) throw new Error('Python is not available for the code sandbox');
+            return { executable, mounts: [prefix, path.dirname(executable)] };
+        },
+        // -I: isolated mode (no user site-packages or PYTHON* variables), -B: no .pyc files
+        command: (file, limits, executable) => [executable, '-I', '-B', file],
+        limitVirtualMemory: true
+    },
+    javascript: {
+        file: 'main.js',
+        resolve: () => ({ executable: process.execPath, mounts: [path.dirname(process.execPath)] }),
+        // V8 reserves far more address space than it uses, so the heap is capped instead
+        // of virtual memory. The permission model blocks child processes and workers.
+        command: (file, { memoryMb }, executable) => [
+            executable,
+            `--max-old-space-size=${memoryMb}`,
+            process.allowedNodeEnvironmentFlags.has('--permission') ? '--permission' : '--experimental-permission',
+            `--allow-fs-read=${path.dirname(file)}`,
+            '--no-warnings',
+            file
+        ],
+        limitVirtualMemory: false
+    }
+};
+
+const LANGUAGE_ALIASES = {
+    python: 'python',
+    python3: 'python',
+    py: 'python',
+    javascript: 'javascript',
+    js: 'javascript',
+    node: 'javascript'
+};
+
+const parseLimit = (value, fallback) => parseInt(value) || fallback;
+
+/**
+ * Sandbox limits, overridable from the environment
+ * @returns {{ timeoutMs: number, memoryMb: number, maxFileKb: number, maxConcurrent: number }}
+ */
+const getSandboxLimits = () => ({
+    timeoutMs: parseLimit(process.env.SANDBOX_TIMEOUT_MS, 5000),
+    memoryMb: parseLimit(process.env.SANDBOX_MEMORY_MB, 256),
+    maxFileKb: parseLimit(process.env.SANDBOX_MAX_FILE_KB, 1024),
+    maxConcurrent: parseLimit(process.env.SANDBOX_MAX_CONCURRENT, 2)
+});
+
+/**
+ * Whether code execution is turned on (off unless SANDBOX_ENABLED=true)
+ * @returns {boolean}
+ */
+const isSandboxEnabled = () => process.env.SANDBOX_ENABLED === 'true';
+
+// Directories a runtime needs besides the system ones, without duplicates
+const extraMounts = (mounts) => [...new Set(mounts)].filter((dir, index, dirs) =>
+    dir &&
+    !SYSTEM_DIRS.some(system => dir === system || dir.startsWith(`${system}/`)) &&
+    !dirs.some((other, otherIndex) => otherIndex !== index && dir.startsWith(`${other}/`))
+);
+
+const runtimes = {};
+
+// Interpreter of a language and the directories it needs, resolved once
+const getRuntime = (language) => {
+    if (!runtimes[language]) {
+        const { executable, mounts } = LANGUAGES[language].resolve();
+        runtimes[language] = { executable, mounts: extraMounts(mounts) };
+    }
+    return runtimes[language];
+};
+
+// Command line that runs a program inside a new sandbox
+const sandboxCommand = ({ root, dir, tmpKb, ulimits, mounts }, program) => [
+    'unshare', '--user', '--map-root-user', '--net', '--pid', '--fork', '--mount',
+    'sh', '-c', SANDBOX_SETUP, 'sandbox-setup',
+    root, dir, String(tmpKb), ulimits, String(mounts.length), ...mounts,
+    ...program
+];
+
+// Working directory for the snippet and an empty mount point for its root, both removed afterwards
+const withSandboxDirs = async (callback) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-'));
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-root-'));
+    try {
+        return await callback({ dir, root });
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+        await fs.rm(root, { recursive: true, force: true });
+    }
+};
+
+let isolation = null;
+
+// Check once whether this host can build the sandbox
+const canIsolate = async () => {
+    if (isolation === null) {
+        try {
+            const probe = await withSandboxDirs(({ dir, root }) => execute(
+                sandboxCommand({ root, dir, tmpKb: 64, ulimits: ':', mounts: [] }, ['true']),
+                { dir, stdin: '', timeoutMs: 5000, language: null }
+            ));
+            isolation = probe.exitCode === 0;
+            if (!isolation) console.error('Code sandbox: cannot create namespaces:', probe.stderr.trim());
+        } catch (error) {
+            console.error('Code sandbox: unshare is not available:', error.message);
+            isolation = false;
+        }
+        if (!isolation) console.error('Code sandbox: code runs are refused until the host supports user namespaces');
+    }
+    return isolation;
+};
+
+/**
+ * Whether this host can run snippets of a language: the sandbox can be built and the runtime is installed
+ * @param {string} language - 'python' or 'javascript'
+ * @returns {Promise<boolean>}
+ */
+const isSandboxAvailable = async (language) => {
+    if (!await canIsolate()) return false;
+    try {
+        getRuntime(language);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Map a language name or alias ("py", "js", ...) to a supported language
+ * @param {string} language - Language name
+ * @returns {string|null} - 'python', 'javascript' or null if unsupported
+ */
+const resolveLanguage = (language) => LANGUAGE_ALIASES[String(language || '').toLowerCase()] || null;
+
+/**
+ * Find the first fenced code block in a supported language
+ * @param {string} text - Message content
+ * @returns {{ language: string, code: string }|null}
+ */
+const extractSnippet = (text) => {
+    for (const match of String(text).matchAll(/```([\w+-]*)[^\n]*\n([\s\S]*?)```/g)) {
+        const language = resolveLanguage(match[1]);
+        if (language && match[2].trim()) return { language, code: match[2] };
+    }
+    return null;
+};
+
+// Collects a stream up to MAX_OUTPUT_BYTES
+const createCollector = () => {
+    const chunks = [];
+    let size = 0;
+    return {
+        push(chunk) {
+            if (size >= MAX_OUTPUT_BYTES) return false;
+            chunks.push(chunk.subarray(0, MAX_OUTPUT_BYTES - size));
+            size += chunk.length;
+            return size <= MAX_OUTPUT_BYTES;
+        },
+        // Paths inside the temporary directory are shown relative to it ("main.py")
+        toString: (dir) => Buffer.concat(chunks).toString('utf8').replaceAll(`${dir}${path.sep}`, '')
+    };
+};
+
+let running = 0;
+
+/**
+ * Run a snippet in the sandbox. Throws an error with status 503 when
+ * SANDBOX_MAX_CONCURRENT runs are already in progress or the host cannot isolate runs.
+ * @param {Object} options - { language, code, stdin }; language as returned by resolveLanguage
+ * @returns {Promise<Object>} - { language, stdout, stderr, exitCode, signal, timedOut, truncated, durationMs }
+ */
+const runCode = async ({ language, code, stdin = '' }) => {
+    const limits = getSandboxLimits();
+    if (running >= limits.maxConcurrent) {
+        const error = new Error('Too many code runs in progress, please try again in a moment.');
+        error.status = 503;
+        throw error;
+    }
+
+    running++;
+    try {
+        if (!await canIsolate()) {
+            const error = new Error('Code execution is not available on this server.');
+            error.status = 503;
+            throw error;
+        }
+
+        return await withSandboxDirs(({ dir, root }) => runInSandbox({ language, code, stdin, limits, dir, root }));
+    } finally {
+        running--;
+    }
+};
+
+// Write the snippet to its working directory and run it with the resource limits
+const runInSandbox = async ({ language, code, stdin, limits, dir, root }) => {
+    const { file, command, limitVirtualMemory } = LANGUAGES[language];
+    const { executable, mounts } = getRuntime(language);
+    const filePath = path.join(dir, file);
+    await fs.writeFile(filePath, code);
+
+    // ulimit: CPU seconds, largest file written (1 KB blocks), open files and, where
+    // the runtime allows it, virtual memory. /tmp gets as much space as one file.
+    const cpuSeconds = Math.max(1, Math.ceil(limits.timeoutMs / 1000));
+    const ulimits = [
+        `ulimit -t ${cpuSeconds}`,
+        `ulimit -f ${limits.maxFileKb}`,
+        'ulimit -n 64',
+        limitVirtualMemory && `ulimit -v ${limits.memoryMb * 1024}`
+    ].filter(Boolean).join('; ');
+
+    const program = sandboxCommand(
+        { root, dir, tmpKb: limits.maxFileKb, ulimits, mounts },
+        command(filePath, limits, executable)
+    );
+
+    return execute(program, { dir, stdin, timeoutMs: limits.timeoutMs, language });
+};
+
+// Spawn the sandboxed process and collect its output
+const execute = ([executable, ...args], { dir, stdin, timeoutMs, language }) => new Promise((resolve, reject) => {
+    const started = process.hrtime.bigint();
+    const child = spawn(executable, args, {
+        cwd: dir,
+        // Nothing from the server's environment (API keys, database URL) is passed on
+        env: { PATH: process.env.PATH, HOME: dir, TMPDIR: dir, LANG: 'C.UTF-8' },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        detached: true
+    });
+
+    const stdout = createCollector();
+    const stderr = createCollector();
+    let timedOut = false;
+    let truncated = false;
+
+    // Kill the whole process group, including anything the snippet started
+    const kill = () => {
+        try {
+            process.kill(-child.pid, 'SIGKILL');
+        } catch {
+            child.kill('SIGKILL');
+        }
+    };
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+    }, timeoutMs);
+
+    const collect = (collector) => (chunk) => {
+        if (!collector.push(chunk) && !truncated) {
+            truncated = true;
+            kill();
+        }
+    };
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+
+    child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+    });
+
+    child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        resolve({
+            language,
+            stdout: stdout.toString(dir),
+            stderr: stderr.toString(dir),
+            exitCode,
+            signal,
+            timedOut,
+            truncated,
+            durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6)
+        });
+    });
+
+    // The program may exit without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin);
+});
+
+export { runCode, extractSnippet, resolveLanguage, isSandboxEnabled, isSandboxAvailable, getSandboxLimits, LANGUAGES, MAX_CODE_LENGTH };
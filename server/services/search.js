@@ -0,0 +1,148 @@
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+
+// Characters of context shown around the first match
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words to highlight for a query. MongoDB stems search terms, so a term also
+ * matches words sharing its stem ("sorting" highlights "sorted" and "sorts").
+ * Negated terms ("-java") are left out.
+ * @param {string} q - Search query
+ * @returns {RegExp|null}
+ */
+const buildHighlighter = (q) => {
+    const stems = q
+        .split(/\s+/)
+        .filter(word => word && !word.startsWith('-'))
+        .flatMap(word => word.toLowerCase().match(/\w+/g) || [])
+        .map(word => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word));
+
+    if (stems.length === 0) return null;
+
+    return new RegExp(`\\b(?:${[...new Set(stems)].map(escapeRegex).join('|')})\\w*`, 'gi');
+};
+
+/**
+ * Cut a snippet around the first match and wrap matches in <mark> tags.
+ * The rest of the snippet is HTML-escaped, so it is safe to render as HTML.
+ * @param {string} text - Full text
+ * @param {RegExp|null} highlighter - Result of buildHighlighter
+ * @returns {string}
+ */
+const buildSnippet = (text, highlighter) => {
+    const first = highlighter ? text.search(highlighter) : -1;
+
+    let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    // Avoid cutting words in half
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+    const excerpt = text.slice(start, end);
+    let marked = '';
+    let last = 0;
+    for (const match of highlighter ? excerpt.matchAll(highlighter) : []) {
+        marked += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    marked += escapeHtml(excerpt.slice(last));
+
+    return (start > 0 ? '…' : '') + marked + (end < text.length ? '…' : '');
+};
+
+/**
+ * Full-text search over a user's chat titles and messages.
+ * Role and date filters apply to messages; when one is given, titles are not searched.
+ * @param {string} userId - Only this user's chats are searched
+ * @param {Object} options - { q, role, from, to, page, limit }
+ * @returns {Promise<{ results: Array, total: number }>}
+ */
+const searchChats = async (userId, { q, role, from, to, page = 1, limit = 20 }) => {
+    const chats = await Chat.find({ userId }).select('title updatedAt createdAt');
+    const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+    const highlighter = buildHighlighter(q);
+
+    const messageQuery = { $text: { $search: q }, chatId: { $in: chats.map(chat => chat._id) } };
+    if (role) messageQuery.role = role;
+    if (from || to) {
+        messageQuery.timestamp = {};
+        if (from) messageQuery.timestamp.$gte = from;
+        if (to) messageQuery.timestamp.$lte = to;
+    }
+
+    const messageMatches = await Message.aggregate([
+        { $match: messageQuery },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        { $sort: { score: -1, timestamp: -1 } },
+        {
+            $group: {
+                _id: '$chatId',
+                score: { $max: '$score' },
+                messageIds: { $push: '$_id' },
+                bestMessage: {
+                    $first: { _id: '$_id', role: '$role', content: '$content', attachments: '$attachments.name', timestamp: '$timestamp' }
+                }
+            }
+        }
+    ]);
+
+    const titleMatches = role || from || to
+        ? []
+        : await Chat.find({ userId, $text: { $search: q } }, { score: { $meta: 'textScore' } }).lean();
+
+    // One result per chat, scored by its best match
+    const results = new Map();
+    for (const match of titleMatches) {
+        const chat = chatsById.get(match._id.toString());
+        results.set(chat._id.toString(), {
+            chat,
+            score: match.score,
+            titleMatch: true,
+            messageIds: [],
+            message: null
+        });
+    }
+    for (const match of messageMatches) {
+        const key = match._id.toString();
+        const result = results.get(key) || { chat: chatsById.get(key), score: 0, titleMatch: false };
+        results.set(key, {
+            ...result,
+            score: Math.max(result.score, match.score),
+            messageIds: match.messageIds,
+            message: match.bestMessage
+        });
+    }
+
+    const ranked = [...results.values()].sort((a, b) =>
+        b.score - a.score || b.chat.updatedAt - a.chat.updatedAt);
+
+    const pageResults = ranked.slice((page - 1) * limit, page * limit).map(result => ({
+        chatId: result.chat._id,
+        title: result.chat.title,
+        titleHighlighted: result.titleMatch ? buildSnippet(result.chat.title, highlighter) : null,
+        updatedAt: result.chat.updatedAt,
+        score: result.score,
+        matchCount: result.messageIds.length,
+        messageIds: result.messageIds,
+        snippet: result.message && {
+            messageId: result.message._id,
+            role: result.message.role,
+            timestamp: result.message.timestamp,
+            text: buildSnippet(result.message.content, highlighter),
+            // Names of the files attached to the message, shown next to the snippet
+            attachments: result.message.attachments || []
+        }
+    }));
+
+    return { results: pageResults, total: ranked.length };
+};
+
+export { searchChats, buildSnippet, buildHighlighter };
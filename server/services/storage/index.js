@@ -0,0 +1,36 @@
+import createLocalStorage from './local.js';
+import createMemoryStorage from './memory.js';
+
+// Available file storage drivers, selected through STORAGE_DRIVER.
+// A driver implements save(key, buffer), read(key) => Buffer and remove(key).
+const DRIVERS = {
+    local: createLocalStorage,
+    memory: createMemoryStorage,
+};
+
+let _storage = null;
+
+/**
+ * Get the configured file storage (lazily created and cached)
+ * @returns {Object} - Storage with name, save(), read() and remove()
+ */
+const getStorage = () => {
+    if (!_storage) {
+        const name = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+        const factory = DRIVERS[name];
+
+        if (!factory) {
+            throw new Error(`Unknown STORAGE_DRIVER "${name}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+        }
+
+        _storage = factory();
+    }
+    return _storage;
+};
+
+// Drop the cached storage so the next call re-reads the environment
+const resetStorage = () => {
+    _storage = null;
+};
+
+export { getStorage, resetStorage, DRIVERS };
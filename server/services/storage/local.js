@@ -0,0 +1,38 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Local disk storage: files live under UPLOAD_DIR (default ./uploads), one path per key
+
+const createLocalStorage = () => {
+    const root = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+    // Keys are generated by us, but never let one point outside the upload directory
+    const resolveKey = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return file;
+    };
+
+    return {
+        name: 'local',
+
+        async save(key, buffer) {
+            const file = resolveKey(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+        },
+
+        async read(key) {
+            return fs.readFile(resolveKey(key));
+        },
+
+        // Deleting a missing file is not an error
+        async remove(key) {
+            await fs.rm(resolveKey(key), { force: true });
+        },
+    };
+};
+
+export default createLocalStorage;
@@ -0,0 +1,36 @@
+// In-memory storage for tests. Stored files are exposed through `files` (key => Buffer).
+
+const createMemoryStorage = () => {
+    const files = new Map();
+
+    return {
+        name: 'memory',
+
+        async save(key, buffer) {
+            files.set(key, Buffer.from(buffer));
+        },
+
+        async read(key) {
+            if (!files.has(key)) {
+                const error = new Error(`File not found: ${key}`);
+                error.code = 'ENOENT';
+                throw error;
+            }
+            return files.get(key);
+        },
+
+        async remove(key) {
+            files.delete(key);
+        },
+
+        get files() {
+            return files;
+        },
+
+        reset() {
+            files.clear();
+        },
+    };
+};
+
+export default createMemoryStorage;
@@ -0,0 +1,80 @@
+import Chat from '../models/Chat.js';
+import { generateSummary, estimateTokens, getHistoryTokenBudget } from './gemini.js';
+import { recordUsage } from './usage.js';
+
+const countTokens = (messages) => messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+
+/**
+ * Pick the index where the recent, verbatim part of a branch starts: as many of the
+ * latest messages as fit in the budget, starting on a user turn, always keeping the last one
+ * @param {Array} messages - Unsummarized messages, oldest first
+ * @param {number} budget - Tokens for the recent part
+ * @returns {number}
+ */
+const findSplit = (messages, budget) => {
+    let split = messages.length - 1;
+    let tokens = estimateTokens(messages[split].content);
+
+    while (split > 0 && tokens + estimateTokens(messages[split - 1].content) <= budget) {
+        split--;
+        tokens += estimateTokens(messages[split].content);
+    }
+
+    while (split < messages.length - 1 && messages[split].role !== 'user') {
+        split++;
+    }
+
+    return split;
+};
+
+/**
+ * Get the context for answering on a branch, refreshing the chat's rolling summary when needed.
+ * Nothing is summarized while the summary plus the newer messages fit in HISTORY_TOKEN_BUDGET.
+ * Once they do not, older messages are folded into the summary until the rest fits in half the
+ * budget, so the summary is refreshed in steps instead of on every turn.
+ * @param {Object} chat - Chat document (its summary is updated in place)
+ * @param {Array} path - Branch to answer, ending with the user message
+ * @returns {Promise<{ messages: Array, summary: string }>}
+ */
+const prepareContext = async (chat, path) => {
+    const budget = getHistoryTokenBudget();
+
+    // A summary only applies to branches that contain the last message it covers
+    const coveredUntil = chat.summary?.content ? chat.summary.coveredUntil : null;
+    const coveredIndex = coveredUntil ? path.findIndex(msg => msg._id.equals(coveredUntil)) : -1;
+    const summary = coveredIndex >= 0 ? chat.summary.content : '';
+    const unsummarized = path.slice(coveredIndex + 1);
+
+    if (unsummarized.length === 0 || estimateTokens(summary) + countTokens(unsummarized) <= budget) {
+        return { messages: unsummarized, summary };
+    }
+
+    const split = findSplit(unsummarized, Math.floor(budget / 2));
+    if (split === 0) {
+        return { messages: unsummarized, summary };
+    }
+
+    const older = unsummarized.slice(0, split);
+
+    try {
+        const { text, usage } = await generateSummary(summary, older);
+        await recordUsage(chat.userId, usage, { countMessage: false });
+
+        const updated = {
+            content: text,
+            coveredUntil: older[older.length - 1]._id,
+            messageCount: coveredIndex + 1 + older.length,
+            updatedAt: Date.now()
+        };
+        chat.summary = updated;
+        await Chat.updateOne({ _id: chat._id }, { summary: updated });
+
+        return { messages: unsummarized.slice(split), summary: text };
+    } catch (error) {
+        // Answering matters more than the summary; buildRequest trims the history instead
+        console.error('Failed to summarize conversation:', error.message);
+        return { messages: unsummarized, summary };
+    }
+};
+
+export { prepareContext };
@@ -0,0 +1,78 @@
+import Chat from '../models/Chat.js';
+import { generateTitle } from './gemini.js';
+import { recordUsage } from './usage.js';
+
+const TITLE_MAX_LENGTH = Chat.schema.path('title').options.maxlength[0];
+
+/**
+ * Placeholder title from the first message, used until (or instead of) an AI title
+ * @param {string} content - First user message
+ * @returns {string}
+ */
+const truncateTitle = (content) => {
+    const text = content.replace(/\s+/g, ' ').trim();
+    return text.slice(0, 50) + (text.length > 50 ? '...' : '');
+};
+
+/**
+ * Strip what models like to wrap titles in (quotes, Markdown, "Title:" prefixes)
+ * @param {string} text - Raw model output
+ * @returns {string} - Clean title, '' if nothing usable is left
+ */
+const cleanTitle = (text) => {
+    const line = text.split('\n').map(l => l.trim()).find(Boolean) || '';
+    return line
+        .replace(/^#+\s*/, '')
+        .replace(/^title:\s*/i, '')
+        .replace(/[*_`]/g, '')
+        .replace(/^["'“”‘’]+|["'“”‘’]+$/g, '')
+        .replace(/[.!。]+$/, '')
+        .trim()
+        .slice(0, TITLE_MAX_LENGTH)
+        .trim();
+};
+
+/**
+ * Replace a chat's placeholder title with an AI-generated one.
+ * Never throws: on failure the truncated title simply stays.
+ * @param {Object} chat - Chat document
+ * @param {string} question - First user message
+ * @param {string} answer - First bot reply
+ * @returns {Promise<string|null>} - The new title, or null if the title was kept
+ */
+const generateChatTitle = async (chat, question, answer) => {
+    try {
+        const { text, usage } = await generateTitle(question, answer);
+        await recordUsage(chat.userId, usage, { countMessage: false });
+
+        const title = cleanTitle(text);
+        if (!title) return null;
+
+        // The user may have renamed the chat while we were waiting
+        const { modifiedCount } = await Chat.updateOne(
+            { _id: chat._id, titleSource: { $ne: 'user' } },
+            { title, titleSource: 'ai' }
+        );
+        return modifiedCount > 0 ? title : null;
+    } catch (error) {
+        console.error('Failed to generate chat title:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Start AI title generation after a chat's first exchange, unless disabled
+ * with AI_TITLES=false or the user picked the title
+ * @param {Object} chat - Chat document
+ * @param {string} question - First user message
+ * @param {string} answer - First bot reply
+ * @returns {Promise<string|null>|null} - Pending title, or null if not started
+ */
+const scheduleTitleGeneration = (chat, question, answer) => {
+    if (process.env.AI_TITLES === 'false' || chat.titleSource === 'user' || !answer) {
+        return null;
+    }
+    return generateChatTitle(chat, question, answer);
+};
+
+export { truncateTitle, cleanTitle, scheduleTitleGeneration };
@@ -0,0 +1,136 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+
+const ACCESS_TOKEN_EXPIRES_IN = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a short-lived access token bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} - Signed JWT
+ */
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN()
+    });
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning
+const buildRefreshToken = (session) => {
+    const secret = crypto.randomBytes(40).toString('hex');
+    return { refreshToken: `${session._id}.${secret}`, hash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+        return null;
+    }
+    return { sessionId, secret };
+};
+
+/**
+ * Start a new session for a user (login, register)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (user agent and IP)
+ * @returns {Promise<{ token: string, refreshToken: string, session: Object }>}
+ */
+const createSession = async (user, req) => {
+    const session = new Session({
+        userId: user._id,
+        userAgent: req.get('user-agent') || '',
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS() * 24 * 60 * 60 * 1000)
+    });
+
+    const { refreshToken, hash } = buildRefreshToken(session);
+    session.refreshTokenHash = hash;
+    await session.save();
+
+    return {
+        token: generateAccessToken(user._id, session._id),
+        refreshToken,
+        session
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting an already rotated token revokes the session (likely theft).
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<{ token: string, refreshToken: string }|null>} - null when invalid
+ */
+const rotateSession = async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const session = await Session.findById(parsed.sessionId)
+        .select('+refreshTokenHash +previousTokenHash');
+
+    if (!session || !session.isActive()) return null;
+
+    const presentedHash = hashToken(parsed.secret);
+
+    if (presentedHash !== session.refreshTokenHash) {
+        if (presentedHash === session.previousTokenHash) {
+            console.warn(`Refresh token reuse detected, revoking session ${session._id}`);
+            session.revokedAt = Date.now();
+            await session.save();
+        }
+        return null;
+    }
+
+    const next = buildRefreshToken(session);
+    session.previousTokenHash = session.refreshTokenHash;
+    session.refreshTokenHash = next.hash;
+    session.lastUsedAt = Date.now();
+    session.ip = req.ip;
+    await session.save();
+
+    return {
+        token: generateAccessToken(session.userId, session._id),
+        refreshToken: next.refreshToken
+    };
+};
+
+/**
+ * Find the session a refresh token belongs to, if it is still valid
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object|null>} - Session document
+ */
+const findSessionByRefreshToken = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash');
+    if (!session || session.refreshTokenHash !== hashToken(parsed.secret)) return null;
+
+    return session;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {Object} options - { except: sessionId to keep }
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, { except } = {}) => {
+    const query = { userId, revokedAt: null };
+    if (except) query._id = { $ne: except };
+
+    const result = await Session.updateMany(query, { revokedAt: Date.now() });
+    return result.modifiedCount;
+};
+
+export {
+    generateAccessToken,
+    createSession,
+    rotateSession,
+    findSessionByRefreshToken,
+    revokeUserSessions
+};
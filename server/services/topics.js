@@ -0,0 +1,94 @@
+// Topic taxonomy for progress tracking, grouped by the domains the tutor covers
+// (DOMAINS in config/constants.js, see also the domain restrictions in services/profiles.js).
+// Each topic lists keyword patterns; a message belongs to the topics whose keywords it mentions most.
+
+const TOPICS = [
+    // Programming
+    { key: 'programming-basics', label: 'Programming basics', domain: 'programming', keywords: ['variables?', 'loops?', 'for loop', 'while loop', 'if statements?', 'conditionals?', 'data types?', 'functions?', 'parameters?', 'scope'] },
+    { key: 'oop', label: 'Object-oriented programming', domain: 'programming', keywords: ['oop', 'object[- ]oriented', 'classes', 'class', 'inheritance', 'polymorphism', 'encapsulation', 'abstraction', 'interfaces?', 'constructors?'] },
+    { key: 'functional-programming', label: 'Functional programming', domain: 'programming', keywords: ['functional programming', 'higher[- ]order functions?', 'closures?', 'lambdas?', 'immutab\\w+', 'pure functions?', 'map and filter', 'currying'] },
+    { key: 'languages', label: 'Programming languages', domain: 'programming', keywords: ['python', 'java', 'javascript', 'typescript', 'c\\+\\+', 'rust', 'golang', 'kotlin', 'c#', 'compilers?', 'interpreters?', 'pointers?'] },
+    { key: 'web-development', label: 'Web development', domain: 'programming', keywords: ['html', 'css', 'react(\\.?js| components?| hooks?)', 'dom', 'frontend', 'backend', 'rest(ful)? apis?', 'express\\.?js', 'node\\.?js'] },
+
+    // Data structures & algorithms
+    { key: 'complexity', label: 'Complexity analysis', domain: 'dsa', keywords: ['big[- ]?o', 'time complexity', 'space complexity', 'complexity', 'asymptotic', 'o\\(n\\)', 'o\\(n\\^?2\\)', 'o\\(log n\\)', 'o\\(n log n\\)'] },
+    { key: 'arrays-strings', label: 'Arrays & strings', domain: 'dsa', keywords: ['arrays?', 'strings?', 'two pointers', 'sliding window', 'subarrays?', 'substrings?', 'prefix sums?'] },
+    { key: 'linked-lists', label: 'Linked lists', domain: 'dsa', keywords: ['linked lists?', 'doubly linked', 'singly linked', 'head node', 'next pointers?'] },
+    { key: 'stacks-queues', label: 'Stacks & queues', domain: 'dsa', keywords: ['stacks?', 'queues?', 'deques?', 'lifo', 'fifo', 'priority queues?'] },
+    { key: 'hashing', label: 'Hashing', domain: 'dsa', keywords: ['hash ?maps?', 'hash ?tables?', 'hashing', 'hash functions?', 'dictionar(y|ies)', 'collisions?'] },
+    { key: 'trees', label: 'Trees', domain: 'dsa', keywords: ['trees?', 'binary search trees?', 'bst', 'avl', 'red[- ]black', 'tries?', 'heaps?', 'traversals?', 'inorder', 'preorder', 'postorder'] },
+    { key: 'graphs', label: 'Graphs', domain: 'dsa', keywords: ['graphs?', 'bfs', 'dfs', 'breadth[- ]first', 'depth[- ]first', 'dijkstra', 'shortest path', 'topological sort', 'minimum spanning tree', 'kruskal', 'prim', 'vertices', 'edges'] },
+    { key: 'sorting-searching', label: 'Sorting & searching', domain: 'dsa', keywords: ['sorting', 'sorted', 'quicksort', 'quick sort', 'merge ?sort', 'bubble sort', 'insertion sort', 'heapsort', 'binary search', 'searching'] },
+    { key: 'recursion', label: 'Recursion', domain: 'dsa', keywords: ['recursion', 'recursive(ly)?', 'base case', 'backtracking', 'divide and conquer'] },
+    { key: 'dynamic-programming', label: 'Dynamic programming', domain: 'dsa', keywords: ['dynamic programming', 'dp', 'memoi[sz]ation', 'tabulation', 'knapsack', 'longest common subsequence', 'overlapping subproblems'] },
+    { key: 'greedy', label: 'Greedy algorithms', domain: 'dsa', keywords: ['greedy', 'interval scheduling', 'huffman'] },
+
+    // Databases
+    { key: 'sql', label: 'SQL', domain: 'databases', keywords: ['sql', 'select statements?', 'joins?', 'group by', 'queries', 'query', 'postgres(ql)?', 'mysql', 'sqlite', 'stored procedures?'] },
+    { key: 'nosql', label: 'NoSQL', domain: 'databases', keywords: ['nosql', 'mongodb', 'mongo', 'redis', 'cassandra', 'document databases?', 'key[- ]value stores?'] },
+    { key: 'database-design', label: 'Database design', domain: 'databases', keywords: ['normali[sz]ation', 'normal forms?', '[1-3]nf', 'er diagrams?', 'schemas?', 'primary keys?', 'foreign keys?', 'indexes', 'indexing'] },
+    { key: 'transactions', label: 'Transactions', domain: 'databases', keywords: ['transactions?', 'acid', 'isolation levels?', 'deadlocks?', 'locking', 'rollbacks?'] },
+
+    // Operating systems & networking
+    { key: 'processes-threads', label: 'Processes & threads', domain: 'systems', keywords: ['processes', 'process control blocks?', 'threads?', 'multithreading', 'context switch(es|ing)?', 'scheduling', 'scheduler', 'fork'] },
+    { key: 'concurrency', label: 'Concurrency', domain: 'systems', keywords: ['concurrency', 'concurrent', 'race conditions?', 'mutex(es)?', 'semaphores?', 'locks?', 'async', 'asynchronous', 'parallelism'] },
+    { key: 'memory-management', label: 'Memory management', domain: 'systems', keywords: ['memory management', 'virtual memory', 'paging', 'page faults?', 'segmentation', 'garbage collection', 'memory leaks?', 'malloc', 'cache'] },
+    { key: 'file-systems', label: 'File systems', domain: 'systems', keywords: ['file systems?', 'inodes?', 'disk', 'i/o'] },
+    { key: 'networking', label: 'Networking', domain: 'systems', keywords: ['network(ing)?', 'tcp', 'udp', 'ip address(es)?', 'http', 'https', 'dns', 'osi model', 'routers?', 'sockets?', 'tls', 'ssl'] },
+
+    // AI & machine learning
+    { key: 'machine-learning', label: 'Machine learning basics', domain: 'ai', keywords: ['machine learning', 'ml', 'regression', 'classification', 'supervised', 'unsupervised', 'overfitting', 'training data', 'feature engineering', 'clustering', 'k[- ]means', 'decision trees?'] },
+    { key: 'neural-networks', label: 'Neural networks', domain: 'ai', keywords: ['neural networks?', 'deep learning', 'backpropagation', 'gradient descent', 'activation functions?', 'cnn', 'rnn', 'transformers?', 'perceptrons?'] },
+    { key: 'ai-fundamentals', label: 'AI fundamentals', domain: 'ai', keywords: ['artificial intelligence', 'ai', 'search algorithms?', 'a\\*', 'minimax', 'llms?', 'large language models?', 'nlp'] },
+
+    // Software engineering
+    { key: 'version-control', label: 'Version control', domain: 'engineering', keywords: ['git', 'github', 'commits?', 'branch(es|ing)?', 'merge conflicts?', 'pull requests?', 'rebase'] },
+    { key: 'testing', label: 'Testing', domain: 'engineering', keywords: ['testing', 'unit tests?', 'integration tests?', 'tdd', 'test cases?', 'mocks?', 'debugging', 'debugger'] },
+    { key: 'design-patterns', label: 'Design patterns', domain: 'engineering', keywords: ['design patterns?', 'singleton', 'factory pattern', 'observer pattern', 'solid principles?', 'dependency injection', 'mvc', 'clean code', 'refactor(ing)?'] },
+    { key: 'system-design', label: 'System design', domain: 'engineering', keywords: ['system design', 'scalab\\w+', 'load balanc\\w+', 'microservices?', 'caching', 'sharding', 'replication', 'message queues?', 'architecture'] }
+];
+
+const TOPICS_BY_KEY = new Map(TOPICS.map(topic => [topic.key, topic]));
+
+// One case-insensitive pattern per topic; longer keywords are tried first so phrases match as a whole
+const PATTERNS = TOPICS.map(topic => ({
+    key: topic.key,
+    pattern: new RegExp(`(?<![\\w#+])(?:${[...topic.keywords].sort((a, b) => b.length - a.length).join('|')})(?![\\w#+])`, 'gi')
+}));
+
+// Most topics assigned to a single message
+const MAX_TOPICS_PER_MESSAGE = 2;
+
+/**
+ * Classify text into taxonomy topics by keyword matches. Topics scoring less
+ * than half of the best one are left out.
+ * @param {string} text - Text to classify (a user message, quiz question, ...)
+ * @returns {Array<string>} - Topic keys, best match first; empty if nothing matched
+ */
+const classifyTopics = (text) => {
+    if (!text) return [];
+
+    // Code blocks are full of incidental keywords ("for", "class"); only their language tag counts
+    const prose = text.replace(/```(\w*)[\s\S]*?(```|$)/g, ' $1 ');
+
+    const scores = PATTERNS
+        .map(({ key, pattern }) => ({ key, score: prose.match(pattern)?.length || 0 }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    if (scores.length === 0) return [];
+
+    return scores
+        .filter(({ score }) => score * 2 >= scores[0].score)
+        .slice(0, MAX_TOPICS_PER_MESSAGE)
+        .map(({ key }) => key);
+};
+
+/**
+ * Look up a topic in the taxonomy
+ * @param {string} key - Topic key
+ * @returns {Object|undefined} - { key, label, domain, keywords }
+ */
+const getTopic = (key) => TOPICS_BY_KEY.get(key);
+
+export { classifyTopics, getTopic, TOPICS };
@@ -0,0 +1,123 @@
+import { LEVELS, MODES } from '../config/constants.js';
+
+// Per-chat answer level and tutoring mode (see Chat.level and Chat.mode). Each adds
+// instructions to the system prompt; hint mode is also checked after generation,
+// because prompts alone do not stop a model from handing over the answer.
+
+// Prompt instructions per level and mode (keys from config/constants.js)
+const LEVEL_INSTRUCTIONS = {
+    beginner: 'Assume no prior knowledge. Use plain language, define every technical term, prefer analogies and small examples, and go one step at a time.',
+    intermediate: 'Assume the student knows the basics of programming and common data structures. Skip introductions, explain the reasoning, and mention trade-offs and common pitfalls.',
+    advanced: 'Assume a strong CS background. Be concise and precise, use standard terminology and notation, and discuss complexity, edge cases and how things work under the hood.'
+};
+
+const MODE_INSTRUCTIONS = {
+    // The tutor's normal behaviour; adds no instructions
+    explain: '',
+    hint: 'HINT-ONLY (SOCRATIC). Never give the full solution or complete working code, even if the student asks for it. ' +
+        'Guide the student with questions, hints and small nudges, one step at a time. Point at the concept or the line that needs attention, ' +
+        'and let the student write the code. Code snippets must stay short (a few lines) and must not solve the problem.',
+    'code-review': 'CODE REVIEW. Review the code the student shares like an experienced reviewer: correctness and bugs first, then edge cases, ' +
+        'complexity, readability and naming. Quote the lines you comment on, explain why each issue matters, and suggest fixes. ' +
+        'If the student has not shared code yet, ask them to paste it.',
+    interview: 'INTERVIEW PRACTICE. Act as a technical interviewer. Ask one interview question at a time, matched to the student\'s level, ' +
+        'and wait for their answer. Ask follow-up questions about complexity and edge cases, give hints only when they are stuck, ' +
+        'and after each answer give brief feedback on what was good and what an interviewer would expect.'
+};
+
+// Longest code block (non-empty lines) a hint-mode reply may contain
+const HINT_MAX_CODE_LINES = 6;
+
+/**
+ * System prompt sections for a chat's level and mode
+ * @param {Object} settings - { level, mode } from the chat (either may be missing)
+ * @returns {string} - Prompt sections, '' for the default settings
+ */
+const buildSettingsSection = ({ level, mode } = {}) => {
+    let section = '';
+
+    if (LEVELS.includes(level)) {
+        section += `\n\n# STUDENT LEVEL:\nThe student chose **${level}** answers. ${LEVEL_INSTRUCTIONS[level]}`;
+    }
+
+    if (MODES.includes(mode) && MODE_INSTRUCTIONS[mode]) {
+        section += `\n\n# TUTORING MODE:\n${MODE_INSTRUCTIONS[mode]}`;
+    }
+
+    return section;
+};
+
+const FENCED_BLOCK = /```[^\n]*\n([\s\S]*?)(?:```|$)/g;
+
+// Lines that look like code when a model leaves out the fences: indented code (but not
+// nested list items), block headers, statements, assignments, calls and braces
+const CODE_LINE_PATTERNS = [
+    /^(?: {4}|\t)\s*(?![-*+] |\d+\. )\S/,
+    /^\s*(?:def|class|for|while|if|elif|else|try|except|finally|with)\b.*:\s*$/,
+    /^\s*(?:return|import|const|let|var|function|public|private|static|#include)\b/,
+    /^\s*from \S+ import /,
+    /[;{]\s*$|^\s*[})\]]/,
+    /^\s*[A-Za-z_][\w.[\]]*\s*[-+*/%]?=[^=]/,
+    /^\s*[A-Za-z_][\w.]*\(.*\)\s*;?\s*$/
+];
+
+const isCodeLine = (line) => CODE_LINE_PATTERNS.some(pattern => pattern.test(line));
+
+// Runs of consecutive code-like lines outside fenced blocks (blank lines do not end a run),
+// with their non-empty line counts
+const unfencedCode = (text) => {
+    const runs = [];
+
+    for (const segment of text.split(FENCED_BLOCK).filter((part, index) => index % 2 === 0)) {
+        const lines = segment.split('\n');
+        let start = -1;
+        let end = -1;
+        let count = 0;
+
+        const close = () => {
+            if (count > 0) runs.push({ block: lines.slice(start, end + 1).join('\n'), lines: count });
+            start = -1;
+            count = 0;
+        };
+
+        for (const [index, line] of lines.entries()) {
+            if (!line.trim()) continue;
+            if (!isCodeLine(line)) {
+                close();
+                continue;
+            }
+            if (start === -1) start = index;
+            end = index;
+            count++;
+        }
+        close();
+    }
+
+    return runs;
+};
+
+// Fenced code blocks and unfenced runs of code that are too long for a hint
+const solutionParts = (text) => [
+    ...[...text.matchAll(FENCED_BLOCK)].map(match => ({
+        block: match[0],
+        lines: match[1].split('\n').filter(line => line.trim()).length
+    })),
+    ...unfencedCode(text)
+].filter(({ lines }) => lines > HINT_MAX_CODE_LINES);
+
+/**
+ * Check a hint-mode reply for a full solution
+ * @param {string} text - Model reply
+ * @returns {boolean} - True when it contains code (fenced or not) longer than HINT_MAX_CODE_LINES
+ */
+const containsFullSolution = (text) => solutionParts(text).length > 0;
+
+/**
+ * Replace the code that gives a solution away, for replies that still do after a retry
+ * @param {string} text - Model reply
+ * @returns {string}
+ */
+const withholdSolutions = (text) => solutionParts(text).reduce((result, { block }) => result.replace(block,
+    '_(Full solution left out: this chat is in hint mode. Try writing this part yourself!)_'), text);
+
+export { buildSettingsSection, containsFullSolution, withholdSolutions, HINT_MAX_CODE_LINES };
@@ -0,0 +1,109 @@
+import Usage from '../models/Usage.js';
+
+// Day key in YYYY-MM-DD (UTC)
+const todayKey = (date = new Date()) => date.toISOString().split('T')[0];
+
+// Quotas reset at the next UTC midnight
+const nextReset = () => {
+    const reset = new Date();
+    reset.setUTCHours(24, 0, 0, 0);
+    return reset;
+};
+
+const parseLimit = (value, fallback) => {
+    const limit = parseInt(value);
+    return Number.isNaN(limit) ? fallback : limit;
+};
+
+/**
+ * Get a user's daily limits: per-user override first, then the environment.
+ * A limit of 0 means unlimited.
+ * @param {Object} user - User document
+ * @returns {{ messages: number, tokens: number }}
+ */
+const getDailyLimits = (user) => ({
+    messages: user?.quota?.dailyMessages ?? parseLimit(process.env.DAILY_MESSAGE_LIMIT, 100),
+    tokens: user?.quota?.dailyTokens ?? parseLimit(process.env.DAILY_TOKEN_LIMIT, 200000)
+});
+
+/**
+ * Get today's usage for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { messages, promptTokens, completionTokens, totalTokens }
+ */
+const getTodayUsage = async (userId) => {
+    const usage = await Usage.findOne({ userId, date: todayKey() });
+    return {
+        messages: usage?.messages || 0,
+        promptTokens: usage?.promptTokens || 0,
+        completionTokens: usage?.completionTokens || 0,
+        totalTokens: usage?.totalTokens || 0
+    };
+};
+
+/**
+ * Check whether a user may make another AI call today
+ * @param {Object} user - User document
+ * @returns {Promise<{ allowed: boolean, reason: string, usage: Object, limits: Object, resetAt: Date }>}
+ */
+const checkQuota = async (user) => {
+    const limits = getDailyLimits(user);
+    const usage = await getTodayUsage(user._id);
+
+    let reason = '';
+    if (limits.messages > 0 && usage.messages >= limits.messages) {
+        reason = `Daily message limit of ${limits.messages} reached.`;
+    } else if (limits.tokens > 0 && usage.totalTokens >= limits.tokens) {
+        reason = `Daily token limit of ${limits.tokens} reached.`;
+    }
+
+    return { allowed: !reason, reason, usage, limits, resetAt: nextReset() };
+};
+
+/**
+ * Add one AI call to the user's usage for today
+ * @param {string} userId - User ID
+ * @param {Object} usage - { promptTokens, completionTokens, totalTokens }
+ * @param {Object} options - { countMessage: false } for background calls that only cost tokens
+ */
+const recordUsage = async (userId, usage = {}, { countMessage = true } = {}) => {
+    await Usage.updateOne(
+        { userId, date: todayKey() },
+        {
+            $inc: {
+                messages: countMessage ? 1 : 0,
+                promptTokens: usage.promptTokens || 0,
+                completionTokens: usage.completionTokens || 0,
+                totalTokens: usage.totalTokens || 0
+            }
+        },
+        { upsert: true }
+    );
+};
+
+/**
+ * Get usage for the last N days, oldest first, with empty days filled in
+ * @param {string} userId - User ID
+ * @param {number} days - Number of days including today
+ * @returns {Promise<Array>}
+ */
+const getUsageHistory = async (userId, days = 7) => {
+    const start = new Date();
+    start.setUTCDate(start.getUTCDate() - (days - 1));
+
+    const records = await Usage.find({ userId, date: { $gte: todayKey(start) } });
+
+    return Array.from({ length: days }, (_, i) => {
+        const date = new Date(start);
+        date.setUTCDate(start.getUTCDate() + i);
+        const key = todayKey(date);
+        const record = records.find(r => r.date === key);
+        return {
+            date: key,
+            messages: record?.messages || 0,
+            totalTokens: record?.totalTokens || 0
+        };
+    });
+};
+
+export { checkQuota, recordUsage, getDailyLimits, getTodayUsage, getUsageHistory, todayKey };
@@ -0,0 +1,309 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { app, request, registerUser, registerStaff, createChatWithMessages, authHeader } from './helpers.js';
+import User from '../models/User.js';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+
+let ADMIN_HEADER;
+
+beforeEach(async () => {
+    const { token } = await registerStaff('admin', { email: 'root@example.com' });
+    ADMIN_HEADER = authHeader(token);
+});
+
+describe('POST /admin/verify', () => {
+    it('accepts admins and moderators', async () => {
+        const admin = await request(app).post('/admin/verify').set(ADMIN_HEADER);
+        expect(admin.status).toBe(200);
+        expect(admin.body).toMatchObject({ success: true, role: 'admin' });
+
+        const { token } = await registerStaff('moderator');
+        const moderator = await request(app).post('/admin/verify').set(authHeader(token));
+        expect(moderator.body.role).toBe('moderator');
+    });
+
+    it('rejects anonymous and regular users', async () => {
+        const anonymous = await request(app).post('/admin/verify');
+        expect(anonymous.status).toBe(401);
+
+        const { token } = await registerUser();
+        const regular = await request(app).post('/admin/verify').set(authHeader(token));
+        expect(regular.status).toBe(403);
+    });
+});
+
+describe('GET /admin/public-stats', () => {
+    it('is public', async () => {
+        const { user } = await registerUser();
+        await createChatWithMessages(user._id, ['q', 'a']);
+
+        const res = await request(app).get('/admin/public-stats');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ totalUsers: 2, totalMessages: 2 });
+    });
+});
+
+describe('role gate', () => {
+    const viewRoutes = [
+        ['get', '/admin/stats'],
+        ['get', '/admin/users'],
+        ['get', '/admin/users/000000000000000000000000']
+    ];
+    const changeRoutes = [
+        ['put', '/admin/users/000000000000000000000000'],
+        ['delete', '/admin/users/000000000000000000000000']
+    ];
+
+    it.each([...viewRoutes, ...changeRoutes])('%s %s requires a token', async (method, path) => {
+        const res = await request(app)[method](path);
+        expect(res.status).toBe(401);
+    });
+
+    it.each([...viewRoutes, ...changeRoutes])('%s %s rejects regular users', async (method, path) => {
+        const { token } = await registerUser();
+        const res = await request(app)[method](path).set(authHeader(token));
+        expect(res.status).toBe(403);
+    });
+
+    it.each(viewRoutes)('%s %s is open to moderators', async (method, path) => {
+        const { token } = await registerStaff('moderator');
+        const res = await request(app)[method](path).set(authHeader(token));
+        expect(res.status).not.toBe(403);
+    });
+
+    it.each(changeRoutes)('%s %s is closed to moderators', async (method, path) => {
+        const { token } = await registerStaff('moderator');
+        const res = await request(app)[method](path).set(authHeader(token));
+        expect(res.status).toBe(403);
+    });
+
+    it('ignores the shared password header by default', async () => {
+        const res = await request(app).get('/admin/stats').set('x-admin-password', 'test-admin-password');
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('legacy shared password', () => {
+    beforeEach(() => {
+        process.env.ALLOW_LEGACY_ADMIN_PASSWORD = 'true';
+    });
+
+    afterEach(() => {
+        delete process.env.ALLOW_LEGACY_ADMIN_PASSWORD;
+    });
+
+    it('is accepted with a deprecation header while enabled', async () => {
+        const res = await request(app).get('/admin/stats').set('x-admin-password', 'test-admin-password');
+        expect(res.status).toBe(200);
+        expect(res.headers.deprecation).toBe('true');
+
+        const verify = await request(app).post('/admin/verify').set('x-admin-password', 'test-admin-password');
+        expect(verify.status).toBe(200);
+    });
+
+    it('does not treat a password in the body as the shared password', async () => {
+        const { user } = await registerUser();
+
+        const res = await request(app)
+            .put(`/admin/users/${user._id}`)
+            .set(ADMIN_HEADER)
+            .send({ name: 'Renamed', password: 'new-password-123' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.name).toBe('Renamed');
+        expect(res.headers.deprecation).toBeUndefined();
+    });
+
+    it('rejects a wrong password', async () => {
+        const res = await request(app).get('/admin/stats').set('x-admin-password', 'wrong');
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Invalid admin password');
+    });
+});
+
+describe('GET /admin/stats', () => {
+    it('returns overview, charts and top users', async () => {
+        const { user } = await registerUser();
+        await createChatWithMessages(user._id, ['q', 'a', 'q2', 'a2']);
+
+        const res = await request(app).get('/admin/stats').set(ADMIN_HEADER);
+
+        expect(res.status).toBe(200);
+        expect(res.body.overview).toEqual({
+            totalUsers: 2,
+            newUsersThisWeek: 2,
+            totalChats: 1,
+            totalMessages: 4,
+            avgMessagesPerChat: 4
+        });
+        expect(res.body.charts.userActivityByDay).toHaveLength(7);
+        expect(res.body.charts.chatActivityByDay).toHaveLength(7);
+        expect(res.body.topUsers[0]).toMatchObject({ chatCount: 1, email: user.email });
+    });
+});
+
+describe('GET /admin/users', () => {
+    it('paginates and searches users with chat counts', async () => {
+        const { user } = await registerUser({ name: 'Grace Hopper' });
+        await registerUser();
+        await createChatWithMessages(user._id, ['q']);
+
+        const page = await request(app).get('/admin/users?page=1&limit=2').set(ADMIN_HEADER);
+        expect(page.status).toBe(200);
+        expect(page.body.users).toHaveLength(2);
+        expect(page.body.pagination).toEqual({ page: 1, limit: 2, total: 3, pages: 2 });
+        expect(page.body.users[0].password).toBeUndefined();
+
+        const search = await request(app).get('/admin/users?search=grace').set(ADMIN_HEADER);
+        expect(search.body.users).toHaveLength(1);
+        expect(search.body.users[0]).toMatchObject({ name: 'Grace Hopper', chatCount: 1 });
+    });
+});
+
+describe('/admin/users/:id', () => {
+    it('returns user details with counts', async () => {
+        const { user } = await registerUser();
+        await createChatWithMessages(user._id, ['q', 'a']);
+
+        const res = await request(app).get(`/admin/users/${user._id}`).set(ADMIN_HEADER);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ email: user.email, chatCount: 1, messageCount: 2 });
+    });
+
+    it('returns 404 for unknown users', async () => {
+        const res = await request(app).get('/admin/users/000000000000000000000000').set(ADMIN_HEADER);
+        expect(res.status).toBe(404);
+    });
+
+    it('updates a user', async () => {
+        const { user } = await registerUser();
+
+        const res = await request(app)
+            .put(`/admin/users/${user._id}`)
+            .set(ADMIN_HEADER)
+            .send({ name: 'Edited', interests: ['OS'], persona: 'Terse' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ name: 'Edited', interests: ['OS'], persona: 'Terse' });
+    });
+
+    it('sets a per-user quota', async () => {
+        const { user } = await registerUser();
+
+        const res = await request(app)
+            .put(`/admin/users/${user._id}`)
+            .set(ADMIN_HEADER)
+            .send({ quota: { dailyMessages: 5 } });
+
+        expect(res.status).toBe(200);
+        expect(res.body.quota).toEqual({ dailyMessages: 5, dailyTokens: null });
+    });
+
+    it('changes roles but not the admin\'s own role', async () => {
+        const { user } = await registerUser();
+
+        const promote = await request(app)
+            .put(`/admin/users/${user._id}`)
+            .set(ADMIN_HEADER)
+            .send({ role: 'moderator' });
+        expect(promote.status).toBe(200);
+        expect(promote.body.role).toBe('moderator');
+
+        const self = await User.findOne({ email: 'root@example.com' });
+        const demote = await request(app)
+            .put(`/admin/users/${self._id}`)
+            .set(ADMIN_HEADER)
+            .send({ role: 'user' });
+        expect(demote.status).toBe(400);
+
+        const invalid = await request(app)
+            .put(`/admin/users/${user._id}`)
+            .set(ADMIN_HEADER)
+            .send({ role: 'superuser' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.message).toBe('Role must be one of user, moderator, admin');
+    });
+
+    it('refuses to reuse another user\'s email', async () => {
+        const { user } = await registerUser();
+        const { user: other } = await registerUser();
+
+        const res = await request(app)
+            .put(`/admin/users/${user._id}`)
+            .set(ADMIN_HEADER)
+            .send({ email: other.email });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('deletes a user and all their data', async () => {
+        const { user } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['q', 'a']);
+
+        const res = await request(app).delete(`/admin/users/${user._id}`).set(ADMIN_HEADER);
+
+        expect(res.status).toBe(200);
+        expect(await User.findById(user._id)).toBeNull();
+        expect(await Chat.findById(chat._id)).toBeNull();
+        expect(await Message.countDocuments({ chatId: chat._id })).toBe(0);
+    });
+});
+
+describe('GET /admin/audit', () => {
+    it('records admin updates and deletions with a diff', async () => {
+        const { user } = await registerUser({ name: 'Before' });
+
+        await request(app)
+            .put(`/admin/users/${user._id}`)
+            .set(ADMIN_HEADER)
+            .send({ name: 'After', persona: '' });
+        await request(app).delete(`/admin/users/${user._id}`).set(ADMIN_HEADER);
+
+        const res = await request(app).get('/admin/audit').set(ADMIN_HEADER);
+
+        expect(res.status).toBe(200);
+        expect(res.body.entries.map(e => e.action)).toEqual(['admin.user.delete', 'admin.user.update']);
+
+        const update = res.body.entries[1];
+        expect(update.changes).toEqual({ name: { from: 'Before', to: 'After' } });
+        expect(update.actor.email).toBe('root@example.com');
+        expect(update.targetEmail).toBe(user.email);
+        expect(update.ip).toBeTruthy();
+    });
+
+    it('filters by action, target and date range with pagination', async () => {
+        const { user: first } = await registerUser();
+        const { user: second } = await registerUser();
+        await request(app).put(`/admin/users/${first._id}`).set(ADMIN_HEADER).send({ name: 'One' });
+        await request(app).put(`/admin/users/${second._id}`).set(ADMIN_HEADER).send({ name: 'Two' });
+        await request(app).delete(`/admin/users/${second._id}`).set(ADMIN_HEADER);
+
+        const byAction = await request(app).get('/admin/audit?action=admin.user.update').set(ADMIN_HEADER);
+        expect(byAction.body.pagination.total).toBe(2);
+
+        const byTarget = await request(app).get(`/admin/audit?target=${second._id}`).set(ADMIN_HEADER);
+        expect(byTarget.body.entries).toHaveLength(2);
+
+        const paged = await request(app).get('/admin/audit?limit=1&page=2').set(ADMIN_HEADER);
+        expect(paged.body.entries).toHaveLength(1);
+        expect(paged.body.pagination).toMatchObject({ page: 2, limit: 1, total: 3, pages: 3 });
+
+        const future = await request(app)
+            .get(`/admin/audit?from=${new Date(Date.now() + 60000).toISOString()}`)
+            .set(ADMIN_HEADER);
+        expect(future.body.entries).toHaveLength(0);
+    });
+
+    it('is admin only', async () => {
+        const { token } = await registerStaff('moderator');
+        const res = await request(app).get('/admin/audit').set(authHeader(token));
+        expect(res.status).toBe(403);
+    });
+
+    it('rejects malformed filters', async () => {
+        const res = await request(app).get('/admin/audit?actor=not-an-id').set(ADMIN_HEADER);
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,250 @@
+import { describe, it, expect, vi, afterEach, beforeAll } from 'vitest';
+import { app, request, registerUser, authHeader } from './helpers.js';
+import { getProvider } from '../services/providers/index.js';
+import { getStorage } from '../services/storage/index.js';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+
+// Smallest files that pass the signature checks
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image data')]);
+const PDF = Buffer.from('%PDF-1.7\nfake pdf');
+
+// Send a multipart message; files are [buffer, filename, contentType]
+const sendWithFiles = (token, chat, content, files, path = 'message') => {
+    const req = request(app).post(`/chat/${chat._id}/${path}`).set(authHeader(token));
+    if (content !== undefined) req.field('content', content);
+    for (const [buffer, filename, contentType] of files) {
+        req.attach('attachments', buffer, { filename, contentType });
+    }
+    return req;
+};
+
+describe('message attachments', () => {
+    afterEach(() => {
+        delete process.env.ATTACHMENT_MAX_SIZE_MB;
+        delete process.env.ATTACHMENT_MAX_FILES;
+    });
+
+    it('stores uploaded files and sends them to the model as inline data', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const res = await sendWithFiles(token, chat, 'What is wrong with my code?', [
+            [PNG, 'screenshot.png', 'image/png'],
+            [Buffer.from('def f(n):\n    return f(n)\n'), 'recursion.py', 'application/octet-stream']
+        ]);
+
+        expect(res.status).toBe(200);
+        expect(res.body.userMessage.attachments).toEqual([
+            expect.objectContaining({ name: 'screenshot.png', kind: 'image', mimeType: 'image/png', size: PNG.length }),
+            expect.objectContaining({ name: 'recursion.py', kind: 'text', mimeType: 'text/plain' })
+        ]);
+        expect(res.body.userMessage.attachments[0].storageKey).toBeUndefined();
+
+        const stored = await Message.findById(res.body.userMessage._id);
+        expect(getStorage().files.get(stored.attachments[0].storageKey)).toEqual(PNG);
+
+        const [call] = getProvider().calls;
+        expect(call.message).toBe('What is wrong with my code?');
+        expect(call.attachments).toEqual([
+            { name: 'screenshot.png', kind: 'image', mimeType: 'image/png', data: PNG.toString('base64') },
+            expect.objectContaining({ name: 'recursion.py', kind: 'text', mimeType: 'text/plain' })
+        ]);
+    });
+
+    it('accepts a message with only attachments and keeps them in later history', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const first = await sendWithFiles(token, chat, undefined, [[PDF, 'notes.pdf', 'application/pdf']]);
+        expect(first.status).toBe(200);
+        expect(first.body.chatTitle).toBe('notes.pdf');
+
+        await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({ content: 'Summarize it' });
+
+        const call = getProvider().calls[1];
+        expect(call.history[0].attachments).toEqual([
+            { name: 'notes.pdf', kind: 'pdf', mimeType: 'application/pdf', data: PDF.toString('base64') }
+        ]);
+        expect(call.attachments).toEqual([]);
+    });
+
+    it('works with streaming replies', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const res = await sendWithFiles(token, chat, 'Look at this', [[PNG, 'graph.png', 'image/png']], 'message/stream');
+
+        expect(res.status).toBe(200);
+        expect(res.text).toContain('graph.png');
+        expect(getProvider().calls[0].attachments).toHaveLength(1);
+    });
+
+    it('rejects unsupported and disguised files without storing anything', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const binary = await sendWithFiles(token, chat, 'hi', [[Buffer.from([0x4d, 0x5a, 0x90, 0x00]), 'tool.exe', 'application/octet-stream']]);
+        expect(binary.status).toBe(400);
+        expect(binary.body.message).toContain('unsupported file type');
+
+        const fake = await sendWithFiles(token, chat, 'hi', [[PNG, 'ok.png', 'image/png'], [Buffer.from('<svg/>'), 'fake.png', 'image/png']]);
+        expect(fake.status).toBe(400);
+        expect(fake.body.message).toBe('fake.png is not a valid image');
+
+        expect(getStorage().files.size).toBe(0);
+        expect(await Message.countDocuments({ chatId: chat._id })).toBe(0);
+        expect(getProvider().calls).toHaveLength(0);
+    });
+
+    it('enforces size and count limits', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        process.env.ATTACHMENT_MAX_SIZE_MB = '1';
+        process.env.ATTACHMENT_MAX_FILES = '2';
+
+        const large = await sendWithFiles(token, chat, 'hi', [[Buffer.alloc(1024 * 1024 + 1, 'a'), 'big.txt', 'text/plain']]);
+        expect(large.status).toBe(413);
+
+        const many = await sendWithFiles(token, chat, 'hi', [
+            [Buffer.from('a'), 'a.txt', 'text/plain'],
+            [Buffer.from('b'), 'b.txt', 'text/plain'],
+            [Buffer.from('c'), 'c.txt', 'text/plain']
+        ]);
+        expect(many.status).toBe(400);
+        expect(getStorage().files.size).toBe(0);
+    });
+
+    it('removes the stored files when the message cannot be saved', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        const create = vi.spyOn(Message, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+        const res = await sendWithFiles(token, chat, 'See attached', [[PNG, 'a.png', 'image/png'], [PDF, 'b.pdf', 'application/pdf']]);
+        create.mockRestore();
+
+        expect(res.status).toBe(500);
+        expect(getStorage().files.size).toBe(0);
+        expect(await Message.countDocuments({ chatId: chat._id })).toBe(0);
+    });
+
+    it('keeps the original files when a message is edited', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        const { body } = await sendWithFiles(token, chat, 'Explain this', [[PNG, 'tree.png', 'image/png']]);
+
+        const res = await request(app)
+            .put(`/chat/${chat._id}/messages/${body.userMessage._id}`)
+            .set(authHeader(token))
+            .send({ content: 'Explain this tree' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.userMessage.attachments).toEqual([expect.objectContaining({ name: 'tree.png' })]);
+        expect(getProvider().calls[1].attachments).toHaveLength(1);
+    });
+});
+
+describe('GET /chat/:id/attachments/:attachmentId', () => {
+    it('serves images inline and text files as downloads', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        const { body } = await sendWithFiles(token, chat, 'files', [
+            [PNG, 'plot.png', 'image/png'],
+            [Buffer.from('<script>alert(1)</script>'), 'page.html', 'text/html']
+        ]);
+        const [image, page] = body.userMessage.attachments;
+
+        const imageRes = await request(app).get(`/chat/${chat._id}/attachments/${image._id}`).set(authHeader(token));
+        expect(imageRes.status).toBe(200);
+        expect(imageRes.headers['content-type']).toBe('image/png');
+        expect(imageRes.headers['content-disposition']).toBe('inline; filename="plot.png"');
+        expect(imageRes.body).toEqual(PNG);
+
+        const pageRes = await request(app).get(`/chat/${chat._id}/attachments/${page._id}`).set(authHeader(token));
+        expect(pageRes.headers['content-type']).toBe('text/plain; charset=utf-8');
+        expect(pageRes.headers['content-disposition']).toBe('attachment; filename="page.html"');
+        expect(pageRes.headers['x-content-type-options']).toBe('nosniff');
+    });
+
+    it('only serves files from the user\'s own chats', async () => {
+        const { user, token } = await registerUser();
+        const { token: otherToken } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        const { body } = await sendWithFiles(token, chat, 'mine', [[PNG, 'private.png', 'image/png']]);
+        const [attachment] = body.userMessage.attachments;
+
+        const res = await request(app).get(`/chat/${chat._id}/attachments/${attachment._id}`).set(authHeader(otherToken));
+        expect(res.status).toBe(404);
+
+        const missing = await request(app).get(`/chat/${chat._id}/attachments/not-an-id`).set(authHeader(token));
+        expect(missing.status).toBe(404);
+    });
+});
+
+describe('attachments in shares, exports and search', () => {
+    // $text queries need the text indexes to exist
+    beforeAll(() => Promise.all([Chat.init(), Message.init()]));
+
+    it('shares a chat with an attachment-only message', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        await sendWithFiles(token, chat, undefined, [[PNG, 'diagram.png', 'image/png']]);
+
+        const res = await request(app).post(`/chat/${chat._id}/share`).set(authHeader(token)).send({});
+        expect(res.status).toBe(201);
+
+        const viewed = await request(app).get(`/shared/${res.body.slug}`);
+        expect(viewed.body.messages[0]).toMatchObject({
+            role: 'user',
+            attachments: [{ name: 'diagram.png', kind: 'image', mimeType: 'image/png', size: PNG.length }]
+        });
+        expect(viewed.body.messages[0].attachments[0].storageKey).toBeUndefined();
+    });
+
+    it('lists attachment names in exports and search results', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        await sendWithFiles(token, chat, 'Why does my heap overflow?', [[PDF, 'notes.pdf', 'application/pdf']]);
+        await sendWithFiles(token, chat, undefined, [[PNG, 'trace.png', 'image/png']]);
+        const exportAs = (format) => request(app).get(`/chat/${chat._id}/export?format=${format}`).set(authHeader(token));
+
+        const json = JSON.parse((await exportAs('json')).text);
+        expect(json.chat.messages.filter(m => m.attachments).map(m => m.attachments.map(a => a.name))).toEqual([['notes.pdf'], ['trace.png']]);
+
+        const md = (await exportAs('md')).text;
+        expect(md).toContain('Why does my heap overflow?\n\n_Attachments: notes.pdf_');
+        expect(md).toContain('_Attachments: trace.png_');
+
+        const html = (await exportAs('html')).text;
+        expect(html).toContain('<p class="attachments">Attachments: trace.png</p>');
+
+        const search = await request(app).get('/chat/search').query({ q: 'heap', role: 'user' }).set(authHeader(token));
+        expect(search.body.results[0].snippet.attachments).toEqual(['notes.pdf']);
+    });
+});
+
+describe('deleting attachments', () => {
+    it('removes stored files with the chat', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        const other = await Chat.create({ userId: user._id });
+        await sendWithFiles(token, chat, 'delete me', [[PNG, 'a.png', 'image/png']]);
+        await sendWithFiles(token, other, 'keep me', [[PNG, 'b.png', 'image/png']]);
+        expect(getStorage().files.size).toBe(2);
+
+        await request(app).delete(`/chat/${chat._id}`).set(authHeader(token));
+
+        expect([...getStorage().files.keys()]).toEqual([expect.stringContaining(String(other._id))]);
+    });
+
+    it('removes stored files with the account', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        await sendWithFiles(token, chat, 'files', [[PNG, 'a.png', 'image/png'], [PDF, 'b.pdf', 'application/pdf']]);
+
+        const res = await request(app).delete('/auth/account').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(getStorage().files.size).toBe(0);
+    });
+});
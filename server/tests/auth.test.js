@@ -0,0 +1,658 @@
+import { describe, it, expect } from 'vitest';
+import jwt from 'jsonwebtoken';
+import { app, request, registerUser, createChatWithMessages, authHeader, login, mailTo } from './helpers.js';
+import User from '../models/User.js';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import AuditLog from '../models/AuditLog.js';
+import Session from '../models/Session.js';
+
+describe('POST /auth/register', () => {
+    it('creates a user and returns a token', async () => {
+        const res = await request(app)
+            .post('/auth/register')
+            .send({ name: 'Ada', email: 'ada@example.com', password: 'password123' });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ name: 'Ada', email: 'ada@example.com', interests: [], persona: '' });
+        expect(res.body.token).toBeTruthy();
+        expect(res.body.password).toBeUndefined();
+
+        const stored = await User.findOne({ email: 'ada@example.com' }).select('+password');
+        expect(stored.password).not.toBe('password123');
+    });
+
+    it('rejects a duplicate email', async () => {
+        await registerUser({ email: 'dup@example.com' });
+
+        const res = await request(app)
+            .post('/auth/register')
+            .send({ name: 'Dup', email: 'dup@example.com', password: 'password123' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('User already exists');
+    });
+
+    it('rejects invalid data', async () => {
+        const res = await request(app)
+            .post('/auth/register')
+            .send({ name: 'Bad', email: 'not-an-email', password: 'password123' });
+
+        expect(res.status).toBe(500);
+        expect(res.body.message).toMatch(/valid email/);
+    });
+});
+
+describe('email verification', () => {
+    const verificationToken = (email) => mailTo(email, /Verify your email/).at(-1)
+        .html.match(/verify-email\/([a-f0-9]+)/)[1];
+
+    it('emails a verification link on registration', async () => {
+        const { user } = await registerUser();
+
+        expect(user.emailVerified).toBe(false);
+        expect(mailTo(user.email, /Verify your email/)).toHaveLength(1);
+    });
+
+    it('verifies the email with the token (GET and POST)', async () => {
+        const { user, token } = await registerUser();
+        const { user: second } = await registerUser();
+
+        const res = await request(app).get(`/auth/verify-email/${verificationToken(user.email)}`);
+        expect(res.status).toBe(200);
+
+        const me = await request(app).get('/auth/me').set(authHeader(token));
+        expect(me.body.emailVerified).toBe(true);
+
+        const post = await request(app).post(`/auth/verify-email/${verificationToken(second.email)}`);
+        expect(post.status).toBe(200);
+    });
+
+    it('rejects invalid and expired tokens', async () => {
+        const { user } = await registerUser();
+        const token = verificationToken(user.email);
+        await User.updateOne({ _id: user._id }, { emailVerificationExpire: new Date(Date.now() - 1000) });
+
+        const expired = await request(app).get(`/auth/verify-email/${token}`);
+        expect(expired.status).toBe(400);
+
+        const invalid = await request(app).get('/auth/verify-email/nope');
+        expect(invalid.status).toBe(400);
+    });
+
+    it('resends the verification email with a fresh token', async () => {
+        const { user, token } = await registerUser();
+        const first = verificationToken(user.email);
+
+        const res = await request(app).post('/auth/resend-verification').set(authHeader(token));
+        expect(res.status).toBe(200);
+
+        const second = verificationToken(user.email);
+        expect(second).not.toBe(first);
+        expect((await request(app).get(`/auth/verify-email/${first}`)).status).toBe(400);
+        expect((await request(app).get(`/auth/verify-email/${second}`)).status).toBe(200);
+
+        const again = await request(app).post('/auth/resend-verification').set(authHeader(token));
+        expect(again.status).toBe(400);
+    });
+
+    it('still registers when the email cannot be sent', async () => {
+        globalThis.mailError = new Error('SMTP down');
+
+        const res = await request(app)
+            .post('/auth/register')
+            .send({ name: 'Offline', email: 'offline@example.com', password: 'password123' });
+
+        expect(res.status).toBe(201);
+    });
+
+    it('requires re-verification after an email change', async () => {
+        const { user, token } = await registerUser();
+        await request(app).get(`/auth/verify-email/${verificationToken(user.email)}`);
+
+        const res = await request(app)
+            .put('/auth/profile')
+            .set(authHeader(token))
+            .send({ email: 'moved@example.com' });
+
+        expect(res.body.emailVerified).toBe(false);
+        expect(mailTo('moved@example.com', /Verify your email/)).toHaveLength(1);
+    });
+
+    it('blocks chatting for unverified users only when configured', async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id);
+        const send = () => request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'hi' });
+
+        expect((await send()).status).toBe(200);
+
+        process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+        try {
+            const blocked = await send();
+            expect(blocked.status).toBe(403);
+            expect(blocked.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+            await request(app).get(`/auth/verify-email/${verificationToken(user.email)}`);
+            expect((await send()).status).toBe(200);
+        } finally {
+            delete process.env.REQUIRE_EMAIL_VERIFICATION;
+        }
+    });
+});
+
+describe('POST /auth/login', () => {
+    it('logs in with correct credentials', async () => {
+        const { user, password } = await registerUser();
+
+        const res = await request(app)
+            .post('/auth/login')
+            .send({ email: user.email, password });
+
+        expect(res.status).toBe(200);
+        expect(res.body._id).toBe(user._id);
+        expect(res.body.token).toBeTruthy();
+    });
+
+    it('rejects a wrong password', async () => {
+        const { user } = await registerUser();
+
+        const res = await request(app)
+            .post('/auth/login')
+            .send({ email: user.email, password: 'wrong-password' });
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Invalid email or password');
+    });
+
+    it('rejects an unknown email', async () => {
+        const res = await request(app)
+            .post('/auth/login')
+            .send({ email: 'nobody@example.com', password: 'password123' });
+
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('login lockout', () => {
+    const failLogin = (email) => request(app)
+        .post('/auth/login')
+        .send({ email, password: 'wrong-password' });
+
+    it('locks the account after repeated failures', async () => {
+        const { user, password } = await registerUser();
+
+        for (let i = 0; i < 5; i++) {
+            expect((await failLogin(user.email)).status).toBe(401);
+        }
+
+        const locked = await request(app)
+            .post('/auth/login')
+            .send({ email: user.email, password });
+
+        expect(locked.status).toBe(429);
+        expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+        expect(Number(locked.headers['retry-after'])).toBeLessThanOrEqual(60);
+    });
+
+    it('answers wrong passwords on a locked account like an unknown email', async () => {
+        const { user } = await registerUser();
+        for (let i = 0; i < 5; i++) await failLogin(user.email);
+
+        const locked = await failLogin(user.email);
+        const unknown = await failLogin('nobody@example.com');
+
+        expect(locked.status).toBe(401);
+        expect(locked.body).toEqual(unknown.body);
+        expect(locked.headers['retry-after']).toBeUndefined();
+    });
+
+    it('doubles the lock for every further failure', async () => {
+        const { user } = await registerUser();
+        await User.updateOne({ _id: user._id }, { failedLoginAttempts: 6 });
+
+        await failLogin(user.email);
+
+        const stored = await User.findById(user._id).select('+lockUntil +failedLoginAttempts');
+        expect(stored.failedLoginAttempts).toBe(7);
+        const lockMs = stored.lockUntil.getTime() - Date.now();
+        expect(lockMs).toBeGreaterThan(3 * 60 * 1000);
+        expect(lockMs).toBeLessThanOrEqual(4 * 60 * 1000);
+    });
+
+    it('resets the counter after a successful login', async () => {
+        const { user, password } = await registerUser();
+        await failLogin(user.email);
+        await failLogin(user.email);
+
+        const ok = await request(app).post('/auth/login').send({ email: user.email, password });
+        expect(ok.status).toBe(200);
+
+        const stored = await User.findById(user._id).select('+failedLoginAttempts');
+        expect(stored.failedLoginAttempts).toBe(0);
+    });
+});
+
+describe('GET /auth/me', () => {
+    it('returns the current user', async () => {
+        const { user, token } = await registerUser();
+
+        const res = await request(app).get('/auth/me').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ _id: user._id, email: user.email });
+        expect(res.body.createdAt).toBeTruthy();
+    });
+
+    it('requires a token', async () => {
+        const res = await request(app).get('/auth/me');
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Not authorized, no token');
+    });
+
+    it('rejects an invalid token', async () => {
+        const res = await request(app).get('/auth/me').set(authHeader('garbage'));
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Not authorized, token failed');
+    });
+
+    it('rejects a token for a deleted user', async () => {
+        const { user, token } = await registerUser();
+        await User.findByIdAndDelete(user._id);
+
+        const res = await request(app).get('/auth/me').set(authHeader(token));
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Not authorized, user not found');
+    });
+});
+
+describe('refresh tokens and sessions', () => {
+    it('rotates the refresh token', async () => {
+        const { token, refreshToken } = await registerUser();
+
+        const res = await request(app).post('/auth/refresh').send({ refreshToken });
+
+        expect(res.status).toBe(200);
+        expect(res.body.token).toBeTruthy();
+        expect(res.body.refreshToken).not.toBe(refreshToken);
+
+        const me = await request(app).get('/auth/me').set(authHeader(res.body.token));
+        expect(me.status).toBe(200);
+
+        // The previous access token belongs to the same session and still works
+        const old = await request(app).get('/auth/me').set(authHeader(token));
+        expect(old.status).toBe(200);
+    });
+
+    it('revokes the session when a rotated refresh token is reused', async () => {
+        const { refreshToken } = await registerUser();
+        const first = await request(app).post('/auth/refresh').send({ refreshToken });
+
+        const reuse = await request(app).post('/auth/refresh').send({ refreshToken });
+        expect(reuse.status).toBe(401);
+
+        const latest = await request(app).post('/auth/refresh').send({ refreshToken: first.body.refreshToken });
+        expect(latest.status).toBe(401);
+    });
+
+    it('rejects missing and malformed refresh tokens', async () => {
+        const missing = await request(app).post('/auth/refresh').send({});
+        expect(missing.status).toBe(400);
+
+        const malformed = await request(app).post('/auth/refresh').send({ refreshToken: 'nope' });
+        expect(malformed.status).toBe(401);
+    });
+
+    it('logs out with the access token or the refresh token', async () => {
+        const { user, token, password } = await registerUser();
+
+        const logout = await request(app).post('/auth/logout').set(authHeader(token));
+        expect(logout.status).toBe(200);
+
+        const me = await request(app).get('/auth/me').set(authHeader(token));
+        expect(me.status).toBe(401);
+        expect(me.body.message).toBe('Not authorized, session revoked');
+
+        const second = await login(user.email, password);
+        await request(app).post('/auth/logout').send({ refreshToken: second.refreshToken });
+
+        const refresh = await request(app).post('/auth/refresh').send({ refreshToken: second.refreshToken });
+        expect(refresh.status).toBe(401);
+    });
+
+    it('lists sessions and revokes a single device', async () => {
+        const { user, token, password } = await registerUser();
+        const phone = await login(user.email, password, 'phone');
+
+        const list = await request(app).get('/auth/sessions').set(authHeader(token));
+        expect(list.status).toBe(200);
+        expect(list.body).toHaveLength(2);
+        expect(list.body.filter(s => s.current)).toHaveLength(1);
+
+        const phoneSession = list.body.find(s => s.userAgent === 'phone');
+        const revoke = await request(app)
+            .delete(`/auth/sessions/${phoneSession._id}`)
+            .set(authHeader(token));
+        expect(revoke.status).toBe(200);
+
+        const phoneMe = await request(app).get('/auth/me').set(authHeader(phone.token));
+        expect(phoneMe.status).toBe(401);
+    });
+
+    it('cannot revoke another user\'s session', async () => {
+        const { token } = await registerUser();
+        const { user: other } = await registerUser();
+        const otherSession = await Session.findOne({ userId: other._id });
+
+        const res = await request(app)
+            .delete(`/auth/sessions/${otherSession._id}`)
+            .set(authHeader(token));
+
+        expect(res.status).toBe(404);
+        expect((await Session.findById(otherSession._id)).revokedAt).toBeUndefined();
+    });
+
+    it('refuses tokens of revoked sessions and tokens without a session', async () => {
+        const { user, token } = await registerUser();
+        const session = await Session.findOne({ userId: user._id });
+        session.revokedAt = Date.now();
+        await session.save();
+
+        const revoked = await request(app).get('/auth/me').set(authHeader(token));
+        expect(revoked.status).toBe(401);
+        expect(revoked.body.message).toBe('Not authorized, session revoked');
+
+        const legacy = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+        const sessionless = await request(app).get('/auth/me').set(authHeader(legacy));
+        expect(sessionless.status).toBe(401);
+        expect(sessionless.body.message).toBe('Not authorized, token expired');
+    });
+
+    it('revokes other sessions when the password changes', async () => {
+        const { user, token, password } = await registerUser();
+        const laptop = await login(user.email, password);
+
+        const res = await request(app)
+            .put('/auth/password')
+            .set(authHeader(token))
+            .send({ currentPassword: password, newPassword: 'changed-pass' });
+        expect(res.body.revokedSessions).toBe(1);
+
+        expect((await request(app).get('/auth/me').set(authHeader(token))).status).toBe(200);
+        expect((await request(app).get('/auth/me').set(authHeader(laptop.token))).status).toBe(401);
+    });
+});
+
+describe('GET /auth/usage', () => {
+    it('returns today\'s usage, limits and history', async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id);
+        await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({ content: 'hi' });
+
+        const res = await request(app).get('/auth/usage').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.today.messages).toBe(1);
+        expect(res.body.today.totalTokens).toBeGreaterThan(0);
+        expect(res.body.limits).toEqual({ messages: 100, tokens: 200000 });
+        expect(res.body.remaining.messages).toBe(99);
+        expect(res.body.history).toHaveLength(7);
+        expect(res.body.history[6].messages).toBe(1);
+    });
+});
+
+describe('password reset', () => {
+    it('requires an email', async () => {
+        const res = await request(app).post('/auth/forgot-password').send({});
+        expect(res.status).toBe(400);
+    });
+
+    it('does not reveal unknown emails', async () => {
+        const res = await request(app)
+            .post('/auth/forgot-password')
+            .send({ email: 'nobody@example.com' });
+
+        expect(res.status).toBe(200);
+        expect(globalThis.sentMail).toHaveLength(0);
+    });
+
+    it('emails a reset link that can be used once', async () => {
+        const { user } = await registerUser();
+
+        const forgot = await request(app)
+            .post('/auth/forgot-password')
+            .send({ email: user.email });
+
+        expect(forgot.status).toBe(200);
+        const [mail] = mailTo(user.email, /Password Reset/);
+        expect(mail).toBeTruthy();
+
+        const token = mail.html.match(/reset-password\/([a-f0-9]+)/)[1];
+
+        const reset = await request(app)
+            .post(`/auth/reset-password/${token}`)
+            .send({ password: 'brand-new-pass' });
+        expect(reset.status).toBe(200);
+        expect(await Session.countDocuments({ userId: user._id, revokedAt: null })).toBe(0);
+
+        const login = await request(app)
+            .post('/auth/login')
+            .send({ email: user.email, password: 'brand-new-pass' });
+        expect(login.status).toBe(200);
+        expect(await AuditLog.countDocuments({ action: 'user.password.reset', target: user._id })).toBe(1);
+
+        const reuse = await request(app)
+            .post(`/auth/reset-password/${token}`)
+            .send({ password: 'another-pass' });
+        expect(reuse.status).toBe(400);
+    });
+
+    it('clears the token when the email cannot be sent', async () => {
+        const { user } = await registerUser();
+        globalThis.mailError = new Error('SMTP down');
+
+        const res = await request(app)
+            .post('/auth/forgot-password')
+            .send({ email: user.email });
+
+        expect(res.status).toBe(500);
+        const stored = await User.findById(user._id);
+        expect(stored.resetPasswordToken).toBeUndefined();
+    });
+
+    it('validates the new password and token', async () => {
+        const short = await request(app)
+            .post('/auth/reset-password/abc')
+            .send({ password: '123' });
+        expect(short.status).toBe(400);
+
+        const invalid = await request(app)
+            .post('/auth/reset-password/abc')
+            .send({ password: 'long-enough' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.message).toBe('Invalid or expired reset token');
+    });
+});
+
+describe('PUT /auth/profile', () => {
+    it('updates name and email', async () => {
+        const { token } = await registerUser();
+
+        const res = await request(app)
+            .put('/auth/profile')
+            .set(authHeader(token))
+            .send({ name: 'Renamed', email: 'renamed@example.com' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ name: 'Renamed', email: 'renamed@example.com' });
+
+        const entry = await AuditLog.findOne({ action: 'user.email.change' });
+        expect(entry.changes.email.to).toBe('renamed@example.com');
+    });
+
+    it('rejects an email that is already taken', async () => {
+        const { user: other } = await registerUser();
+        const { token } = await registerUser();
+
+        const res = await request(app)
+            .put('/auth/profile')
+            .set(authHeader(token))
+            .send({ email: other.email });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Email already in use');
+    });
+});
+
+describe('PUT /auth/password', () => {
+    it('changes the password when the current one matches', async () => {
+        const { user, token, password } = await registerUser();
+
+        const res = await request(app)
+            .put('/auth/password')
+            .set(authHeader(token))
+            .send({ currentPassword: password, newPassword: 'changed-pass' });
+        expect(res.status).toBe(200);
+
+        const login = await request(app)
+            .post('/auth/login')
+            .send({ email: user.email, password: 'changed-pass' });
+        expect(login.status).toBe(200);
+
+        const entry = await AuditLog.findOne({ action: 'user.password.change' });
+        expect(entry.actor.toString()).toBe(user._id);
+        expect(JSON.stringify(entry.changes)).not.toContain('changed-pass');
+    });
+
+    it('rejects a wrong current password', async () => {
+        const { token } = await registerUser();
+
+        const res = await request(app)
+            .put('/auth/password')
+            .set(authHeader(token))
+            .send({ currentPassword: 'wrong', newPassword: 'changed-pass' });
+
+        expect(res.status).toBe(401);
+    });
+
+    it('validates the input', async () => {
+        const { token, password } = await registerUser();
+
+        const missing = await request(app).put('/auth/password').set(authHeader(token)).send({});
+        expect(missing.status).toBe(400);
+
+        const short = await request(app)
+            .put('/auth/password')
+            .set(authHeader(token))
+            .send({ currentPassword: password, newPassword: '123' });
+        expect(short.status).toBe(400);
+    });
+});
+
+describe('PUT /auth/interests and /auth/persona', () => {
+    it('updates interests', async () => {
+        const { token } = await registerUser();
+
+        const res = await request(app)
+            .put('/auth/interests')
+            .set(authHeader(token))
+            .send({ interests: ['Graphs', 'Compilers'] });
+
+        expect(res.status).toBe(200);
+        expect(res.body.interests).toEqual(['Graphs', 'Compilers']);
+    });
+
+    it('validates interests', async () => {
+        const { token } = await registerUser();
+
+        const notArray = await request(app)
+            .put('/auth/interests')
+            .set(authHeader(token))
+            .send({ interests: 'Graphs' });
+        expect(notArray.status).toBe(400);
+
+        const tooMany = await request(app)
+            .put('/auth/interests')
+            .set(authHeader(token))
+            .send({ interests: Array.from({ length: 21 }, (_, i) => `topic ${i}`) });
+        expect(tooMany.status).toBe(400);
+    });
+
+    it('updates and validates the persona', async () => {
+        const { token } = await registerUser();
+
+        const ok = await request(app)
+            .put('/auth/persona')
+            .set(authHeader(token))
+            .send({ persona: 'Explain like I am five' });
+        expect(ok.status).toBe(200);
+        expect(ok.body.persona).toBe('Explain like I am five');
+
+        const notString = await request(app)
+            .put('/auth/persona')
+            .set(authHeader(token))
+            .send({ persona: 42 });
+        expect(notString.status).toBe(400);
+
+        const tooLong = await request(app)
+            .put('/auth/persona')
+            .set(authHeader(token))
+            .send({ persona: 'x'.repeat(501) });
+        expect(tooLong.status).toBe(400);
+    });
+});
+
+describe('GET /auth/export', () => {
+    it('downloads the profile and every chat as JSON', async () => {
+        const { user, token } = await registerUser();
+        await request(app).put('/auth/interests').set(authHeader(token)).send({ interests: ['Algorithms'] });
+        await createChatWithMessages(user._id, ['Q1', 'A1'], 'First');
+        await createChatWithMessages(user._id, ['Q2', 'A2'], 'Second');
+
+        const res = await request(app).get('/auth/export').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toMatch(/attachment; filename="bit-brainic-export-.*\.json"/);
+        const archive = JSON.parse(res.text);
+        expect(archive).toMatchObject({ format: 'bit-brainic', version: 1 });
+        expect(archive.profile).toMatchObject({ email: user.email, interests: ['Algorithms'], persona: '' });
+        expect(archive.profile.password).toBeUndefined();
+        expect(archive.chats.map(c => c.title)).toEqual(['First', 'Second']);
+        expect(archive.chats[0].messages.map(m => m.content)).toEqual(['Q1', 'A1']);
+
+        const entry = await AuditLog.findOne({ action: 'user.account.export' });
+        expect(entry.target.toString()).toBe(user._id);
+    });
+
+    it('does not include other users\' chats', async () => {
+        const { token } = await registerUser();
+        const { user: other } = await registerUser();
+        await createChatWithMessages(other._id, ['secret'], 'Not mine');
+
+        const res = await request(app).get('/auth/export').set(authHeader(token));
+
+        expect(JSON.parse(res.text).chats).toEqual([]);
+    });
+});
+
+describe('DELETE /auth/account', () => {
+    it('deletes the user with their chats and messages only', async () => {
+        const { user, token } = await registerUser();
+        const { user: other } = await registerUser();
+        await createChatWithMessages(user._id, ['hi', 'hello']);
+        const otherChat = await createChatWithMessages(other._id, ['hey', 'there']);
+
+        const res = await request(app).delete('/auth/account').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(await User.findById(user._id)).toBeNull();
+        expect(await Chat.countDocuments({ userId: user._id })).toBe(0);
+        expect(await Session.countDocuments({ userId: user._id })).toBe(0);
+        expect(await Chat.countDocuments()).toBe(1);
+        expect(await Message.countDocuments({ chatId: otherChat._id })).toBe(2);
+        expect(await Message.countDocuments()).toBe(2);
+        expect(await AuditLog.countDocuments({ action: 'user.account.delete', target: user._id })).toBe(1);
+    });
+});
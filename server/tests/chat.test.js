@@ -0,0 +1,1196 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import { app, request, registerUser, createChatWithMessages, authHeader, sandboxAvailable } from './helpers.js';
+import { getProvider } from '../services/providers/index.js';
+import { scheduleTitleGeneration } from '../services/titles.js';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import Usage from '../models/Usage.js';
+
+// Parse a Server-Sent Events body into [{ event, data }]
+const parseEvents = (text) => text
+    .split('\n\n')
+    .filter(Boolean)
+    .map(block => {
+        const event = block.match(/^event: (.*)$/m)?.[1];
+        const data = block.match(/^data: (.*)$/m)?.[1];
+        return { event, data: data ? JSON.parse(data) : null };
+    });
+
+describe('chat routes', () => {
+    it('require authentication', async () => {
+        const res = await request(app).get('/chat');
+        expect(res.status).toBe(401);
+    });
+
+    it('list only the current user\'s chats, most recent first', async () => {
+        const { user, token } = await registerUser();
+        const { user: other } = await registerUser();
+        const older = await Chat.create({ userId: user._id, title: 'Older' });
+        await Chat.updateOne({ _id: older._id }, { updatedAt: new Date(Date.now() - 60000) });
+        await Chat.create({ userId: user._id, title: 'Newer' });
+        await Chat.create({ userId: other._id, title: 'Not mine' });
+
+        const res = await request(app).get('/chat').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.map(c => c.title)).toEqual(['Newer', 'Older']);
+    });
+
+    it('create a chat with a default title', async () => {
+        const { user, token } = await registerUser();
+
+        const res = await request(app).post('/chat').set(authHeader(token)).send({});
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ title: 'New Chat', userId: user._id });
+    });
+});
+
+describe('GET /chat/:id', () => {
+    it('returns the chat with its messages in order', async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['What is a heap?', 'A tree-based structure.']);
+
+        const res = await request(app).get(`/chat/${chat._id}`).set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.title).toBe('Test Chat');
+        expect(res.body.messages.map(m => m.role)).toEqual(['user', 'bot']);
+        expect(res.body.messages[0].content).toBe('What is a heap?');
+    });
+
+    it('does not expose another user\'s chat', async () => {
+        const { user: owner } = await registerUser();
+        const { token } = await registerUser();
+        const chat = await createChatWithMessages(owner._id, ['secret question']);
+
+        const res = await request(app).get(`/chat/${chat._id}`).set(authHeader(token));
+
+        expect(res.status).toBe(404);
+        expect(res.body.message).toBe('Chat not found');
+    });
+});
+
+describe('POST /chat/:id/message', () => {
+    it('saves both messages and titles the chat after the first message', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        getProvider().script(['Big-O describes growth rates.']);
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'Explain Big-O notation to me like I am new to algorithms please' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.userMessage.content).toMatch(/^Explain Big-O/);
+        expect(res.body.botMessage).toMatchObject({ role: 'bot', content: 'Big-O describes growth rates.' });
+        expect(res.body.chatTitle).toBe('Explain Big-O notation to me like I am new to algo...');
+        expect(await Message.countDocuments({ chatId: chat._id })).toBe(2);
+    });
+
+    it('keeps a title the user sets while the reply is generated', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        const generate = vi.spyOn(getProvider(), 'generate').mockImplementationOnce(async () => {
+            await request(app).put(`/chat/${chat._id}`).set(authHeader(token)).send({ title: 'My heaps' });
+            return { text: 'A heap is a tree.', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+        });
+
+        const res = await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({ content: 'What is a heap?' });
+        generate.mockRestore();
+
+        expect(res.body.chatTitle).toBe('My heaps');
+        expect(await Chat.findById(chat._id)).toMatchObject({ title: 'My heaps', titleSource: 'user' });
+    });
+
+    it('sends previous messages as history and keeps the title afterwards', async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['first question', 'first answer']);
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'follow-up' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.botMessage.content).toBe('Echo: follow-up');
+        expect(res.body.chatTitle).toBe('Test Chat');
+
+        const [call] = getProvider().calls;
+        expect(call.message).toBe('follow-up');
+        expect(call.history).toEqual([
+            { role: 'user', content: 'first question' },
+            { role: 'bot', content: 'first answer' }
+        ]);
+    });
+
+    it('personalizes the system prompt with interests and persona', async () => {
+        const { user, token } = await registerUser();
+        await request(app).put('/auth/interests').set(authHeader(token)).send({ interests: ['Rust'] });
+        await request(app).put('/auth/persona').set(authHeader(token)).send({ persona: 'Be brief' });
+        const chat = await Chat.create({ userId: user._id });
+
+        await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'hi' });
+
+        const [call] = getProvider().calls;
+        expect(call.systemInstruction).toContain('BitBraniac');
+        expect(call.systemInstruction).toContain('interested in: Rust');
+        expect(call.systemInstruction).toContain('Be brief');
+    });
+
+    it('requires content', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const res = await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({});
+
+        expect(res.status).toBe(400);
+    });
+
+    it('cannot post into another user\'s chat', async () => {
+        const { user: owner } = await registerUser();
+        const { token } = await registerUser();
+        const chat = await Chat.create({ userId: owner._id });
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'hi' });
+
+        expect(res.status).toBe(404);
+        expect(await Message.countDocuments()).toBe(0);
+    });
+
+    it('records token usage on the bot message and for the day', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'count my tokens' });
+
+        const { usage } = res.body.botMessage;
+        expect(usage.completionTokens).toBeGreaterThan(0);
+
+        const daily = await Usage.findOne({ userId: user._id });
+        expect(daily).toMatchObject({ messages: 1, totalTokens: usage.totalTokens });
+    });
+
+    it('refuses to call the model once the daily quota is used up', async () => {
+        const { user, token } = await registerUser();
+        await User.updateOne({ _id: user._id }, { 'quota.dailyMessages': 1 });
+        const chat = await Chat.create({ userId: user._id });
+
+        const send = () => request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'hi' });
+
+        expect((await send()).status).toBe(200);
+
+        const blocked = await send();
+        expect(blocked.status).toBe(429);
+        expect(blocked.body.code).toBe('QUOTA_EXCEEDED');
+        expect(blocked.body.message).toMatch(/Daily message limit of 1 reached/);
+        expect(blocked.headers['retry-after']).toBeTruthy();
+        expect(getProvider().calls).toHaveLength(1);
+    });
+
+    it('enforces the daily token limit', async () => {
+        process.env.DAILY_TOKEN_LIMIT = '10';
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({ content: 'hi' });
+        const blocked = await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({ content: 'hi' });
+
+        expect(blocked.status).toBe(429);
+        expect(blocked.body.message).toMatch(/Daily token limit/);
+        delete process.env.DAILY_TOKEN_LIMIT;
+    });
+
+    it('reports provider failures', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        getProvider().script([{ error: 'invalid API key' }]);
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'hi' });
+
+        expect(res.status).toBe(500);
+        expect(res.body.message).toMatch(/API key/);
+    });
+
+    it.skipIf(!sandboxAvailable.javascript)('runs the pasted code first and sends its real output to the model', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        const content = 'Why does this crash?\n```javascript\nconst user = null;\nconsole.log(user.name);\n```';
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content, runCode: true });
+
+        expect(res.status).toBe(200);
+        expect(res.body.userMessage.content).toBe(content);
+        expect(res.body.userMessage.codeRun).toMatchObject({ language: 'javascript', exitCode: 1, timedOut: false });
+        expect(res.body.userMessage.codeRun.stderr).toContain('TypeError');
+
+        const [call] = getProvider().calls;
+        expect(call.message).toContain('The javascript code above was run (exit code 1');
+        expect(call.message).toContain("TypeError: Cannot read properties of null (reading 'name')");
+    });
+
+    it('requires a runnable code block when asked to run code', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'Is this right?\n```java\nint x = 1;\n```', runCode: true });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toMatch(/No Python or JavaScript code block/);
+        expect(await Message.countDocuments({ chatId: chat._id })).toBe(0);
+    });
+});
+
+describe('POST /chat/:id/message/stream', () => {
+    it('streams the user message, deltas and the saved bot message', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        getProvider().script(['Stacks are LIFO.']);
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message/stream`)
+            .set(authHeader(token))
+            .send({ content: 'What is a stack?' });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+        const events = parseEvents(res.text);
+        expect(events[0]).toMatchObject({ event: 'userMessage', data: { content: 'What is a stack?' } });
+
+        const deltas = events.filter(e => e.event === 'delta').map(e => e.data.text);
+        expect(deltas.length).toBeGreaterThan(1);
+        expect(deltas.join('')).toBe('Stacks are LIFO.');
+
+        const done = events[events.length - 1];
+        expect(done.event).toBe('done');
+        expect(done.data.botMessage).toMatchObject({ content: 'Stacks are LIFO.', partial: false });
+        expect(done.data.chatTitle).toBe('What is a stack?');
+    });
+
+    it('is also served for Accept: text/event-stream', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .set('Accept', 'text/event-stream')
+            .send({ content: 'hello' });
+
+        expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+        expect(parseEvents(res.text).map(e => e.event)).toContain('done');
+    });
+
+    it('sends an error event when generation fails', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        getProvider().script([{ error: 'quota exhausted' }]);
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message/stream`)
+            .set(authHeader(token))
+            .send({ content: 'hello' });
+
+        const events = parseEvents(res.text);
+        expect(events[events.length - 1]).toMatchObject({
+            event: 'error',
+            data: { message: 'API quota exceeded. Please try again later.' }
+        });
+        expect(await Message.countDocuments({ chatId: chat._id, role: 'bot' })).toBe(0);
+    });
+});
+
+describe('PUT /chat/:id and DELETE /chat/:id', () => {
+    it('renames only the user\'s own chat', async () => {
+        const { user, token } = await registerUser();
+        const { token: otherToken } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const res = await request(app)
+            .put(`/chat/${chat._id}`)
+            .set(authHeader(token))
+            .send({ title: 'Graphs' });
+        expect(res.status).toBe(200);
+        expect(res.body.title).toBe('Graphs');
+
+        const forbidden = await request(app)
+            .put(`/chat/${chat._id}`)
+            .set(authHeader(otherToken))
+            .send({ title: 'Hijacked' });
+        expect(forbidden.status).toBe(404);
+        expect((await Chat.findById(chat._id)).title).toBe('Graphs');
+    });
+
+    it('deletes the chat with its messages', async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['q', 'a']);
+
+        const res = await request(app).delete(`/chat/${chat._id}`).set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(await Chat.findById(chat._id)).toBeNull();
+        expect(await Message.countDocuments({ chatId: chat._id })).toBe(0);
+    });
+
+    it('does not delete another user\'s chat', async () => {
+        const { user: owner } = await registerUser();
+        const { token } = await registerUser();
+        const chat = await createChatWithMessages(owner._id, ['q', 'a']);
+
+        const res = await request(app).delete(`/chat/${chat._id}`).set(authHeader(token));
+
+        expect(res.status).toBe(404);
+        expect(await Message.countDocuments({ chatId: chat._id })).toBe(2);
+    });
+});
+
+describe('reply variants', () => {
+    const setup = async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['What is a trie?', 'A bad answer.']);
+        const botMessage = await Message.findOne({ chatId: chat._id, role: 'bot' });
+        return { token, chat, botMessage };
+    };
+
+    it('regenerates a bot reply from the same user turn', async () => {
+        const { token, chat, botMessage } = await setup();
+        getProvider().script(['A prefix tree.']);
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/messages/${botMessage._id}/regenerate`)
+            .set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.botMessage).toMatchObject({
+            content: 'A prefix tree.',
+            variantCount: 2,
+            activeVariant: 1
+        });
+        expect(res.body.botMessage.variants).toBeUndefined();
+
+        const [call] = getProvider().calls;
+        expect(call.message).toBe('What is a trie?');
+        expect(call.history).toEqual([]);
+    });
+
+    it('returns the active variant with the count in GET /chat/:id', async () => {
+        const { token, chat, botMessage } = await setup();
+        getProvider().script(['Second try.']);
+        await request(app)
+            .post(`/chat/${chat._id}/messages/${botMessage._id}/regenerate`)
+            .set(authHeader(token));
+
+        const res = await request(app).get(`/chat/${chat._id}`).set(authHeader(token));
+
+        expect(res.body.messages).toHaveLength(2);
+        expect(res.body.messages[1]).toMatchObject({ content: 'Second try.', variantCount: 2 });
+        expect(res.body.messages[0].variantCount).toBe(1);
+    });
+
+    it('lists and switches variants, and only the active one feeds context', async () => {
+        const { token, chat, botMessage } = await setup();
+        getProvider().script(['Better answer.']);
+        await request(app)
+            .post(`/chat/${chat._id}/messages/${botMessage._id}/regenerate`)
+            .set(authHeader(token));
+
+        const list = await request(app)
+            .get(`/chat/${chat._id}/messages/${botMessage._id}/variants`)
+            .set(authHeader(token));
+        expect(list.body.variants.map(v => v.content)).toEqual(['A bad answer.', 'Better answer.']);
+
+        const activate = await request(app)
+            .put(`/chat/${chat._id}/messages/${botMessage._id}/variants/0`)
+            .set(authHeader(token));
+        expect(activate.body).toMatchObject({ content: 'A bad answer.', activeVariant: 0 });
+
+        await request(app)
+            .put(`/chat/${chat._id}/messages/${botMessage._id}/variants/1`)
+            .set(authHeader(token));
+        await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'Thanks' });
+
+        const lastCall = getProvider().calls.at(-1);
+        expect(lastCall.history.map(m => m.content)).toEqual(['What is a trie?', 'Better answer.']);
+    });
+
+    it('rejects user messages, bad indexes and other users\' chats', async () => {
+        const { token, chat, botMessage } = await setup();
+        const userMessage = await Message.findOne({ chatId: chat._id, role: 'user' });
+        const { token: otherToken } = await registerUser();
+
+        const notBot = await request(app)
+            .post(`/chat/${chat._id}/messages/${userMessage._id}/regenerate`)
+            .set(authHeader(token));
+        expect(notBot.status).toBe(400);
+
+        const badIndex = await request(app)
+            .put(`/chat/${chat._id}/messages/${botMessage._id}/variants/5`)
+            .set(authHeader(token));
+        expect(badIndex.status).toBe(400);
+
+        const foreign = await request(app)
+            .post(`/chat/${chat._id}/messages/${botMessage._id}/regenerate`)
+            .set(authHeader(otherToken));
+        expect(foreign.status).toBe(404);
+    });
+});
+
+describe('editing and branching', () => {
+    const setup = async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['Q1', 'A1', 'Q2', 'A2']);
+        const q2 = await Message.findOne({ chatId: chat._id, content: 'Q2' });
+        return { token, chat, q2 };
+    };
+
+    const contents = (res) => res.body.messages.map(m => m.content);
+
+    it('links legacy messages into a single branch', async () => {
+        const { token, chat } = await setup();
+
+        const res = await request(app).get(`/chat/${chat._id}`).set(authHeader(token));
+
+        expect(contents(res)).toEqual(['Q1', 'A1', 'Q2', 'A2']);
+        expect(res.body.messages[0].parentId).toBeNull();
+        expect(res.body.messages[3].parentId).toBe(res.body.messages[2]._id);
+        expect(res.body.messages.every(m => m.branchCount === 1)).toBe(true);
+    });
+
+    it('edits a user message into a new branch and regenerates from there', async () => {
+        const { token, chat, q2 } = await setup();
+        getProvider().script(['A2 new']);
+
+        const res = await request(app)
+            .put(`/chat/${chat._id}/messages/${q2._id}`)
+            .set(authHeader(token))
+            .send({ content: 'Q2 edited' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.userMessage.content).toBe('Q2 edited');
+        expect(res.body.botMessage.content).toBe('A2 new');
+
+        const [call] = getProvider().calls;
+        expect(call.history.map(m => m.content)).toEqual(['Q1', 'A1']);
+        expect(call.message).toBe('Q2 edited');
+
+        const chatRes = await request(app).get(`/chat/${chat._id}`).set(authHeader(token));
+        expect(contents(chatRes)).toEqual(['Q1', 'A1', 'Q2 edited', 'A2 new']);
+        expect(chatRes.body.messages[2]).toMatchObject({ branchIndex: 1, branchCount: 2 });
+        expect(chatRes.body.messages[2].siblingIds).toContain(q2._id.toString());
+
+        // The old continuation is kept
+        expect(await Message.countDocuments({ chatId: chat._id })).toBe(6);
+    });
+
+    it('switches back to an older branch and continues it', async () => {
+        const { token, chat, q2 } = await setup();
+        await request(app)
+            .put(`/chat/${chat._id}/messages/${q2._id}`)
+            .set(authHeader(token))
+            .send({ content: 'Q2 edited' });
+
+        const activate = await request(app)
+            .post(`/chat/${chat._id}/messages/${q2._id}/activate`)
+            .set(authHeader(token));
+        expect(activate.status).toBe(200);
+        expect(contents(activate)).toEqual(['Q1', 'A1', 'Q2', 'A2']);
+
+        await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'Q3' });
+
+        const lastCall = getProvider().calls.at(-1);
+        expect(lastCall.history.map(m => m.content)).toEqual(['Q1', 'A1', 'Q2', 'A2']);
+
+        const chatRes = await request(app).get(`/chat/${chat._id}`).set(authHeader(token));
+        expect(contents(chatRes)).toEqual(['Q1', 'A1', 'Q2', 'A2', 'Q3', 'Echo: Q3']);
+    });
+
+    it('can branch from the very first message', async () => {
+        const { token, chat } = await setup();
+        const q1 = await Message.findOne({ chatId: chat._id, content: 'Q1' });
+
+        await request(app)
+            .put(`/chat/${chat._id}/messages/${q1._id}`)
+            .set(authHeader(token))
+            .send({ content: 'Q1 again' });
+
+        const [call] = getProvider().calls;
+        expect(call.history).toEqual([]);
+
+        const chatRes = await request(app).get(`/chat/${chat._id}`).set(authHeader(token));
+        expect(contents(chatRes)).toEqual(['Q1 again', 'Echo: Q1 again']);
+        expect(chatRes.body.messages[0].branchCount).toBe(2);
+    });
+
+    it('only edits the user\'s own user messages', async () => {
+        const { token, chat } = await setup();
+        const a1 = await Message.findOne({ chatId: chat._id, content: 'A1' });
+        const { token: otherToken } = await registerUser();
+
+        const bot = await request(app)
+            .put(`/chat/${chat._id}/messages/${a1._id}`)
+            .set(authHeader(token))
+            .send({ content: 'rewrite' });
+        expect(bot.status).toBe(400);
+
+        const foreign = await request(app)
+            .put(`/chat/${chat._id}/messages/${a1._id}`)
+            .set(authHeader(otherToken))
+            .send({ content: 'rewrite' });
+        expect(foreign.status).toBe(404);
+    });
+});
+
+describe('conversation summary', () => {
+    // 40 characters = 10 estimated tokens per message
+    const long = (label) => label.padEnd(40, '.');
+
+    beforeEach(() => {
+        process.env.HISTORY_TOKEN_BUDGET = '40';
+    });
+
+    afterEach(() => {
+        delete process.env.HISTORY_TOKEN_BUDGET;
+    });
+
+    const setup = async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['Q1', 'A1', 'Q2', 'A2', 'Q3', 'A3'].map(long));
+        return { user, token, chat };
+    };
+
+    const send = (token, chat, content) => request(app)
+        .post(`/chat/${chat._id}/message`)
+        .set(authHeader(token))
+        .send({ content });
+
+    it('does not summarize while the history fits the budget', async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['Q1', 'A1'].map(long));
+
+        await send(token, chat, long('Q2'));
+
+        expect(getProvider().calls).toHaveLength(1);
+        expect(getProvider().calls[0].history).toHaveLength(2);
+        expect((await Chat.findById(chat._id)).summary.content).toBe('');
+    });
+
+    it('folds older turns into a summary once the budget is exceeded', async () => {
+        const { user, token, chat } = await setup();
+        getProvider().script(['- Student asked Q1-Q3']);
+
+        const res = await send(token, chat, long('Q4'));
+        expect(res.status).toBe(200);
+
+        const [summaryCall, replyCall] = getProvider().calls;
+        expect(summaryCall.message).toContain(long('Q1'));
+        expect(summaryCall.message).toContain(long('A3'));
+        expect(replyCall.history).toEqual([]);
+        expect(replyCall.message).toBe(long('Q4'));
+        expect(replyCall.systemInstruction).toContain('- Student asked Q1-Q3');
+
+        const a3 = await Message.findOne({ chatId: chat._id, content: long('A3') });
+        const chatRes = await request(app).get(`/chat/${chat._id}`).set(authHeader(token));
+        expect(chatRes.body.summary).toMatchObject({
+            content: '- Student asked Q1-Q3',
+            coveredUntil: a3._id.toString(),
+            messageCount: 6
+        });
+        // Older messages are still shown
+        expect(chatRes.body.messages).toHaveLength(8);
+
+        // Summary tokens count toward the quota, but not as a message
+        const usage = await Usage.findOne({ userId: user._id });
+        expect(usage.messages).toBe(1);
+        expect(usage.totalTokens).toBeGreaterThan(res.body.botMessage.usage.totalTokens);
+    });
+
+    it('reuses the summary until the newer messages outgrow the budget', async () => {
+        const { token, chat } = await setup();
+        getProvider().script(['- Earlier turns']);
+        await send(token, chat, long('Q4'));
+
+        await send(token, chat, long('Q5'));
+
+        const calls = getProvider().calls;
+        expect(calls).toHaveLength(3);
+        expect(calls[2].systemInstruction).toContain('- Earlier turns');
+        expect(calls[2].history.map(m => m.content)).toEqual([long('Q4'), `Echo: ${long('Q4')}`]);
+    });
+
+    it('ignores a summary that does not belong to the active branch', async () => {
+        const { token, chat } = await setup();
+        getProvider().script(['- Earlier turns']);
+        await send(token, chat, long('Q4'));
+
+        const q2 = await Message.findOne({ chatId: chat._id, content: long('Q2') });
+        await request(app)
+            .put(`/chat/${chat._id}/messages/${q2._id}`)
+            .set(authHeader(token))
+            .send({ content: 'Q2 rephrased' });
+
+        const lastCall = getProvider().calls.at(-1);
+        expect(lastCall.systemInstruction).not.toContain('- Earlier turns');
+        expect(lastCall.history.map(m => m.content)).toEqual([long('Q1'), long('A1')]);
+    });
+
+    it('falls back to trimming when summarizing fails', async () => {
+        const { token, chat } = await setup();
+        getProvider().script([{ error: 'bad request', status: 400 }]);
+
+        const res = await send(token, chat, long('Q4'));
+
+        expect(res.status).toBe(200);
+        const replyCall = getProvider().calls.at(-1);
+        expect(replyCall.history.map(m => m.content)).toEqual([long('A2'), long('Q3'), long('A3')]);
+        expect((await Chat.findById(chat._id)).summary.content).toBe('');
+    });
+});
+
+describe('GET /chat/search', () => {
+    // $text queries need the text indexes to exist
+    beforeAll(() => Promise.all([Chat.init(), Message.init()]));
+
+    const setup = async () => {
+        const { user, token } = await registerUser();
+        const graphs = await createChatWithMessages(user._id, [
+            'How does Dijkstra find shortest paths?',
+            'Dijkstra\'s algorithm greedily picks the closest <unvisited> node.',
+            'What about negative weights?',
+            'Use Bellman-Ford for negative edge weights.'
+        ], 'Graph algorithms');
+        const sorting = await createChatWithMessages(user._id, [
+            'Explain quicksort',
+            'Quicksort partitions around a pivot.'
+        ], 'Dijkstra notes');
+        return { user, token, graphs, sorting };
+    };
+
+    const search = (token, query) => request(app)
+        .get('/chat/search')
+        .query(query)
+        .set(authHeader(token));
+
+    it('finds chats by message content with snippets and message IDs', async () => {
+        const { token, graphs } = await setup();
+
+        const res = await search(token, { q: 'bellman' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.pagination).toMatchObject({ page: 1, total: 1, pages: 1 });
+        const [result] = res.body.results;
+        expect(result.chatId).toBe(graphs._id.toString());
+        expect(result.messageIds).toHaveLength(1);
+        expect(result.snippet.text).toContain('<mark>Bellman</mark>');
+        expect(result.snippet.role).toBe('bot');
+    });
+
+    it('matches titles and escapes highlighted snippets', async () => {
+        const { token, graphs, sorting } = await setup();
+
+        const res = await search(token, { q: 'dijkstra' });
+
+        const ids = res.body.results.map(r => r.chatId);
+        expect(ids).toEqual(expect.arrayContaining([graphs._id.toString(), sorting._id.toString()]));
+
+        const titleHit = res.body.results.find(r => r.chatId === sorting._id.toString());
+        expect(titleHit.titleHighlighted).toBe('<mark>Dijkstra</mark> notes');
+        expect(titleHit.messageIds).toEqual([]);
+
+        const messageHit = res.body.results.find(r => r.chatId === graphs._id.toString());
+        expect(messageHit.messageIds).toHaveLength(2);
+        expect(messageHit.snippet.text).not.toContain('<unvisited>');
+    });
+
+    it('filters by role and date range', async () => {
+        const { token } = await setup();
+
+        const userOnly = await search(token, { q: 'dijkstra', role: 'user' });
+        expect(userOnly.body.results).toHaveLength(1);
+        expect(userOnly.body.results[0].messageIds).toHaveLength(1);
+        expect(userOnly.body.results[0].snippet.role).toBe('user');
+
+        const future = await search(token, { q: 'dijkstra', from: new Date(Date.now() + 60000).toISOString() });
+        expect(future.body.results).toEqual([]);
+    });
+
+    it('paginates results', async () => {
+        const { token } = await setup();
+
+        const res = await search(token, { q: 'dijkstra', limit: 1, page: 2 });
+
+        expect(res.body.results).toHaveLength(1);
+        expect(res.body.pagination).toMatchObject({ page: 2, limit: 1, total: 2, pages: 2 });
+    });
+
+    it('only searches the user\'s own chats', async () => {
+        await setup();
+        const { token: otherToken } = await registerUser();
+
+        const res = await search(otherToken, { q: 'dijkstra' });
+
+        expect(res.body.results).toEqual([]);
+        expect(res.body.pagination.total).toBe(0);
+    });
+
+    it('validates the query', async () => {
+        const { token } = await registerUser();
+
+        expect((await search(token, {})).status).toBe(400);
+        expect((await search(token, { q: 'x', role: 'admin' })).status).toBe(400);
+        expect((await search(token, { q: 'x', to: 'not-a-date' })).status).toBe(400);
+    });
+});
+
+describe('GET /chat/:id/export', () => {
+    const setup = async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, [
+            'Show me a loop',
+            'Here you go:\n\n```python\nfor i in range(3):\n    print(i < 2)\n```'
+        ], 'Python loops');
+        return { token, chat };
+    };
+
+    const exportAs = (token, chat, format) => request(app)
+        .get(`/chat/${chat._id}/export`)
+        .query(format ? { format } : {})
+        .set(authHeader(token));
+
+    it('exports Markdown by default, keeping code blocks', async () => {
+        const { token, chat } = await setup();
+
+        const res = await exportAs(token, chat);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/markdown/);
+        expect(res.headers['content-disposition']).toBe('attachment; filename="python-loops.md"');
+        expect(res.text).toMatch(/^# Python loops/);
+        expect(res.text).toContain('### You ·');
+        expect(res.text).toContain('```python\nfor i in range(3):\n    print(i < 2)\n```');
+    });
+
+    it('exports every message and branch as JSON', async () => {
+        const { token, chat } = await setup();
+
+        const res = await exportAs(token, chat, 'json');
+
+        const body = JSON.parse(res.text);
+        expect(body).toMatchObject({ format: 'bit-brainic', version: 1, chat: { title: 'Python loops' } });
+        expect(body.chat.messages).toHaveLength(2);
+        expect(body.chat.messages[1].parentId).toBe(body.chat.messages[0].id);
+    });
+
+    it('exports printable HTML with escaped content', async () => {
+        const { token, chat } = await setup();
+
+        const res = await exportAs(token, chat, 'html');
+
+        expect(res.headers['content-type']).toMatch(/text\/html/);
+        expect(res.text).toContain('<title>Python loops</title>');
+        expect(res.text).toContain('<pre><code class="language-python">');
+        expect(res.text).toContain('print(i &lt; 2)');
+    });
+
+    it('only keeps web and email links in HTML exports', async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, [
+            '[click](javascript:alert(1)) ![pic](data:image/png;base64,AAAA)',
+            '[docs](https://example.com/docs) and [mail](mailto:tutor@example.com)'
+        ]);
+
+        const res = await exportAs(token, chat, 'html');
+
+        expect(res.text).not.toMatch(/javascript:|data:image/);
+        expect(res.text).toContain('click');
+        expect(res.text).toContain('<a href="https://example.com/docs">docs</a>');
+        expect(res.text).toContain('<a href="mailto:tutor@example.com">mail</a>');
+    });
+
+    it('rejects unknown formats and other users\' chats', async () => {
+        const { token, chat } = await setup();
+        const { token: otherToken } = await registerUser();
+
+        expect((await exportAs(token, chat, 'pdf')).status).toBe(400);
+        expect((await exportAs(otherToken, chat, 'md')).status).toBe(404);
+    });
+});
+
+describe('POST /chat/import', () => {
+    const importData = (token, data) => request(app)
+        .post('/chat/import')
+        .set(authHeader(token))
+        .send(data);
+
+    it('round-trips the project\'s own export with branches and timestamps', async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['Q1', 'A1', 'Q2', 'A2'], 'Original');
+        const q2 = await Message.findOne({ chatId: chat._id, content: 'Q2' });
+        await request(app).put(`/chat/${chat._id}/messages/${q2._id}`).set(authHeader(token)).send({ content: 'Q2 edited' });
+        const exported = JSON.parse((await request(app).get(`/chat/${chat._id}/export?format=json`).set(authHeader(token))).text);
+
+        const res = await importData(token, exported);
+
+        expect(res.status).toBe(201);
+        expect(res.body.report.source).toBe('bit-brainic');
+        expect(res.body.report.totals).toMatchObject({ chats: 1, messages: 6, skippedMessages: 0 });
+
+        const importedId = res.body.report.imported[0].chatId;
+        const imported = await request(app).get(`/chat/${importedId}`).set(authHeader(token));
+        expect(imported.body.title).toBe('Original');
+        expect(imported.body.messages.map(m => m.content)).toEqual(['Q1', 'A1', 'Q2 edited', 'Echo: Q2 edited']);
+        expect(imported.body.messages[2].branchCount).toBe(2);
+        expect(imported.body.messages[0].timestamp).toBe(exported.chat.messages[0].timestamp);
+        expect(imported.body.createdAt).toBe(exported.chat.createdAt);
+    });
+
+    it('links messages without ids in their order', async () => {
+        const { token } = await registerUser();
+        const messages = [['user', 'Q1'], ['bot', 'A1'], ['bot', ''], ['user', 'Q2'], ['bot', 'A2']].map(([role, content]) => ({ role, content }));
+
+        const res = await importData(token, { format: 'bit-brainic', version: 1, chat: { title: 'No ids', messages } });
+
+        expect(res.body.report.totals).toMatchObject({ messages: 4, skippedMessages: 1 });
+        const chatId = res.body.report.imported[0].chatId;
+        const saved = await Message.find({ chatId }).sort({ timestamp: 1, _id: 1 });
+        expect(saved.map(m => m.content)).toEqual(['Q1', 'A1', 'Q2', 'A2']);
+        expect(saved.map(m => m.parentId && String(m.parentId))).toEqual([null, ...saved.slice(0, 3).map(m => String(m._id))]);
+        expect(String((await Chat.findById(chatId)).activeLeafId)).toBe(String(saved[3]._id));
+    });
+
+    it('keeps a plain reply when no exported variant is usable', async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['Q1', 'A1'], 'Variants');
+        const exported = JSON.parse((await request(app).get(`/chat/${chat._id}/export?format=json`).set(authHeader(token))).text);
+        exported.chat.messages[1].variants = [{ content: '' }, { content: '   ' }];
+        exported.chat.messages[1].activeVariant = 1;
+
+        const res = await importData(token, exported);
+
+        const reply = await Message.findOne({ chatId: res.body.report.imported[0].chatId, role: 'bot' });
+        expect(reply.content).toBe('A1');
+        expect(reply.variants).toBeUndefined();
+        expect(reply.activeVariant).toBe(0);
+    });
+
+    it('removes the chat again when its messages cannot be saved', async () => {
+        const { user, token } = await registerUser();
+        const insertMany = vi.spyOn(Message, 'insertMany').mockRejectedValueOnce(new Error('write failed'));
+
+        const res = await importData(token, [
+            { title: 'Broken', messages: [{ role: 'user', content: 'a' }] },
+            { title: 'Fine', messages: [{ role: 'user', content: 'b' }] }
+        ]);
+        insertMany.mockRestore();
+
+        expect(res.status).toBe(201);
+        expect(res.body.report.imported.map(c => c.title)).toEqual(['Fine']);
+        expect(res.body.report.skipped[0]).toMatchObject({ title: 'Broken', reason: 'Messages could not be saved' });
+        expect((await Chat.find({ userId: user._id })).map(c => c.title)).toEqual(['Fine']);
+    });
+
+    it('imports ChatGPT conversations, skipping system and tool messages', async () => {
+        const { token } = await registerUser();
+        const conversations = [{
+            title: 'Binary search',
+            create_time: 1700000000,
+            update_time: 1700000100,
+            current_node: 'c',
+            mapping: {
+                root: { id: 'root', message: null, parent: null, children: ['a'] },
+                a: { id: 'a', parent: 'root', children: ['b'], message: { author: { role: 'user' }, content: { parts: ['Explain binary search'] }, create_time: 1700000010 } },
+                b: { id: 'b', parent: 'a', children: ['t'], message: { author: { role: 'assistant' }, content: { parts: ['Halve the range each step.'] }, create_time: 1700000020 } },
+                t: { id: 't', parent: 'b', children: ['c'], message: { author: { role: 'tool' }, content: { parts: ['{}'] }, create_time: 1700000030 } },
+                c: { id: 'c', parent: 't', children: [], message: { author: { role: 'user' }, content: { parts: ['Thanks!'] }, create_time: 1700000040 } }
+            }
+        }];
+
+        const res = await importData(token, conversations);
+
+        expect(res.status).toBe(201);
+        expect(res.body.report.source).toBe('chatgpt');
+        expect(res.body.report.imported[0].skippedMessages).toEqual([{ index: 3, reason: 'Unsupported role "tool"' }]);
+
+        const chat = await Chat.findById(res.body.report.imported[0].chatId);
+        expect(chat.createdAt.toISOString()).toBe(new Date(1700000000 * 1000).toISOString());
+        const messages = await Message.find({ chatId: chat._id }).sort({ timestamp: 1 });
+        expect(messages.map(m => m.role)).toEqual(['user', 'bot', 'user']);
+        expect(messages[2].parentId.toString()).toBe(messages[1]._id.toString());
+        expect(chat.activeLeafId.toString()).toBe(messages[2]._id.toString());
+    });
+
+    it('imports Claude and generic conversations and reports what was skipped', async () => {
+        const { token } = await registerUser();
+
+        const res = await importData(token, [
+            {
+                name: 'Claude chat',
+                created_at: '2024-03-01T10:00:00Z',
+                chat_messages: [
+                    { uuid: '1', sender: 'human', text: 'What is a heap?', created_at: '2024-03-01T10:00:00Z' },
+                    { uuid: '2', sender: 'assistant', text: 'A tree-based priority queue.', created_at: '2024-03-01T10:00:05Z' }
+                ]
+            },
+            { title: 'Generic', messages: [{ role: 'user', content: 'Hi' }, { role: 'narrator', content: 'Meanwhile...' }] },
+            { title: 'Empty', messages: [] },
+            'not a conversation'
+        ]);
+
+        expect(res.status).toBe(201);
+        expect(res.body.report.totals).toMatchObject({ chats: 2, messages: 3, skippedChats: 2, skippedMessages: 1 });
+        expect(res.body.report.skipped.map(s => s.reason)).toEqual(['No importable messages', 'Unrecognized conversation format']);
+
+        const heap = await Message.findOne({ content: 'A tree-based priority queue.' });
+        expect(heap.role).toBe('bot');
+        expect(heap.timestamp.toISOString()).toBe('2024-03-01T10:00:05.000Z');
+    });
+
+    it('enforces the per-user chat cap', async () => {
+        process.env.MAX_CHATS_PER_USER = '2';
+        const { user, token } = await registerUser();
+        await Chat.create({ userId: user._id });
+
+        const res = await importData(token, [
+            { title: 'One', messages: [{ role: 'user', content: 'a' }] },
+            { title: 'Two', messages: [{ role: 'user', content: 'b' }] }
+        ]);
+        delete process.env.MAX_CHATS_PER_USER;
+
+        expect(res.status).toBe(201);
+        expect(res.body.report.imported.map(c => c.title)).toEqual(['One']);
+        expect(res.body.report.skipped[0]).toMatchObject({ title: 'Two', reason: 'Chat limit of 2 reached' });
+        expect(await Chat.countDocuments({ userId: user._id })).toBe(2);
+    });
+
+    it('rejects unknown formats', async () => {
+        const { token } = await registerUser();
+
+        const res = await importData(token, { hello: 'world' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toMatch(/Unrecognized import format/);
+    });
+});
+
+describe('organizing chats', () => {
+    const setup = async () => {
+        const { user, token } = await registerUser();
+        const folder = (await request(app).post('/folders').set(authHeader(token)).send({ name: 'Graphs' })).body;
+        return { user, token, folder };
+    };
+
+    const list = (token, query = {}) => request(app).get('/chat').query(query).set(authHeader(token));
+
+    it('updates folder, tags, pinned and archived', async () => {
+        const { user, token, folder } = await setup();
+        const chat = await Chat.create({ userId: user._id, title: 'Dijkstra' });
+
+        const res = await request(app)
+            .put(`/chat/${chat._id}`)
+            .set(authHeader(token))
+            .send({ folderId: folder._id, tags: [' Exam ', 'exam', 'Graphs'], pinned: true });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ title: 'Dijkstra', folderId: folder._id, tags: ['exam', 'graphs'], pinned: true, archived: false });
+
+        const moved = await request(app).put(`/chat/${chat._id}`).set(authHeader(token)).send({ folderId: null });
+        expect(moved.body.folderId).toBeNull();
+        expect(moved.body.tags).toEqual(['exam', 'graphs']);
+    });
+
+    it('rejects folders of other users and invalid tags', async () => {
+        const { user, token } = await setup();
+        const { token: otherToken } = await registerUser();
+        const otherFolder = (await request(app).post('/folders').set(authHeader(otherToken)).send({ name: 'Theirs' })).body;
+        const chat = await Chat.create({ userId: user._id });
+
+        const folderRes = await request(app).put(`/chat/${chat._id}`).set(authHeader(token)).send({ folderId: otherFolder._id });
+        expect(folderRes.status).toBe(400);
+        expect(folderRes.body.message).toBe('Folder not found');
+
+        const tagsRes = await request(app).put(`/chat/${chat._id}`).set(authHeader(token)).send({ tags: 'exam' });
+        expect(tagsRes.status).toBe(400);
+
+        const titleRes = await request(app).put(`/chat/${chat._id}`).set(authHeader(token)).send({ title: 'x'.repeat(101) });
+        expect(titleRes.status).toBe(400);
+    });
+
+    it('lists pinned chats first and hides archived ones', async () => {
+        const { user, token } = await setup();
+        await Chat.insertMany([
+            { userId: user._id, title: 'Pinned', pinned: true, updatedAt: new Date(Date.now() - 60000) },
+            { userId: user._id, title: 'Recent' }
+        ]);
+        await Chat.create({ userId: user._id, title: 'Archived', archived: true });
+
+        const res = await list(token);
+        expect(res.body.map(c => c.title)).toEqual(['Pinned', 'Recent']);
+        expect(res.headers['x-total-count']).toBe('2');
+
+        const archived = await list(token, { archived: 'true' });
+        expect(archived.body.map(c => c.title)).toEqual(['Archived']);
+
+        const all = await list(token, { archived: 'all' });
+        expect(all.body).toHaveLength(3);
+    });
+
+    it('filters by folder, tag and pinned', async () => {
+        const { user, token, folder } = await setup();
+        await Chat.create({ userId: user._id, title: 'In folder', folderId: folder._id, tags: ['exam'] });
+        await Chat.create({ userId: user._id, title: 'Loose', tags: ['homework'], pinned: true });
+
+        expect((await list(token, { folder: folder._id })).body.map(c => c.title)).toEqual(['In folder']);
+        expect((await list(token, { folder: 'none' })).body.map(c => c.title)).toEqual(['Loose']);
+        expect((await list(token, { tag: 'EXAM' })).body.map(c => c.title)).toEqual(['In folder']);
+        expect((await list(token, { pinned: 'true' })).body.map(c => c.title)).toEqual(['Loose']);
+        expect((await list(token, { pinned: 'false' })).body.map(c => c.title)).toEqual(['In folder']);
+        expect((await list(token, { folder: 'not-an-id' })).status).toBe(400);
+    });
+
+    it('paginates with headers and keeps the array body', async () => {
+        const { user, token } = await setup();
+        // insertMany skips the save hook, which would reset updatedAt
+        await Chat.insertMany(Array.from({ length: 5 }, (_, i) => ({
+            userId: user._id,
+            title: `Chat ${i}`,
+            updatedAt: new Date(Date.now() - i * 1000)
+        })));
+
+        const res = await list(token, { page: 2, limit: 2 });
+
+        expect(res.body.map(c => c.title)).toEqual(['Chat 2', 'Chat 3']);
+        expect(res.headers).toMatchObject({ 'x-total-count': '5', 'x-page': '2', 'x-limit': '2', 'x-total-pages': '3' });
+    });
+});
+
+describe('AI chat titles', () => {
+    beforeEach(() => {
+        process.env.AI_TITLES = 'true';
+    });
+
+    afterEach(() => {
+        delete process.env.AI_TITLES;
+    });
+
+    // The JSON route generates titles in the background
+    const waitForTitleSource = async (chatId, source) => {
+        for (let i = 0; i < 50; i++) {
+            const chat = await Chat.findById(chatId);
+            if (chat.titleSource === source) return chat;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Chat title never became ${source}`);
+    };
+
+    const stream = (token, chat, content) => request(app)
+        .post(`/chat/${chat._id}/message/stream`)
+        .set(authHeader(token))
+        .send({ content });
+
+    it('replaces the truncated title with a generated one after the first exchange', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        getProvider().script(['Big-O describes growth.', '"Big-O Notation Basics."']);
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'hey can you explain big o to me, my exam is tomorrow and i am lost' });
+
+        expect(res.body.chatTitle).toBe('hey can you explain big o to me, my exam is tomor...');
+        const titled = await waitForTitleSource(chat._id, 'ai');
+        expect(titled.title).toBe('Big-O Notation Basics');
+
+        const [, titleCall] = getProvider().calls;
+        expect(titleCall.message).toContain('Big-O describes growth.');
+    });
+
+    it('sends the generated title as a final stream event', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        getProvider().script(['Stacks are LIFO.', 'Stack Data Structure']);
+
+        const res = await stream(token, chat, 'What is a stack?');
+
+        const events = parseEvents(res.text);
+        expect(events.map(e => e.event).slice(-2)).toEqual(['done', 'title']);
+        expect(events.at(-1).data.chatTitle).toBe('Stack Data Structure');
+    });
+
+    it('keeps the truncated title when generation fails', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        getProvider().script(['Stacks are LIFO.', { error: 'bad request', status: 400 }]);
+
+        const res = await stream(token, chat, 'What is a stack?');
+
+        expect(parseEvents(res.text).at(-1).event).toBe('done');
+        const saved = await Chat.findById(chat._id);
+        expect(saved).toMatchObject({ title: 'What is a stack?', titleSource: 'auto' });
+    });
+
+    it('clips long titles to the maximum length', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        getProvider().script(['Answer', 'word '.repeat(40)]);
+
+        await stream(token, chat, 'Question');
+
+        const saved = await Chat.findById(chat._id);
+        expect(saved.titleSource).toBe('ai');
+        expect(saved.title.length).toBeLessThanOrEqual(100);
+    });
+
+    it('never replaces a title the user chose', async () => {
+        const { token } = await registerUser();
+        const chat = (await request(app).post('/chat').set(authHeader(token)).send({ title: 'My notes' })).body;
+
+        const res = await stream(token, chat, 'What is a stack?');
+
+        expect(parseEvents(res.text).at(-1).data.chatTitle).toBe('My notes');
+        expect(getProvider().calls).toHaveLength(1);
+        expect((await Chat.findById(chat._id)).title).toBe('My notes');
+    });
+
+    it('does not overwrite a rename that happens while the title is generated', async () => {
+        const { user, token } = await registerUser();
+        const created = await Chat.create({ userId: user._id });
+        const stale = await Chat.findById(created._id);
+
+        await request(app).put(`/chat/${created._id}`).set(authHeader(token)).send({ title: 'Renamed' });
+        stale.titleSource = 'auto';
+        const title = await scheduleTitleGeneration(stale, 'Question', 'Answer');
+
+        expect(title).toBeNull();
+        expect(await Chat.findById(created._id)).toMatchObject({ title: 'Renamed', titleSource: 'user' });
+    });
+});
@@ -0,0 +1,277 @@
+import { describe, it, expect } from 'vitest';
+import { app, request, registerUser, registerStaff, authHeader } from './helpers.js';
+import { getProvider } from '../services/providers/index.js';
+import { chunkDocument, CHUNK_SIZE } from '../services/collections.js';
+import Chat from '../models/Chat.js';
+import Chunk from '../models/Chunk.js';
+import Collection from '../models/Collection.js';
+import AuditLog from '../models/AuditLog.js';
+
+const NOTES = [
+    '# Heaps',
+    'A binary heap is a complete binary tree stored in an array. In a min-heap every parent is smaller than its children, ' +
+    'so the minimum is at the root. Extract-min moves the last element to the root and sifts it down in O(log n) time.',
+    '# Hash tables',
+    'A hash table maps keys to buckets with a hash function. When the load factor exceeds 0.75 the table doubles ' +
+    'its capacity and rehashes every key.'
+].join('\n\n');
+
+// Minimal PDF with one line of text per page
+const makePdf = (pages) => {
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    const add = (object) => {
+        offsets.push(pdf.length);
+        pdf += `${offsets.length} 0 obj ${object} endobj\n`;
+    };
+    const pageIds = pages.map((_, index) => 4 + index * 2);
+    add('<< /Type /Catalog /Pages 2 0 R >>');
+    add(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+    for (const [index, text] of pages.entries()) {
+        const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+        add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${pageIds[index] + 1} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`);
+        add(`<< /Length ${stream.length} >> stream\n${stream}\nendstream`);
+    }
+    const xref = pdf.length;
+    pdf += `xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer << /Size ${offsets.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+const createCollection = (token, body = { name: 'Data Structures' }) => request(app)
+    .post('/collections')
+    .set(authHeader(token))
+    .send(body);
+
+const upload = (token, collection, buffer, filename, contentType = 'text/markdown') => request(app)
+    .post(`/collections/${collection._id}/documents`)
+    .set(authHeader(token))
+    .attach('file', buffer, { filename, contentType });
+
+// A user with a collection of notes attached to a chat
+const setUpNotes = async () => {
+    const { user, token } = await registerUser();
+    const { body: collection } = await createCollection(token);
+    await upload(token, collection, Buffer.from(NOTES), 'notes.md');
+    const chat = await Chat.create({ userId: user._id, collectionIds: [collection._id] });
+    return { user, token, collection, chat };
+};
+
+describe('chunkDocument', () => {
+    it('starts a new chunk at each heading and remembers it', () => {
+        const chunks = chunkDocument([{ text: NOTES, page: null }]);
+
+        expect(chunks.map(c => c.heading)).toEqual(['Heaps', 'Hash tables']);
+        expect(chunks[0].text).toMatch(/^# Heaps\n\nA binary heap/);
+    });
+
+    it('splits long text into overlapping chunks within pages', () => {
+        const sentence = 'Dynamic programming stores the answers to overlapping subproblems. ';
+        const chunks = chunkDocument([
+            { text: sentence.repeat(50), page: 1 },
+            { text: 'Greedy algorithms pick the best local choice.', page: 2 }
+        ]);
+
+        expect(chunks.length).toBeGreaterThan(2);
+        expect(chunks.every(c => c.text.length <= CHUNK_SIZE + 250)).toBe(true);
+        expect(chunks.at(-1)).toMatchObject({ page: 2, text: 'Greedy algorithms pick the best local choice.' });
+        // The start of the second chunk repeats the end of the first
+        expect(chunks[0].text.endsWith(chunks[1].text.split('\n\n')[0])).toBe(true);
+    });
+});
+
+describe('collections', () => {
+    it('ingest Markdown documents into chunks with embeddings', async () => {
+        const { token } = await registerUser();
+        const { body: collection } = await createCollection(token, { name: 'CS101', description: 'Lecture notes' });
+
+        const res = await upload(token, collection, Buffer.from(NOTES), 'notes.md');
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ name: 'notes.md', kind: 'markdown', chunkCount: 2 });
+
+        const chunks = await Chunk.find({ collectionId: collection._id }).sort({ index: 1 });
+        expect(chunks).toHaveLength(2);
+        expect(chunks[0]).toMatchObject({ heading: 'Heaps', embeddingModel: 'local-hash-512' });
+        expect(chunks[0].embedding).toHaveLength(512);
+
+        const { body } = await request(app).get(`/collections/${collection._id}`).set(authHeader(token));
+        expect(body).toMatchObject({ name: 'CS101', documentCount: 1, chunkCount: 2, editable: true });
+        expect(body.documents).toHaveLength(1);
+    });
+
+    it('ingest PDFs page by page', async () => {
+        const { token } = await registerUser();
+        const { body: collection } = await createCollection(token);
+
+        const res = await upload(token, collection, makePdf(['Recursion needs a base case', 'Graphs have vertices and edges']), 'lecture.pdf', 'application/pdf');
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ kind: 'pdf', pageCount: 2, chunkCount: 2 });
+        const chunks = await Chunk.find({ collectionId: collection._id }).sort({ index: 1 });
+        expect(chunks.map(c => [c.page, c.text])).toEqual([[1, 'Recursion needs a base case'], [2, 'Graphs have vertices and edges']]);
+    });
+
+    it('reject unsupported or unreadable files', async () => {
+        const { token } = await registerUser();
+        const { body: collection } = await createCollection(token);
+
+        const image = await upload(token, collection, Buffer.from([0x89, 0x50, 0x4e, 0x47]), 'slide.png', 'image/png');
+        expect(image.status).toBe(400);
+
+        const fake = await upload(token, collection, Buffer.from('not a pdf'), 'fake.pdf', 'application/pdf');
+        expect(fake.status).toBe(400);
+
+        const empty = await upload(token, collection, Buffer.from('\n\n'), 'empty.txt', 'text/plain');
+        expect(empty.status).toBe(400);
+
+        expect(await Chunk.countDocuments()).toBe(0);
+    });
+
+    it('are private to their owner', async () => {
+        const { token } = await registerUser();
+        const { token: otherToken } = await registerUser();
+        const { body: collection } = await createCollection(token);
+
+        expect((await request(app).get(`/collections/${collection._id}`).set(authHeader(otherToken))).status).toBe(404);
+        expect((await upload(otherToken, collection, Buffer.from(NOTES), 'notes.md')).status).toBe(404);
+        expect((await request(app).get('/collections').set(authHeader(otherToken))).body).toEqual([]);
+    });
+
+    it('can be shared with everyone by admins only', async () => {
+        const { token: adminToken } = await registerStaff('admin');
+        const { token } = await registerUser();
+
+        expect((await createCollection(token, { name: 'Course', shared: true })).status).toBe(403);
+
+        const { body: shared } = await createCollection(adminToken, { name: 'Course', shared: true });
+        expect(shared).toMatchObject({ shared: true, editable: true });
+
+        const list = await request(app).get('/collections').set(authHeader(token));
+        expect(list.body).toEqual([expect.objectContaining({ name: 'Course', shared: true, editable: false })]);
+        expect((await upload(token, shared, Buffer.from(NOTES), 'notes.md')).status).toBe(403);
+        expect((await upload(adminToken, shared, Buffer.from(NOTES), 'notes.md')).status).toBe(201);
+    });
+
+    it('preview matching passages', async () => {
+        const { token, collection } = await setUpNotes();
+
+        const res = await request(app)
+            .get(`/collections/${collection._id}/search`)
+            .query({ q: 'How does a min heap extract the minimum?' })
+            .set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.results[0]).toMatchObject({ index: 1, documentName: 'notes.md', heading: 'Heaps', collectionName: 'Data Structures' });
+    });
+
+    it('delete their documents and detach from chats', async () => {
+        const { token, collection, chat } = await setUpNotes();
+
+        const res = await request(app).delete(`/collections/${collection._id}`).set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(await Chunk.countDocuments()).toBe(0);
+        expect((await Chat.findById(chat._id)).collectionIds).toEqual([]);
+    });
+
+    it('are deleted with the account, except shared ones', async () => {
+        const { token: adminToken } = await registerStaff('admin');
+        await createCollection(adminToken, { name: 'Course', shared: true });
+        await createCollection(adminToken, { name: 'Private' });
+
+        await request(app).delete('/auth/account').set(authHeader(adminToken));
+
+        expect((await Collection.find()).map(c => c.name)).toEqual(['Course']);
+    });
+});
+
+describe('attaching collections to chats', () => {
+    it('accepts own and shared collections only', async () => {
+        const { user, token } = await registerUser();
+        const { token: otherToken } = await registerUser();
+        const { token: adminToken } = await registerStaff('admin');
+        const { body: mine } = await createCollection(token);
+        const { body: theirs } = await createCollection(otherToken);
+        const { body: shared } = await createCollection(adminToken, { name: 'Course', shared: true });
+        const chat = await Chat.create({ userId: user._id });
+
+        const ok = await request(app).put(`/chat/${chat._id}`).set(authHeader(token))
+            .send({ collectionIds: [mine._id, shared._id] });
+        expect(ok.status).toBe(200);
+        expect(ok.body.collectionIds).toEqual([mine._id, shared._id]);
+
+        const denied = await request(app).put(`/chat/${chat._id}`).set(authHeader(token))
+            .send({ collectionIds: [theirs._id] });
+        expect(denied.status).toBe(400);
+        expect(denied.body.message).toBe('Collection not found');
+    });
+
+    it('can be done by admins for any chat', async () => {
+        const { user } = await registerUser();
+        const { token: adminToken } = await registerStaff('admin');
+        const { body: shared } = await createCollection(adminToken, { name: 'Course', shared: true });
+        const chat = await Chat.create({ userId: user._id });
+
+        const res = await request(app)
+            .put(`/admin/chats/${chat._id}/collections`)
+            .set(authHeader(adminToken))
+            .send({ collectionIds: [shared._id] });
+
+        expect(res.status).toBe(200);
+        expect(res.body.collectionIds).toEqual([shared._id]);
+        expect(await AuditLog.findOne({ action: 'admin.chat.collections' })).toMatchObject({ targetEmail: user.email });
+    });
+});
+
+describe('answers from course material', () => {
+    it('add relevant passages to the prompt and cite them on the bot message', async () => {
+        const { token, chat } = await setUpNotes();
+        getProvider().script(['Extract-min moves the last element to the root and sifts it down [1].']);
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'How does a min heap extract the minimum?' });
+
+        const [call] = getProvider().calls;
+        expect(call.systemInstruction).toContain('# COURSE MATERIAL');
+        expect(call.systemInstruction).toContain('[1] notes.md (Heaps)');
+        expect(res.body.botMessage.citations).toEqual([
+            expect.objectContaining({ index: 1, documentName: 'notes.md', heading: 'Heaps', collectionName: 'Data Structures' })
+        ]);
+        expect(res.body.botMessage.citations[0].excerpt).toContain('A binary heap');
+    });
+
+    it('leave the prompt alone when nothing matches', async () => {
+        const { token, chat } = await setUpNotes();
+
+        const res = await request(app)
+            .post(`/chat/${chat._id}/message`)
+            .set(authHeader(token))
+            .send({ content: 'Explain quicksort partitioning' });
+
+        expect(getProvider().calls[0].systemInstruction).not.toContain('# COURSE MATERIAL');
+        expect(res.body.botMessage.citations).toBeUndefined();
+    });
+
+    it('cite sources in streamed and regenerated replies', async () => {
+        const { token, chat } = await setUpNotes();
+        getProvider().script(['Tables double when the load factor passes 0.75 [1].', 'They resize [1].']);
+
+        const stream = await request(app)
+            .post(`/chat/${chat._id}/message/stream`)
+            .set(authHeader(token))
+            .send({ content: 'When does a hash table resize itself?' });
+        expect(stream.text).toContain('"heading":"Hash tables"');
+
+        const { body: { messages } } = await request(app).get(`/chat/${chat._id}`).set(authHeader(token));
+        const bot = messages.find(m => m.role === 'bot');
+        const regenerated = await request(app)
+            .post(`/chat/${chat._id}/messages/${bot._id}/regenerate`)
+            .set(authHeader(token));
+        expect(regenerated.body.botMessage.citations).toEqual([expect.objectContaining({ heading: 'Hash tables' })]);
+    });
+});
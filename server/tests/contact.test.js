@@ -0,0 +1,54 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { app, request } from './helpers.js';
+
+const form = {
+    name: 'Linus',
+    email: 'linus@example.com',
+    subject: 'Question',
+    message: 'Line one\nLine two'
+};
+
+describe('POST /contact', () => {
+    afterEach(() => {
+        delete process.env.EMAIL_PASS;
+    });
+
+    it('requires every field', async () => {
+        const res = await request(app).post('/contact').send({ ...form, subject: '' });
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('All fields are required');
+    });
+
+    it('simulates success when email is not configured', async () => {
+        const res = await request(app).post('/contact').send(form);
+
+        expect(res.status).toBe(200);
+        expect(res.body.success).toBe(true);
+        expect(globalThis.sentMail).toHaveLength(0);
+    });
+
+    it('emails the site owner and auto-replies to the sender', async () => {
+        process.env.EMAIL_PASS = 'app-password';
+
+        const res = await request(app).post('/contact').send(form);
+
+        expect(res.status).toBe(200);
+        expect(globalThis.sentMail).toHaveLength(2);
+
+        const [ownerMail, autoReply] = globalThis.sentMail;
+        expect(ownerMail.replyTo).toBe(form.email);
+        expect(ownerMail.subject).toBe('[Bit Brainic Contact] Question');
+        expect(ownerMail.html).toContain('Line one<br>Line two');
+        expect(autoReply.to).toBe(form.email);
+    });
+
+    it('reports transport failures', async () => {
+        process.env.EMAIL_PASS = 'app-password';
+        globalThis.mailError = new Error('SMTP down');
+
+        const res = await request(app).post('/contact').send(form);
+
+        expect(res.status).toBe(500);
+        expect(res.body.message).toBe('Failed to send message. Please try again later.');
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { app, request, registerUser, authHeader } from './helpers.js';
+import Chat from '../models/Chat.js';
+import Folder from '../models/Folder.js';
+
+const createFolder = (token, name) => request(app)
+    .post('/folders')
+    .set(authHeader(token))
+    .send({ name });
+
+describe('folder routes', () => {
+    it('require authentication', async () => {
+        const res = await request(app).get('/folders');
+        expect(res.status).toBe(401);
+    });
+
+    it('create and list folders with chat counts', async () => {
+        const { user, token } = await registerUser();
+        const { token: otherToken } = await registerUser();
+        const algorithms = (await createFolder(token, 'Algorithms')).body;
+        await createFolder(token, 'databases');
+        await createFolder(otherToken, 'Not mine');
+        await Chat.create({ userId: user._id, folderId: algorithms._id });
+        await Chat.create({ userId: user._id, folderId: algorithms._id });
+
+        const res = await request(app).get('/folders').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.map(f => f.name)).toEqual(['Algorithms', 'databases']);
+        expect(res.body.map(f => f.chatCount)).toEqual([2, 0]);
+    });
+
+    it('reject empty and duplicate names', async () => {
+        const { token } = await registerUser();
+        await createFolder(token, 'Algorithms');
+
+        expect((await createFolder(token, '')).status).toBe(400);
+        const duplicate = await createFolder(token, 'algorithms');
+        expect(duplicate.status).toBe(400);
+        expect(duplicate.body.message).toBe('A folder with that name already exists');
+    });
+
+    it('rename a folder', async () => {
+        const { token } = await registerUser();
+        const folder = (await createFolder(token, 'Algos')).body;
+
+        const res = await request(app)
+            .put(`/folders/${folder._id}`)
+            .set(authHeader(token))
+            .send({ name: 'Algorithms' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.name).toBe('Algorithms');
+    });
+
+    it('delete a folder but keep its chats', async () => {
+        const { user, token } = await registerUser();
+        const folder = (await createFolder(token, 'Algorithms')).body;
+        const chat = await Chat.create({ userId: user._id, folderId: folder._id });
+
+        const res = await request(app).delete(`/folders/${folder._id}`).set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.chatsMoved).toBe(1);
+        expect(await Folder.countDocuments()).toBe(0);
+        const kept = await Chat.findById(chat._id);
+        expect(kept.folderId).toBeNull();
+    });
+
+    it('only let owners change folders', async () => {
+        const { token } = await registerUser();
+        const { token: otherToken } = await registerUser();
+        const folder = (await createFolder(token, 'Algorithms')).body;
+
+        const rename = await request(app).put(`/folders/${folder._id}`).set(authHeader(otherToken)).send({ name: 'Mine now' });
+        const remove = await request(app).delete(`/folders/${folder._id}`).set(authHeader(otherToken));
+
+        expect(rename.status).toBe(404);
+        expect(remove.status).toBe(404);
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { generateResponse, generateResponseStream, generateSummary, trimChatHistory, estimateTokens } from '../services/gemini.js';
+import { getProvider, isRetryableError, selectModel } from '../services/providers/index.js';
+
+const conversation = (count) => Array.from({ length: count }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'bot',
+    content: `message ${i}`
+}));
+
+describe('trimChatHistory', () => {
+    it('keeps only the most recent messages that fit the token budget', () => {
+        const messages = conversation(10);
+        const perMessage = estimateTokens('message 0');
+        const trimmed = trimChatHistory(messages, perMessage * 4);
+
+        expect(trimmed).toHaveLength(4);
+        expect(trimmed[0].content).toBe('message 6');
+    });
+
+    it('always keeps the last message', () => {
+        const messages = [{ role: 'user', content: 'x'.repeat(400) }];
+        expect(trimChatHistory(messages, 10)).toEqual(messages);
+    });
+});
+
+describe('generateResponse', () => {
+    it('sends the last user message with earlier messages as history', async () => {
+        const reply = await generateResponse(conversation(3));
+
+        expect(reply.text).toBe('Echo: message 2');
+        expect(reply.usage.totalTokens).toBe(reply.usage.promptTokens + reply.usage.completionTokens);
+        const [call] = getProvider().calls;
+        expect(call.history).toHaveLength(2);
+        expect(call.model).toBe('mock');
+    });
+
+    it('requires the last message to come from the user', async () => {
+        await expect(generateResponse(conversation(2))).rejects.toThrow('Last message must be from user');
+        await expect(generateResponse([])).rejects.toThrow('No messages to process');
+    });
+
+    it('adds the conversation summary to the system instruction', async () => {
+        await generateResponse(conversation(1), null, { summary: '- Student is learning recursion' });
+
+        const [call] = getProvider().calls;
+        expect(call.systemInstruction).toContain('# CONVERSATION SO FAR');
+        expect(call.systemInstruction).toContain('- Student is learning recursion');
+    });
+
+    it('adds the topics the user has studied to the system instruction', async () => {
+        const progress = [
+            { label: 'Recursion', level: 'practicing', messageCount: 12, quizCorrect: 7, quizTotal: 10, lastStudiedAt: new Date('2026-10-18T12:00:00Z') },
+            { label: 'SQL', level: 'learning', messageCount: 3, quizCorrect: 0, quizTotal: 0, lastStudiedAt: new Date('2026-10-01T08:00:00Z') }
+        ];
+
+        await generateResponse(conversation(1), null, { progress });
+
+        const [call] = getProvider().calls;
+        expect(call.systemInstruction).toContain("# USER'S PROGRESS");
+        expect(call.systemInstruction).toContain('- Recursion: practicing (12 messages, quiz 7/10 correct, last studied 2026-10-18)');
+        expect(call.systemInstruction).toContain('- SQL: learning (3 messages, last studied 2026-10-01)');
+    });
+
+    it('adds the output of code the student ran to their message', async () => {
+        const messages = [{
+            role: 'user',
+            content: 'Why does this fail?\n```python\nprint(1/0)\n```',
+            codeRun: { language: 'python', stdout: '', stderr: 'ZeroDivisionError: division by zero\n', exitCode: 1, timedOut: false, durationMs: 40 }
+        }];
+
+        await generateResponse(messages);
+
+        const [call] = getProvider().calls;
+        expect(call.message).toContain('The python code above was run (exit code 1, 40 ms)');
+        expect(call.message).toContain('stderr:\n```\nZeroDivisionError: division by zero');
+        expect(call.message).not.toContain('stdout:');
+    });
+
+    it('maps provider errors to friendly messages', async () => {
+        getProvider().script([{ error: 'SAFETY block' }]);
+        await expect(generateResponse(conversation(1))).rejects.toThrow(/safety settings/);
+    });
+});
+
+describe('generateSummary', () => {
+    it('sends the previous summary and a transcript of the new messages', async () => {
+        getProvider().script(['  - Student knows loops  ']);
+
+        const result = await generateSummary('- Student is new to Python', conversation(2));
+
+        expect(result.text).toBe('- Student knows loops');
+        expect(result.usage.totalTokens).toBeGreaterThan(0);
+        const [call] = getProvider().calls;
+        expect(call.history).toEqual([]);
+        expect(call.message).toContain('- Student is new to Python');
+        expect(call.message).toContain('Student: message 0');
+        expect(call.message).toContain('Tutor: message 1');
+    });
+});
+
+describe('generateResponseStream', () => {
+    it('reports every delta and the full text', async () => {
+        getProvider().script(['one two three']);
+        const deltas = [];
+
+        const result = await generateResponseStream(conversation(1), null, {
+            onChunk: delta => deltas.push(delta)
+        });
+
+        expect(result).toMatchObject({ text: 'one two three', aborted: false });
+        expect(result.usage.completionTokens).toBe(4);
+        expect(deltas).toEqual(['one ', 'two ', 'three']);
+    });
+
+    it('stops when the signal is aborted', async () => {
+        getProvider().script(['one two three']);
+        const controller = new AbortController();
+
+        const result = await generateResponseStream(conversation(1), null, {
+            signal: controller.signal,
+            onChunk: () => controller.abort()
+        });
+
+        expect(result).toMatchObject({ text: 'one ', aborted: true });
+        expect(result.usage.estimated).toBe(true);
+    });
+});
+
+describe('retry helpers', () => {
+    it('detects retryable errors', () => {
+        expect(isRetryableError({ status: 503, message: '' })).toBe(true);
+        expect(isRetryableError({ message: 'model is overloaded' })).toBe(true);
+        expect(isRetryableError({ status: 400, message: 'bad request' })).toBe(false);
+    });
+
+    it('falls back to later models every two attempts', () => {
+        const models = ['primary', 'fallback'];
+        expect([0, 1, 2, 3].map(attempt => selectModel(models, attempt)))
+            .toEqual(['primary', 'primary', 'fallback', 'fallback']);
+    });
+});
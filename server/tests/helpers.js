@@ -0,0 +1,93 @@
+import request from 'supertest';
+import app from '../app.js';
+import User from '../models/User.js';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import { isSandboxAvailable } from '../services/sandbox.js';
+
+let userCounter = 0;
+
+/**
+ * Register a user through the API
+ * @param {Object} overrides - Fields to override (name, email, password)
+ * @returns {Promise<{ user: Object, token: string, refreshToken: string, password: string }>}
+ */
+export const registerUser = async (overrides = {}) => {
+    userCounter += 1;
+    const body = {
+        name: `Student ${userCounter}`,
+        email: `student${userCounter}@example.com`,
+        password: 'password123',
+        ...overrides
+    };
+
+    const res = await request(app).post('/auth/register').send(body);
+    if (res.status !== 201) {
+        throw new Error(`Failed to register test user: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+
+    return { user: res.body, token: res.body.token, refreshToken: res.body.refreshToken, password: body.password };
+};
+
+/**
+ * Register a user and give them a staff role
+ * @param {string} role - 'admin' or 'moderator'
+ * @returns {Promise<{ user: Object, token: string, password: string }>}
+ */
+export const registerStaff = async (role = 'admin', overrides = {}) => {
+    const registered = await registerUser(overrides);
+    await User.updateOne({ _id: registered.user._id }, { role });
+    return { ...registered, user: { ...registered.user, role } };
+};
+
+/**
+ * Create a chat with messages directly in the database
+ * @param {string} userId - Owner of the chat
+ * @param {Array<string>} contents - Alternating user/bot message contents
+ * @returns {Promise<Object>} - Chat document
+ */
+export const createChatWithMessages = async (userId, contents = [], title = 'Test Chat') => {
+    const chat = await Chat.create({ userId, title });
+    const start = Date.now() - contents.length * 1000;
+
+    for (const [index, content] of contents.entries()) {
+        await Message.create({
+            chatId: chat._id,
+            role: index % 2 === 0 ? 'user' : 'bot',
+            content,
+            timestamp: new Date(start + index * 1000)
+        });
+    }
+
+    return chat;
+};
+
+/**
+ * Sign in again to open another session for an existing user
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+export const login = async (email, password, userAgent = 'test-agent') => {
+    const res = await request(app)
+        .post('/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ email, password });
+    return { token: res.body.token, refreshToken: res.body.refreshToken };
+};
+
+/**
+ * Find captured emails sent to an address, optionally filtered by subject
+ * @returns {Array<Object>} - nodemailer message options
+ */
+export const mailTo = (email, subject = /./) => globalThis.sentMail
+    .filter(mail => mail.to === email && subject.test(mail.subject));
+
+export const authHeader = (token) => ({ Authorization: `Bearer ${token}` });
+
+// Tests that run code are skipped on hosts the sandbox does not support (no user
+// namespaces, util-linux or runtime); see services/sandbox.js
+export const sandboxAvailable = {
+    javascript: await isSandboxAvailable('javascript'),
+    python: await isSandboxAvailable('python')
+};
+
+export { app, request };
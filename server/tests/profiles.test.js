@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { app, request, registerUser, registerStaff, authHeader } from './helpers.js';
+import { getProvider } from '../services/providers/index.js';
+import Chat from '../models/Chat.js';
+import AuditLog from '../models/AuditLog.js';
+import TutorProfileVersion from '../models/TutorProfileVersion.js';
+
+let ADMIN_HEADER;
+
+beforeEach(async () => {
+    const { token } = await registerStaff('admin');
+    ADMIN_HEADER = authHeader(token);
+});
+
+const createProfile = (body = {}) => request(app)
+    .post('/admin/profiles')
+    .set(ADMIN_HEADER)
+    .send({ name: 'Interview Coach', systemPrompt: 'You are a strict technical interviewer.', ...body });
+
+const sendMessage = (token, chat, content = 'What is a heap?') => request(app)
+    .post(`/chat/${chat._id}/message`)
+    .set(authHeader(token))
+    .send({ content });
+
+describe('admin tutor profiles', () => {
+    it('creates, lists and updates profiles, keeping a version per change', async () => {
+        const created = await createProfile({ temperature: 0.3, domainRestrictions: { domains: ['dsa'] } });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ name: 'Interview Coach', temperature: 0.3, maxOutputTokens: 8192, version: 1 });
+
+        const updated = await request(app)
+            .put(`/admin/profiles/${created.body._id}`)
+            .set(ADMIN_HEADER)
+            .send({ systemPrompt: 'You are a friendly technical interviewer.', note: 'Less harsh' });
+        expect(updated.body.version).toBe(2);
+
+        // Changing only the default flag is not a new version
+        const madeDefault = await request(app).put(`/admin/profiles/${created.body._id}`).set(ADMIN_HEADER).send({ isDefault: true });
+        expect(madeDefault.body).toMatchObject({ version: 2, isDefault: true });
+
+        const versions = await request(app).get(`/admin/profiles/${created.body._id}/versions`).set(ADMIN_HEADER);
+        expect(versions.body.map(v => [v.version, v.note])).toEqual([[2, 'Less harsh'], [1, 'Created']]);
+        expect(versions.body[1].settings.systemPrompt).toBe('You are a strict technical interviewer.');
+
+        const list = await request(app).get('/admin/profiles').set(ADMIN_HEADER);
+        expect(list.body.profiles).toEqual([expect.objectContaining({ name: 'Interview Coach', chatCount: 0 })]);
+        expect(list.body.builtIn).toMatchObject({ name: 'BitBraniac', isDefault: false });
+
+        const actions = (await AuditLog.find().sort({ timestamp: 1 })).map(entry => entry.action);
+        expect(actions).toEqual(['admin.profile.create', 'admin.profile.update', 'admin.profile.update']);
+
+        const audit = await request(app).get(`/admin/audit?target=${created.body._id}`).set(ADMIN_HEADER);
+        expect(audit.body.entries).toHaveLength(3);
+        expect(audit.body.entries[0]).toMatchObject({ targetModel: 'TutorProfile', target: { name: 'Interview Coach' } });
+    });
+
+    it('rolls back to an earlier version as a new version', async () => {
+        const { body: profile } = await createProfile();
+        await request(app).put(`/admin/profiles/${profile._id}`).set(ADMIN_HEADER).send({ systemPrompt: 'Broken prompt', temperature: 1.5 });
+
+        const res = await request(app).post(`/admin/profiles/${profile._id}/rollback`).set(ADMIN_HEADER).send({ version: 1 });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ systemPrompt: 'You are a strict technical interviewer.', temperature: 0.8, version: 3 });
+        expect(await TutorProfileVersion.findOne({ profileId: profile._id, version: 3 })).toMatchObject({ note: 'Rolled back to version 1' });
+
+        const missing = await request(app).post(`/admin/profiles/${profile._id}/rollback`).set(ADMIN_HEADER).send({ version: 9 });
+        expect(missing.status).toBe(404);
+    });
+
+    it('validates settings and names', async () => {
+        const invalid = await createProfile({ temperature: 3, domainRestrictions: { domains: ['cooking'] } });
+        expect(invalid.status).toBe(400);
+
+        await createProfile();
+        const duplicate = await createProfile({ name: 'interview coach' });
+        expect(duplicate.status).toBe(400);
+        expect(duplicate.body.message).toBe('A profile with that name already exists');
+    });
+
+    it('keeps a single default profile', async () => {
+        const { body: first } = await createProfile({ isDefault: true });
+        await createProfile({ name: 'Socrates', isDefault: true });
+
+        const { body } = await request(app).get('/admin/profiles').set(ADMIN_HEADER);
+
+        expect(body.profiles.filter(p => p.isDefault).map(p => p.name)).toEqual(['Socrates']);
+        expect(body.profiles.find(p => p._id === first._id).isDefault).toBe(false);
+    });
+
+    it('keeps the current default when an update fails', async () => {
+        const { body: first } = await createProfile({ isDefault: true });
+        const { body: second } = await createProfile({ name: 'Socrates' });
+
+        const invalid = await request(app).put(`/admin/profiles/${second._id}`).set(ADMIN_HEADER).send({ isDefault: true, temperature: 5 });
+        expect(invalid.status).toBe(400);
+
+        const duplicate = await request(app).put(`/admin/profiles/${second._id}`).set(ADMIN_HEADER).send({ isDefault: true, name: 'Interview Coach' });
+        expect(duplicate.status).toBe(400);
+
+        const { body } = await request(app).get('/admin/profiles').set(ADMIN_HEADER);
+        expect(body.profiles.filter(p => p.isDefault).map(p => p._id)).toEqual([first._id]);
+    });
+
+    it('lets moderators view but not change profiles', async () => {
+        const { body: profile } = await createProfile();
+        const { token } = await registerStaff('moderator');
+
+        const view = await request(app).get(`/admin/profiles/${profile._id}`).set(authHeader(token));
+        expect(view.status).toBe(200);
+
+        const change = await request(app).put(`/admin/profiles/${profile._id}`).set(authHeader(token)).send({ name: 'Mine' });
+        expect(change.status).toBe(403);
+
+        const { token: userToken } = await registerUser();
+        const regular = await request(app).get('/admin/profiles').set(authHeader(userToken));
+        expect(regular.status).toBe(403);
+    });
+
+    it('deletes a profile and moves its chats to the default', async () => {
+        const { user } = await registerUser();
+        const { body: profile } = await createProfile();
+        const chat = await Chat.create({ userId: user._id, profileId: profile._id });
+
+        const res = await request(app).delete(`/admin/profiles/${profile._id}`).set(ADMIN_HEADER);
+
+        expect(res.status).toBe(200);
+        expect((await Chat.findById(chat._id)).profileId).toBeNull();
+        expect(await TutorProfileVersion.countDocuments({ profileId: profile._id })).toBe(0);
+    });
+});
+
+describe('chat tutor profiles', () => {
+    it('answers with the chat\'s profile settings', async () => {
+        const { body: profile } = await createProfile({
+            temperature: 0.2,
+            maxOutputTokens: 1024,
+            model: 'mock-large',
+            domainRestrictions: { domains: ['dsa'], redirectMessage: 'Let\'s stick to algorithms.' }
+        });
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const selected = await request(app).put(`/chat/${chat._id}`).set(authHeader(token)).send({ profileId: profile._id });
+        expect(selected.body.profileId).toBe(profile._id);
+
+        await sendMessage(token, chat);
+
+        const [call] = getProvider().calls;
+        expect(call).toMatchObject({ temperature: 0.2, maxOutputTokens: 1024, model: 'mock-large' });
+        expect(call.systemInstruction).toMatch(/^You are a strict technical interviewer\./);
+        expect(call.systemInstruction).toContain('✅ Data Structures & Algorithms');
+        expect(call.systemInstruction).not.toContain('✅ Databases');
+        expect(call.systemInstruction).toContain('Let\'s stick to algorithms.');
+    });
+
+    it('uses the default profile, or the built-in tutor when there is none', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        await sendMessage(token, chat);
+        expect(getProvider().calls[0]).toMatchObject({ temperature: 0.8, maxOutputTokens: 8192, model: 'mock' });
+        expect(getProvider().calls[0].systemInstruction).toContain('BitBraniac');
+
+        await createProfile({ isDefault: true });
+        await sendMessage(token, chat);
+        expect(getProvider().calls[1].systemInstruction).toMatch(/^You are a strict technical interviewer\./);
+    });
+
+    it('lists selectable profiles and rejects unknown ones', async () => {
+        await createProfile({ description: 'Mock interviews' });
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        const list = await request(app).get('/chat/profiles').set(authHeader(token));
+        expect(list.body).toEqual([expect.objectContaining({ name: 'Interview Coach', description: 'Mock interviews' })]);
+        expect(list.body[0].systemPrompt).toBeUndefined();
+
+        const res = await request(app).put(`/chat/${chat._id}`).set(authHeader(token)).send({ profileId: '000000000000000000000000' });
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Tutor profile not found');
+    });
+});
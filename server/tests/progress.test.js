@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import { app, request, registerUser, authHeader } from './helpers.js';
+import { getProvider } from '../services/providers/index.js';
+import { classifyTopics } from '../services/topics.js';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import TopicProgress from '../models/TopicProgress.js';
+import Usage from '../models/Usage.js';
+
+const send = (token, chat, content) => request(app)
+    .post(`/chat/${chat._id}/message`)
+    .set(authHeader(token))
+    .send({ content });
+
+const getProgress = (token) => request(app).get('/auth/progress').set(authHeader(token));
+
+// YYYY-MM-DD for N days ago (UTC)
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+describe('classifyTopics', () => {
+    it('maps questions onto the topic taxonomy', () => {
+        expect(classifyTopics('How does merge sort work?')).toEqual(['sorting-searching']);
+        expect(classifyTopics('Explain Dijkstra\'s shortest path algorithm on a weighted graph')).toEqual(['graphs']);
+        expect(classifyTopics('What is a race condition and how does a mutex prevent it?')).toEqual(['concurrency']);
+        expect(classifyTopics('What is the time complexity of binary search?')).toEqual(['complexity', 'sorting-searching']);
+    });
+
+    it('returns nothing for messages without a CS topic', () => {
+        expect(classifyTopics('Thanks, that makes sense!')).toEqual([]);
+        expect(classifyTopics('How should I react to feedback?')).toEqual([]);
+    });
+
+    it('ignores keywords inside code blocks except the language', () => {
+        const message = 'Why is this slow?\n```python\nfor item in items:\n    class Node: pass\n```';
+        expect(classifyTopics(message)).toEqual(['languages']);
+    });
+});
+
+describe('progress from chat activity', () => {
+    it('classifies user turns and counts them per topic', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        await send(token, chat, 'Can you explain recursion?');
+        await send(token, chat, 'Can you show another example?');
+
+        const [first, followUp] = await Message.find({ chatId: chat._id, role: 'user' }).sort({ timestamp: 1 });
+        expect(first.topics).toEqual(['recursion']);
+        // Follow-ups without a topic inherit the previous turn's topics
+        expect(followUp.topics).toEqual(['recursion']);
+
+        const record = await TopicProgress.findOne({ userId: user._id, topic: 'recursion' });
+        expect(record).toMatchObject({ domain: 'dsa', messageCount: 2, streak: 1, longestStreak: 1 });
+    });
+
+    it('tells the tutor what the user has studied', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+
+        await send(token, chat, 'What is a hash table?');
+
+        const [call] = getProvider().calls;
+        expect(call.systemInstruction).toContain("# USER'S PROGRESS");
+        expect(call.systemInstruction).toMatch(/- Hashing: learning \(1 message, last studied \d{4}-\d{2}-\d{2}\)/);
+    });
+
+    it('continues a topic streak on consecutive days', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        await TopicProgress.create({
+            userId: user._id,
+            topic: 'sql',
+            domain: 'databases',
+            messageCount: 4,
+            streak: 3,
+            longestStreak: 3,
+            lastStudiedAt: new Date(Date.now() - 24 * 60 * 60 * 1000)
+        });
+
+        await send(token, chat, 'How do SQL joins work?');
+
+        const record = await TopicProgress.findOne({ userId: user._id, topic: 'sql' });
+        expect(record).toMatchObject({ messageCount: 5, streak: 4, longestStreak: 4 });
+    });
+});
+
+describe('progress from quizzes', () => {
+    it('adds quiz scores to the matching topics', async () => {
+        const { user, token } = await registerUser();
+        getProvider().script([JSON.stringify({
+            title: 'Graphs',
+            questions: [
+                { type: 'multiple_choice', topic: 'BFS', prompt: 'Which data structure does BFS use?', options: ['Stack', 'Queue'], correctOption: 1, answer: 'Queue', explanation: '' },
+                { type: 'multiple_choice', topic: 'Dijkstra', prompt: 'Does Dijkstra handle negative edges?', options: ['Yes', 'No'], correctOption: 1, answer: 'No', explanation: '' }
+            ]
+        })]);
+        const { body: quiz } = await request(app).post('/quiz').set(authHeader(token)).send({ topic: 'Graphs', count: 2 });
+
+        await request(app).post(`/quiz/${quiz._id}/submit`).set(authHeader(token)).send({ answers: [1, 0] });
+
+        const record = await TopicProgress.findOne({ userId: user._id, topic: 'graphs' });
+        expect(record).toMatchObject({ messageCount: 0, quizCorrect: 1, quizTotal: 2 });
+        expect(record.mastery).toBe(35);
+    });
+
+    it('only counts the first attempt at a quiz', async () => {
+        const { user, token } = await registerUser();
+        getProvider().script([JSON.stringify({
+            title: 'Graphs',
+            questions: [
+                { type: 'multiple_choice', topic: 'BFS', prompt: 'Which data structure does BFS use?', options: ['Stack', 'Queue'], correctOption: 1, answer: 'Queue', explanation: '' }
+            ]
+        })]);
+        const { body: quiz } = await request(app).post('/quiz').set(authHeader(token)).send({ topic: 'Graphs', count: 1 });
+        const submit = (answer) => request(app).post(`/quiz/${quiz._id}/submit`).set(authHeader(token)).send({ answers: [answer] });
+
+        await submit(0);
+        // The first response revealed the answer; resubmitting it changes nothing
+        expect((await submit(1)).status).toBe(201);
+
+        const record = await TopicProgress.findOne({ userId: user._id, topic: 'graphs' });
+        expect(record).toMatchObject({ quizCorrect: 0, quizTotal: 1 });
+    });
+});
+
+describe('GET /auth/progress', () => {
+    it('returns per-topic records, domain totals and the study streak', async () => {
+        const { user, token } = await registerUser();
+        await TopicProgress.create([
+            { userId: user._id, topic: 'trees', domain: 'dsa', messageCount: 20, quizCorrect: 9, quizTotal: 10, streak: 2, longestStreak: 5, lastStudiedAt: new Date() },
+            { userId: user._id, topic: 'sql', domain: 'databases', messageCount: 2, streak: 4, longestStreak: 4, lastStudiedAt: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000) }
+        ]);
+        await Usage.create([
+            { userId: user._id, date: daysAgo(0), messages: 3 },
+            { userId: user._id, date: daysAgo(1), messages: 1 },
+            { userId: user._id, date: daysAgo(5), messages: 2 },
+            { userId: user._id, date: daysAgo(6), messages: 2 },
+            { userId: user._id, date: daysAgo(7), messages: 2 },
+            { userId: user._id, date: daysAgo(8), messages: 0 }
+        ]);
+
+        const res = await getProgress(token);
+
+        expect(res.status).toBe(200);
+        expect(res.body.streak).toEqual({ current: 2, longest: 3, lastStudiedOn: daysAgo(0) });
+        expect(res.body.topics.map(t => t.topic)).toEqual(['trees', 'sql']);
+        expect(res.body.topics[0]).toMatchObject({ label: 'Trees', messageCount: 20, mastery: 93, level: 'mastered', streak: 2, longestStreak: 5 });
+        // Streaks that were not continued yesterday or today are over
+        expect(res.body.topics[1]).toMatchObject({ label: 'SQL', mastery: 3, level: 'learning', streak: 0 });
+        expect(res.body.domains.find(d => d.domain === 'dsa')).toMatchObject({ topicsStudied: 1, messageCount: 20 });
+        expect(res.body.domains.find(d => d.domain === 'ai')).toMatchObject({ topicsStudied: 0, lastStudiedAt: null });
+    });
+
+    it('is empty for a new user', async () => {
+        const { token } = await registerUser();
+
+        const res = await getProgress(token);
+
+        expect(res.body.topics).toEqual([]);
+        expect(res.body.streak).toEqual({ current: 0, longest: 0, lastStudiedOn: null });
+    });
+
+    it('requires authentication', async () => {
+        const res = await request(app).get('/auth/progress');
+        expect(res.status).toBe(401);
+    });
+});
@@ -0,0 +1,257 @@
+import { describe, it, expect } from 'vitest';
+import { app, request, registerUser, createChatWithMessages, authHeader } from './helpers.js';
+import { getProvider } from '../services/providers/index.js';
+import { normalizeQuestions } from '../services/quiz.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Usage from '../models/Usage.js';
+import User from '../models/User.js';
+
+const quizReply = (questions, title = 'Sorting quiz') => JSON.stringify({ title, questions });
+
+const QUESTIONS = [
+    {
+        type: 'multiple_choice',
+        topic: 'Big-O notation',
+        prompt: 'What is the average time complexity of quicksort?',
+        options: ['O(n)', 'O(n log n)', 'O(n^2)', 'O(log n)'],
+        correctOption: 1,
+        answer: 'O(n log n)',
+        explanation: 'Each level of partitioning does O(n) work over O(log n) levels.'
+    },
+    {
+        type: 'short_answer',
+        topic: 'Sorting',
+        prompt: 'Name a stable sorting algorithm that runs in O(n log n).',
+        options: [],
+        correctOption: -1,
+        answer: 'Merge sort',
+        explanation: 'Merge sort keeps equal elements in their original order.'
+    }
+];
+
+const createQuiz = (token, body = {}) => request(app)
+    .post('/quiz')
+    .set(authHeader(token))
+    .send({ topic: 'Sorting algorithms', count: 2, ...body });
+
+describe('POST /quiz', () => {
+    it('generates a quiz with structured output and hides the answers', async () => {
+        const { user, token } = await registerUser();
+        getProvider().script([quizReply(QUESTIONS)]);
+
+        const res = await createQuiz(token);
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ title: 'Sorting quiz', topic: 'Sorting algorithms', difficulty: 'medium' });
+        expect(res.body.questions).toHaveLength(2);
+        expect(res.body.questions[0]).toEqual({
+            type: 'multiple_choice',
+            topic: 'Big-O notation',
+            prompt: QUESTIONS[0].prompt,
+            options: QUESTIONS[0].options
+        });
+        expect(res.body.questions[1].answer).toBeUndefined();
+
+        const [call] = getProvider().calls;
+        expect(call.responseSchema.required).toContain('questions');
+        expect(call.message).toContain('Write 2 medium questions');
+
+        const usage = await Usage.findOne({ userId: user._id });
+        expect(usage.messages).toBe(1);
+    });
+
+    it('generates questions from a chat', async () => {
+        const { user, token } = await registerUser();
+        const chat = await createChatWithMessages(user._id, ['How does a heap work?', 'A heap is a tree where parents are smaller than children.'], 'Heaps');
+        getProvider().script([quizReply([QUESTIONS[1]])]);
+
+        const res = await createQuiz(token, { topic: undefined, chatId: chat._id, count: 1 });
+
+        expect(res.status).toBe(201);
+        expect(res.body.topic).toBe('Heaps');
+        expect(res.body.chatId).toBe(chat._id.toString());
+        expect(getProvider().calls[0].message).toContain('Tutor: A heap is a tree');
+    });
+
+    it('keeps only the requested question type and count', async () => {
+        const { token } = await registerUser();
+        getProvider().script([quizReply([...QUESTIONS, QUESTIONS[0]])]);
+
+        const res = await createQuiz(token, { type: 'multiple_choice', count: 1 });
+
+        expect(res.status).toBe(201);
+        expect(res.body.questions).toHaveLength(1);
+        expect(res.body.questions[0].type).toBe('multiple_choice');
+    });
+
+    it('fails cleanly when the model returns invalid JSON', async () => {
+        const { token } = await registerUser();
+        getProvider().script(['Here is your quiz!']);
+
+        const res = await createQuiz(token);
+
+        expect(res.status).toBe(500);
+        expect(res.body.message).toMatch(/invalid response/);
+        expect(await Quiz.countDocuments()).toBe(0);
+    });
+
+    it('validates the request', async () => {
+        const { token } = await registerUser();
+        const { user: other } = await registerUser();
+        const chat = await createChatWithMessages(other._id, ['Hi', 'Hello']);
+
+        expect((await createQuiz(token, { topic: '' })).status).toBe(400);
+        expect((await createQuiz(token, { count: 21 })).status).toBe(400);
+        expect((await createQuiz(token, { type: 'essay' })).status).toBe(400);
+        expect((await createQuiz(token, { difficulty: 'impossible' })).status).toBe(400);
+        expect((await createQuiz(token, { chatId: chat._id })).status).toBe(404);
+        expect(getProvider().calls).toHaveLength(0);
+    });
+});
+
+describe('GET /quiz/:id', () => {
+    it('returns the quiz without answers, only to its owner', async () => {
+        const { token } = await registerUser();
+        const { token: otherToken } = await registerUser();
+        getProvider().script([quizReply(QUESTIONS)]);
+        const { body: quiz } = await createQuiz(token);
+
+        const res = await request(app).get(`/quiz/${quiz._id}`).set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.questions[0].correctOption).toBeUndefined();
+        expect(res.body.attempts).toEqual([]);
+
+        const other = await request(app).get(`/quiz/${quiz._id}`).set(authHeader(otherToken));
+        expect(other.status).toBe(404);
+    });
+});
+
+describe('POST /quiz/:id/submit', () => {
+    const submit = (token, quiz, answers) => request(app)
+        .post(`/quiz/${quiz._id}/submit`)
+        .set(authHeader(token))
+        .send({ answers });
+
+    it('grades answers and explains mistakes', async () => {
+        const { token } = await registerUser();
+        getProvider().script([quizReply(QUESTIONS)]);
+        const { body: quiz } = await createQuiz(token);
+
+        const res = await submit(token, quiz, [2, 'merge sort.']);
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ score: 1, total: 2, percentage: 50 });
+        expect(res.body.results[0]).toMatchObject({ answer: 2, correct: false });
+        expect(res.body.results[0].feedback).toContain('The correct answer is: O(n log n).');
+        expect(res.body.results[0].feedback).toContain('O(log n) levels');
+        expect(res.body.results[1]).toMatchObject({ answer: 'merge sort.', correct: true });
+        expect(res.body.questions[0].correctOption).toBe(1);
+        expect(res.body.topicScores).toEqual([
+            { topic: 'Big-O notation', correct: 0, total: 1 },
+            { topic: 'Sorting', correct: 1, total: 1 }
+        ]);
+        // Exact short answers are graded without the model
+        expect(getProvider().calls).toHaveLength(1);
+    });
+
+    it('asks the model to grade short answers that are not an exact match', async () => {
+        const { token } = await registerUser();
+        getProvider().script([
+            quizReply(QUESTIONS),
+            JSON.stringify({ results: [{ index: 1, correct: true, feedback: 'Mergesort is merge sort.' }] })
+        ]);
+        const { body: quiz } = await createQuiz(token);
+
+        const res = await submit(token, quiz, [1, 'mergesort']);
+
+        expect(res.body.score).toBe(2);
+        expect(res.body.results[1].feedback).toBe('Mergesort is merge sort.');
+        const gradingCall = getProvider().calls[1];
+        expect(gradingCall.message).toContain('Student answer: mergesort');
+    });
+
+    it('marks short answers wrong when grading fails', async () => {
+        const { token } = await registerUser();
+        getProvider().script([quizReply(QUESTIONS), { error: 'invalid API key' }]);
+        const { body: quiz } = await createQuiz(token);
+
+        const res = await submit(token, quiz, [null, 'bubble sort']);
+
+        expect(res.status).toBe(201);
+        expect(res.body.score).toBe(0);
+        expect(res.body.results[1].feedback).toContain('The correct answer is: Merge sort.');
+    });
+
+    it('validates the answers', async () => {
+        const { token } = await registerUser();
+        getProvider().script([quizReply(QUESTIONS)]);
+        const { body: quiz } = await createQuiz(token);
+
+        expect((await submit(token, quiz, [1])).status).toBe(400);
+        expect((await submit(token, quiz, [4, 'x'])).status).toBe(400);
+        expect((await submit(token, quiz, ['O(n)', 'x'])).status).toBe(400);
+        expect(await QuizAttempt.countDocuments()).toBe(0);
+    });
+
+    it('refuses to grade once the daily quota is used up', async () => {
+        const { user, token } = await registerUser();
+        await User.updateOne({ _id: user._id }, { 'quota.dailyMessages': 1 });
+        getProvider().script([quizReply(QUESTIONS)]);
+        const { body: quiz } = await createQuiz(token);
+
+        const res = await submit(token, quiz, [1, 'mergesort']);
+
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('QUOTA_EXCEEDED');
+        expect(getProvider().calls).toHaveLength(1);
+
+        // Multiple choice alone is graded without the AI
+        const choiceOnly = await submit(token, quiz, [1, '  ']);
+        expect(choiceOnly.status).toBe(201);
+        expect(choiceOnly.body.score).toBe(1);
+        expect(getProvider().calls).toHaveLength(1);
+    });
+});
+
+describe('GET /quiz and /quiz/stats', () => {
+    it('lists quizzes with their best score and aggregates first-attempt scores per topic', async () => {
+        const { token } = await registerUser();
+        getProvider().script([quizReply(QUESTIONS)]);
+        const { body: quiz } = await createQuiz(token);
+
+        await request(app).post(`/quiz/${quiz._id}/submit`).set(authHeader(token)).send({ answers: [0, 'merge sort'] });
+        await request(app).post(`/quiz/${quiz._id}/submit`).set(authHeader(token)).send({ answers: [1, 'merge sort'] });
+
+        const list = await request(app).get('/quiz').set(authHeader(token));
+        expect(list.status).toBe(200);
+        expect(list.body.quizzes[0]).toMatchObject({ title: 'Sorting quiz', questionCount: 2, attempts: 2, bestScore: 2 });
+        expect(list.body.quizzes[0].questions).toBeUndefined();
+        expect(list.body.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+
+        const stats = await request(app).get('/quiz/stats').set(authHeader(token));
+        expect(stats.status).toBe(200);
+        expect(stats.body).toHaveLength(2);
+        // The retake is not counted
+        expect(stats.body.find(t => t.topic === 'Big-O notation')).toMatchObject({ correct: 0, total: 1, percentage: 0, attempts: 1 });
+        expect(stats.body.find(t => t.topic === 'Sorting')).toMatchObject({ correct: 1, total: 1, percentage: 100 });
+    });
+});
+
+describe('normalizeQuestions', () => {
+    it('repairs or drops malformed questions', () => {
+        const questions = normalizeQuestions([
+            { type: 'multiple_choice', prompt: 'Pick one', options: ['A', 'B'], correctOption: 5, answer: 'B' },
+            { type: 'multiple_choice', prompt: 'Only one option', options: ['Yes'], correctOption: 0, answer: '' },
+            { type: 'multiple_choice', prompt: 'No answer', options: ['A', 'B'], correctOption: 9, answer: '' },
+            { type: 'short_answer', prompt: '  ', answer: 'x' },
+            null
+        ], 'Fallback');
+
+        expect(questions).toEqual([
+            { type: 'multiple_choice', topic: 'Fallback', prompt: 'Pick one', options: ['A', 'B'], correctOption: 1, answer: 'B', explanation: '' },
+            { type: 'short_answer', topic: 'Fallback', prompt: 'Only one option', answer: 'Yes', explanation: '' }
+        ]);
+    });
+});
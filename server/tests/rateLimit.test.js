@@ -0,0 +1,111 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import express from 'express';
+import { app, request, registerUser, authHeader } from './helpers.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { createMemoryStore, createMongoStore } from '../services/rateLimitStore.js';
+import Chat from '../models/Chat.js';
+
+// Small app with a single limited route
+const limitedApp = (options) => {
+    const testApp = express();
+    testApp.get('/', rateLimit({ name: 'test', max: 2, windowMs: 60 * 1000, ...options }), (req, res) => {
+        res.json({ ok: true });
+    });
+    return testApp;
+};
+
+describe('rateLimit middleware', () => {
+    afterEach(() => {
+        delete process.env.RATE_LIMIT_TEST;
+        delete process.env.RATE_LIMIT_ENABLED;
+    });
+
+    it('returns 429 with Retry-After once the limit is reached', async () => {
+        const testApp = limitedApp({ name: 'limit_basic' });
+
+        const first = await request(testApp).get('/');
+        expect(first.status).toBe(200);
+        expect(first.headers['ratelimit-remaining']).toBe('1');
+
+        await request(testApp).get('/');
+        const blocked = await request(testApp).get('/');
+
+        expect(blocked.status).toBe(429);
+        expect(Number(blocked.headers['retry-after'])).toBeGreaterThan(0);
+        expect(blocked.body.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('can be configured per route through the environment', async () => {
+        process.env.RATE_LIMIT_TEST = '1/60';
+        const testApp = limitedApp({ name: 'test' });
+
+        await request(testApp).get('/');
+        const blocked = await request(testApp).get('/');
+
+        expect(blocked.status).toBe(429);
+    });
+
+    it('can be disabled', async () => {
+        process.env.RATE_LIMIT_ENABLED = 'false';
+        const testApp = limitedApp({ name: 'limit_disabled', max: 1 });
+
+        await request(testApp).get('/');
+        const second = await request(testApp).get('/');
+
+        expect(second.status).toBe(200);
+    });
+});
+
+describe('rate limit stores', () => {
+    it.each([
+        ['memory', createMemoryStore],
+        ['mongo', createMongoStore]
+    ])('%s store counts hits and starts a new window', async (name, createStore) => {
+        const store = createStore();
+
+        expect((await store.increment('k', 1000)).count).toBe(1);
+        const second = await store.increment('k', 1000);
+        expect(second.count).toBe(2);
+        expect(second.resetAt.getTime()).toBeGreaterThan(Date.now());
+
+        expect((await store.increment('other', 1000)).count).toBe(1);
+
+        // A zero-length window is already over on the next hit
+        await store.increment('short', 0);
+        expect((await store.increment('short', 0)).count).toBe(1);
+    });
+});
+
+describe('route limits', () => {
+    it('limit chat messages per user', async () => {
+        process.env.RATE_LIMIT_CHAT_MESSAGE = '2/60';
+        const { user, token } = await registerUser();
+        const { user: other, token: otherToken } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        const otherChat = await Chat.create({ userId: other._id });
+
+        const send = (chatId, authToken) => request(app)
+            .post(`/chat/${chatId}/message`)
+            .set(authHeader(authToken))
+            .send({ content: 'hi' });
+
+        expect((await send(chat._id, token)).status).toBe(200);
+        expect((await send(chat._id, token)).status).toBe(200);
+        expect((await send(chat._id, token)).status).toBe(429);
+        expect((await send(otherChat._id, otherToken)).status).toBe(200);
+
+        delete process.env.RATE_LIMIT_CHAT_MESSAGE;
+    });
+
+    it('limit the contact form per IP', async () => {
+        process.env.RATE_LIMIT_CONTACT = '1/60';
+        const form = { name: 'A', email: 'a@example.com', subject: 'S', message: 'M' };
+
+        expect((await request(app).post('/contact').send(form)).status).toBe(200);
+        const blocked = await request(app).post('/contact').send(form);
+        expect(blocked.status).toBe(429);
+        expect(blocked.headers['retry-after']).toBeTruthy();
+
+        delete process.env.RATE_LIMIT_CONTACT;
+    });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { app, request, registerUser, authHeader, sandboxAvailable } from './helpers.js';
+import { extractSnippet } from '../services/sandbox.js';
+
+const run = (token, body) => request(app)
+    .post('/run')
+    .set(authHeader(token))
+    .send(body);
+
+describe('POST /run', () => {
+    afterEach(() => {
+        process.env.SANDBOX_ENABLED = 'true';
+    });
+
+    it('validates the request', async () => {
+        const { token } = await registerUser();
+
+        expect((await run(token, { language: 'cobol', code: 'DISPLAY "HI".' })).status).toBe(400);
+        expect((await run(token, { language: 'python', code: '  ' })).status).toBe(400);
+        expect((await run(token, { language: 'python', code: 'x = 1\n'.repeat(5000) })).status).toBe(400);
+        expect((await run(token, { language: 'python', code: 'print(1)', stdin: 42 })).status).toBe(400);
+    });
+
+    it('is off unless enabled', async () => {
+        const { token } = await registerUser();
+
+        delete process.env.SANDBOX_ENABLED;
+        expect((await run(token, { language: 'javascript', code: 'console.log(1)' })).status).toBe(503);
+
+        process.env.SANDBOX_ENABLED = 'false';
+        expect((await run(token, { language: 'javascript', code: 'console.log(1)' })).status).toBe(503);
+    });
+
+    it('requires authentication', async () => {
+        const res = await request(app).post('/run').send({ language: 'javascript', code: 'console.log(1)' });
+        expect(res.status).toBe(401);
+    });
+});
+
+// Needs unprivileged user namespaces and util-linux, see services/sandbox.js
+describe.skipIf(!sandboxAvailable.javascript)('POST /run in the sandbox', () => {
+    afterEach(() => {
+        delete process.env.SANDBOX_TIMEOUT_MS;
+    });
+
+    it('runs a snippet and returns its output', async () => {
+        const { token } = await registerUser();
+
+        const res = await run(token, {
+            language: 'js',
+            code: 'console.log([1, 2, 3].map(x => x * 2).join(","));\nconsole.error("done");\nprocess.exitCode = 2;'
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({
+            language: 'javascript',
+            stdout: '2,4,6\n',
+            stderr: 'done\n',
+            exitCode: 2,
+            timedOut: false,
+            truncated: false
+        });
+        expect(res.body.durationMs).toBeGreaterThan(0);
+    });
+
+    it('passes stdin to the program', async () => {
+        const { token } = await registerUser();
+
+        const res = await run(token, {
+            language: 'javascript',
+            code: 'process.stdin.on("data", d => console.log(String(d).toUpperCase()));',
+            stdin: 'hello'
+        });
+
+        expect(res.body.stdout).toBe('HELLO\n');
+    });
+
+    it('reports errors with paths relative to the sandbox', async () => {
+        const { token } = await registerUser();
+
+        const res = await run(token, { language: 'javascript', code: 'null.length;' });
+
+        expect(res.body.exitCode).toBe(1);
+        expect(res.body.stderr).toContain('TypeError');
+        expect(res.body.stderr).toContain('main.js:1');
+        expect(res.body.stderr).not.toContain('sandbox-');
+    });
+
+    it('stops programs that run too long', async () => {
+        const { token } = await registerUser();
+        process.env.SANDBOX_TIMEOUT_MS = '500';
+
+        const res = await run(token, { language: 'javascript', code: 'while (true) {}' });
+
+        expect(res.body).toMatchObject({ timedOut: true, exitCode: null, signal: 'SIGKILL' });
+    });
+
+    it('blocks writing files and starting processes', async () => {
+        const { token } = await registerUser();
+
+        const write = await run(token, { language: 'javascript', code: 'require("fs").writeFileSync("/tmp/escaped.txt", "x");' });
+        expect(write.body.stderr).toContain('ERR_ACCESS_DENIED');
+
+        const spawn = await run(token, { language: 'javascript', code: 'require("child_process").execSync("ls");' });
+        expect(spawn.body.stderr).toContain('ERR_ACCESS_DENIED');
+    });
+
+    it.skipIf(!sandboxAvailable.python)('keeps Python away from the server\'s files and processes', async () => {
+        const { token } = await registerUser();
+        const serverFile = fs.realpathSync(path.resolve('package.json'));
+        const escaped = path.join('/tmp', `escaped-${Date.now()}.txt`);
+
+        const read = await run(token, { language: 'python', code: `print(open(${JSON.stringify(serverFile)}).read())` });
+        expect(read.body.stdout).toBe('');
+        expect(read.body.stderr).toContain('FileNotFoundError');
+
+        // /tmp is private to the run, and everything outside the run's directory is read-only
+        const write = await run(token, {
+            language: 'python',
+            code: `open(${JSON.stringify(escaped)}, "w").write("x")\nopen("/usr/escaped.txt", "w")`
+        });
+        expect(write.body.stderr).toContain('Read-only file system');
+        expect(fs.existsSync(escaped)).toBe(false);
+
+        const signal = await run(token, { language: 'python', code: `import os\nos.kill(${process.pid}, 0)` });
+        expect(signal.body.stderr).toContain('ProcessLookupError');
+    });
+
+    it('does not pass on the server\'s environment', async () => {
+        const { token } = await registerUser();
+
+        const res = await run(token, { language: 'javascript', code: 'console.log(process.env.JWT_SECRET ?? "none");' });
+
+        expect(res.body.stdout).toBe('none\n');
+    });
+
+});
+
+describe('extractSnippet', () => {
+    it('finds the first code block in a supported language', () => {
+        const message = 'Output:\n```\nerror\n```\nMy code:\n```py\nprint(1)\n```\n```js\nconsole.log(2)\n```';
+        expect(extractSnippet(message)).toEqual({ language: 'python', code: 'print(1)\n' });
+        expect(extractSnippet('```java\nclass A {}\n```')).toBeNull();
+        expect(extractSnippet('no code here')).toBeNull();
+    });
+});
@@ -0,0 +1,44 @@
+import { vi, beforeAll, afterAll, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { getProvider } from '../services/providers/index.js';
+import { getRateLimitStore } from '../services/rateLimitStore.js';
+import { getStorage } from '../services/storage/index.js';
+
+// Captured-mail transport: every sendMail call lands in globalThis.sentMail.
+// Set globalThis.mailError to make the next sends fail.
+globalThis.sentMail = [];
+globalThis.mailError = null;
+
+vi.mock('nodemailer', () => {
+    const createTransport = () => ({
+        sendMail: async (options) => {
+            if (globalThis.mailError) throw globalThis.mailError;
+            globalThis.sentMail.push(options);
+            return { messageId: `test-${globalThis.sentMail.length}` };
+        }
+    });
+    return { default: { createTransport }, createTransport };
+});
+
+let mongo;
+
+beforeAll(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+});
+
+afterEach(async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+    globalThis.sentMail.length = 0;
+    globalThis.mailError = null;
+    getProvider().reset();
+    await getRateLimitStore().reset();
+    getStorage().reset();
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongo?.stop();
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { app, request, registerUser, registerStaff, createChatWithMessages, authHeader } from './helpers.js';
+import Share from '../models/Share.js';
+
+const setup = async () => {
+    const { user, token } = await registerUser({ name: 'Ada Student' });
+    const chat = await createChatWithMessages(user._id, ['What is Dijkstra?', 'A shortest-path algorithm.'], 'Graphs');
+    return { user, token, chat };
+};
+
+const share = (token, chat, body = {}) => request(app)
+    .post(`/chat/${chat._id}/share`)
+    .set(authHeader(token))
+    .send(body);
+
+describe('POST /chat/:id/share', () => {
+    it('creates a link to a read-only snapshot', async () => {
+        const { token, chat } = await setup();
+
+        const res = await share(token, chat);
+
+        expect(res.status).toBe(201);
+        expect(res.body.slug).toMatch(/^[\w-]{16}$/);
+        expect(res.body.url).toBe(`http://localhost:5173/shared/${res.body.slug}`);
+        expect(res.body).toMatchObject({ title: 'Graphs', ownerName: 'Ada Student', messageCount: 2, active: true, expiresAt: null });
+        expect(res.body.messages).toBeUndefined();
+
+        const viewed = await request(app).get(`/shared/${res.body.slug}`);
+        expect(viewed.status).toBe(200);
+        expect(viewed.body.ownerName).toBe('Ada Student');
+        expect(viewed.body.messages.map(m => m.content)).toEqual(['What is Dijkstra?', 'A shortest-path algorithm.']);
+        expect(viewed.body.messages[0]._id).toBeUndefined();
+    });
+
+    it('keeps the snapshot when the chat continues', async () => {
+        const { token, chat } = await setup();
+        const { body } = await share(token, chat);
+
+        await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({ content: 'And A*?' });
+
+        const viewed = await request(app).get(`/shared/${body.slug}`);
+        expect(viewed.body.messages).toHaveLength(2);
+    });
+
+    it('can redact the owner\'s name and expire', async () => {
+        const { token, chat } = await setup();
+
+        const res = await share(token, chat, { redactName: true, expiresInDays: 7 });
+
+        expect(res.body.ownerName).toBeNull();
+        const days = (new Date(res.body.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+        expect(days).toBeGreaterThan(6.9);
+
+        await Share.updateOne({ slug: res.body.slug }, { expiresAt: new Date(Date.now() - 1000) });
+        expect((await request(app).get(`/shared/${res.body.slug}`)).status).toBe(404);
+    });
+
+    it('validates the expiry and ownership', async () => {
+        const { token, chat } = await setup();
+        const { token: otherToken } = await registerUser();
+
+        expect((await share(token, chat, { expiresInDays: 0 })).status).toBe(400);
+        expect((await share(token, chat, { expiresInDays: 'soon' })).status).toBe(400);
+        expect((await share(otherToken, chat)).status).toBe(404);
+    });
+});
+
+describe('listing and revoking shares', () => {
+    it('lists a chat\'s shares and revokes one', async () => {
+        const { token, chat } = await setup();
+        const first = (await share(token, chat)).body;
+        await share(token, chat, { redactName: true });
+
+        const list = await request(app).get(`/chat/${chat._id}/shares`).set(authHeader(token));
+        expect(list.status).toBe(200);
+        expect(list.body).toHaveLength(2);
+        expect(list.body[0].messages).toBeUndefined();
+
+        const revoke = await request(app)
+            .delete(`/chat/${chat._id}/shares/${first._id}`)
+            .set(authHeader(token));
+        expect(revoke.status).toBe(200);
+        expect(revoke.body.share.active).toBe(false);
+
+        expect((await request(app).get(`/shared/${first.slug}`)).status).toBe(404);
+    });
+
+    it('does not let other users list or revoke shares', async () => {
+        const { token, chat } = await setup();
+        const created = (await share(token, chat)).body;
+        const { token: otherToken } = await registerUser();
+
+        expect((await request(app).get(`/chat/${chat._id}/shares`).set(authHeader(otherToken))).status).toBe(404);
+        expect((await request(app).delete(`/chat/${chat._id}/shares/${created._id}`).set(authHeader(otherToken))).status).toBe(404);
+        expect((await request(app).get(`/shared/${created.slug}`)).status).toBe(200);
+    });
+});
+
+describe('share invalidation', () => {
+    it('removes shares when the chat is deleted', async () => {
+        const { token, chat } = await setup();
+        const { slug } = (await share(token, chat)).body;
+
+        await request(app).delete(`/chat/${chat._id}`).set(authHeader(token));
+
+        expect((await request(app).get(`/shared/${slug}`)).status).toBe(404);
+        expect(await Share.countDocuments()).toBe(0);
+    });
+
+    it('removes shares when the account is deleted', async () => {
+        const { token, chat } = await setup();
+        await share(token, chat);
+
+        await request(app).delete('/auth/account').set(authHeader(token));
+
+        expect(await Share.countDocuments()).toBe(0);
+    });
+
+    it('removes shares when an admin deletes the user', async () => {
+        const { user, token, chat } = await setup();
+        await share(token, chat);
+        const { token: adminToken } = await registerStaff('admin');
+
+        await request(app).delete(`/admin/users/${user._id}`).set(authHeader(adminToken));
+
+        expect(await Share.countDocuments()).toBe(0);
+    });
+
+    it('returns 404 for unknown links', async () => {
+        const res = await request(app).get('/shared/does-not-exist');
+        expect(res.status).toBe(404);
+        expect(res.body.message).toBe('Shared chat not found');
+    });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { app, request, registerUser, authHeader } from './helpers.js';
+import { getProvider } from '../services/providers/index.js';
+import { containsFullSolution, withholdSolutions } from '../services/tutoring.js';
+import Chat from '../models/Chat.js';
+
+const SOLUTION = [
+    'Here is the answer:',
+    '```python',
+    'def fib(n):',
+    '    if n < 2:',
+    '        return n',
+    '    a, b = 0, 1',
+    '    for _ in range(n - 1):',
+    '        a, b = b, a + b',
+    '    return b',
+    '```'
+].join('\n');
+
+const UNFENCED = [
+    'Here is the answer:',
+    'function fib(n) {',
+    '  if (n < 2) return n;',
+    '  let a = 0, b = 1;',
+    '',
+    '  for (let i = 1; i < n; i++) {',
+    '    [a, b] = [b, a + b];',
+    '  }',
+    '  return b;',
+    '}',
+    'That runs in linear time.'
+].join('\n');
+
+const INDENTED = `Here is the answer:\n\n${SOLUTION.split('\n').slice(2, -1).map(line => `    ${line}`).join('\n')}`;
+
+const HINT = 'What should `fib(0)` and `fib(1)` return? Start from those base cases.';
+
+describe('hint mode solution check', () => {
+    it('flags long code blocks but allows short snippets', () => {
+        expect(containsFullSolution(SOLUTION)).toBe(true);
+        expect(containsFullSolution('Try this:\n```python\nif n < 2:\n    return n\n```')).toBe(false);
+        expect(containsFullSolution(HINT)).toBe(false);
+    });
+
+    it('flags solutions written without fences or as indented code', () => {
+        expect(containsFullSolution(UNFENCED)).toBe(true);
+        expect(containsFullSolution(INDENTED)).toBe(true);
+        expect(containsFullSolution([
+            'Think about these steps:',
+            '1. What should fib(0) and fib(1) return?',
+            '2. How does fib(n) relate to the two values before it?',
+            '3. Which two values do you need to keep around?',
+            '    - Only the last two, not the whole sequence.',
+            '4. How many times does the loop run?',
+            '5. What do you return at the end?',
+            '6. Can you trace fib(4) by hand?',
+            '7. Then try writing it yourself!'
+        ].join('\n'))).toBe(false);
+    });
+
+    it('withholds only the solution code', () => {
+        const text = withholdSolutions(`${SOLUTION}\n\nWhy does the loop start at 1?`);
+
+        expect(text).not.toContain('def fib');
+        expect(text).toContain('hint mode');
+        expect(text).toContain('Why does the loop start at 1?');
+
+        const unfenced = withholdSolutions(UNFENCED);
+        expect(unfenced).not.toContain('fib(n)');
+        expect(unfenced).toContain('Here is the answer:');
+        expect(unfenced).toContain('That runs in linear time.');
+        expect(withholdSolutions(INDENTED)).not.toContain('def fib');
+    });
+});
+
+describe('chat level and mode', () => {
+    it('updates the settings through PUT /chat/:id and validates them', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        expect(chat).toMatchObject({ level: null, mode: 'explain' });
+
+        const res = await request(app).put(`/chat/${chat._id}`).set(authHeader(token)).send({ level: 'beginner', mode: 'hint' });
+        expect(res.body).toMatchObject({ level: 'beginner', mode: 'hint' });
+
+        const invalid = await request(app).put(`/chat/${chat._id}`).set(authHeader(token)).send({ mode: 'solve-it' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.message).toBe('Mode must be one of explain, hint, code-review, interview');
+    });
+
+    it('adds level and mode instructions to the system prompt', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id, level: 'advanced', mode: 'interview' });
+
+        await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({ content: 'Ready' });
+
+        const [call] = getProvider().calls;
+        expect(call.systemInstruction).toContain('The student chose **advanced** answers.');
+        expect(call.systemInstruction).toContain('INTERVIEW PRACTICE');
+    });
+
+    it('asks again when a hint-mode reply gives the solution away', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id, mode: 'hint' });
+        getProvider().script([SOLUTION, HINT]);
+
+        const res = await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({ content: 'Write fib for me' });
+
+        expect(res.body.botMessage.content).toBe(HINT);
+        expect(getProvider().calls).toHaveLength(2);
+        expect(getProvider().calls[1].systemInstruction).toContain('# HINT MODE CHECK');
+    });
+
+    it('withholds a solution the model repeats, also when streaming', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id, mode: 'hint' });
+        getProvider().script([SOLUTION, SOLUTION]);
+
+        const res = await request(app).post(`/chat/${chat._id}/message/stream`).set(authHeader(token)).send({ content: 'Just give me the code' });
+
+        expect(res.status).toBe(200);
+        expect(res.text).not.toContain('def fib');
+        expect(res.text).toContain('Full solution left out');
+    });
+
+    it('checks the reply it asked for again', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id, mode: 'hint' });
+        getProvider().script([SOLUTION, UNFENCED]);
+
+        const res = await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({ content: 'Just give me the code' });
+
+        expect(getProvider().calls).toHaveLength(2);
+        expect(res.body.botMessage.content).not.toContain('function fib');
+        expect(res.body.botMessage.content).toContain('Full solution left out');
+    });
+
+    it('leaves solutions alone in other modes', async () => {
+        const { user, token } = await registerUser();
+        const chat = await Chat.create({ userId: user._id });
+        getProvider().script([SOLUTION]);
+
+        const res = await request(app).post(`/chat/${chat._id}/message`).set(authHeader(token)).send({ content: 'Write fib' });
+
+        expect(res.body.botMessage.content).toBe(SOLUTION);
+        expect(getProvider().calls).toHaveLength(1);
+    });
+});
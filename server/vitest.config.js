@@ -0,0 +1,28 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+    test: {
+        environment: 'node',
+        setupFiles: ['./tests/setup.js'],
+        // Each file gets its own in-memory MongoDB; run them one at a time
+        fileParallelism: false,
+        testTimeout: 30000,
+        hookTimeout: 120000,
+        env: {
+            NODE_ENV: 'test',
+            JWT_SECRET: 'test-jwt-secret',
+            ADMIN_PASSWORD: 'test-admin-password',
+            AI_PROVIDER: 'mock',
+            MOCK_AI_REPLIES: '',
+            // Background title requests would race the scripted mock replies; tests opt in
+            AI_TITLES: 'false',
+            CLIENT_URL: 'http://client.test',
+            // Uploaded files stay in memory (see services/storage/memory.js)
+            STORAGE_DRIVER: 'memory',
+            // Course material is embedded locally (see services/embeddings/local.js)
+            EMBEDDING_PROVIDER: 'local',
+            // Code execution is opt-in (see services/sandbox.js)
+            SANDBOX_ENABLED: 'true'
+        }
+    }
+});